@@ -0,0 +1,11 @@
+// Copyright IBM Corp. 2012,2019. All Rights Reserved.
+// Node module: loopback-connector-mongodb
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+const SG = require('strong-globalize');
+SG.SetRootDir(__dirname);
+
+module.exports = require('./lib/lb4');
@@ -0,0 +1,857 @@
+// Copyright IBM Corp. 2014,2019. All Rights Reserved.
+// Node module: loopback-connector-mongodb
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+const crypto = require('crypto');
+const EventEmitter = require('events').EventEmitter;
+const fs = require('fs');
+const minio = require('minio');
+const PassThrough = require('stream').PassThrough;
+const Readable = require('stream').Readable;
+const pipeline = require('util').promisify(require('stream').pipeline);
+
+const NULL_VERSION = 'null';
+const DEFAULT_CONTENT_TYPE = 'application/octet-stream';
+
+/*!
+ * Create an error like the ones of the minio client
+ */
+function s3Error(code, message, bucketName, key) {
+  const err = new minio.S3Error(message);
+  err.code = code;
+  err.bucketname = bucketName;
+  err.key = key;
+  return err;
+}
+
+/*!
+ * Accept an optional trailing callback, like the minio client, and wait for the default bucket
+ */
+function callbackify(fn) {
+  return function() {
+    const self = this;
+    const args = Array.prototype.slice.call(arguments);
+    const callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+    const promise = self.ready.then(function() {
+      return fn.apply(self, args);
+    });
+    if (!callback) return promise;
+    promise.then(function(result) {
+      callback(null, result);
+    }, callback);
+  };
+}
+
+function validateBucketName(bucketName) {
+  if (typeof bucketName !== 'string' || !/^[a-z0-9][a-z0-9.-]{1,61}[a-z0-9]$/.test(bucketName) ||
+    bucketName.indexOf('..') !== -1) {
+    throw new minio.InvalidBucketNameError('Invalid bucket name: ' + bucketName);
+  }
+}
+
+function validateObjectName(objectName) {
+  // Like MinIO, refuse the `.` and `..` segments, which would name the directories of the filesystem store
+  if (typeof objectName !== 'string' || !objectName.length || objectName.split('/').some(function(segment) {
+    return segment === '.' || segment === '..';
+  })) {
+    throw new minio.InvalidObjectNameError('Invalid object name: ' + objectName);
+  }
+}
+
+/*!
+ * Read a body given to putObject into a Buffer
+ */
+async function toBuffer(body) {
+  if (Buffer.isBuffer(body)) return body;
+  if (typeof body === 'string') return Buffer.from(body);
+  if (body && typeof body.pipe === 'function') {
+    const chunks = [];
+    for await (const chunk of body) {
+      chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks);
+  }
+  throw new TypeError('third argument should be of type "stream.Readable" or "Buffer" or "string"');
+}
+
+/*!
+ * Normalize put metadata the way minio reports it from the response headers:
+ * lower case keys, without the `x-amz-meta-` prefix
+ */
+function normalizeMetaData(metaData) {
+  const result = {};
+  Object.keys(metaData || {}).forEach(function(key) {
+    let name = key.toLowerCase();
+    if (name.indexOf('x-amz-meta-') === 0) {
+      name = name.slice('x-amz-meta-'.length);
+    }
+    result[name] = String(metaData[key]);
+  });
+  if (!result['content-type']) {
+    result['content-type'] = DEFAULT_CONTENT_TYPE;
+  }
+  return result;
+}
+
+const STANDARD_HEADERS = ['content-type', 'content-encoding', 'content-disposition', 'content-language',
+  'cache-control', 'expires'];
+
+/*!
+ * Build the response headers of an object version
+ */
+function versionHeaders(version, length) {
+  const headers = {
+    'content-length': String(length),
+    'etag': '"' + version.etag + '"',
+    'last-modified': new Date(version.lastModified).toUTCString(),
+  };
+  if (version.versionId !== NULL_VERSION) {
+    headers['x-amz-version-id'] = version.versionId;
+  }
+  Object.keys(version.metaData).forEach(function(name) {
+    const header = STANDARD_HEADERS.indexOf(name) !== -1 || name.indexOf('x-amz-') === 0 ?
+      name : 'x-amz-meta-' + name;
+    headers[header] = version.metaData[name];
+  });
+  return headers;
+}
+
+function tagList(tags) {
+  return Object.keys(tags || {}).map(function(key) {
+    return {Key: key, Value: tags[key]};
+  });
+}
+
+/*!
+ * Test if an event name matches one of the listened event patterns, e.g. `s3:ObjectCreated:*`
+ */
+function matchesEvent(eventName, patterns) {
+  return patterns.some(function(pattern) {
+    return pattern === eventName ||
+      (pattern.slice(-1) === '*' && eventName.indexOf(pattern.slice(0, -1)) === 0);
+  });
+}
+
+/**
+ * A stand-in for the minio client keeping the buckets and objects in a store, for tests and offline development.
+ * It has the methods of the minio client used by the connector, with the same arguments, results and errors.
+ * Presigned URLs are signed like minio does, but nothing serves them.
+ * @param {MemoryStore|FileSystemStore} store Where the buckets and objects are kept
+ * @param {Object} [settings] The data source settings, used to sign presigned URLs. The `bucketName` bucket is
+ * created if it does not exist.
+ * @constructor
+ */
+function LocalClient(store, settings) {
+  const self = this;
+  settings = settings || {};
+  this.store = store;
+  this.listeners = new Set();
+  // Multipart uploads in progress, by upload id. They are not kept in the store, so do not survive a restart.
+  this.uploads = new Map();
+  // The last change of the record of each object, by bucket and key, which the next one waits for
+  this.writes = new Map();
+  this.region = settings.region || minio.DEFAULT_REGION;
+  // Only signs presigned URLs, which needs no request when the region is known
+  this.signer = new minio.Client({
+    endPoint: settings.endPoint || 'localhost',
+    port: settings.port,
+    useSSL: !!settings.useSSL,
+    accessKey: settings.accessKey || 'minioadmin',
+    secretKey: settings.secretKey || 'minioadmin',
+    region: this.region,
+  });
+  this.ready = Promise.resolve();
+  if (settings.bucketName) {
+    this.ready = store.loadBucket(settings.bucketName).then(function(bucket) {
+      return bucket ||
+        store.saveBucket({name: settings.bucketName, creationDate: new Date().toISOString(), config: {}});
+    });
+  }
+  this.extensions = {
+    listObjectsV2WithMetadata: function(bucketName, prefix, recursive, startAfter) {
+      return self.listStream(bucketName, prefix, recursive, {startAfter: startAfter, metadata: true});
+    },
+  };
+}
+
+LocalClient.prototype.getBucket = async function(bucketName) {
+  validateBucketName(bucketName);
+  const bucket = await this.store.loadBucket(bucketName);
+  if (!bucket) {
+    throw s3Error('NoSuchBucket', 'The specified bucket does not exist', bucketName);
+  }
+  return bucket;
+};
+
+/*!
+ * Find a version of an object, the latest one by default
+ */
+LocalClient.prototype.getVersion = async function(bucketName, objectName, versionId, notFoundCode) {
+  await this.getBucket(bucketName);
+  validateObjectName(objectName);
+  const record = await this.store.loadObject(bucketName, objectName);
+  const versions = record ? record.versions : [];
+  const version = versionId ?
+    versions.find(function(v) {
+      return v.versionId === versionId;
+    }) :
+    versions[0];
+  if (!version || version.isDeleteMarker) {
+    if (versionId && !version) {
+      throw s3Error('NoSuchVersion', 'The specified version does not exist.', bucketName, objectName);
+    }
+    throw s3Error(notFoundCode || 'NoSuchKey', 'The specified key does not exist.', bucketName, objectName);
+  }
+  return version;
+};
+
+/*!
+ * Load, change and save the record of an object once the changes started
+ * before on the same object are done, so that none of them is lost
+ */
+LocalClient.prototype.writeRecord = function(bucketName, objectName, write) {
+  const self = this;
+  const key = bucketName + '/' + objectName;
+  const result = (self.writes.get(key) || Promise.resolve()).then(write);
+  const done = result.then(function() {}, function() {});
+  self.writes.set(key, done);
+  done.then(function() {
+    if (self.writes.get(key) === done) {
+      self.writes.delete(key);
+    }
+  });
+  return result;
+};
+
+/*!
+ * Add a version to an object, replacing the null version when versioning is
+ * not enabled. With an `ifNoneMatch` of `*`, fails if the object exists.
+ */
+LocalClient.prototype.addVersion = function(bucketName, objectName, version, data, ifNoneMatch) {
+  const self = this;
+  return self.writeRecord(bucketName, objectName, async function() {
+    const bucket = await self.getBucket(bucketName);
+    const versioned = bucket.config.versioning && bucket.config.versioning.Status === 'Enabled';
+    const record = (await self.store.loadObject(bucketName, objectName)) || {key: objectName, versions: []};
+    if (ifNoneMatch === '*' && record.versions.length && !record.versions[0].isDeleteMarker) {
+      throw s3Error('PreconditionFailed', 'At least one of the pre-conditions you specified did not hold',
+        bucketName, objectName);
+    }
+    version.versionId = versioned ? crypto.randomBytes(16).toString('hex') : NULL_VERSION;
+    version.lastModified = new Date().toISOString();
+    const replaced = record.versions.filter(function(v) {
+      return v.versionId === version.versionId;
+    });
+    record.versions = [version].concat(record.versions.filter(function(v) {
+      return v.versionId !== version.versionId;
+    }));
+    if (data) {
+      await self.store.writeData(bucketName, objectName, version.versionId, data);
+    } else if (replaced.length && !replaced[0].isDeleteMarker) {
+      await self.store.deleteData(bucketName, objectName, version.versionId);
+    }
+    await self.store.saveObject(bucketName, record);
+    return version;
+  });
+};
+
+/*!
+ * Notify the bucket notification listeners
+ */
+LocalClient.prototype.notify = function(eventName, bucketName, objectName, version) {
+  const record = {
+    eventVersion: '2.0',
+    eventSource: 'minio:s3',
+    awsRegion: this.region,
+    eventTime: new Date().toISOString(),
+    eventName: eventName,
+    s3: {
+      s3SchemaVersion: '1.0',
+      bucket: {name: bucketName, arn: 'arn:aws:s3:::' + bucketName},
+      object: {
+        key: encodeURIComponent(objectName),
+        size: version && version.size,
+        eTag: version && version.etag,
+        versionId: version && version.versionId !== NULL_VERSION ? version.versionId : undefined,
+      },
+    },
+  };
+  this.listeners.forEach(function(listener) {
+    if (listener.bucketName === bucketName && objectName.indexOf(listener.prefix) === 0 &&
+      objectName.slice(objectName.length - listener.suffix.length) === listener.suffix &&
+      matchesEvent(eventName, listener.events)) {
+      process.nextTick(function() {
+        listener.emit('notification', record);
+      });
+    }
+  });
+};
+
+LocalClient.prototype.putData = async function(bucketName, objectName, data, metaData, eventName, etag) {
+  validateBucketName(bucketName);
+  validateObjectName(objectName);
+  metaData = normalizeMetaData(metaData);
+  // Like the server, a condition of the upload and not a metadata
+  const ifNoneMatch = metaData['if-none-match'];
+  delete metaData['if-none-match'];
+  const version = await this.addVersion(bucketName, objectName, {
+    etag: etag || crypto.createHash('md5').update(data).digest('hex'),
+    size: data.length,
+    metaData: metaData,
+  }, data, ifNoneMatch);
+  this.notify(eventName || 's3:ObjectCreated:Put', bucketName, objectName, version);
+  return {
+    etag: version.etag,
+    versionId: version.versionId === NULL_VERSION ? null : version.versionId,
+  };
+};
+
+/// Buckets ///
+
+LocalClient.prototype.makeBucket = callbackify(async function(bucketName, region, makeOpts) {
+  validateBucketName(bucketName);
+  if (await this.store.loadBucket(bucketName)) {
+    throw s3Error('BucketAlreadyOwnedByYou',
+      'Your previous request to create the named bucket succeeded and you already own it.', bucketName);
+  }
+  const config = {};
+  if (makeOpts && makeOpts.ObjectLocking) {
+    config.objectLock = {objectLockEnabled: 'Enabled'};
+    config.versioning = {Status: 'Enabled'};
+  }
+  await this.store.saveBucket({name: bucketName, creationDate: new Date().toISOString(), config: config});
+});
+
+LocalClient.prototype.bucketExists = callbackify(async function(bucketName) {
+  validateBucketName(bucketName);
+  return !!(await this.store.loadBucket(bucketName));
+});
+
+LocalClient.prototype.removeBucket = callbackify(async function(bucketName) {
+  await this.getBucket(bucketName);
+  if ((await this.store.listObjectKeys(bucketName)).length) {
+    throw s3Error('BucketNotEmpty', 'The bucket you tried to delete is not empty', bucketName);
+  }
+  await this.store.deleteBucket(bucketName);
+});
+
+LocalClient.prototype.listBuckets = callbackify(async function() {
+  const buckets = [];
+  for (const name of await this.store.listBucketNames()) {
+    const bucket = await this.store.loadBucket(name);
+    buckets.push({name: name, creationDate: new Date(bucket.creationDate)});
+  }
+  return buckets;
+});
+
+/*!
+ * Get, set and remove methods of a bucket configuration
+ */
+function bucketConfig(name, notFoundCode, defaultValue) {
+  return {
+    get: callbackify(async function(bucketName) {
+      const bucket = await this.getBucket(bucketName);
+      if (bucket.config[name] !== undefined) {
+        return bucket.config[name];
+      }
+      if (notFoundCode) {
+        throw s3Error(notFoundCode, 'The ' + name + ' configuration does not exist', bucketName);
+      }
+      return defaultValue;
+    }),
+    set: callbackify(async function(bucketName, value) {
+      const bucket = await this.getBucket(bucketName);
+      bucket.config[name] = value;
+      await this.store.saveBucket(bucket);
+    }),
+    remove: callbackify(async function(bucketName) {
+      const bucket = await this.getBucket(bucketName);
+      delete bucket.config[name];
+      await this.store.saveBucket(bucket);
+    }),
+  };
+}
+
+const versioning = bucketConfig('versioning', null, {});
+LocalClient.prototype.getBucketVersioning = versioning.get;
+LocalClient.prototype.setBucketVersioning = versioning.set;
+
+const policy = bucketConfig('policy', 'NoSuchBucketPolicy');
+LocalClient.prototype.getBucketPolicy = policy.get;
+LocalClient.prototype.setBucketPolicy = callbackify(async function(bucketName, bucketPolicy) {
+  if (!bucketPolicy) {
+    return policy.remove.call(this, bucketName);
+  }
+  return policy.set.call(this, bucketName, bucketPolicy);
+});
+
+const lifecycle = bucketConfig('lifecycle', 'NoSuchLifecycleConfiguration');
+LocalClient.prototype.getBucketLifecycle = lifecycle.get;
+LocalClient.prototype.setBucketLifecycle = lifecycle.set;
+LocalClient.prototype.removeBucketLifecycle = lifecycle.remove;
+
+const encryption = bucketConfig('encryption', 'ServerSideEncryptionConfigurationNotFoundError');
+LocalClient.prototype.getBucketEncryption = encryption.get;
+LocalClient.prototype.setBucketEncryption = encryption.set;
+LocalClient.prototype.removeBucketEncryption = encryption.remove;
+
+const replication = bucketConfig('replication', 'ReplicationConfigurationNotFoundError');
+LocalClient.prototype.getBucketReplication = replication.get;
+LocalClient.prototype.setBucketReplication = replication.set;
+LocalClient.prototype.removeBucketReplication = replication.remove;
+
+const objectLock = bucketConfig('objectLock', 'ObjectLockConfigurationNotFoundError');
+LocalClient.prototype.getObjectLockConfig = objectLock.get;
+LocalClient.prototype.setObjectLockConfig = objectLock.set;
+
+const notification = bucketConfig('notification', null,
+  {TopicConfiguration: [], QueueConfiguration: [], CloudFunctionConfiguration: []});
+LocalClient.prototype.getBucketNotification = notification.get;
+LocalClient.prototype.setBucketNotification = callbackify(async function(bucketName, config) {
+  return notification.set.call(this, bucketName, JSON.parse(JSON.stringify(config)));
+});
+LocalClient.prototype.removeAllBucketNotification = notification.remove;
+
+const bucketTags = bucketConfig('tags', null, {});
+LocalClient.prototype.getBucketTagging = callbackify(async function(bucketName) {
+  return tagList(await bucketTags.get.call(this, bucketName));
+});
+LocalClient.prototype.setBucketTagging = bucketTags.set;
+LocalClient.prototype.removeBucketTagging = bucketTags.remove;
+
+/// Listing ///
+
+/*!
+ * List the latest versions, or all versions, of the objects as a stream
+ */
+LocalClient.prototype.listStream = function(bucketName, prefix, recursive, options) {
+  const self = this;
+  prefix = prefix || '';
+  async function* items() {
+    await self.ready;
+    await self.getBucket(bucketName);
+    const prefixes = new Set();
+    for (const key of await self.store.listObjectKeys(bucketName)) {
+      if (key.indexOf(prefix) !== 0) continue;
+      const delimiter = recursive ? -1 : key.indexOf('/', prefix.length);
+      if (delimiter !== -1) {
+        const commonPrefix = key.slice(0, delimiter + 1);
+        if (!prefixes.has(commonPrefix) && !(options.startAfter && commonPrefix <= options.startAfter)) {
+          prefixes.add(commonPrefix);
+          yield {prefix: commonPrefix, size: 0};
+        }
+        continue;
+      }
+      // The listing of versions may resume after a version of a key
+      const resumed = options.versionIdMarker && key === options.startAfter;
+      if (options.startAfter && key <= options.startAfter && !resumed) continue;
+      const record = await self.store.loadObject(bucketName, key);
+      if (!record) continue;
+      const versions = options.versions ? record.versions : record.versions.slice(0, 1);
+      const first = resumed ? versions.findIndex(function(v) {
+        return v.versionId === options.versionIdMarker;
+      }) + 1 : 0;
+      for (let i = first; i < versions.length; i++) {
+        const version = versions[i];
+        if (version.isDeleteMarker && !options.versions) continue;
+        const item = {
+          name: key,
+          lastModified: new Date(version.lastModified),
+          etag: version.etag,
+          size: version.size || 0,
+        };
+        if (options.versions) {
+          item.versionId = version.versionId;
+          item.isLatest = i === 0;
+          item.isDeleteMarker = !!version.isDeleteMarker;
+        }
+        if (options.metadata) {
+          item.metadata = version.metaData;
+        }
+        yield item;
+      }
+    }
+  }
+  return Readable.from(items());
+};
+
+LocalClient.prototype.listObjects = function(bucketName, prefix, recursive, listOpts) {
+  return this.listStream(bucketName, prefix, recursive, {versions: !!(listOpts && listOpts.IncludeVersion)});
+};
+
+/*!
+ * List the versions of the objects under a prefix, after a key, or after a
+ * version of a key, like the markers of the requests listing versions
+ */
+LocalClient.prototype.listObjectVersions = function(bucketName, prefix, keyMarker, versionIdMarker) {
+  return this.listStream(bucketName, prefix, true,
+    {versions: true, startAfter: keyMarker, versionIdMarker: versionIdMarker});
+};
+
+LocalClient.prototype.listObjectsV2 = function(bucketName, prefix, recursive, startAfter) {
+  return this.listStream(bucketName, prefix, recursive, {startAfter: startAfter});
+};
+
+LocalClient.prototype.listIncompleteUploads = function(bucketName, prefix, recursive) {
+  const self = this;
+  prefix = prefix || '';
+  async function* items() {
+    await self.ready;
+    await self.getBucket(bucketName);
+    const uploads = Array.from(self.uploads.entries()).filter(function(entry) {
+      return entry[1].bucketName === bucketName && entry[1].objectName.indexOf(prefix) === 0 &&
+        (recursive || entry[1].objectName.indexOf('/', prefix.length) === -1);
+    }).sort(function(a, b) {
+      return a[1].objectName < b[1].objectName ? -1 : a[1].objectName > b[1].objectName ? 1 : 0;
+    });
+    for (const entry of uploads) {
+      let size = 0;
+      entry[1].parts.forEach(function(part) {
+        size += part.size;
+      });
+      yield {key: entry[1].objectName, uploadId: entry[0], initiated: entry[1].initiated, size: size};
+    }
+  }
+  return Readable.from(items());
+};
+
+LocalClient.prototype.removeIncompleteUpload = callbackify(async function(bucketName, objectName) {
+  await this.getBucket(bucketName);
+  for (const entry of Array.from(this.uploads.entries())) {
+    if (entry[1].bucketName === bucketName && entry[1].objectName === objectName) {
+      this.uploads.delete(entry[0]);
+    }
+  }
+});
+
+/// Multipart uploads ///
+
+/*!
+ * Get a multipart upload in progress
+ */
+LocalClient.prototype.getUpload = function(bucketName, objectName, uploadId) {
+  const upload = this.uploads.get(uploadId);
+  if (!upload || upload.bucketName !== bucketName || upload.objectName !== objectName) {
+    throw s3Error('NoSuchUpload', 'The specified multipart upload does not exist', bucketName, objectName);
+  }
+  return upload;
+};
+
+LocalClient.prototype.initiateNewMultipartUpload = callbackify(async function(bucketName, objectName, headers) {
+  await this.getBucket(bucketName);
+  validateObjectName(objectName);
+  const uploadId = crypto.randomBytes(16).toString('hex');
+  this.uploads.set(uploadId, {
+    bucketName: bucketName,
+    objectName: objectName,
+    metaData: headers,
+    initiated: new Date(),
+    parts: new Map(),
+  });
+  return uploadId;
+});
+
+// With the arguments and result of the uploadPart method of minio 8
+LocalClient.prototype.uploadPart = callbackify(async function(partConfig, payload) {
+  const upload = this.getUpload(partConfig.bucketName, partConfig.objectName, partConfig.uploadID);
+  const data = Buffer.from(payload);
+  const etag = crypto.createHash('md5').update(data).digest('hex');
+  upload.parts.set(partConfig.partNumber, {etag: etag, size: data.length, lastModified: new Date(), data: data});
+  return {etag: etag, key: partConfig.objectName, part: partConfig.partNumber};
+});
+
+LocalClient.prototype.listParts = callbackify(async function(bucketName, objectName, uploadId) {
+  const upload = this.getUpload(bucketName, objectName, uploadId);
+  return Array.from(upload.parts.keys()).sort(function(a, b) {
+    return a - b;
+  }).map(function(number) {
+    const part = upload.parts.get(number);
+    return {part: number, lastModified: part.lastModified, etag: part.etag, size: part.size};
+  });
+});
+
+LocalClient.prototype.completeMultipartUpload = callbackify(async function(bucketName, objectName, uploadId, etags) {
+  const upload = this.getUpload(bucketName, objectName, uploadId);
+  const buffers = [];
+  const digests = [];
+  etags.forEach(function(etag, index) {
+    const part = upload.parts.get(etag.part);
+    if (!part || part.etag !== String(etag.etag).replace(/"/g, '')) {
+      throw s3Error('InvalidPart', 'One or more of the specified parts could not be found', bucketName, objectName);
+    }
+    if (index && etag.part <= etags[index - 1].part) {
+      throw s3Error('InvalidPartOrder', 'The list of parts was not in ascending order', bucketName, objectName);
+    }
+    buffers.push(part.data);
+    digests.push(Buffer.from(part.etag, 'hex'));
+  });
+  this.uploads.delete(uploadId);
+  // Like S3, the ETag of a multipart object is the MD5 of the MD5 of its parts
+  const etag = crypto.createHash('md5').update(Buffer.concat(digests)).digest('hex') + '-' + etags.length;
+  return this.putData(bucketName, objectName, Buffer.concat(buffers), upload.metaData,
+    's3:ObjectCreated:CompleteMultipartUpload', etag);
+});
+
+LocalClient.prototype.abortMultipartUpload = callbackify(async function(bucketName, objectName, uploadId) {
+  this.getUpload(bucketName, objectName, uploadId);
+  this.uploads.delete(uploadId);
+});
+
+/// Objects ///
+
+LocalClient.prototype.putObject = callbackify(async function(bucketName, objectName, stream, size, metaData) {
+  if (size && typeof size === 'object') {
+    metaData = size;
+  }
+  return this.putData(bucketName, objectName, await toBuffer(stream), metaData);
+});
+
+// Like the minio client, the file methods transfer through putObject and getPartialObject
+LocalClient.prototype.fPutObject = callbackify(async function(bucketName, objectName, filePath, metaData) {
+  const stat = await fs.promises.lstat(filePath);
+  return this.putObject(bucketName, objectName, fs.createReadStream(filePath), stat.size, metaData);
+});
+
+LocalClient.prototype.getPartialObject = callbackify(async function(bucketName, objectName, offset, length,
+  getOpts) {
+  const version = await this.getVersion(bucketName, objectName, getOpts && getOpts.versionId);
+  let data = await this.store.readData(bucketName, objectName, version.versionId);
+  const size = data.length;
+  offset = offset || 0;
+  if (offset >= size && size) {
+    throw s3Error('InvalidRange', 'The requested range is not satisfiable', bucketName, objectName);
+  }
+  data = data.slice(offset, length ? offset + length : undefined);
+  const stream = new PassThrough();
+  stream.headers = versionHeaders(version, data.length);
+  stream.statusCode = offset || length ? 206 : 200;
+  if (stream.statusCode === 206) {
+    stream.headers['content-range'] = 'bytes ' + offset + '-' + (offset + data.length - 1) + '/' + size;
+  }
+  stream.end(data);
+  return stream;
+});
+
+LocalClient.prototype.getObject = callbackify(async function(bucketName, objectName, getOpts) {
+  return this.getPartialObject(bucketName, objectName, 0, 0, getOpts);
+});
+
+LocalClient.prototype.fGetObject = callbackify(async function(bucketName, objectName, filePath, getOpts) {
+  const stream = await this.getPartialObject(bucketName, objectName, 0, 0, getOpts);
+  await pipeline(stream, fs.createWriteStream(filePath));
+});
+
+LocalClient.prototype.statObject = callbackify(async function(bucketName, objectName, statOpts) {
+  // Like a HEAD request, which has no error code in its response
+  const version = await this.getVersion(bucketName, objectName, statOpts && statOpts.versionId, 'NotFound');
+  return {
+    size: version.size,
+    etag: version.etag,
+    lastModified: new Date(version.lastModified),
+    metaData: version.metaData,
+    versionId: version.versionId === NULL_VERSION ? null : version.versionId,
+  };
+});
+
+LocalClient.prototype.copyObject = callbackify(async function(bucketName, objectName, source, conditions) {
+  let sourceBucket, sourceObject, versionId, matchETag, metaData;
+  if (bucketName instanceof minio.CopySourceOptions) {
+    // The version 2 of the method, with the options of the source and of the destination
+    const destConfig = objectName;
+    sourceBucket = bucketName.Bucket;
+    sourceObject = bucketName.Object;
+    versionId = bucketName.VersionID || undefined;
+    matchETag = bucketName.MatchETag;
+    bucketName = destConfig.Bucket;
+    objectName = destConfig.Object;
+    if (destConfig.MetadataDirective === 'REPLACE') {
+      // Like the server, which takes the metadata of the request instead of those of the source
+      const headers = destConfig.getHeaders();
+      metaData = {};
+      Object.keys(headers).forEach(function(name) {
+        const header = name.toLowerCase();
+        if (STANDARD_HEADERS.indexOf(header) !== -1 || header.indexOf('x-amz-meta-') === 0) {
+          metaData[header] = headers[name];
+        }
+      });
+    }
+  } else {
+    const match = /^\/?([^/]+)\/(.+)$/.exec(decodeURIComponent(source));
+    if (!match) {
+      throw new minio.InvalidPrefixError('Invalid source object: ' + source);
+    }
+    sourceBucket = match[1];
+    sourceObject = match[2];
+    matchETag = conditions && conditions.matchETag;
+  }
+  const version = await this.getVersion(sourceBucket, sourceObject, versionId);
+  if (matchETag && matchETag.replace(/"/g, '') !== version.etag) {
+    throw s3Error('PreconditionFailed', 'At least one of the pre-conditions you specified did not hold',
+      bucketName, objectName);
+  }
+  const data = await this.store.readData(sourceBucket, sourceObject, version.versionId);
+  const result = await this.putData(bucketName, objectName, data, metaData || version.metaData,
+    's3:ObjectCreated:Copy');
+  if (version.tags) {
+    // Like the tagging directive of the server, which copies the tags by default
+    await this.updateVersion(bucketName, objectName, result.versionId || undefined, function(copy) {
+      copy.tags = Object.assign({}, version.tags);
+    });
+  }
+  return {etag: result.etag, lastModified: new Date(), versionId: result.versionId};
+});
+
+LocalClient.prototype.composeObject = callbackify(async function(destObjConfig, sourceObjList) {
+  const buffers = [];
+  for (const source of sourceObjList) {
+    const version = await this.getVersion(source.Bucket, source.Object, source.VersionID);
+    buffers.push(await this.store.readData(source.Bucket, source.Object, version.versionId));
+  }
+  return this.putData(destObjConfig.Bucket, destObjConfig.Object, Buffer.concat(buffers), destObjConfig.UserMetadata,
+    's3:ObjectCreated:CompleteMultipartUpload');
+});
+
+LocalClient.prototype.removeObject = callbackify(async function(bucketName, objectName, removeOpts) {
+  const self = this;
+  const bucket = await self.getBucket(bucketName);
+  validateObjectName(objectName);
+  const versionId = removeOpts && removeOpts.versionId;
+  const versioned = bucket.config.versioning && bucket.config.versioning.Status;
+  if (versionId || !versioned) {
+    const removed = versionId || NULL_VERSION;
+    const result = await self.writeRecord(bucketName, objectName, async function() {
+      const record = await self.store.loadObject(bucketName, objectName);
+      if (!record) return null;
+      const version = record.versions.find(function(v) {
+        return v.versionId === removed;
+      });
+      record.versions = record.versions.filter(function(v) {
+        return v.versionId !== removed;
+      });
+      if (version && !version.isDeleteMarker) {
+        await self.store.deleteData(bucketName, objectName, removed);
+      }
+      if (record.versions.length) {
+        await self.store.saveObject(bucketName, record);
+      } else {
+        await self.store.deleteObject(bucketName, objectName);
+      }
+      return {version: version};
+    });
+    if (result) {
+      self.notify('s3:ObjectRemoved:Delete', bucketName, objectName, result.version);
+    }
+    return;
+  }
+  if (!(await self.store.loadObject(bucketName, objectName))) return;
+  const marker = await self.addVersion(bucketName, objectName, {isDeleteMarker: true});
+  self.notify('s3:ObjectRemoved:DeleteMarkerCreated', bucketName, objectName, marker);
+});
+
+LocalClient.prototype.removeObjects = callbackify(async function(bucketName, objectsList) {
+  for (const item of objectsList) {
+    const name = typeof item === 'string' ? item : item.name;
+    await this.removeObject(bucketName, name, typeof item === 'string' ? undefined : {versionId: item.versionId});
+  }
+  return [];
+});
+
+/*!
+ * Read and change a stored version of an object
+ */
+LocalClient.prototype.updateVersion = function(bucketName, objectName, versionId, update) {
+  const self = this;
+  return self.writeRecord(bucketName, objectName, async function() {
+    const version = await self.getVersion(bucketName, objectName, versionId);
+    const record = await self.store.loadObject(bucketName, objectName);
+    record.versions = record.versions.map(function(v) {
+      return v.versionId === version.versionId ? update(v) || v : v;
+    });
+    await self.store.saveObject(bucketName, record);
+  });
+};
+
+LocalClient.prototype.setObjectTagging = callbackify(async function(bucketName, objectName, tags, putOpts) {
+  await this.updateVersion(bucketName, objectName, putOpts && putOpts.versionId, function(version) {
+    version.tags = tags;
+  });
+});
+
+LocalClient.prototype.getObjectTagging = callbackify(async function(bucketName, objectName, getOpts) {
+  return tagList((await this.getVersion(bucketName, objectName, getOpts && getOpts.versionId)).tags);
+});
+
+LocalClient.prototype.removeObjectTagging = callbackify(async function(bucketName, objectName, removeOpts) {
+  await this.updateVersion(bucketName, objectName, removeOpts && removeOpts.versionId, function(version) {
+    delete version.tags;
+  });
+});
+
+LocalClient.prototype.putObjectRetention = callbackify(async function(bucketName, objectName, retentionOpts) {
+  retentionOpts = retentionOpts || {};
+  await this.updateVersion(bucketName, objectName, retentionOpts.versionId, function(version) {
+    version.retention = {mode: retentionOpts.mode, retainUntilDate: retentionOpts.retainUntilDate};
+  });
+});
+
+LocalClient.prototype.getObjectRetention = callbackify(async function(bucketName, objectName, getOpts) {
+  const version = await this.getVersion(bucketName, objectName, getOpts && getOpts.versionId);
+  if (!version.retention) {
+    throw s3Error('NoSuchObjectLockConfiguration', 'The specified object does not have a ObjectLock configuration',
+      bucketName, objectName);
+  }
+  return version.retention;
+});
+
+LocalClient.prototype.setObjectLegalHold = callbackify(async function(bucketName, objectName, setOpts) {
+  setOpts = setOpts || {status: 'ON'};
+  await this.updateVersion(bucketName, objectName, setOpts.versionId, function(version) {
+    version.legalHold = setOpts.status;
+  });
+});
+
+LocalClient.prototype.getObjectLegalHold = callbackify(async function(bucketName, objectName, getOpts) {
+  const version = await this.getVersion(bucketName, objectName, getOpts && getOpts.versionId);
+  return {Status: version.legalHold || 'OFF'};
+});
+
+LocalClient.prototype.selectObjectContent = callbackify(async function(bucketName, objectName) {
+  throw s3Error('NotImplemented', 'S3 Select is not supported by the local backend', bucketName, objectName);
+});
+
+/// Presigned operations ///
+
+['presignedUrl', 'presignedGetObject', 'presignedPutObject', 'presignedPostPolicy', 'newPostPolicy']
+  .forEach(function(name) {
+    LocalClient.prototype[name] = function() {
+      return this.signer[name].apply(this.signer, arguments);
+    };
+  });
+
+/// Notifications ///
+
+LocalClient.prototype.listenBucketNotification = function(bucketName, prefix, suffix, events) {
+  validateBucketName(bucketName);
+  const self = this;
+  const listener = new EventEmitter();
+  listener.bucketName = bucketName;
+  listener.prefix = prefix || '';
+  listener.suffix = suffix || '';
+  listener.events = events || [];
+  listener.ending = false;
+  listener.start = function() {
+    listener.ending = false;
+    self.listeners.add(listener);
+  };
+  listener.stop = function() {
+    listener.ending = true;
+    self.listeners.delete(listener);
+  };
+  listener.start();
+  return listener;
+};
+
+module.exports = LocalClient;
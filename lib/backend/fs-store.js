@@ -0,0 +1,126 @@
+// Copyright IBM Corp. 2014,2019. All Rights Reserved.
+// Node module: loopback-connector-mongodb
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const fsp = fs.promises;
+
+const BUCKET_FILE = 'bucket.json';
+const OBJECT_FILE = 'object.json';
+
+/*!
+ * Read a JSON file, or return null if it does not exist
+ */
+async function readJSON(file) {
+  try {
+    return JSON.parse(await fsp.readFile(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+/*!
+ * Write a JSON file through a temporary file, so readers never see a partial one.
+ * Each write has its own temporary file, so concurrent writes of a file do not mix.
+ */
+async function writeJSON(file, value) {
+  const tmp = file + '.' + process.pid + '.' + crypto.randomBytes(6).toString('hex') + '.tmp';
+  await fsp.writeFile(tmp, JSON.stringify(value));
+  await fsp.rename(tmp, file);
+}
+
+/**
+ * Keeps the buckets and objects of the local backend in a directory:
+ * `<root>/<bucket>/bucket.json` and `<root>/<bucket>/objects/<encoded key>/{object.json,<versionId>.data}`.
+ * It has the methods of `MemoryStore`.
+ * @param {string} root The directory
+ * @constructor
+ */
+function FileSystemStore(root) {
+  this.root = path.resolve(root);
+}
+
+FileSystemStore.prototype.bucketDir = function(bucketName) {
+  return path.join(this.root, bucketName);
+};
+
+FileSystemStore.prototype.objectDir = function(bucketName, key) {
+  return path.join(this.root, bucketName, 'objects', encodeURIComponent(key));
+};
+
+FileSystemStore.prototype.listBucketNames = async function() {
+  let names;
+  try {
+    names = await fsp.readdir(this.root);
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  const buckets = [];
+  for (const name of names.sort()) {
+    if (await readJSON(path.join(this.bucketDir(name), BUCKET_FILE))) {
+      buckets.push(name);
+    }
+  }
+  return buckets;
+};
+
+FileSystemStore.prototype.loadBucket = function(bucketName) {
+  return readJSON(path.join(this.bucketDir(bucketName), BUCKET_FILE));
+};
+
+FileSystemStore.prototype.saveBucket = async function(record) {
+  await fsp.mkdir(path.join(this.bucketDir(record.name), 'objects'), {recursive: true});
+  await writeJSON(path.join(this.bucketDir(record.name), BUCKET_FILE), record);
+};
+
+FileSystemStore.prototype.deleteBucket = function(bucketName) {
+  return fsp.rm(this.bucketDir(bucketName), {recursive: true, force: true});
+};
+
+FileSystemStore.prototype.listObjectKeys = async function(bucketName) {
+  let names;
+  try {
+    names = await fsp.readdir(path.join(this.bucketDir(bucketName), 'objects'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  return names.map(decodeURIComponent).sort();
+};
+
+FileSystemStore.prototype.loadObject = function(bucketName, key) {
+  return readJSON(path.join(this.objectDir(bucketName, key), OBJECT_FILE));
+};
+
+FileSystemStore.prototype.saveObject = async function(bucketName, record) {
+  const dir = this.objectDir(bucketName, record.key);
+  await fsp.mkdir(dir, {recursive: true});
+  await writeJSON(path.join(dir, OBJECT_FILE), record);
+};
+
+FileSystemStore.prototype.deleteObject = function(bucketName, key) {
+  return fsp.rm(this.objectDir(bucketName, key), {recursive: true, force: true});
+};
+
+FileSystemStore.prototype.readData = function(bucketName, key, versionId) {
+  return fsp.readFile(path.join(this.objectDir(bucketName, key), versionId + '.data'));
+};
+
+FileSystemStore.prototype.writeData = async function(bucketName, key, versionId, data) {
+  const dir = this.objectDir(bucketName, key);
+  await fsp.mkdir(dir, {recursive: true});
+  await fsp.writeFile(path.join(dir, versionId + '.data'), data);
+};
+
+FileSystemStore.prototype.deleteData = function(bucketName, key, versionId) {
+  return fsp.rm(path.join(this.objectDir(bucketName, key), versionId + '.data'), {force: true});
+};
+
+module.exports = FileSystemStore;
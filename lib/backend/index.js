@@ -0,0 +1,48 @@
+// Copyright IBM Corp. 2014,2019. All Rights Reserved.
+// Node module: loopback-connector-mongodb
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+const g = require('strong-globalize')();
+const path = require('path');
+const LocalClient = require('./client');
+const MemoryStore = require('./memory-store');
+const FileSystemStore = require('./fs-store');
+
+const DEFAULT_STORAGE_PATH = '.minio';
+
+/**
+ * Create the client of a local backend, selected by the `backend` setting:
+ * `memory` keeps everything in memory, `filesystem` in the `storagePath` directory.
+ * @param {Object} settings The data source settings
+ * @returns {LocalClient}
+ */
+exports.createClient = function createClient(settings) {
+  let store;
+  switch (settings.backend) {
+    case 'memory':
+      store = new MemoryStore();
+      break;
+    case 'filesystem':
+      store = new FileSystemStore(settings.storagePath || path.join(process.cwd(), DEFAULT_STORAGE_PATH));
+      break;
+    default:
+      throw new Error(g.f('Invalid backend %s, expected one of %s', settings.backend, 'minio, memory, filesystem'));
+  }
+  return new LocalClient(store, settings);
+};
+
+/**
+ * Test if the settings select a local backend rather than a minio server.
+ * @param {Object} settings The data source settings
+ * @returns {boolean}
+ */
+exports.isLocal = function isLocal(settings) {
+  return !!settings.backend && settings.backend !== 'minio';
+};
+
+exports.LocalClient = LocalClient;
+exports.MemoryStore = MemoryStore;
+exports.FileSystemStore = FileSystemStore;
@@ -0,0 +1,133 @@
+// Copyright IBM Corp. 2014,2019. All Rights Reserved.
+// Node module: loopback-connector-mongodb
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+/*!
+ * Deep copy records so callers cannot change the stored ones
+ */
+function clone(value) {
+  return value == null ? value : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Keeps the buckets and objects of the local backend in memory.
+ * @constructor
+ */
+function MemoryStore() {
+  this.buckets = new Map();
+}
+
+/**
+ * List the bucket names.
+ * @returns {Promise<string[]>}
+ */
+MemoryStore.prototype.listBucketNames = async function() {
+  return Array.from(this.buckets.keys()).sort();
+};
+
+/**
+ * Load a bucket record.
+ * @param {string} bucketName
+ * @returns {Promise<Object|null>} The record, with `name`, `creationDate` and `config`
+ */
+MemoryStore.prototype.loadBucket = async function(bucketName) {
+  const bucket = this.buckets.get(bucketName);
+  return bucket ? clone(bucket.record) : null;
+};
+
+/**
+ * Save a bucket record.
+ * @param {Object} record
+ */
+MemoryStore.prototype.saveBucket = async function(record) {
+  const bucket = this.buckets.get(record.name);
+  if (bucket) {
+    bucket.record = clone(record);
+  } else {
+    this.buckets.set(record.name, {record: clone(record), objects: new Map(), data: new Map()});
+  }
+};
+
+/**
+ * Delete a bucket with its objects.
+ * @param {string} bucketName
+ */
+MemoryStore.prototype.deleteBucket = async function(bucketName) {
+  this.buckets.delete(bucketName);
+};
+
+/**
+ * List the object keys of a bucket, sorted.
+ * @param {string} bucketName
+ * @returns {Promise<string[]>}
+ */
+MemoryStore.prototype.listObjectKeys = async function(bucketName) {
+  const bucket = this.buckets.get(bucketName);
+  return bucket ? Array.from(bucket.objects.keys()).sort() : [];
+};
+
+/**
+ * Load an object record.
+ * @param {string} bucketName
+ * @param {string} key
+ * @returns {Promise<Object|null>} The record, with the `versions` newest first
+ */
+MemoryStore.prototype.loadObject = async function(bucketName, key) {
+  const bucket = this.buckets.get(bucketName);
+  return bucket && bucket.objects.has(key) ? clone(bucket.objects.get(key)) : null;
+};
+
+/**
+ * Save an object record.
+ * @param {string} bucketName
+ * @param {Object} record
+ */
+MemoryStore.prototype.saveObject = async function(bucketName, record) {
+  this.buckets.get(bucketName).objects.set(record.key, clone(record));
+};
+
+/**
+ * Delete an object record.
+ * @param {string} bucketName
+ * @param {string} key
+ */
+MemoryStore.prototype.deleteObject = async function(bucketName, key) {
+  this.buckets.get(bucketName).objects.delete(key);
+};
+
+/**
+ * Read the content of an object version.
+ * @param {string} bucketName
+ * @param {string} key
+ * @param {string} versionId
+ * @returns {Promise<Buffer>}
+ */
+MemoryStore.prototype.readData = async function(bucketName, key, versionId) {
+  return this.buckets.get(bucketName).data.get(key + '\u0000' + versionId);
+};
+
+/**
+ * Write the content of an object version.
+ * @param {string} bucketName
+ * @param {string} key
+ * @param {string} versionId
+ * @param {Buffer} data
+ */
+MemoryStore.prototype.writeData = async function(bucketName, key, versionId, data) {
+  this.buckets.get(bucketName).data.set(key + '\u0000' + versionId, data);
+};
+
+/**
+ * Delete the content of an object version.
+ * @param {string} bucketName
+ * @param {string} key
+ * @param {string} versionId
+ */
+MemoryStore.prototype.deleteData = async function(bucketName, key, versionId) {
+  this.buckets.get(bucketName).data.delete(key + '\u0000' + versionId);
+};
+
+module.exports = MemoryStore;
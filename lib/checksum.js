@@ -0,0 +1,316 @@
+// Copyright IBM Corp. 2014,2019. All Rights Reserved.
+// Node module: loopback-connector-mongodb
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+const g = require('strong-globalize')();
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const stream = require('stream');
+const util = require('util');
+const callClient = require('./progress').callClient;
+
+const pipeline = util.promisify(stream.pipeline);
+
+/*!
+ * The supported algorithms, in the order they are looked for on download
+ */
+const ALGORITHMS = ['sha256', 'crc32c', 'md5'];
+
+/*!
+ * Headers the server verifies a body sent in one request with
+ */
+const CHECKSUM_HEADERS = {
+  md5: 'Content-MD5',
+  sha256: 'x-amz-checksum-sha256',
+  crc32c: 'x-amz-checksum-crc32c',
+};
+
+/*!
+ * Lookup table of the CRC32C (Castagnoli) polynomial
+ */
+const CRC32C_TABLE = (function() {
+  const table = new Int32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0x82f63b78 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c;
+  }
+  return table;
+})();
+
+/*!
+ * A CRC32C hash with the `update`/`digest` interface of the crypto hashes
+ */
+function Crc32c() {
+  this.crc = -1;
+}
+
+Crc32c.prototype.update = function(data) {
+  const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
+  let crc = this.crc;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC32C_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  this.crc = crc;
+  return this;
+};
+
+Crc32c.prototype.digest = function(encoding) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32BE((this.crc ^ -1) >>> 0);
+  return encoding ? buffer.toString(encoding) : buffer;
+};
+
+/**
+ * Create the hash of a checksum algorithm.
+ * @param {string} algorithm `md5`, `sha256` or `crc32c`
+ * @returns {{update: Function, digest: Function}}
+ */
+function createHash(algorithm) {
+  if (ALGORITHMS.indexOf(algorithm) === -1) {
+    throw new TypeError(g.f('Invalid checksum algorithm %s, expected one of %s', algorithm, ALGORITHMS.join(', ')));
+  }
+  return algorithm === 'crc32c' ? new Crc32c() : crypto.createHash(algorithm);
+}
+
+/**
+ * The metadata key an object keeps its checksum in, e.g. `checksum-sha256`,
+ * sent as the `X-Amz-Meta-Checksum-Sha256` header.
+ * @param {string} algorithm
+ * @returns {string}
+ */
+function metaDataKey(algorithm) {
+  return 'checksum-' + algorithm;
+}
+
+/**
+ * The error of a body not matching its checksum. Its `statusCode` is 502, as
+ * the storage or something on the way to it sent corrupted data.
+ * @param {Object} details
+ * @param {string} details.algorithm The algorithm
+ * @param {string} details.expected The base64 checksum stored with the object
+ * @param {string} details.actual The base64 checksum of the received body
+ * @param {string} [details.bucketName]
+ * @param {string} [details.objectName]
+ * @constructor
+ */
+function IntegrityError(details) {
+  Error.call(this);
+  Error.captureStackTrace(this, IntegrityError);
+  this.name = 'IntegrityError';
+  this.message = g.f('%s checksum mismatch for %s/%s: expected %s, got %s', details.algorithm,
+    details.bucketName, details.objectName, details.expected, details.actual);
+  this.code = 'ChecksumMismatch';
+  this.statusCode = 502;
+  this.algorithm = details.algorithm;
+  this.expected = details.expected;
+  this.actual = details.actual;
+  this.bucketName = details.bucketName;
+  this.objectName = details.objectName;
+}
+
+util.inherits(IntegrityError, Error);
+
+/**
+ * Split the `checksum` option out of operation options.
+ * @param {Object} [options] The options of the operation
+ * @returns {{checksum: string|boolean, options: Object}} The option, if any,
+ * and the options without it
+ */
+function splitChecksum(options) {
+  if (!options || !options.checksum) {
+    return {checksum: undefined, options: options};
+  }
+  const rest = Object.assign({}, options);
+  delete rest.checksum;
+  return {checksum: options.checksum, options: rest};
+}
+
+/**
+ * Compute the checksum of a file.
+ * @param {string} filePath
+ * @param {string} algorithm
+ * @returns {Promise<string>} The base64 checksum
+ */
+async function digestFile(filePath, algorithm) {
+  const hash = createHash(algorithm);
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest('base64');
+}
+
+/**
+ * Compute the checksum of a body to upload. The checksum goes with the
+ * headers, before the body, so a stream is first copied to a temporary file
+ * while it is hashed, and uploaded from there.
+ * @param {string|Buffer|stream.Readable} body
+ * @param {string} algorithm
+ * @returns {Promise<{body: Buffer|stream.Readable, size: number, value: string, cleanup: Function}>} The body
+ * to upload, its size, its base64 checksum and a function removing the temporary file
+ */
+async function digestBody(body, algorithm) {
+  const hash = createHash(algorithm);
+  if (typeof body === 'string' || Buffer.isBuffer(body)) {
+    body = Buffer.from(body);
+    return {body: body, size: body.length, value: hash.update(body).digest('base64'), cleanup: async function() {}};
+  }
+  const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'minio-checksum-'));
+  const cleanup = function() {
+    return fs.promises.rm(directory, {recursive: true, force: true});
+  };
+  const filePath = path.join(directory, 'body');
+  let size = 0;
+  try {
+    await pipeline(body, new stream.Transform({
+      transform: function(chunk, encoding, callback) {
+        hash.update(chunk);
+        size += chunk.length;
+        callback(null, chunk);
+      },
+    }), fs.createWriteStream(filePath));
+  } catch (err) {
+    await cleanup();
+    throw err;
+  }
+  return {body: fs.createReadStream(filePath), size: size, value: hash.digest('base64'), cleanup: cleanup};
+}
+
+/**
+ * Derive a client sending the checksum of a body in the header the server
+ * verifies, when the minio client uploads the body in one request. Bodies
+ * uploaded in parts are verified part by part by the minio client.
+ * @param {Object} client The minio client or a local one
+ * @param {string} algorithm
+ * @param {string} value The base64 checksum
+ * @returns {Object} A client for the upload
+ */
+function checksumClient(client, algorithm, value) {
+  if (typeof client.uploadBuffer !== 'function') {
+    return client;
+  }
+  const derived = Object.create(client);
+  derived.uploadBuffer = function(bucketName, objectName, headers, buf) {
+    headers[CHECKSUM_HEADERS[algorithm]] = value;
+    return client.uploadBuffer.call(this, bucketName, objectName, headers, buf);
+  };
+  return derived;
+}
+
+/**
+ * Derive a client keeping the response headers of the object it downloads,
+ * as `headers`, to verify the file written by `fGetObject`.
+ * @param {Object} client The minio client or a local one
+ * @returns {Object} A client for the download
+ */
+function headersClient(client) {
+  const derived = Object.create(client);
+  derived.getPartialObject = function() {
+    return callClient(client.getPartialObject, this, Array.prototype.slice.call(arguments), function(response) {
+      derived.headers = response.headers;
+      return response;
+    });
+  };
+  return derived;
+}
+
+/**
+ * Find the checksum stored with an object.
+ * @param {Object} metaData The metadata or the response headers of the object
+ * @param {string|boolean} checksum An algorithm, or `true` for any
+ * @returns {{algorithm: string, value: string}|undefined}
+ */
+function storedChecksum(metaData, checksum) {
+  if (typeof checksum === 'string') {
+    createHash(checksum);
+  }
+  const algorithms = typeof checksum === 'string' ? [checksum] : ALGORITHMS;
+  for (const algorithm of algorithms) {
+    const key = metaDataKey(algorithm);
+    const value = metaData && (metaData[key] || metaData['x-amz-meta-' + key]);
+    if (value) {
+      return {algorithm: algorithm, value: value};
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Verify an object stream against the checksum in its headers. The stream
+ * fails with an `IntegrityError` at its end on mismatch. An object stored
+ * without a checksum is not verified.
+ * @param {stream.Readable} source The response stream
+ * @param {string|boolean} checksum An algorithm, or `true` for any
+ * @param {Object} [details] The `bucketName` and `objectName` of the errors
+ * @returns {stream.Readable}
+ */
+function verifyStream(source, checksum, details) {
+  const stored = storedChecksum(source.headers, checksum);
+  if (!stored) {
+    return source;
+  }
+  const hash = createHash(stored.algorithm);
+  const verified = new stream.Transform({
+    transform: function(chunk, encoding, callback) {
+      hash.update(chunk);
+      callback(null, chunk);
+    },
+    flush: function(callback) {
+      const actual = hash.digest('base64');
+      if (actual !== stored.value) {
+        return callback(new IntegrityError(Object.assign({
+          algorithm: stored.algorithm,
+          expected: stored.value,
+          actual: actual,
+        }, details)));
+      }
+      callback();
+    },
+  });
+  verified.headers = source.headers;
+  verified.statusCode = source.statusCode;
+  stream.pipeline(source, verified, function() {});
+  return verified;
+}
+
+/**
+ * Verify a downloaded file against the checksum stored with the object.
+ * @param {string} filePath
+ * @param {Object} metaData The metadata or the response headers of the object
+ * @param {string|boolean} checksum An algorithm, or `true` for any
+ * @param {Object} [details] The `bucketName` and `objectName` of the errors
+ * @returns {Promise} Rejects with an `IntegrityError` on mismatch
+ */
+async function verifyFile(filePath, metaData, checksum, details) {
+  const stored = storedChecksum(metaData, checksum);
+  if (!stored) {
+    return;
+  }
+  const actual = await digestFile(filePath, stored.algorithm);
+  if (actual !== stored.value) {
+    throw new IntegrityError(Object.assign({
+      algorithm: stored.algorithm,
+      expected: stored.value,
+      actual: actual,
+    }, details));
+  }
+}
+
+exports.ALGORITHMS = ALGORITHMS;
+exports.IntegrityError = IntegrityError;
+exports.createHash = createHash;
+exports.metaDataKey = metaDataKey;
+exports.splitChecksum = splitChecksum;
+exports.digestFile = digestFile;
+exports.digestBody = digestBody;
+exports.checksumClient = checksumClient;
+exports.headersClient = headersClient;
+exports.verifyStream = verifyStream;
+exports.verifyFile = verifyFile;
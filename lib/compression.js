@@ -0,0 +1,370 @@
+// Copyright IBM Corp. 2014,2019. All Rights Reserved.
+// Node module: loopback-connector-mongodb
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+const g = require('strong-globalize')();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const stream = require('stream');
+const util = require('util');
+const zlib = require('zlib');
+const callClient = require('./progress').callClient;
+
+const pipeline = util.promisify(stream.pipeline);
+const gzip = util.promisify(zlib.gzip);
+const brotliCompress = util.promisify(zlib.brotliCompress);
+
+/*!
+ * The supported algorithms, named like their `Content-Encoding`
+ */
+const ALGORITHMS = ['gzip', 'br'];
+
+/*!
+ * Content types compressed unless the `contentTypes` option is given
+ */
+const DEFAULT_CONTENT_TYPES = ['text/*', 'application/json', 'application/x-ndjson', 'application/xml',
+  'application/javascript', 'application/*+json', 'application/*+xml'];
+
+/*!
+ * Bodies smaller than this many bytes are stored as they are by default
+ */
+const DEFAULT_MIN_SIZE = 1024;
+
+/*!
+ * Metadata keys of the compression of an object
+ */
+const META_ALGORITHM = 'compression';
+const META_SIZE = 'uncompressed-size';
+
+/*!
+ * Create an error with a code and an HTTP status code
+ */
+function compressionError(code, statusCode, message) {
+  const err = new Error(message);
+  err.code = code;
+  err.statusCode = statusCode;
+  return err;
+}
+
+/*!
+ * Build a regular expression matching a content type pattern, e.g. `text/*`
+ */
+function contentTypePattern(pattern) {
+  const source = String(pattern).toLowerCase().split('*').map(function(part) {
+    return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  }).join('[^;]*');
+  return new RegExp('^' + source + '$');
+}
+
+/**
+ * Normalize the `compression` setting of a data source or a model.
+ * @param {boolean|string|Object} [setting] `true` for gzip, an algorithm, or an object:
+ * @param {string} [setting.algorithm='gzip'] `gzip` or `br`
+ * @param {string[]} [setting.contentTypes] Content types to compress, `*` matching any characters
+ * @param {number} [setting.minSize=1024] Smallest body in bytes to compress
+ * @param {number} [setting.level] Compression level, or quality of brotli
+ * @returns {{algorithm: string, contentTypes: RegExp[], minSize: number, level: number}|undefined}
+ * The compression, or undefined when disabled
+ */
+function createCompression(setting) {
+  if (!setting) {
+    return undefined;
+  }
+  if (setting === true || typeof setting === 'string') {
+    setting = {algorithm: setting === true ? undefined : setting};
+  }
+  if (typeof setting !== 'object') {
+    throw new TypeError(g.f('The {{compression}} setting must be a boolean, an algorithm or an object'));
+  }
+  const algorithm = setting.algorithm || 'gzip';
+  if (ALGORITHMS.indexOf(algorithm) === -1) {
+    throw new TypeError(g.f('Invalid compression algorithm %s, expected one of %s', algorithm,
+      ALGORITHMS.join(', ')));
+  }
+  const contentTypes = setting.contentTypes || DEFAULT_CONTENT_TYPES;
+  if (!Array.isArray(contentTypes)) {
+    throw new TypeError(g.f('The {{contentTypes}} of the {{compression}} setting must be an array'));
+  }
+  return {
+    algorithm: algorithm,
+    contentTypes: contentTypes.map(contentTypePattern),
+    minSize: typeof setting.minSize === 'number' ? setting.minSize : DEFAULT_MIN_SIZE,
+    level: setting.level,
+  };
+}
+
+/*!
+ * Find a header of the metadata given to putObject, whatever its case
+ */
+function metaDataHeader(metaData, name) {
+  const key = Object.keys(metaData || {}).find(function(key) {
+    return key.toLowerCase() === name;
+  });
+  return key === undefined ? undefined : String(metaData[key]);
+}
+
+/**
+ * Test if a body is compressed before it is uploaded: its content type is
+ * allowed, it is not encoded already, and it is not smaller than the min size.
+ * @param {Object} compression The compression, see `createCompression`
+ * @param {Object} [metaData] The metadata of the object
+ * @param {number} [size] The size of the body, when known
+ * @returns {boolean}
+ */
+function shouldCompress(compression, metaData, size) {
+  const contentType = metaDataHeader(metaData, 'content-type');
+  if (!compression || !contentType || metaDataHeader(metaData, 'content-encoding')) {
+    return false;
+  }
+  if (typeof size === 'number' && size < compression.minSize) {
+    return false;
+  }
+  const type = contentType.split(';')[0].trim().toLowerCase();
+  return compression.contentTypes.some(function(pattern) {
+    return pattern.test(type);
+  });
+}
+
+/*!
+ * Options of the zlib functions of an algorithm
+ */
+function zlibOptions(compression) {
+  if (compression.level === undefined) {
+    return {};
+  }
+  return compression.algorithm === 'br' ?
+    {params: {[zlib.constants.BROTLI_PARAM_QUALITY]: compression.level}} :
+    {level: compression.level};
+}
+
+/*!
+ * Compress a body. A stream is compressed to a temporary file, so the size of
+ * the upload and of the original body are known before it is sent.
+ */
+async function compressBody(compression, body) {
+  const br = compression.algorithm === 'br';
+  if (typeof body === 'string' || Buffer.isBuffer(body)) {
+    body = Buffer.from(body);
+    const compressed = await (br ? brotliCompress : gzip)(body, zlibOptions(compression));
+    return {body: compressed, size: compressed.length, originalSize: body.length, cleanup: async function() {}};
+  }
+  const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'minio-compression-'));
+  const cleanup = function() {
+    return fs.promises.rm(directory, {recursive: true, force: true});
+  };
+  const filePath = path.join(directory, 'body');
+  const compressor = br ? zlib.createBrotliCompress(zlibOptions(compression)) :
+    zlib.createGzip(zlibOptions(compression));
+  let originalSize = 0;
+  try {
+    await pipeline(body, new stream.Transform({
+      transform: function(chunk, encoding, callback) {
+        originalSize += chunk.length;
+        callback(null, chunk);
+      },
+    }), compressor, fs.createWriteStream(filePath));
+  } catch (err) {
+    await cleanup();
+    throw err;
+  }
+  const stat = await fs.promises.stat(filePath);
+  return {body: fs.createReadStream(filePath), size: stat.size, originalSize: originalSize, cleanup: cleanup};
+}
+
+/**
+ * Find the compression of an object.
+ * @param {Object} metaData The metadata or the response headers of the object
+ * @returns {{algorithm: string, size: number}|undefined} The algorithm and the
+ * size of the uncompressed body, or undefined if the object was not compressed
+ * by the connector
+ */
+function objectCompression(metaData) {
+  // The listings with metadata report the keys as sent, e.g. `X-Amz-Meta-Compression`
+  const values = {};
+  Object.keys(metaData || {}).forEach(function(key) {
+    values[key.toLowerCase()] = metaData[key];
+  });
+  function value(key) {
+    return values[key] || values['x-amz-meta-' + key];
+  }
+  const algorithm = value(META_ALGORITHM);
+  if (ALGORITHMS.indexOf(algorithm) === -1) {
+    return undefined;
+  }
+  return {algorithm: algorithm, size: Number(value(META_SIZE))};
+}
+
+/**
+ * Derive a client compressing the bodies given to `putObject`, e.g. by
+ * `fPutObject`, when `shouldCompress` allows it. The object keeps the
+ * algorithm as its `Content-Encoding`, and in its metadata with the size of
+ * the uncompressed body.
+ * @param {Object} client The client of the connector
+ * @param {Object} compression The compression, see `createCompression`
+ * @returns {Object} A client for the upload
+ */
+function compressionClient(client, compression) {
+  const compressed = Object.create(client);
+  compressed.putObject = function(bucketName, objectName, body, size, metaData) {
+    const args = Array.prototype.slice.call(arguments);
+    const callback = typeof args[args.length - 1] === 'function' ? args.pop() : undefined;
+    if (size && typeof size === 'object') {
+      metaData = size;
+      size = undefined;
+    }
+    metaData = metaData && typeof metaData === 'object' ? metaData : {};
+    if (typeof body === 'string' || Buffer.isBuffer(body)) {
+      size = Buffer.byteLength(body);
+    }
+    if (!shouldCompress(compression, metaData, typeof size === 'number' ? size : undefined)) {
+      return callClient(client.putObject, this, callback ? args.concat(callback) : args);
+    }
+    const promise = compressBody(compression, body).then(function(upload) {
+      const headers = Object.assign({}, metaData, {
+        'Content-Encoding': compression.algorithm,
+        [META_ALGORITHM]: compression.algorithm,
+        [META_SIZE]: String(upload.originalSize),
+      });
+      // The client of the connector, so derived clients do not send headers computed from the original body
+      return client.putObject(bucketName, objectName, upload.body, upload.size, headers).finally(upload.cleanup);
+    });
+    if (!callback) {
+      return promise;
+    }
+    promise.then(function(result) {
+      callback(null, result);
+    }, callback);
+  };
+  return compressed;
+}
+
+/*!
+ * Decompress an object stream, keeping `length` bytes from `offset` of the
+ * uncompressed body. The rest is not decompressed.
+ */
+function decompressStream(response, compression, offset, length, details) {
+  const size = compression.size;
+  if (offset && offset >= size) {
+    response.destroy();
+    throw compressionError('InvalidRange', 416, g.f('The requested range is not satisfiable'));
+  }
+  const decompressor = compression.algorithm === 'br' ? zlib.createBrotliDecompress() : zlib.createGunzip();
+  stream.pipeline(response, decompressor, function() {});
+  const end = length ? offset + length : Infinity;
+  const decompressed = stream.Readable.from(async function* () {
+    let position = 0;
+    try {
+      for await (const chunk of decompressor) {
+        const start = position;
+        position += chunk.length;
+        if (position > offset) {
+          yield chunk.slice(Math.max(offset - start, 0), Math.min(end - start, chunk.length));
+        }
+        if (position >= end) {
+          return;
+        }
+      }
+    } catch (err) {
+      if (!err.code || err.code.indexOf('Z_') !== 0) {
+        throw err;
+      }
+      throw compressionError('DecompressionFailed', 502,
+        g.f('Object %s/%s cannot be decompressed: %s', details.bucketName, details.objectName, err.message));
+    }
+  }());
+  decompressed.headers = Object.assign({}, response.headers);
+  delete decompressed.headers['content-encoding'];
+  delete decompressed.headers['content-range'];
+  delete decompressed.headers['content-length'];
+  decompressed.statusCode = offset || length ? 206 : 200;
+  if (!isNaN(size)) {
+    const available = Math.max(Math.min(end, size) - offset, 0);
+    decompressed.headers['content-length'] = String(available);
+    if (decompressed.statusCode === 206) {
+      decompressed.headers['content-range'] = 'bytes ' + offset + '-' + (offset + available - 1) + '/' + size;
+    }
+  }
+  return decompressed;
+}
+
+/**
+ * Derive a client decompressing the objects compressed by `compressionClient`
+ * in `getPartialObject`, and reporting their uncompressed size from
+ * `statObject`, so `getObject` and `fGetObject` read them decompressed too.
+ * A range of a compressed object is read by decompressing the object from its
+ * start. Other objects are read as they are.
+ * @param {Object} client The minio client or a local one
+ * @returns {Object} The client of the connector
+ */
+function decompressionClient(client) {
+  const decompressed = Object.create(client);
+
+  decompressed.getPartialObject = function(bucketName, objectName, offset, length, getOpts) {
+    const self = this;
+    const args = Array.prototype.slice.call(arguments);
+    const callback = typeof args[args.length - 1] === 'function' ? args.pop() : undefined;
+    const details = {bucketName: bucketName, objectName: objectName};
+    offset = offset || 0;
+    length = typeof length === 'number' ? length : 0;
+    getOpts = getOpts && typeof getOpts === 'object' ? getOpts : undefined;
+    // The range of a compressed object is not a range of its uncompressed body
+    function readWhole(compression) {
+      return callClient(client.getPartialObject, self, [bucketName, objectName, 0, 0, getOpts], function(response) {
+        return decompressStream(response, objectCompression(response.headers) || compression, offset, length,
+          details);
+      });
+    }
+    const promise = callClient(client.getPartialObject, self, args).then(function(response) {
+      const compression = objectCompression(response.headers);
+      if (!compression) {
+        return response;
+      }
+      if (!offset && !length) {
+        return decompressStream(response, compression, 0, 0, details);
+      }
+      response.destroy();
+      return readWhole(compression);
+    }, function(err) {
+      // The offset may be past the compressed size only
+      if (!offset || !err || err.code !== 'InvalidRange') {
+        throw err;
+      }
+      return callClient(client.statObject, self, [bucketName, objectName, getOpts || {}]).then(function(stat) {
+        const compression = objectCompression(stat.metaData);
+        if (!compression) {
+          throw err;
+        }
+        return readWhole(compression);
+      });
+    });
+    if (!callback) {
+      return promise;
+    }
+    promise.then(function(result) {
+      callback(null, result);
+    }, callback);
+  };
+
+  decompressed.statObject = function() {
+    return callClient(client.statObject, this, Array.prototype.slice.call(arguments), function(stat) {
+      const compression = objectCompression(stat.metaData);
+      if (compression && !isNaN(compression.size)) {
+        stat.size = compression.size;
+      }
+      return stat;
+    });
+  };
+
+  return decompressed;
+}
+
+exports.ALGORITHMS = ALGORITHMS;
+exports.createCompression = createCompression;
+exports.shouldCompress = shouldCompress;
+exports.objectCompression = objectCompression;
+exports.compressionClient = compressionClient;
+exports.decompressionClient = decompressionClient;
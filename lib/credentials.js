@@ -0,0 +1,290 @@
+// Copyright IBM Corp. 2014,2019. All Rights Reserved.
+// Node module: loopback-connector-mongodb
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+const g = require('strong-globalize')();
+const crypto = require('crypto');
+const debug = require('debug')('loopback:connector:minio');
+const AssumeRoleProvider = require('minio/dist/main/AssumeRoleProvider.js').AssumeRoleProvider;
+const endpoints = require('./endpoints');
+
+const DEFAULT_DURATION_SECONDS = 3600;
+const DEFAULT_REFRESH_BEFORE = 300;
+const DEFAULT_REGION = 'us-east-1';
+
+/*!
+ * Fields of the credentials of an operation which select its client
+ */
+const CREDENTIAL_FIELDS = ['accessKey', 'secretKey', 'sessionToken', 'webIdentityToken', 'roleArn',
+  'roleSessionName', 'policy', 'externalId', 'durationSeconds'];
+
+/*!
+ * Error codes of STS meaning the endpoint could not answer, not that the
+ * credentials were refused
+ */
+const UNAVAILABLE_CODES = ['InternalError', 'ServiceUnavailable', 'SlowDown'];
+
+/*!
+ * Create an error with a code and an HTTP status code
+ */
+function credentialsError(code, statusCode, message) {
+  const err = new Error(message);
+  err.code = code;
+  err.statusCode = statusCode;
+  return err;
+}
+
+/**
+ * Temporary credentials from an STS endpoint, e.g. the one of a MinIO
+ * server, given to the minio client as its `credentialsProvider`. They are
+ * requested with `AssumeRole`, signed with `accessKey` and `secretKey`, or
+ * with `AssumeRoleWithWebIdentity` when a `webIdentityToken` is given, and
+ * requested again `refreshBefore` seconds before they expire.
+ * @param {Object} options
+ * @param {string|string[]} options.endPoint URL of the STS endpoint, e.g.
+ * `https://minio.example.com:9000`, or the URLs of the nodes of `pool`
+ * @param {EndPointPool} [options.pool] The health of the nodes, which are
+ * tried in turn on connection errors
+ * @param {string} [options.accessKey] Access key signing `AssumeRole`
+ * @param {string} [options.secretKey] Secret key signing `AssumeRole`
+ * @param {string} [options.webIdentityToken] OpenID token of `AssumeRoleWithWebIdentity`
+ * @param {string} [options.roleArn] Role to assume
+ * @param {string} [options.roleSessionName] Name of the session
+ * @param {string|Object} [options.policy] Policy restricting the credentials further
+ * @param {string} [options.externalId] External id of `AssumeRole`
+ * @param {number} [options.durationSeconds=3600] Validity of the credentials
+ * @param {number} [options.refreshBefore=300] Seconds before the expiration to request new credentials
+ * @param {string} [options.region='us-east-1'] Region the requests are signed for
+ * @param {http.Agent} [options.transportAgent] Agent of the requests
+ */
+class StsCredentialProvider extends AssumeRoleProvider {
+  constructor(options) {
+    if (!options || !options.endPoint || !options.endPoint.length) {
+      throw new TypeError(g.f('The {{endPoint}} of the STS endpoint is required'));
+    }
+    if (!options.webIdentityToken && !(options.accessKey && options.secretKey)) {
+      throw new TypeError(g.f('STS credentials need a {{webIdentityToken}}, or an {{accessKey}} and a {{secretKey}}'));
+    }
+    const urls = [].concat(options.endPoint);
+    super({
+      stsEndpoint: urls[0],
+      accessKey: options.accessKey,
+      secretKey: options.secretKey,
+      durationSeconds: options.durationSeconds || DEFAULT_DURATION_SECONDS,
+      policy: options.policy && typeof options.policy === 'object' ? JSON.stringify(options.policy) :
+        options.policy,
+      region: options.region || DEFAULT_REGION,
+      roleArn: options.roleArn,
+      roleSessionName: options.roleSessionName,
+      externalId: options.externalId,
+      webIdentityToken: options.webIdentityToken,
+      action: options.webIdentityToken ? 'AssumeRoleWithWebIdentity' : 'AssumeRole',
+      transportAgent: options.transportAgent,
+    });
+    this.endPoints = urls.map(function(url) {
+      return new URL(url);
+    });
+    this.pool = options.pool;
+    this.refreshBefore = options.refreshBefore == null ? DEFAULT_REFRESH_BEFORE : options.refreshBefore;
+    this._pending = null;
+  }
+
+  /**
+   * Get the credentials, requesting new ones when they are about to expire.
+   * Concurrent calls share the same request.
+   * @returns {Promise<Credentials>} The minio credentials, with their
+   * `accessKey`, `secretKey` and `sessionToken`. Rejects with the code of
+   * the STS error, e.g. `AccessDenied`
+   */
+  getCredentials() {
+    const self = this;
+    if (!self._pending) {
+      self._pending = super.getCredentials().then(function(result) {
+        self._pending = null;
+        return result;
+      }, function(err) {
+        self._pending = null;
+        // Wrapped by `refreshCredentials`
+        throw err.cause instanceof Error ? err.cause : err;
+      });
+    }
+    return self._pending;
+  }
+
+  /*!
+   * Request new credentials `refreshBefore` seconds before they expire
+   */
+  isAboutToExpire() {
+    return !(new Date(this.accessExpiresAt).getTime() - this.refreshBefore * 1000 > Date.now());
+  }
+
+  /*!
+   * Leave `AssumeRoleWithWebIdentity` unsigned, its token authenticates it
+   */
+  getRequestConfig() {
+    if (this.action === 'AssumeRole') {
+      return super.getRequestConfig();
+    }
+    const config = super.getRequestConfig.call(Object.create(this, {
+      accessKey: {value: 'unsigned'},
+      secretKey: {value: 'unsigned'},
+    }));
+    delete config.requestOptions.headers.authorization;
+    return config;
+  }
+
+  /*!
+   * Send the request to the nodes in turn until one answers
+   */
+  async performRequest() {
+    const pool = this.pool;
+    const order = pool ? pool.forWrite() : this.endPoints.map(function(url, index) {
+      return index;
+    });
+    for (let n = 0; ; n++) {
+      const index = order[n];
+      // Concurrent refreshes share a request, so one node is tried at a time
+      this.stsEndpoint = this.endPoints[index];
+      debug('STS %s: %s', this.action, this.stsEndpoint.origin);
+      try {
+        const result = await super.performRequest();
+        if (pool) {
+          pool.succeeded(index);
+        }
+        return result;
+      } catch (err) {
+        if (err && !(err instanceof Error) && err.Code) {
+          // The XML parser of minio throws the root `Error` element of a response
+          return {ErrorResponse: {Error: err}};
+        }
+        if (!err || endpoints.CONNECTION_ERROR_CODES.indexOf(err.code) === -1) {
+          throw err;
+        }
+        if (pool) {
+          pool.failed(index, err);
+        }
+        if (n + 1 >= order.length) {
+          throw err;
+        }
+      }
+    }
+  }
+
+  /*!
+   * Read the credentials of both actions, and the STS errors with their code
+   */
+  parseCredentials(response) {
+    const error = response.ErrorResponse ? response.ErrorResponse.Error || {} : null;
+    if (error || !(response.AssumeRoleResponse || response.AssumeRoleWithWebIdentityResponse)) {
+      const code = (error && error.Code) || 'AccessDenied';
+      throw credentialsError(code, UNAVAILABLE_CODES.indexOf(code) === -1 ? 403 : 503,
+        g.f('Unable to get credentials from %s: %s', this.stsEndpoint.origin, (error && error.Message) || code));
+    }
+    if (response.AssumeRoleWithWebIdentityResponse) {
+      response = {AssumeRoleResponse: {
+        AssumeRoleResult: response.AssumeRoleWithWebIdentityResponse.AssumeRoleWithWebIdentityResult,
+      }};
+    }
+    return super.parseCredentials(response);
+  }
+}
+
+/**
+ * Derive a minio client created with a `credentialsProvider` which signs
+ * its presigned URLs with the current credentials: unlike its requests, the
+ * minio client does not wait for them.
+ * @param {Object} client The minio client
+ * @param {StsCredentialProvider} provider Its credentials provider
+ * @returns {Object} The client
+ */
+function providerClient(client, provider) {
+  const derived = Object.create(client);
+  ['presignedUrl', 'presignedPostPolicy'].forEach(function(name) {
+    derived[name] = function() {
+      const self = this;
+      const args = Array.prototype.slice.call(arguments);
+      const callback = args[args.length - 1];
+      self.setCredentialsProvider(provider).then(function() {
+        // Invalid arguments throw, which is reported to the callback like a failed refresh
+        client[name].apply(self, args);
+      }).catch(callback);
+    };
+  });
+  return derived;
+}
+
+/**
+ * Normalize the credentials of operations. `webIdentityToken` selects
+ * `AssumeRoleWithWebIdentity`, `roleArn` or `policy` selects `AssumeRole`,
+ * with the given keys or else the ones of the data source, and `accessKey`
+ * with `secretKey` alone are used as they are.
+ * @param {Object} credentials
+ * @returns {{sts: boolean, options: Object, key: string}} Whether STS is
+ * used, the fields of the credentials, and a hash identifying them
+ */
+function normalizeCredentials(credentials) {
+  if (!credentials || typeof credentials !== 'object') {
+    throw new TypeError(g.f('Credentials must be an object'));
+  }
+  const sts = !!(credentials.webIdentityToken || credentials.roleArn || credentials.policy);
+  if (!sts && !(credentials.accessKey && credentials.secretKey)) {
+    throw new TypeError(g.f('Credentials need an {{accessKey}} and a {{secretKey}}, a {{webIdentityToken}}, ' +
+      'or a {{roleArn}} or a {{policy}} to assume'));
+  }
+  const options = {};
+  const hash = crypto.createHash('sha256');
+  CREDENTIAL_FIELDS.forEach(function(field) {
+    const value = credentials[field];
+    if (value != null) {
+      options[field] = value;
+      hash.update(field + '=' + (typeof value === 'object' ? JSON.stringify(value) : String(value)) + '\n');
+    }
+  });
+  return {sts: sts, options: options, key: hash.digest('base64')};
+}
+
+/**
+ * The clients of the credentials of operations, least recently used first.
+ * Clients of credentials with an `expiration` are dropped once they expire.
+ * @param {number} maxSize The number of clients kept
+ * @constructor
+ */
+function ClientCache(maxSize) {
+  this.maxSize = maxSize;
+  this.entries = new Map();
+}
+
+/**
+ * Get the client of credentials, creating it if needed.
+ * @param {string} key The hash of the credentials
+ * @param {Date|string} [expiration] The expiration of the credentials
+ * @param {Function} create Creates the client
+ * @returns {Object} The client
+ */
+ClientCache.prototype.get = function(key, expiration, create) {
+  let entry = this.entries.get(key);
+  this.entries.delete(key);
+  if (!entry || (entry.expiration && entry.expiration <= Date.now())) {
+    entry = {client: create(), expiration: expiration ? new Date(expiration).getTime() : undefined};
+  }
+  this.entries.set(key, entry);
+  while (this.entries.size > this.maxSize) {
+    this.entries.delete(this.entries.keys().next().value);
+  }
+  return entry.client;
+};
+
+/**
+ * Drop all clients.
+ */
+ClientCache.prototype.clear = function() {
+  this.entries.clear();
+};
+
+exports.StsCredentialProvider = StsCredentialProvider;
+exports.providerClient = providerClient;
+exports.normalizeCredentials = normalizeCredentials;
+exports.ClientCache = ClientCache;
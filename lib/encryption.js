@@ -0,0 +1,356 @@
+// Copyright IBM Corp. 2014,2019. All Rights Reserved.
+// Node module: loopback-connector-mongodb
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+const g = require('strong-globalize')();
+const crypto = require('crypto');
+const stream = require('stream');
+const minio = require('minio');
+const callClient = require('./progress').callClient;
+
+const ALGORITHM = 'AES-256-GCM';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+/*!
+ * Metadata keys of the encryption of an object
+ */
+const META_ALGORITHM = 'encryption-algorithm';
+const META_KEY = 'encryption-key';
+const META_KEY_ID = 'encryption-key-id';
+const META_IV = 'encryption-iv';
+
+/*!
+ * Standard headers kept when the metadata of an object is replaced
+ */
+const STANDARD_HEADERS = ['content-type', 'cache-control', 'content-encoding', 'content-disposition',
+  'content-language'];
+
+/*!
+ * The destination of a copy replacing the metadata of the object, with the
+ * standard headers, which the options of minio do not take
+ */
+class ReplaceDestinationOptions extends minio.CopyDestinationOptions {
+  constructor(options, headers) {
+    super(Object.assign({MetadataDirective: 'REPLACE'}, options));
+    this.headers = headers;
+  }
+
+  getHeaders() {
+    return Object.assign(super.getHeaders(), this.headers);
+  }
+}
+
+/*!
+ * Create an error with a code and an HTTP status code
+ */
+function encryptionError(code, statusCode, message) {
+  const err = new Error(message);
+  err.code = code;
+  err.statusCode = statusCode;
+  return err;
+}
+
+/**
+ * A key provider wrapping the data keys with AES-256-GCM, with key
+ * encryption keys from the settings. Old keys stay listed to decrypt the
+ * objects written before a rotation.
+ * @param {Object<string, string|Buffer>} keys The 32 bytes keys by id, as base64 strings or Buffers
+ * @param {string} currentKeyId The id of the key wrapping new data keys
+ * @constructor
+ */
+function LocalKeyProvider(keys, currentKeyId) {
+  const self = this;
+  self.keys = {};
+  Object.keys(keys || {}).forEach(function(id) {
+    const key = Buffer.isBuffer(keys[id]) ? keys[id] : Buffer.from(String(keys[id]), 'base64');
+    if (key.length !== KEY_LENGTH) {
+      throw new TypeError(g.f('Encryption key %s must be %d bytes', id, KEY_LENGTH));
+    }
+    self.keys[id] = key;
+  });
+  if (!self.keys[currentKeyId]) {
+    throw new TypeError(g.f('The current encryption key %s is not in the keys', currentKeyId));
+  }
+  self.currentKeyId = currentKeyId;
+}
+
+/**
+ * Wrap a data key with the current key.
+ * @param {Buffer} dataKey
+ * @returns {Promise<{keyId: string, wrappedKey: Buffer}>}
+ */
+LocalKeyProvider.prototype.wrapKey = async function(dataKey) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', this.keys[this.currentKeyId], iv);
+  const wrapped = Buffer.concat([iv, cipher.update(dataKey), cipher.final(), cipher.getAuthTag()]);
+  return {keyId: this.currentKeyId, wrappedKey: wrapped};
+};
+
+/**
+ * Unwrap a data key with the key it was wrapped with.
+ * @param {Buffer} wrappedKey
+ * @param {string} keyId
+ * @returns {Promise<Buffer>}
+ */
+LocalKeyProvider.prototype.unwrapKey = async function(wrappedKey, keyId) {
+  const key = this.keys[keyId];
+  if (!key) {
+    throw encryptionError('EncryptionKeyNotFound', 500, g.f('Unknown encryption key %s', keyId));
+  }
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, wrappedKey.slice(0, IV_LENGTH));
+  decipher.setAuthTag(wrappedKey.slice(wrappedKey.length - TAG_LENGTH));
+  return Buffer.concat([decipher.update(wrappedKey.slice(IV_LENGTH, wrappedKey.length - TAG_LENGTH)),
+    decipher.final()]);
+};
+
+/**
+ * Create the key provider from the `encryption` data source setting.
+ * @param {Object} [setting] `{keyProvider}` with an object having `wrapKey(dataKey)`
+ * and `unwrapKey(wrappedKey, keyId)` methods, or `{keys, currentKeyId}` for a
+ * `LocalKeyProvider`
+ * @returns {Object|undefined} The key provider, if encryption is enabled
+ */
+function createKeyProvider(setting) {
+  if (!setting) {
+    return undefined;
+  }
+  if (setting.keyProvider && typeof setting.keyProvider.wrapKey === 'function' &&
+    typeof setting.keyProvider.unwrapKey === 'function') {
+    return setting.keyProvider;
+  }
+  if (setting.keys) {
+    return new LocalKeyProvider(setting.keys, setting.currentKeyId);
+  }
+  throw new TypeError(g.f('Invalid encryption setting, expected a {{keyProvider}} or {{keys}} and {{currentKeyId}}'));
+}
+
+/*!
+ * Get the encryption of an object from its metadata or its response headers
+ */
+function objectEncryption(metaData) {
+  const get = function(key) {
+    return metaData && (metaData[key] || metaData['x-amz-meta-' + key]);
+  };
+  if (get(META_ALGORITHM) !== ALGORITHM) {
+    return undefined;
+  }
+  return {
+    wrappedKey: Buffer.from(get(META_KEY), 'base64'),
+    keyId: get(META_KEY_ID),
+    iv: Buffer.from(get(META_IV), 'base64'),
+  };
+}
+
+/*!
+ * Encrypt a body to upload, with the tag appended to the ciphertext
+ */
+async function encryptBody(keyProvider, body, size, metaData) {
+  const dataKey = crypto.randomBytes(KEY_LENGTH);
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const wrapped = await keyProvider.wrapKey(dataKey);
+  const cipher = crypto.createCipheriv('aes-256-gcm', dataKey, iv);
+  metaData = Object.assign({}, metaData, {
+    [META_ALGORITHM]: ALGORITHM,
+    [META_KEY]: Buffer.from(wrapped.wrappedKey).toString('base64'),
+    [META_KEY_ID]: wrapped.keyId,
+    [META_IV]: iv.toString('base64'),
+  });
+  if (typeof body === 'string' || Buffer.isBuffer(body)) {
+    body = Buffer.concat([cipher.update(body), cipher.final(), cipher.getAuthTag()]);
+    return {body: body, size: body.length, metaData: metaData};
+  }
+  const encrypted = new stream.Transform({
+    transform: function(chunk, encoding, callback) {
+      callback(null, cipher.update(chunk));
+    },
+    flush: function(callback) {
+      this.push(cipher.final());
+      callback(null, cipher.getAuthTag());
+    },
+  });
+  stream.pipeline(body, encrypted, function() {});
+  return {body: encrypted, size: typeof size === 'number' ? size + TAG_LENGTH : undefined, metaData: metaData};
+}
+
+/*!
+ * Decrypt a whole object, authenticating it with the tag at its end
+ */
+function decryptStream(decipher, details) {
+  let tail = Buffer.alloc(0);
+  return new stream.Transform({
+    transform: function(chunk, encoding, callback) {
+      const data = Buffer.concat([tail, chunk]);
+      const end = Math.max(data.length - TAG_LENGTH, 0);
+      tail = data.slice(end);
+      callback(null, decipher.update(data.slice(0, end)));
+    },
+    flush: function(callback) {
+      try {
+        decipher.setAuthTag(tail);
+        callback(null, decipher.final());
+      } catch (err) {
+        callback(encryptionError('DecryptionFailed', 502,
+          g.f('Object %s/%s cannot be decrypted: %s', details.bucketName, details.objectName, err.message)));
+      }
+    },
+  });
+}
+
+/*!
+ * Decrypt a range of an object. GCM encrypts in CTR mode, so a range is
+ * decrypted from the counter of the block it starts in, without authentication.
+ */
+function decryptRange(key, iv, offset, length) {
+  const counter = Buffer.alloc(16);
+  iv.copy(counter);
+  // The counter of the first block of the plaintext is 2, after the one of the tag
+  counter.writeUInt32BE(2 + Math.floor(offset / 16), IV_LENGTH);
+  const decipher = crypto.createDecipheriv('aes-256-ctr', key, counter);
+  // Move the key stream to the offset within the block
+  decipher.update(Buffer.alloc(offset % 16));
+  let remaining = length;
+  return new stream.Transform({
+    transform: function(chunk, encoding, callback) {
+      // Drop the tag, and anything past the requested length
+      const data = decipher.update(chunk).slice(0, remaining);
+      remaining -= data.length;
+      callback(null, data);
+    },
+  });
+}
+
+/*!
+ * Size of the whole object of a response
+ */
+function responseSize(response) {
+  const range = response.headers['content-range'];
+  const match = range && /\/(\d+)$/.exec(range);
+  return match ? Number(match[1]) : Number(response.headers['content-length']);
+}
+
+/**
+ * Derive a client encrypting the bodies given to `putObject` with AES-256-GCM
+ * and decrypting the streams returned by `getPartialObject`, and reporting the
+ * size of the plaintext from `statObject`. As the other transfer methods of
+ * the client call those, the files of `fPutObject` and `fGetObject` are
+ * encrypted too. Each object has its own data key, wrapped by the key provider
+ * and stored with the IV in its metadata. The tag of the ciphertext is appended
+ * to it. Objects without encryption metadata are read as they are.
+ * @param {Object} client The minio client or a local one
+ * @param {Object} keyProvider The key provider, see `createKeyProvider`
+ * @returns {Object} The client of the connector
+ */
+function encryptionClient(client, keyProvider) {
+  const encrypted = Object.create(client);
+
+  encrypted.putObject = function(bucketName, objectName, body, size, metaData) {
+    const args = Array.prototype.slice.call(arguments);
+    const callback = typeof args[args.length - 1] === 'function' ? args.pop() : undefined;
+    if (size && typeof size === 'object') {
+      metaData = size;
+      size = undefined;
+    }
+    size = typeof size === 'function' ? undefined : size;
+    metaData = typeof metaData === 'function' ? undefined : metaData;
+    const promise = encryptBody(keyProvider, body, size, metaData).then(function(upload) {
+      // The raw client, so derived clients do not send headers computed from the plaintext
+      return client.putObject(bucketName, objectName, upload.body, upload.size, upload.metaData);
+    });
+    if (!callback) {
+      return promise;
+    }
+    promise.then(function(result) {
+      callback(null, result);
+    }, callback);
+  };
+
+  encrypted.getPartialObject = function(bucketName, objectName, offset, length) {
+    const details = {bucketName: bucketName, objectName: objectName};
+    offset = offset || 0;
+    length = typeof length === 'number' ? length : 0;
+    return callClient(client.getPartialObject, this, Array.prototype.slice.call(arguments), function(response) {
+      const encryption = objectEncryption(response.headers);
+      if (!encryption) {
+        return response;
+      }
+      return keyProvider.unwrapKey(encryption.wrappedKey, encryption.keyId).then(function(key) {
+        const size = Math.max(responseSize(response) - TAG_LENGTH, 0);
+        if (offset && offset >= size) {
+          response.destroy();
+          throw encryptionError('InvalidRange', 416, g.f('The requested range is not satisfiable'));
+        }
+        const available = length ? Math.min(length, size - offset) : size - offset;
+        const decrypted = offset || length ?
+          decryptRange(key, encryption.iv, offset, available) :
+          decryptStream(crypto.createDecipheriv('aes-256-gcm', key, encryption.iv), details);
+        decrypted.headers = Object.assign({}, response.headers, {'content-length': String(available)});
+        if (decrypted.headers['content-range']) {
+          decrypted.headers['content-range'] = 'bytes ' + offset + '-' + (offset + available - 1) + '/' + size;
+        }
+        decrypted.statusCode = response.statusCode;
+        stream.pipeline(response, decrypted, function() {});
+        return decrypted;
+      });
+    });
+  };
+
+  encrypted.statObject = function() {
+    return callClient(client.statObject, this, Array.prototype.slice.call(arguments), function(stat) {
+      if (objectEncryption(stat.metaData)) {
+        stat.size = Math.max(stat.size - TAG_LENGTH, 0);
+      }
+      return stat;
+    });
+  };
+
+  encrypted.composeObject = function() {
+    throw new TypeError(g.f('Encrypted objects cannot be composed'));
+  };
+
+  /**
+   * Wrap the data key of an object with the current key of the key provider.
+   * The object is copied onto itself with the new metadata, on the server, so
+   * its ciphertext is neither downloaded nor decrypted and its tags are kept.
+   * @param {string} bucketName
+   * @param {string} objectName
+   * @returns {Promise<boolean>} Whether the object was written again
+   */
+  encrypted.rotateKey = async function(bucketName, objectName) {
+    const stat = await client.statObject(bucketName, objectName);
+    const encryption = objectEncryption(stat.metaData);
+    const wrapped = encryption &&
+      await keyProvider.wrapKey(await keyProvider.unwrapKey(encryption.wrappedKey, encryption.keyId));
+    if (!wrapped || wrapped.keyId === encryption.keyId) {
+      return false;
+    }
+    const headers = {};
+    const userMetadata = {};
+    Object.keys(stat.metaData).forEach(function(name) {
+      const key = name.toLowerCase();
+      if (STANDARD_HEADERS.indexOf(key) !== -1) {
+        headers[key] = stat.metaData[name];
+      } else if (key.indexOf('x-amz-') !== 0) {
+        userMetadata[key] = stat.metaData[name];
+      }
+    });
+    userMetadata[META_KEY] = Buffer.from(wrapped.wrappedKey).toString('base64');
+    userMetadata[META_KEY_ID] = wrapped.keyId;
+    // Only if the object is still the one whose key was wrapped
+    const source = new minio.CopySourceOptions({Bucket: bucketName, Object: objectName, MatchETag: stat.etag});
+    const destination = new ReplaceDestinationOptions({Bucket: bucketName, Object: objectName,
+      UserMetadata: userMetadata}, headers);
+    await client.copyObject(source, destination);
+    return true;
+  };
+
+  return encrypted;
+}
+
+exports.LocalKeyProvider = LocalKeyProvider;
+exports.createKeyProvider = createKeyProvider;
+exports.encryptionClient = encryptionClient;
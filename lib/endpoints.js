@@ -0,0 +1,308 @@
+// Copyright IBM Corp. 2014,2019. All Rights Reserved.
+// Node module: loopback-connector-mongodb
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+const g = require('strong-globalize')();
+const debug = require('debug')('loopback:connector:minio');
+
+const DEFAULT_COOLDOWN = 30000;
+const MAX_UPLOADS = 10000;
+
+/*!
+ * Errors of requests which never reached the node, safe to send to another one
+ */
+const UNSENT_ERROR_CODES = [
+  'EAI_AGAIN',
+  'ECONNREFUSED',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+  'ENOTFOUND',
+];
+
+/*!
+ * Errors of requests which may have reached the node, only reads are sent again
+ */
+const CONNECTION_ERROR_CODES = UNSENT_ERROR_CODES.concat([
+  'ECONNRESET',
+  'EPIPE',
+  'ETIMEDOUT',
+]);
+
+/*!
+ * HTTP methods of the requests reading from the node, balanced over the healthy nodes
+ */
+const READ_METHODS = ['GET', 'HEAD'];
+
+/*!
+ * Client methods changing the settings of the client, applied to the clients of all nodes
+ */
+const CONFIGURATION_METHODS = ['setAppInfo', 'setRequestOptions', 'setS3TransferAccelerate', 'traceOn', 'traceOff'];
+
+/**
+ * Parse the `endPoints` setting: `host` or `host:port` strings, or objects
+ * with an `endPoint` and a `port`.
+ * @param {Array<string|Object>} endPoints
+ * @param {number} [port] The port of the nodes without one
+ * @returns {Array<{endPoint: string, port: number}>} The nodes
+ */
+function parseEndPoints(endPoints, port) {
+  if (!Array.isArray(endPoints) || !endPoints.length) {
+    throw new TypeError(g.f('{{endPoints}} must be a non-empty array'));
+  }
+  return endPoints.map(function(node) {
+    if (typeof node === 'string') {
+      const match = /^([^:/]+|\[[^\]]+\])(?::(\d+))?$/.exec(node);
+      if (!match) {
+        throw new TypeError(g.f('Invalid endpoint %s, expected {{host}} or {{host:port}}', node));
+      }
+      node = {endPoint: match[1], port: match[2] && Number(match[2])};
+    }
+    if (!node || typeof node.endPoint !== 'string') {
+      throw new TypeError(g.f('Each of the {{endPoints}} needs an {{endPoint}}'));
+    }
+    return {endPoint: node.endPoint, port: node.port || port};
+  });
+}
+
+/**
+ * The nodes of a data source and their health. A node failing with a
+ * connection error is skipped for `cooldown` ms, then tried again.
+ * @param {Array<{endPoint: string, port: number}>} nodes
+ * @param {Object} [options]
+ * @param {number} [options.cooldown=30000] How long a failed node is skipped, in ms
+ * @constructor
+ */
+function EndPointPool(nodes, options) {
+  options = options || {};
+  this.nodes = nodes.map(function(node) {
+    return {endPoint: node.endPoint, port: node.port, failures: 0, downUntil: 0};
+  });
+  this.cooldown = options.cooldown == null ? DEFAULT_COOLDOWN : options.cooldown;
+  this._next = 0;
+  // The node of each multipart upload, by upload id, oldest first
+  this._uploads = new Map();
+}
+
+/*!
+ * Check if a node can take requests
+ */
+EndPointPool.prototype.isHealthy = function(index) {
+  return this.nodes[index].downUntil <= Date.now();
+};
+
+/*!
+ * The order in which the nodes are tried: the healthy ones starting with
+ * `first`, then the failed ones, those back the soonest first
+ */
+EndPointPool.prototype.order = function(first) {
+  const self = this;
+  const healthy = [];
+  const failed = [];
+  for (let i = 0; i < self.nodes.length; i++) {
+    const index = (first + i) % self.nodes.length;
+    (self.isHealthy(index) ? healthy : failed).push(index);
+  }
+  return healthy.concat(failed.sort(function(a, b) {
+    return self.nodes[a].downUntil - self.nodes[b].downUntil;
+  }));
+};
+
+/**
+ * Get the nodes to try for a read, the next healthy one in turn first.
+ * @returns {number[]} The indexes of the nodes
+ */
+EndPointPool.prototype.forRead = function() {
+  const order = this.order(this._next);
+  this._next = (order[0] + 1) % this.nodes.length;
+  return order;
+};
+
+/**
+ * Get the nodes to try for a write, the first healthy one in the settings first.
+ * @returns {number[]} The indexes of the nodes
+ */
+EndPointPool.prototype.forWrite = function() {
+  return this.order(0);
+};
+
+/**
+ * Get the node of a multipart upload, the one it was started on.
+ * @param {string} uploadId
+ * @returns {number|undefined} The index of the node, unless the upload is unknown
+ */
+EndPointPool.prototype.forUpload = function(uploadId) {
+  return this._uploads.get(uploadId);
+};
+
+/**
+ * Remember the node a multipart upload was started on.
+ * @param {string} uploadId
+ * @param {number} index The index of the node
+ */
+EndPointPool.prototype.startUpload = function(uploadId, index) {
+  this._uploads.set(uploadId, index);
+  if (this._uploads.size > MAX_UPLOADS) {
+    // Forget abandoned uploads
+    this._uploads.delete(this._uploads.keys().next().value);
+  }
+};
+
+/**
+ * Forget a completed or aborted multipart upload.
+ * @param {string} uploadId
+ */
+EndPointPool.prototype.endUpload = function(uploadId) {
+  this._uploads.delete(uploadId);
+};
+
+/**
+ * Record a successful request to a node.
+ * @param {number} index
+ */
+EndPointPool.prototype.succeeded = function(index) {
+  const node = this.nodes[index];
+  node.failures = 0;
+  node.downUntil = 0;
+};
+
+/**
+ * Record a request to a node which failed with a connection error.
+ * @param {number} index
+ * @param {Error} err
+ */
+EndPointPool.prototype.failed = function(index, err) {
+  const node = this.nodes[index];
+  node.failures++;
+  node.downUntil = Date.now() + this.cooldown;
+  debug('endpoint %s:%s is down for %d ms: %s', node.endPoint, node.port || '', this.cooldown, err.code);
+};
+
+/**
+ * Get the health of the nodes.
+ * @returns {Array<{endPoint: string, port: number, healthy: boolean, failures: number}>}
+ */
+EndPointPool.prototype.status = function() {
+  const self = this;
+  return self.nodes.map(function(node, index) {
+    return {endPoint: node.endPoint, port: node.port, healthy: self.isHealthy(index), failures: node.failures};
+  });
+};
+
+/*!
+ * Get the id of the multipart upload a request belongs to, if any
+ */
+function uploadIdOf(query) {
+  const match = /(?:^|&)uploadId=([^&]*)/.exec(query || '');
+  return match ? decodeURIComponent(match[1]) : undefined;
+}
+
+/*!
+ * Check if a request body is a stream, which cannot be sent again
+ */
+function isStream(body) {
+  return !!body && typeof body.pipe === 'function';
+}
+
+/**
+ * Derive a client sending each request to one of the clients of the nodes:
+ * reads in turn to the healthy nodes, writes to the first healthy node and
+ * the requests of a multipart upload to the node it was started on. A
+ * request failing with a connection error marks its node down and is sent to
+ * the next node, unless it may have reached the node and is not a read, or
+ * its body is a stream. The operations run on the derived client, so the
+ * clients derived from it, e.g. to encrypt the objects, see all their calls.
+ * @param {Object[]} clients The minio clients of the nodes, in the order of the pool
+ * @param {EndPointPool} pool
+ * @returns {Object} The client
+ */
+function failoverClient(clients, pool) {
+  const routed = Object.create(clients[0]);
+
+  CONFIGURATION_METHODS.forEach(function(name) {
+    routed[name] = function() {
+      const args = arguments;
+      clients.forEach(function(client) {
+        client[name].apply(client, args);
+      });
+    };
+  });
+
+  // Every request of the minio client goes through this method
+  routed.makeRequestStreamAsync = function(options, body) {
+    const self = this;
+    const args = arguments;
+    const read = READ_METHODS.indexOf(options.method) !== -1;
+    const uploadId = uploadIdOf(options.query);
+    const sticky = uploadId === undefined ? undefined : pool.forUpload(uploadId);
+    const order = sticky !== undefined ? [sticky] : read ? pool.forRead() : pool.forWrite();
+
+    function canFailover(err, attempt) {
+      const codes = read ? CONNECTION_ERROR_CODES : UNSENT_ERROR_CODES;
+      return !isStream(body) && attempt + 1 < order.length && !!err && codes.indexOf(err.code) !== -1;
+    }
+
+    function attempt(n) {
+      const index = order[n];
+      const client = clients[index];
+      return client.makeRequestStreamAsync.apply(client, args).then(function(response) {
+        pool.succeeded(index);
+        if ('uploadNode' in self) {
+          // Read by initiateNewMultipartUpload, which knows the upload id
+          self.uploadNode = index;
+        } else if (uploadId !== undefined && (options.method === 'DELETE' ||
+          (options.method === 'POST' && !/(?:^|&)partNumber=/.test(options.query)))) {
+          pool.endUpload(uploadId);
+        }
+        return response;
+      }, function(err) {
+        if (err && CONNECTION_ERROR_CODES.indexOf(err.code) !== -1) {
+          pool.failed(index, err);
+        }
+        if (canFailover(err, n)) {
+          return attempt(n + 1);
+        }
+        throw err;
+      });
+    }
+
+    return attempt(0);
+  };
+
+  // The extensions of minio send their requests through the client they are made with
+  Object.defineProperty(routed, 'extensions', {
+    get: function() {
+      return Object.create(clients[0].extensions, {client: {value: this}});
+    },
+  });
+
+  routed.initiateNewMultipartUpload = function() {
+    // A client of its own, to read the node of its request
+    const call = Object.create(this, {uploadNode: {value: undefined, writable: true}});
+    return clients[0].initiateNewMultipartUpload.apply(call, arguments).then(function(uploadId) {
+      pool.startUpload(uploadId, call.uploadNode);
+      return uploadId;
+    });
+  };
+
+  // The URLs are signed for the node of the requests they stand for
+  ['presignedUrl', 'presignedPostPolicy'].forEach(function(name) {
+    routed[name] = function() {
+      const method = name === 'presignedUrl' ? arguments[0] : 'POST';
+      const reqParams = name === 'presignedUrl' ? arguments[4] : undefined;
+      const sticky = reqParams && reqParams.uploadId !== undefined ? pool.forUpload(reqParams.uploadId) : undefined;
+      const index = sticky !== undefined ? sticky :
+        READ_METHODS.indexOf(method) !== -1 ? pool.forRead()[0] : pool.forWrite()[0];
+      return clients[index][name].apply(clients[index], arguments);
+    };
+  });
+
+  return routed;
+}
+
+exports.CONNECTION_ERROR_CODES = CONNECTION_ERROR_CODES;
+exports.parseEndPoints = parseEndPoints;
+exports.EndPointPool = EndPointPool;
+exports.failoverClient = failoverClient;
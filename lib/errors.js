@@ -0,0 +1,171 @@
+// Copyright IBM Corp. 2014,2019. All Rights Reserved.
+// Node module: loopback-connector-mongodb
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+/*!
+ * HTTP status codes of the S3 error codes
+ */
+const STATUS_CODES = {
+  NotModified: 304,
+  BadRequest: 400,
+  BadDigest: 400,
+  EntityTooSmall: 400,
+  ExpiredToken: 400,
+  IncompleteBody: 400,
+  InvalidArgument: 400,
+  InvalidBucketName: 400,
+  InvalidDigest: 400,
+  InvalidObjectName: 400,
+  InvalidPart: 400,
+  InvalidPartOrder: 400,
+  InvalidRequest: 400,
+  InvalidToken: 400,
+  KeyTooLongError: 400,
+  MalformedPolicy: 400,
+  MalformedXML: 400,
+  XAmzContentSHA256Mismatch: 400,
+  AccessDenied: 403,
+  AllAccessDisabled: 403,
+  InvalidAccessKeyId: 403,
+  RequestTimeTooSkewed: 403,
+  SignatureDoesNotMatch: 403,
+  NoSuchBucket: 404,
+  NoSuchBucketPolicy: 404,
+  NoSuchKey: 404,
+  NoSuchLifecycleConfiguration: 404,
+  NoSuchObjectLockConfiguration: 404,
+  NoSuchTagSet: 404,
+  NoSuchUpload: 404,
+  NoSuchVersion: 404,
+  ObjectLockConfigurationNotFoundError: 404,
+  ReplicationConfigurationNotFoundError: 404,
+  ServerSideEncryptionConfigurationNotFoundError: 404,
+  MethodNotAllowed: 405,
+  RequestTimeout: 408,
+  BucketAlreadyExists: 409,
+  BucketAlreadyOwnedByYou: 409,
+  BucketNotEmpty: 409,
+  InvalidBucketState: 409,
+  OperationAborted: 409,
+  MissingContentLength: 411,
+  PreconditionFailed: 412,
+  EntityTooLarge: 413,
+  InvalidRange: 416,
+  InternalError: 500,
+  NotImplemented: 501,
+  ServiceUnavailable: 503,
+  SlowDown: 503,
+};
+
+/*!
+ * Codes of the responses without a body (e.g. HEAD), which minio reports as `UnknownError`
+ */
+const STATUS_NAMES = {
+  304: 'NotModified',
+  400: 'BadRequest',
+  409: 'Conflict',
+  412: 'PreconditionFailed',
+  416: 'InvalidRange',
+  500: 'InternalError',
+  503: 'ServiceUnavailable',
+};
+
+/*!
+ * Socket errors, reported as the service being unavailable
+ */
+const NETWORK_ERROR_CODES = [
+  'EAI_AGAIN',
+  'ECONNABORTED',
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+  'ENOTFOUND',
+  'EPIPE',
+  'ETIMEDOUT',
+];
+
+/*!
+ * Get a stable error code for a minio error
+ */
+function errorCode(err, details) {
+  if (err.code === 'NotFound') {
+    // HEAD requests have no body to tell what is missing
+    return details.objectName ? 'NoSuchKey' : 'NoSuchBucket';
+  }
+  if (err.code === 'UnknownError' && STATUS_NAMES[err.message]) {
+    return STATUS_NAMES[err.message];
+  }
+  if (typeof err.code === 'string') {
+    return err.code;
+  }
+  if (err instanceof TypeError) {
+    return 'InvalidArgument';
+  }
+  // minio validation errors, e.g. InvalidBucketNameError
+  if (/^Invalid\w+Error$/.test(err.name)) {
+    return err.name.slice(0, -'Error'.length);
+  }
+  return undefined;
+}
+
+/*!
+ * Get the HTTP status code for an error code
+ */
+function statusCode(code, err) {
+  if (STATUS_CODES[code]) {
+    return STATUS_CODES[code];
+  }
+  if (NETWORK_ERROR_CODES.indexOf(code) !== -1) {
+    return 503;
+  }
+  if (/^Invalid/.test(code)) {
+    return 400;
+  }
+  if (err.name === 'S3Error') {
+    const status = Number(err.message);
+    return status >= 400 && status < 600 ? status : 500;
+  }
+  return undefined;
+}
+
+/**
+ * Normalize a minio error into an error LoopBack turns into the right REST response.
+ * Errors which already have a `statusCode`, e.g. normalized ones, are returned as is.
+ * @param {Error} err The minio error
+ * @param {Object} [details] The request
+ * @param {string} [details.operation] The connector operation, e.g. `statObject`
+ * @param {string} [details.bucketName] The bucket
+ * @param {string} [details.objectName] The object
+ * @returns {Error} The error with a `statusCode`, a stable `code`, `bucketName`, `objectName`, `requestId` and the
+ * minio error as `cause`
+ */
+exports.normalizeError = function normalizeError(err, details) {
+  details = details || {};
+  if (err && err.code === undefined && err.cause && err.cause.statusCode !== undefined) {
+    // Wrapped by minio, e.g. the errors of the credentials provider
+    return err.cause;
+  }
+  if (!err || typeof err !== 'object' || err.statusCode !== undefined) {
+    return err;
+  }
+  const code = errorCode(err, details);
+  const status = code && statusCode(code, err);
+  if (!status) {
+    // Not a storage error, e.g. a bug
+    return err;
+  }
+  const error = new Error(err.code === 'UnknownError' ? code : err.message);
+  error.name = err.name;
+  error.code = code;
+  error.statusCode = status;
+  error.operation = details.operation;
+  error.bucketName = details.bucketName || err.bucketname;
+  error.objectName = details.objectName || err.key;
+  error.requestId = err.amzRequestid || err.requestid;
+  error.cause = err;
+  return error;
+};
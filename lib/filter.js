@@ -0,0 +1,322 @@
+// Copyright IBM Corp. 2014,2019. All Rights Reserved.
+// Node module: loopback-connector-mongodb
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+/*!
+ * Helpers to evaluate LoopBack filters against JSON documents, in memory or
+ * translated to an S3 Select SQL expression.
+ */
+
+/*!
+ * Get a (possibly nested, e.g. `address.city`) property value
+ */
+function getValue(data, key) {
+  return key.split('.').reduce(function(value, name) {
+    return value == null ? undefined : value[name];
+  }, data);
+}
+
+/*!
+ * Normalize a value so Dates and ISO strings compare consistently
+ */
+function normalize(value) {
+  if (value instanceof Date) return value.getTime();
+  return value;
+}
+
+/*!
+ * Compare two values, returning a negative number, zero or a positive number
+ */
+function compare(a, b) {
+  a = normalize(a);
+  b = normalize(b);
+  if (typeof a === 'number' && typeof b === 'string' && !isNaN(Date.parse(b))) {
+    b = Date.parse(b);
+  } else if (typeof b === 'number' && typeof a === 'string' && !isNaN(Date.parse(a))) {
+    a = Date.parse(a);
+  }
+  if (a === b) return 0;
+  if (a == null) return -1;
+  if (b == null) return 1;
+  return a > b ? 1 : (a < b ? -1 : 0);
+}
+
+function isEqual(a, b) {
+  if (a == null || b == null) return a == b;
+  if (typeof a === 'object' && !(a instanceof Date)) return JSON.stringify(a) === JSON.stringify(b);
+  return compare(a, b) === 0 || String(a) === String(b);
+}
+
+/*!
+ * Convert a SQL like pattern (`%` and `_` wildcards) into a RegExp
+ */
+function likeToRegExp(pattern, flags) {
+  if (pattern instanceof RegExp) return pattern;
+  const source = String(pattern)
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/%/g, '.*')
+    .replace(/_/g, '.');
+  return new RegExp('^' + source + '$', flags);
+}
+
+function toRegExp(pattern) {
+  if (pattern instanceof RegExp) return pattern;
+  const match = /^\/(.*)\/([gimsuy]*)$/.exec(String(pattern));
+  return match ? new RegExp(match[1], match[2]) : new RegExp(pattern);
+}
+
+/*!
+ * Test a single property value against a condition
+ */
+function matchesCondition(value, cond) {
+  if (cond === null || typeof cond !== 'object' || cond instanceof Date || cond instanceof RegExp) {
+    if (cond instanceof RegExp) return value != null && cond.test(String(value));
+    if (Array.isArray(value)) {
+      return value.some(function(v) {
+        return isEqual(v, cond);
+      });
+    }
+    return isEqual(value, cond);
+  }
+  return Object.keys(cond).every(function(op) {
+    const expected = cond[op];
+    switch (op) {
+      case 'eq':
+        return isEqual(value, expected);
+      case 'neq':
+        return !isEqual(value, expected);
+      case 'gt':
+        return value != null && compare(value, expected) > 0;
+      case 'gte':
+        return value != null && compare(value, expected) >= 0;
+      case 'lt':
+        return value != null && compare(value, expected) < 0;
+      case 'lte':
+        return value != null && compare(value, expected) <= 0;
+      case 'between':
+        return value != null && compare(value, expected[0]) >= 0 && compare(value, expected[1]) <= 0;
+      case 'inq':
+        return [].concat(expected).some(function(v) {
+          return isEqual(value, v);
+        });
+      case 'nin':
+        return ![].concat(expected).some(function(v) {
+          return isEqual(value, v);
+        });
+      case 'like':
+        return value != null && likeToRegExp(expected).test(String(value));
+      case 'nlike':
+        return value == null || !likeToRegExp(expected).test(String(value));
+      case 'ilike':
+        return value != null && likeToRegExp(expected, 'i').test(String(value));
+      case 'nilike':
+        return value == null || !likeToRegExp(expected, 'i').test(String(value));
+      case 'regexp':
+        return value != null && toRegExp(expected).test(String(value));
+      case 'exists':
+        return (value !== undefined) === !!expected;
+      case 'options':
+        return true;
+      default:
+        // Nested object equality, e.g. {address: {city: 'x'}}
+        return isEqual(value, cond);
+    }
+  });
+}
+
+/**
+ * Test a document against a LoopBack where clause.
+ * @param {Object} data The document
+ * @param {Object} [where] The where clause
+ * @returns {boolean}
+ */
+exports.matchesWhere = function matchesWhere(data, where) {
+  return Object.keys(where || {}).every(function(key) {
+    const cond = where[key];
+    if (key === 'and') {
+      return cond.every(function(w) {
+        return matchesWhere(data, w);
+      });
+    }
+    if (key === 'or') {
+      return cond.some(function(w) {
+        return matchesWhere(data, w);
+      });
+    }
+    return matchesCondition(getValue(data, key), cond);
+  });
+};
+
+/**
+ * Sort documents by a LoopBack order clause, e.g. `'title DESC'` or `['a ASC', 'b']`.
+ * @param {Object[]} docs The documents, sorted in place
+ * @param {string|string[]} [order] The order clause
+ * @returns {Object[]} The sorted documents
+ */
+exports.applyOrder = function applyOrder(docs, order) {
+  if (!order) return docs;
+  const keys = [].concat(order).map(function(clause) {
+    const parts = String(clause).trim().split(/\s+/);
+    return {name: parts[0], reverse: /^desc$/i.test(parts[1] || '') ? -1 : 1};
+  });
+  return docs.sort(function(a, b) {
+    for (const key of keys) {
+      const result = compare(getValue(a, key.name), getValue(b, key.name));
+      if (result !== 0) return result * key.reverse;
+    }
+    return 0;
+  });
+};
+
+/**
+ * Restrict documents to the properties of a LoopBack fields clause.
+ * @param {Object[]} docs The documents
+ * @param {string[]|Object} [fields] The fields clause, e.g. `['title']` or `{title: true}`
+ * @param {string} idName The id property, which is always kept
+ * @returns {Object[]} The projected documents
+ */
+exports.applyFields = function applyFields(docs, fields, idName) {
+  if (!fields) return docs;
+  const included = [];
+  const excluded = [];
+  if (Array.isArray(fields) || typeof fields === 'string') {
+    included.push.apply(included, [].concat(fields));
+  } else {
+    Object.keys(fields).forEach(function(name) {
+      (fields[name] ? included : excluded).push(name);
+    });
+  }
+  return docs.map(function(doc) {
+    const result = {};
+    Object.keys(doc).forEach(function(name) {
+      const keep = included.length ? included.indexOf(name) !== -1 || name === idName :
+        excluded.indexOf(name) === -1;
+      if (keep) result[name] = doc[name];
+    });
+    return result;
+  });
+};
+
+/*!
+ * Escape a value as an S3 Select SQL literal, or return undefined if it is
+ * not of the type of the property
+ */
+function sqlLiteral(value, type) {
+  if (typeof value !== type) return undefined;
+  switch (type) {
+    case 'number':
+      return isFinite(value) ? String(value) : undefined;
+    case 'boolean':
+      return value ? 'TRUE' : 'FALSE';
+    case 'string':
+      return '\'' + value.replace(/'/g, '\'\'') + '\'';
+    default:
+      return undefined;
+  }
+}
+
+function sqlPath(key) {
+  return 's."' + key.replace(/"/g, '""') + '"';
+}
+
+/*!
+ * Translate the condition of a single property, or return undefined if not
+ * supported. S3 Select leaves out a document when its condition is false or
+ * unknown, so only the conditions excluding nothing that `matchesCondition`
+ * keeps are translated: no negations, which keep the missing values in
+ * memory, and only literals of the type of the property, which the
+ * comparisons in memory do not convert.
+ */
+function sqlCondition(key, cond, types) {
+  const type = types[key];
+  const path = sqlPath(key);
+  if (!type) return undefined;
+  if (cond === null || typeof cond !== 'object') {
+    const literal = sqlLiteral(cond, type);
+    return literal === undefined ? undefined : path + ' = ' + literal;
+  }
+  if (cond instanceof Date || cond instanceof RegExp || Array.isArray(cond)) return undefined;
+  const parts = [];
+  for (const op of Object.keys(cond)) {
+    const expected = cond[op];
+    let part;
+    if (['eq', 'gt', 'gte', 'lt', 'lte', 'like'].indexOf(op) !== -1) {
+      const literal = sqlLiteral(expected, type);
+      if (literal === undefined || (op === 'like' && type !== 'string')) return undefined;
+      const sqlOp = {eq: '=', gt: '>', gte: '>=', lt: '<', lte: '<=', like: 'LIKE'};
+      part = path + ' ' + sqlOp[op] + ' ' + literal;
+    } else if (op === 'between') {
+      const low = sqlLiteral(expected && expected[0], type);
+      const high = sqlLiteral(expected && expected[1], type);
+      if (low === undefined || high === undefined) return undefined;
+      part = path + ' BETWEEN ' + low + ' AND ' + high;
+    } else if (op === 'inq') {
+      const literals = [].concat(expected).map(function(value) {
+        return sqlLiteral(value, type);
+      });
+      if (!literals.length || literals.indexOf(undefined) !== -1) return undefined;
+      part = path + ' IN (' + literals.join(', ') + ')';
+    } else {
+      return undefined;
+    }
+    parts.push(part);
+  }
+  return parts.length ? parts.join(' AND ') : undefined;
+}
+
+/*!
+ * Translate a where clause, or return undefined if any condition is not supported
+ */
+function sqlWhere(where, types) {
+  const parts = [];
+  for (const key of Object.keys(where)) {
+    let part;
+    if (key === 'and' || key === 'or') {
+      const clauses = [].concat(where[key]).map(function(clause) {
+        return sqlWhere(clause, types);
+      });
+      if (!clauses.length || clauses.indexOf(undefined) !== -1) return undefined;
+      part = '(' + clauses.join(key === 'and' ? ' AND ' : ' OR ') + ')';
+    } else {
+      part = sqlCondition(key, where[key], types);
+    }
+    if (part === undefined) return undefined;
+    parts.push(part);
+  }
+  return parts.length ? parts.join(' AND ') : undefined;
+}
+
+/**
+ * Build an S3 Select expression for the conditions of a where clause that can
+ * be pushed down. Conditions which cannot be translated are left out and must
+ * be evaluated in memory with `matchesWhere`.
+ * @param {Object} [where] The where clause
+ * @param {Object} types The `string`, `number` or `boolean` type of the
+ * top-level properties to push down, e.g. `{title: 'string'}`
+ * @returns {string|undefined} The SQL expression or undefined if nothing can be pushed down
+ */
+exports.toSelectExpression = function toSelectExpression(where, types) {
+  const parts = [];
+  Object.keys(where || {}).forEach(function(key) {
+    const clause = {};
+    clause[key] = where[key];
+    const part = sqlWhere(clause, types || {});
+    if (part !== undefined) parts.push(part);
+  });
+  if (!parts.length) return undefined;
+  return 'SELECT * FROM S3Object s WHERE ' + parts.join(' AND ');
+};
+
+/**
+ * Get the literal prefix of a like pattern, e.g. `abc` for `abc%`.
+ * @param {string|RegExp} pattern The like pattern
+ * @returns {string} The prefix, empty if the pattern starts with a wildcard
+ */
+exports.likePrefix = function likePrefix(pattern) {
+  if (typeof pattern !== 'string') return '';
+  const match = /^[^%_\\]*/.exec(pattern);
+  return match[0];
+};
@@ -0,0 +1,35 @@
+// Copyright IBM Corp. 2014,2019. All Rights Reserved.
+// Node module: loopback-connector-mongodb
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+const config = require('@loopback/core').config;
+const MinioDataSource = require('./datasource');
+const defineFileController = require('./controller').defineFileController;
+
+/**
+ * LoopBack 4 component serving the files of a minio data source.
+ * @param {Object} [options] The configuration of `MinioBindings.COMPONENT`
+ * @param {Object|string} [options.dataSource=minio] Settings of a data source
+ * bound by the component, or the name of a data source bound by the application
+ * @param {string} [options.basePath=/files] Path of the routes
+ * @param {string} [options.bucketName] Bucket of the files, defaults to the one of the data source
+ * @param {string} [options.prefix] Prefix of the object names
+ * @constructor
+ */
+function MinioComponent(options) {
+  options = Object.assign({}, options);
+  this.bindings = [];
+  if (options.dataSource && typeof options.dataSource === 'object') {
+    const binding = MinioDataSource.createBinding(options.dataSource);
+    this.bindings.push(binding);
+    options.dataSource = binding.key.slice('datasources.'.length);
+  }
+  this.controllers = [defineFileController(options)];
+}
+
+config()(MinioComponent, undefined, 0);
+
+module.exports = MinioComponent;
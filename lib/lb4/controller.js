@@ -0,0 +1,456 @@
+// Copyright IBM Corp. 2014,2019. All Rights Reserved.
+// Node module: loopback-connector-mongodb
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+const debug = require('debug')('loopback:connector:minio');
+const inject = require('@loopback/core').inject;
+const pipeline = require('stream').pipeline;
+const rest = require('@loopback/rest');
+const multipart = require('../multipart');
+const range = require('../range');
+
+const OBJECT_NAME_PARAM = {
+  name: 'objectName',
+  in: 'path',
+  required: true,
+  description: 'Name of the object, relative to the prefix of the controller, with `/` encoded as `%2F`',
+  schema: {type: 'string'},
+};
+
+const OBJECT_SCHEMA = {
+  type: 'object',
+  properties: {
+    objectName: {type: 'string'},
+    contentType: {type: 'string'},
+    etag: {type: 'string'},
+    versionId: {type: 'string', nullable: true},
+  },
+};
+
+const ERROR_RESPONSE = {description: 'The object or the bucket does not exist'};
+
+const UPLOAD_ID_PARAM = {name: 'uploadId', in: 'path', required: true, schema: {type: 'string'}};
+
+const UPLOAD_ERROR_RESPONSE = {description: 'The upload does not exist'};
+
+/*!
+ * Build the OpenAPI spec of the routes
+ */
+function controllerSpec(basePath) {
+  return {
+    basePath: basePath,
+    paths: {
+      '/': {
+        post: {
+          'x-operation-name': 'upload',
+          summary: 'Upload the files of a multipart/form-data request',
+          parameters: [{name: 'prefix', in: 'query', schema: {type: 'string'},
+            description: 'Prefix of the object names, after the prefix of the controller'}],
+          requestBody: {
+            required: true,
+            content: {
+              'multipart/form-data': {
+                'x-parser': 'stream',
+                schema: {
+                  type: 'object',
+                  properties: {
+                    objectName: {type: 'string', description: 'Name of the next file, defaults to its file name'},
+                    file: {type: 'string', format: 'binary'},
+                  },
+                },
+              },
+            },
+          },
+          responses: {
+            '200': {
+              description: 'The stored objects',
+              content: {'application/json': {schema: {type: 'array', items: OBJECT_SCHEMA}}},
+            },
+          },
+        },
+        get: {
+          'x-operation-name': 'list',
+          summary: 'List the objects, one page at a time',
+          parameters: [
+            {name: 'prefix', in: 'query', schema: {type: 'string'}},
+            {name: 'limit', in: 'query', schema: {type: 'integer', minimum: 1, maximum: 1000}},
+            {name: 'token', in: 'query', schema: {type: 'string'}, description: 'The nextToken of the previous page'},
+          ],
+          responses: {
+            '200': {
+              description: 'A page of objects',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      items: {
+                        type: 'array',
+                        items: {
+                          type: 'object',
+                          properties: {
+                            name: {type: 'string'},
+                            size: {type: 'integer'},
+                            etag: {type: 'string'},
+                            lastModified: {type: 'string', format: 'date-time'},
+                          },
+                        },
+                      },
+                      nextToken: {type: 'string', nullable: true},
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+      '/{objectName}': {
+        get: {
+          'x-operation-name': 'download',
+          summary: 'Download an object, or a byte range of it',
+          parameters: [
+            OBJECT_NAME_PARAM,
+            {name: 'Range', in: 'header', schema: {type: 'string'}, description: 'A single byte range'},
+            {name: 'If-None-Match', in: 'header', schema: {type: 'string'}},
+          ],
+          responses: {
+            '200': {
+              description: 'The object',
+              content: {'application/octet-stream': {schema: {type: 'string', format: 'binary'}}},
+            },
+            '206': {
+              description: 'The requested range of the object',
+              content: {'application/octet-stream': {schema: {type: 'string', format: 'binary'}}},
+            },
+            '304': {description: 'The object matches the If-None-Match ETag'},
+            '404': ERROR_RESPONSE,
+            '416': {description: 'The range is outside of the object'},
+          },
+        },
+        delete: {
+          'x-operation-name': 'remove',
+          summary: 'Remove an object',
+          parameters: [OBJECT_NAME_PARAM],
+          responses: {'204': {description: 'The object is removed'}},
+        },
+      },
+      '/{objectName}/uploads': {
+        post: {
+          'x-operation-name': 'initiateUpload',
+          summary: 'Start a multipart upload sent by the client with a presigned URL per part',
+          parameters: [OBJECT_NAME_PARAM],
+          requestBody: {
+            required: true,
+            'x-parameter-index': 1,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    size: {type: 'integer', minimum: 0, description: 'Size of the object'},
+                    parts: {type: 'integer', minimum: 1, maximum: 10000, description: 'Number of parts, without size'},
+                    partSize: {type: 'integer', description: 'Preferred size of the parts'},
+                    expiry: {type: 'integer', description: 'Expiry of the URLs in seconds'},
+                    contentType: {type: 'string'},
+                  },
+                },
+              },
+            },
+          },
+          responses: {
+            '200': {
+              description: 'The upload id, the part size and the presigned URL of each part',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      uploadId: {type: 'string'},
+                      partSize: {type: 'integer'},
+                      parts: {
+                        type: 'array',
+                        items: {
+                          type: 'object',
+                          properties: {partNumber: {type: 'integer'}, url: {type: 'string'}},
+                        },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+      '/{objectName}/uploads/{uploadId}': {
+        get: {
+          'x-operation-name': 'listUploadParts',
+          summary: 'List the uploaded parts of a multipart upload',
+          parameters: [OBJECT_NAME_PARAM, UPLOAD_ID_PARAM],
+          responses: {
+            '200': {
+              description: 'The uploaded parts',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {part: {type: 'integer'}, etag: {type: 'string'}, size: {type: 'integer'}},
+                    },
+                  },
+                },
+              },
+            },
+            '404': UPLOAD_ERROR_RESPONSE,
+          },
+        },
+        post: {
+          'x-operation-name': 'completeUpload',
+          summary: 'Complete a multipart upload from the ETags of its parts',
+          parameters: [OBJECT_NAME_PARAM, UPLOAD_ID_PARAM],
+          requestBody: {
+            required: true,
+            'x-parameter-index': 2,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    parts: {
+                      type: 'array',
+                      items: {
+                        type: 'object',
+                        required: ['partNumber', 'etag'],
+                        properties: {partNumber: {type: 'integer'}, etag: {type: 'string'}},
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+          responses: {
+            '200': {
+              description: 'The stored object',
+              content: {'application/json': {schema: OBJECT_SCHEMA}},
+            },
+            '404': UPLOAD_ERROR_RESPONSE,
+          },
+        },
+        delete: {
+          'x-operation-name': 'abortUpload',
+          summary: 'Abort a multipart upload',
+          parameters: [OBJECT_NAME_PARAM, UPLOAD_ID_PARAM],
+          responses: {'204': {description: 'The upload is aborted'}, '404': UPLOAD_ERROR_RESPONSE},
+        },
+      },
+      '/{objectName}/stat': {
+        get: {
+          'x-operation-name': 'stat',
+          summary: 'Get the size, ETag and metadata of an object',
+          parameters: [OBJECT_NAME_PARAM],
+          responses: {
+            '200': {
+              description: 'The object stats',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      size: {type: 'integer'},
+                      etag: {type: 'string'},
+                      lastModified: {type: 'string', format: 'date-time'},
+                      metaData: {type: 'object'},
+                      versionId: {type: 'string', nullable: true},
+                    },
+                  },
+                },
+              },
+            },
+            '404': ERROR_RESPONSE,
+          },
+        },
+      },
+    },
+  };
+}
+
+/**
+ * Define a controller for the files of a minio data source.
+ * @param {Object} [options]
+ * @param {string} [options.basePath=/files] Path of the routes
+ * @param {string} [options.dataSource=minio] Name of the data source
+ * @param {string} [options.bucketName] Bucket of the files, defaults to the one of the data source
+ * @param {string} [options.prefix] Prefix of the object names, which are relative to it in the routes
+ * @returns {Function} The controller class
+ */
+exports.defineFileController = function defineFileController(options) {
+  options = options || {};
+  const prefix = options.prefix || '';
+  const bucketName = options.bucketName;
+  const dataSourceName = options.dataSource || 'minio';
+
+  function MinioFileController(dataSource) {
+    this.connector = dataSource.connector;
+  }
+
+  /**
+   * Store the files of a `multipart/form-data` request.
+   * @param {http.IncomingMessage} request
+   * @param {string} [filePrefix] Prefix of the object names, after the prefix of the controller
+   * @returns {Promise<Object[]>} The stored objects
+   */
+  MinioFileController.prototype.upload = async function(request, filePrefix) {
+    const objects = await multipart.storeFiles(request, this.connector, bucketName, prefix + (filePrefix || ''));
+    return objects.map(function(object) {
+      return Object.assign(object, {objectName: object.objectName.slice(prefix.length)});
+    });
+  };
+
+  /**
+   * Read one page of objects.
+   * @param {string} [namePrefix] Prefix of the object names
+   * @param {number} [limit]
+   * @param {string} [token] The `nextToken` of the previous page
+   * @returns {Promise<{items: Object[], nextToken: string|null}>}
+   */
+  MinioFileController.prototype.list = async function(namePrefix, limit, token) {
+    const page = await this.connector.listObjects(bucketName, prefix + (namePrefix || ''), true)
+      .page({limit: limit, token: token});
+    page.items = page.items.map(function(item) {
+      return Object.assign({}, item, {name: item.name.slice(prefix.length)});
+    });
+    return page;
+  };
+
+  /**
+   * Stream an object to the response, honoring `Range` and `If-None-Match`.
+   * @param {string} objectName
+   * @param {string} [rangeHeader]
+   * @param {string} [ifNoneMatch]
+   * @param {http.IncomingMessage} request
+   * @param {http.ServerResponse} response
+   * @returns {Promise<http.ServerResponse>}
+   */
+  MinioFileController.prototype.download = async function(objectName, rangeHeader, ifNoneMatch, request, response) {
+    const stat = await this.connector.statObject(bucketName, prefix + objectName);
+    const etag = '"' + stat.etag + '"';
+    response.setHeader('ETag', etag);
+    response.setHeader('Accept-Ranges', 'bytes');
+    if (stat.lastModified) {
+      response.setHeader('Last-Modified', new Date(stat.lastModified).toUTCString());
+    }
+    if (range.etagMatches(ifNoneMatch, etag)) {
+      response.statusCode = 304;
+      response.end();
+      return response;
+    }
+    // A range of another version of the object is not served
+    const ifRange = request.headers['if-range'];
+    const bytes = ifRange && ifRange !== etag ? null : range.parseRange(rangeHeader, stat.size);
+    if (bytes === false) {
+      response.statusCode = 416;
+      response.setHeader('Content-Range', 'bytes */' + stat.size);
+      response.end();
+      return response;
+    }
+    let stream;
+    if (bytes) {
+      stream = await this.connector.getPartialObject(bucketName, prefix + objectName,
+        bytes.start, bytes.end - bytes.start + 1);
+      response.statusCode = 206;
+      response.setHeader('Content-Range', 'bytes ' + bytes.start + '-' + bytes.end + '/' + stat.size);
+      response.setHeader('Content-Length', bytes.end - bytes.start + 1);
+    } else {
+      stream = await this.connector.getObject(bucketName, prefix + objectName);
+      response.setHeader('Content-Length', stat.size);
+    }
+    response.setHeader('Content-Type', (stat.metaData && stat.metaData['content-type']) || 'application/octet-stream');
+    // Errors end the response, as its headers are sent
+    pipeline(stream, response, function(err) {
+      if (err) {
+        debug('download: %s %s', objectName, err.message);
+      }
+    });
+    return response;
+  };
+
+  /**
+   * Get the stats of an object.
+   * @param {string} objectName
+   * @returns {Promise<Object>}
+   */
+  MinioFileController.prototype.stat = function(objectName) {
+    return this.connector.statObject(bucketName, prefix + objectName);
+  };
+
+  /**
+   * Start a multipart upload sent by the client with presigned URLs.
+   * @param {string} objectName
+   * @param {Object} body The `size` of the object or the number of `parts`, and optionally `partSize`, `expiry`
+   * and `contentType`
+   * @returns {Promise<{uploadId: string, partSize: number, parts: Object[]}>}
+   */
+  MinioFileController.prototype.initiateUpload = function(objectName, body) {
+    return this.connector.presignedMultipartUpload(bucketName, prefix + objectName, {
+      size: body.size,
+      parts: body.parts,
+      partSize: body.partSize,
+      expiry: body.expiry,
+      metaData: body.contentType ? {'Content-Type': body.contentType} : undefined,
+    });
+  };
+
+  /**
+   * List the uploaded parts of a multipart upload.
+   * @param {string} objectName
+   * @param {string} uploadId
+   * @returns {Promise<Object[]>}
+   */
+  MinioFileController.prototype.listUploadParts = function(objectName, uploadId) {
+    return this.connector.listParts(bucketName, prefix + objectName, uploadId);
+  };
+
+  /**
+   * Complete a multipart upload.
+   * @param {string} objectName
+   * @param {string} uploadId
+   * @param {{parts: Object[]}} body The `partNumber` and `etag` of the parts
+   * @returns {Promise<Object>} The stored object
+   */
+  MinioFileController.prototype.completeUpload = async function(objectName, uploadId, body) {
+    const result = await this.connector.completeMultipartUpload(bucketName, prefix + objectName, uploadId,
+      body.parts || []);
+    return {objectName: objectName, etag: result.etag, versionId: result.versionId};
+  };
+
+  /**
+   * Abort a multipart upload.
+   * @param {string} objectName
+   * @param {string} uploadId
+   * @returns {Promise<void>}
+   */
+  MinioFileController.prototype.abortUpload = async function(objectName, uploadId) {
+    await this.connector.abortMultipartUpload(bucketName, prefix + objectName, uploadId);
+  };
+
+  /**
+   * Remove an object.
+   * @param {string} objectName
+   * @returns {Promise<void>}
+   */
+  MinioFileController.prototype.remove = async function(objectName) {
+    await this.connector.removeObject(bucketName, prefix + objectName);
+  };
+
+  inject('datasources.' + dataSourceName)(MinioFileController, undefined, 0);
+  inject(rest.RestBindings.Http.REQUEST)(MinioFileController.prototype, 'download', 3);
+  inject(rest.RestBindings.Http.RESPONSE)(MinioFileController.prototype, 'download', 4);
+  rest.api(controllerSpec(options.basePath || '/files'))(MinioFileController);
+  return MinioFileController;
+};
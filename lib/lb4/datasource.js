@@ -0,0 +1,46 @@
+// Copyright IBM Corp. 2014,2019. All Rights Reserved.
+// Node module: loopback-connector-mongodb
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+const core = require('@loopback/core');
+const juggler = require('@loopback/repository').juggler;
+const RepositoryTags = require('@loopback/repository').RepositoryTags;
+const util = require('util');
+const MinioDB = require('../minio');
+
+/**
+ * A LoopBack 4 data source of the minio connector. It is disconnected when the
+ * application stops.
+ * @param {Object} settings The data source settings, see the connection properties
+ * @constructor
+ */
+function MinioDataSource(settings) {
+  juggler.DataSource.call(this, Object.assign({name: MinioDataSource.dataSourceName, connector: MinioDB}, settings));
+}
+
+util.inherits(MinioDataSource, juggler.DataSource);
+
+MinioDataSource.dataSourceName = 'minio';
+
+/**
+ * Create the binding of a data source at `datasources.<name>`, as
+ * `app.dataSource()` does, with its settings created lazily.
+ * @param {Object} settings The data source settings, the name defaults to `minio`
+ * @returns {Binding}
+ */
+MinioDataSource.createBinding = function(settings) {
+  const name = settings.name || MinioDataSource.dataSourceName;
+  const tags = {};
+  tags[core.CoreTags.LIFE_CYCLE_OBSERVER_GROUP] = 'datasource';
+  return core.Binding.bind('datasources.' + name)
+    .toDynamicValue(function() {
+      return new MinioDataSource(Object.assign({}, settings, {name: name}));
+    })
+    .inScope(core.BindingScope.SINGLETON)
+    .tag(RepositoryTags.DATASOURCE, core.CoreTags.LIFE_CYCLE_OBSERVER, tags);
+};
+
+module.exports = MinioDataSource;
@@ -0,0 +1,11 @@
+// Copyright IBM Corp. 2014,2019. All Rights Reserved.
+// Node module: loopback-connector-mongodb
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+exports.MinioBindings = require('./keys').MinioBindings;
+exports.MinioComponent = require('./component');
+exports.MinioDataSource = require('./datasource');
+exports.defineFileController = require('./controller').defineFileController;
@@ -0,0 +1,18 @@
+// Copyright IBM Corp. 2014,2019. All Rights Reserved.
+// Node module: loopback-connector-mongodb
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+const BindingKey = require('@loopback/core').BindingKey;
+
+/**
+ * Binding keys of the LoopBack 4 component.
+ */
+exports.MinioBindings = {
+  /**
+   * The component, configured with `app.configure(MinioBindings.COMPONENT).to(options)`.
+   */
+  COMPONENT: BindingKey.create('components.MinioComponent'),
+};
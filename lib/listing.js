@@ -0,0 +1,140 @@
+// Copyright IBM Corp. 2014,2019. All Rights Reserved.
+// Node module: loopback-connector-mongodb
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+const DEFAULT_PAGE_SIZE = 1000;
+
+/**
+ * A lazy listing returned by the listing operations of the connector
+ * (`listObjects`, `listObjectsV2`, `listObjectsV2WithMetadata`, `listIncompleteUploads`, `listObjectVersions`).
+ * Nothing is requested until the listing is iterated.
+ *
+ * @param {Function} open Function opening the minio stream, called with the key to start after (optional)
+ * @param {Function} keyOf Function returning the listing key of an item, used for page tokens
+ * @param {Object} [options]
+ * @param {boolean} [options.seeks] The stream of `open` starts after the key itself, as the keys do not sort
+ * in the listing order
+ * @constructor
+ * @example
+ * for await (const obj of minioDB.listObjectsV2('my-bucket', 'photos/', true)) {
+ *   console.log(obj.name);
+ * }
+ * const first10 = await minioDB.listObjectsV2('my-bucket').toArray({limit: 10});
+ * const {items, nextToken} = await minioDB.listObjectsV2('my-bucket').page({limit: 50, token});
+ */
+function Listing(open, keyOf, options) {
+  this.open = open;
+  this.keyOf = keyOf;
+  this.seeks = !!(options && options.seeks);
+}
+
+/**
+ * Turn an error of the minio stream into the error thrown to the caller. The connector sets it to normalize errors.
+ * @param {Error} err The error
+ * @returns {Error}
+ */
+Listing.prototype.mapError = function(err) {
+  return err;
+};
+
+/**
+ * Open the underlying minio stream.
+ * @param {string} [startAfter] Only list items whose key sorts after this one
+ * @returns {ReadableStream}
+ */
+Listing.prototype.stream = function(startAfter) {
+  return this.open(startAfter);
+};
+
+/**
+ * Iterate the items with `for await`. Stream errors are thrown from the loop.
+ * @param {string} [startAfter] Only list items whose key sorts after this one
+ */
+Listing.prototype.iterate = async function* (startAfter) {
+  try {
+    const stream = this.stream(startAfter);
+    for await (const item of stream) {
+      // Not every listing can start after a key on the server side
+      if (startAfter !== undefined && !this.seeks && !(this.keyOf(item) > startAfter)) continue;
+      yield item;
+    }
+  } catch (err) {
+    throw this.mapError(err);
+  }
+};
+
+Listing.prototype[Symbol.asyncIterator] = function() {
+  return this.iterate();
+};
+
+/**
+ * Read the items into an array.
+ * @param {Object} [options]
+ * @param {number} [options.limit] Stop after this many items
+ * @returns {Promise<Object[]>}
+ */
+Listing.prototype.toArray = async function(options) {
+  const limit = options && options.limit;
+  const items = [];
+  if (limit === 0) return items;
+  for await (const item of this.iterate()) {
+    items.push(item);
+    if (limit && items.length >= limit) break;
+  }
+  return items;
+};
+
+/**
+ * Read one page of items, e.g. for REST pagination.
+ * @param {Object} [options]
+ * @param {number} [options.limit=1000] The page size
+ * @param {string} [options.token] The `nextToken` of the previous page
+ * @returns {Promise<{items: Object[], nextToken: string|null}>} `nextToken` is null on the last page
+ */
+Listing.prototype.page = async function(options) {
+  options = options || {};
+  const limit = options.limit || DEFAULT_PAGE_SIZE;
+  const startAfter = options.token ? decodeToken(options.token) : undefined;
+  const items = [];
+  let more = false;
+  for await (const item of this.iterate(startAfter)) {
+    if (items.length === limit) {
+      more = true;
+      break;
+    }
+    items.push(item);
+  }
+  return {
+    items: items,
+    nextToken: more ? encodeToken(this.keyOf(items[items.length - 1])) : null,
+  };
+};
+
+/**
+ * Resolve with the raw minio stream, as the listing operations used to.
+ * @deprecated Iterate the listing or use `toArray`/`page`, which surface stream errors.
+ */
+Listing.prototype.then = function(onFulfilled, onRejected) {
+  return new Promise((resolve) => {
+    resolve(this.stream());
+  }).catch((err) => {
+    throw this.mapError(err);
+  }).then(onFulfilled, onRejected);
+};
+
+Listing.prototype.catch = function(onRejected) {
+  return this.then(undefined, onRejected);
+};
+
+function encodeToken(key) {
+  return Buffer.from(key, 'utf8').toString('base64');
+}
+
+function decodeToken(token) {
+  return Buffer.from(String(token), 'base64').toString('utf8');
+}
+
+module.exports = Listing;
@@ -10,9 +10,31 @@
  */
 const g = require('strong-globalize')();
 const minio = require('minio');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
 const util = require('util');
 const Connector = require('loopback-connector').Connector;
 const debug = require('debug')('loopback:connector:minio');
+const filters = require('./filter');
+const Listing = require('./listing');
+const backend = require('./backend');
+const checksum = require('./checksum');
+const compression = require('./compression');
+const credentials = require('./credentials');
+const encryption = require('./encryption');
+const endpoints = require('./endpoints');
+const normalizeError = require('./errors').normalizeError;
+const notifications = require('./notifications');
+const prefixes = require('./prefix');
+const progress = require('./progress');
+const remoting = require('./remoting');
+const ResumableUpload = require('./resumable-upload');
+const RetryPolicy = require('./retry');
+const sync = require('./sync');
+const uploadStores = require('./upload-stores');
+const versions = require('./versions');
 
 /**
  * Initialize the MongoDB connector for the given data source
@@ -42,6 +64,9 @@ exports.initialize = function initializeDataSource(dataSource, callback) {
 };
 
 exports.MinioDB = MinioDB;
+exports.Listing = Listing;
+exports.normalizeError = normalizeError;
+exports.IntegrityError = checksum.IntegrityError;
 
 /**
  * The constructor for Minio connector
@@ -65,6 +90,22 @@ function MinioDB(settings, dataSource) {
   this.pathStyle = settings.pathStyle;
   this.transportAgent = settings.transportAgent;
   this.bucketName = settings.bucketName;
+  this.retryPolicy = new RetryPolicy(settings.retry);
+  // Where resumable uploads record their progress
+  this.uploadStore = uploadStores.createUploadStore(settings.uploadStore, function(modelName) {
+    return dataSource && dataSource.modelBuilder.models[modelName];
+  });
+  // Wraps the data keys of the objects encrypted on the client, if enabled
+  this.keyProvider = encryption.createKeyProvider(settings.encryption);
+  // Compresses the uploads unless the model has its own `compression` setting
+  this.compression = compression.createCompression(settings.compression);
+  // Clients of the credentials given to operations, see `withCredentials`
+  this._clients = new credentials.ClientCache(settings.clientCacheSize || DEFAULT_CLIENT_CACHE_SIZE);
+  // The nodes the requests are spread over, with the `endPoints` setting
+  this.endPointPool = settings.endPoints && !backend.isLocal(settings) ?
+    new endpoints.EndPointPool(endpoints.parseEndPoints(settings.endPoints, settings.port),
+      {cooldown: settings.endPointCooldown}) :
+    null;
   this.debug = settings.debug || debug.enabled;
 
   if (this.debug) {
@@ -72,134 +113,522 @@ function MinioDB(settings, dataSource) {
   }
 
   this._models = {};
+  // Open streams and notification listeners, closed on disconnect
+  this._streams = new Set();
+  this._listeners = new Set();
+  // Notification subscriptions, by model, bucket and filters
+  this._subscriptions = new Map();
   this.DataAccessObject = function() {
     // Dummy function
   };
+  // Keep the standard juggler CRUD methods (create, find, ...) next to the minio ones
+  inheritDataAccessObject(this.DataAccessObject, dataSource && dataSource.constructor.DataAccessObject);
+}
+
+/*!
+ * Copy the static and prototype methods of the juggler DataAccessObject
+ * @param {Function} target The connector DataAccessObject
+ * @param {Function} [source] The juggler DataAccessObject
+ */
+function inheritDataAccessObject(target, source) {
+  if (!source) {
+    return;
+  }
+  Object.keys(source).forEach(function(name) {
+    target[name] = source[name];
+  });
+  Object.keys(source.prototype || {}).forEach(function(name) {
+    target.prototype[name] = source.prototype[name];
+  });
 }
 
 util.inherits(MinioDB, Connector);
 
+/*!
+ * Client options taken from the data source settings
+ */
+const CLIENT_OPTION_NAMES = [
+  'bucketName',
+  'endPoint',
+  'port',
+  'useSSL',
+  'accessKey',
+  'secretKey',
+  'region',
+  'transport',
+  'sessionToken',
+  'partSize',
+  'pathStyle',
+  'transportAgent',
+];
+
+const DEFAULT_CONNECT_RETRIES = 3;
+const DEFAULT_CLIENT_CACHE_SIZE = 100;
+const DEFAULT_CONNECT_RETRY_DELAY = 500;
+
+/*!
+ * Errors which retrying the connection probe cannot fix
+ */
+const CREDENTIAL_ERROR_CODES = [
+  'AccessDenied',
+  'InvalidAccessKeyId',
+  'InvalidToken',
+  'SignatureDoesNotMatch',
+];
+
+/*!
+ * Create the minio client and the model methods, once
+ */
+MinioDB.prototype.createClient = function() {
+  const self = this;
+  if (self.client) {
+    return self.client;
+  }
+  if (backend.isLocal(self.settings)) {
+    self.connector = self;
+    self.client = self.wrapClient(backend.createClient(self.settings));
+    self.setupDataAccessObject();
+    return self.client;
+  }
+  debug('Valid options: %j', self.clientOptions());
+
+  self.connector = self;
+  // With the `sts` setting, the data source keys only request temporary credentials
+  self.client = self.newClient({}, self.settings.sts ? {} : undefined);
+  self.setupDataAccessObject();
+  return self.client;
+};
+
+/*!
+ * Get the minio client options from the data source settings
+ */
+MinioDB.prototype.clientOptions = function() {
+  const self = this;
+  const validOptions = {};
+  Object.keys(self.settings).forEach(function(option) {
+    if (CLIENT_OPTION_NAMES.indexOf(option) > -1) {
+      validOptions[option] = self.settings[option];
+    }
+  });
+  if (!validOptions.transportAgent) {
+    // A connector-owned agent, so disconnect can close its sockets without affecting the global agent
+    self.agent = self.agent || new (self.settings.useSSL ? https : http).Agent({keepAlive: true});
+    validOptions.transportAgent = self.agent;
+  }
+  return validOptions;
+};
+
+/*!
+ * Create a client of the object storage signing with the given keys, or with
+ * temporary credentials from STS when STS options are given. With the
+ * `endPoints` setting, the client spreads the requests over the nodes.
+ * @param {Object} keys The `accessKey`, `secretKey` and `sessionToken` overriding the settings
+ * @param {Object} [stsOptions] The options of the `StsCredentialProvider`, overriding the `sts` setting
+ * @returns {Object} The client
+ */
+MinioDB.prototype.newClient = function(keys, stsOptions) {
+  const self = this;
+  const options = Object.assign(self.clientOptions(), keys);
+  const nodes = self.endPointPool ? self.endPointPool.nodes : [{endPoint: options.endPoint, port: options.port}];
+  let provider;
+  if (stsOptions) {
+    const stsEndPoint = stsOptions.endPoint || (self.settings.sts && self.settings.sts.endPoint);
+    // STS is called on the nodes of the data source, in turn when one is down
+    provider = new credentials.StsCredentialProvider(Object.assign({
+      accessKey: self.settings.accessKey,
+      secretKey: self.settings.secretKey,
+      region: self.settings.region,
+      transportAgent: options.transportAgent,
+    }, self.settings.sts, stsOptions, stsEndPoint ? {} : {
+      endPoint: nodes.map(function(node) {
+        return (self.settings.useSSL === false ? 'http://' : 'https://') + node.endPoint +
+          (node.port ? ':' + node.port : '');
+      }),
+      pool: self.endPointPool,
+    }));
+    // Only so that the client signs, the provider sets the keys before each request
+    options.accessKey = options.secretKey = 'sts';
+    delete options.sessionToken;
+    options.credentialsProvider = provider;
+  }
+  const clients = nodes.map(function(node) {
+    const client = new minio.Client(Object.assign({}, options, {endPoint: node.endPoint, port: node.port}));
+    return provider ? credentials.providerClient(client, provider) : client;
+  });
+  return self.wrapClient(self.endPointPool ? endpoints.failoverClient(clients, self.endPointPool) : clients[0]);
+};
+
+/**
+ * Get the health of the nodes of the `endPoints` setting, e.g. for a health check.
+ * @returns {Array<{endPoint: string, port: number, healthy: boolean, failures: number}>} The nodes, in the
+ * order of the setting, with the number of connection errors in a row. Empty without the `endPoints` setting.
+ */
+MinioDB.prototype.endPointStatus = function() {
+  return this.endPointPool ? this.endPointPool.status() : [];
+};
+
+/*!
+ * Derive a client sending the `If-None-Match` metadata of `putObject` as the
+ * condition of the upload, which the minio client would store as user
+ * metadata. The local backends check the condition themselves.
+ */
+function conditionalClient(client) {
+  if (typeof client.makeRequestStreamAsync !== 'function') {
+    return client;
+  }
+  const conditional = Object.create(client);
+  conditional.putObject = function(bucketName, objectName, body, size, metaData) {
+    const args = Array.prototype.slice.call(arguments);
+    const index = size && typeof size === 'object' ? 3 : 4;
+    const name = args[index] && typeof args[index] === 'object' && Object.keys(args[index]).find(function(key) {
+      return key.toLowerCase() === 'if-none-match';
+    });
+    if (!name) {
+      return client.putObject.apply(this, args);
+    }
+    const condition = args[index][name];
+    args[index] = Object.assign({}, args[index]);
+    delete args[index][name];
+    const call = Object.create(this);
+    call.makeRequestStreamAsync = function(options) {
+      const args = Array.prototype.slice.call(arguments);
+      // The single upload, or the completion of the multipart one
+      if ((options.method === 'PUT' && !options.query) ||
+        (options.method === 'POST' && /(?:^|&)uploadId=/.test(options.query || ''))) {
+        const headers = Object.assign({}, options.headers, {'If-None-Match': condition});
+        args[0] = Object.assign({}, options, {headers: headers});
+      }
+      return client.makeRequestStreamAsync.apply(this, args);
+    };
+    return client.putObject.apply(call, args);
+  };
+  return conditional;
+}
+
+/*!
+ * Derive the client of the connector from a minio or local client
+ */
+MinioDB.prototype.wrapClient = function(client) {
+  return compression.decompressionClient(this.encryptClient(conditionalClient(client)));
+};
+
+/**
+ * Get a view of the connector sending the operations with other credentials,
+ * e.g. the ones of a tenant. The clients are cached by credentials, and those
+ * from STS are requested again before they expire. The local backends ignore
+ * the credentials.
+ * @param {Object} [userCredentials] - The credentials:
+ *   - accessKey, secretKey, sessionToken: Keys used as they are, with their `expiration` if temporary.
+ *   - webIdentityToken: OpenID token exchanged for temporary credentials with `AssumeRoleWithWebIdentity`.
+ *   - roleArn, policy: Role or policy of `AssumeRole`, signed with the given keys or the data source ones.
+ *   - roleSessionName, externalId, durationSeconds: Options of the STS requests.
+ * @returns {MinioDB} The scoped connector, or this connector without credentials.
+ * @example
+ * const tenantFiles = File.withCredentials({webIdentityToken: req.headers['x-id-token']});
+ * await tenantFiles.putObject(null, 'report.csv', csv);
+ */
+MinioDB.prototype.withCredentials = function(userCredentials) {
+  const self = this;
+  if (!userCredentials || backend.isLocal(self.settings)) {
+    return self;
+  }
+  const normalized = credentials.normalizeCredentials(userCredentials);
+  const client = self._clients.get(normalized.key, userCredentials.expiration, function() {
+    if (normalized.sts) {
+      return self.newClient({}, normalized.options);
+    }
+    return self.newClient({
+      accessKey: normalized.options.accessKey,
+      secretKey: normalized.options.secretKey,
+      sessionToken: normalized.options.sessionToken,
+    });
+  });
+  return Object.create(self, {client: {value: client}});
+};
+
+/*!
+ * Derive the client encrypting the objects when the `encryption` setting is set
+ */
+MinioDB.prototype.encryptClient = function(client) {
+  return this.keyProvider ? encryption.encryptionClient(client, this.keyProvider) : client;
+};
+
+/*!
+ * Derive the client compressing the uploads of the scoped model when compression is enabled
+ */
+MinioDB.prototype.compressClient = function(client) {
+  const settings = this.getCompression();
+  return settings ? compression.compressionClient(client, settings) : client;
+};
+
 /**
- * Connect to MongoDB
+ * Connect to the object storage service. Unless the `connectProbe` setting is `false`, an authenticated request is
+ * sent to verify the endpoint and the credentials, and retried `connectRetries` times with an exponential backoff
+ * starting at `connectRetryDelay` ms. Credential errors are not retried.
  * @param {Function} [callback] The callback function
  *
  * @callback callback
  * @param {Error} err The error object
- * @param {Db} db The mongo DB object
+ * @param {Client} client The minio client
  */
 MinioDB.prototype.connect = function(callback) {
   const self = this;
-  if (self.client) {
+  if (self._connected) {
     process.nextTick(function() {
       if (callback) callback(null, self.client);
     });
-  } else if (self.dataSource.connecting) {
-    self.dataSource.once('connected', function() {
-      process.nextTick(function() {
-        if (callback) callback(null, self.client);
-      });
+    return;
+  }
+  if (self._pendingConnects) {
+    // A connection is already in progress
+    if (callback) self._pendingConnects.push(callback);
+    return;
+  }
+  const pending = self._pendingConnects = callback ? [callback] : [];
+
+  function done(err) {
+    if (self._pendingConnects !== pending) {
+      // Cancelled by disconnect
+      return;
+    }
+    self._pendingConnects = null;
+    self._connectTimer = null;
+    self._connected = !err;
+    pending.forEach(function(cb) {
+      cb(err || null, err ? undefined : self.client);
     });
-  } else {
-    const validOptionNames = [
-      'bucketName',
-      'endPoint',
-      'port',
-      'useSSL',
-      'accessKey',
-      'secretKey',
-      'region',
-      'transport',
-      'sessionToken',
-      'partSize',
-      'pathStyle',
-      'transportAgent',
-    ];
-
-    const lbOptions = Object.keys(self.settings);
-    const validOptions = {};
-    lbOptions.forEach(function(option) {
-      if (validOptionNames.indexOf(option) > -1) {
-        validOptions[option] = self.settings[option];
+  }
+
+  function onError(err) {
+    /* istanbul ignore if */
+    if (self.debug) {
+      g.error(
+        '{{MinioDB}} connection is failed: %s %s',
+        self.settings.endPoint,
+        err,
+      );
+    }
+    done(err);
+  }
+
+  try {
+    self.createClient();
+  } catch (err) {
+    return process.nextTick(onError, err);
+  }
+  if (self.settings.connectProbe === false) {
+    return process.nextTick(done);
+  }
+
+  const retries = self.settings.connectRetries == null ?
+    DEFAULT_CONNECT_RETRIES : self.settings.connectRetries;
+  const retryDelay = self.settings.connectRetryDelay == null ?
+    DEFAULT_CONNECT_RETRY_DELAY : self.settings.connectRetryDelay;
+  let attempt = 0;
+  (function probe() {
+    self.probe().then(function() {
+      done();
+    }, function(err) {
+      if (self._pendingConnects !== pending) {
+        return;
+      }
+      if (attempt >= retries || CREDENTIAL_ERROR_CODES.indexOf(err.code) !== -1) {
+        return onError(err);
       }
+      const delay = retryDelay * Math.pow(2, attempt++);
+      debug('connect: probe failed, retrying in %d ms: %s', delay, err.message);
+      self._connectTimer = setTimeout(probe, delay);
     });
-    debug('Valid options: %j', validOptions);
+  })();
+};
 
-    function onError(err) {
-      /* istanbul ignore if */
-      if (self.debug) {
-        g.error(
-          '{{MinioDB}} connection is failed: %s %s',
-          self.settings.endpoint,
-          err,
-        );
-      }
-      if (callback) callback(err);
+/*!
+ * Send a lightweight authenticated request: check the default bucket if set,
+ * which needs no account-wide permission, or else list the buckets.
+ */
+MinioDB.prototype.probe = function() {
+  const self = this;
+  const bucketName = self.bucketName;
+  const request = bucketName ?
+    self.client.bucketExists(bucketName) :
+    self.client.listBuckets();
+  return request.then(function(exists) {
+    if (bucketName && !exists) {
+      debug('probe: the default bucket %s does not exist', bucketName);
     }
+  });
+};
 
-    self.connector = self;
-    self.client = new minio.Client(validOptions);
-    self.setupDataAccessObject();
-    return callback(null, self.client);
+/**
+ * Check that the object storage service is reachable and accepts the credentials, e.g. for health checks.
+ * Used by `dataSource.ping()`.
+ * @param {Function} [callback] The callback function
+ * @returns {Promise}
+ */
+MinioDB.prototype.ping = function(callback) {
+  const self = this;
+  if (self.debug) {
+    debug('ping: %s', self.settings.endPoint);
+  }
+  const promise = new Promise(function(resolve) {
+    self.createClient();
+    resolve(self.probe());
+  });
+  if (callback) asCallback(promise, callback);
+  return promise;
+};
+
+/*!
+ * Keep track of a stream until it closes, so disconnect can destroy it
+ */
+MinioDB.prototype.trackStream = function(stream) {
+  const self = this;
+  if (!stream || typeof stream.destroy !== 'function') {
+    return stream;
+  }
+  self._streams.add(stream);
+  stream.once('close', function() {
+    self._streams.delete(stream);
+  });
+  return stream;
+};
+
+/*!
+ * Keep track of a notification listener until it is stopped, so disconnect can stop it
+ */
+MinioDB.prototype.trackListener = function(listener) {
+  const self = this;
+  self._listeners.add(listener);
+  const stop = listener.stop;
+  listener.stop = function() {
+    self._listeners.delete(listener);
+    return stop.apply(this, arguments);
+  };
+  return listener;
+};
+
+/**
+ * Disconnect from the object storage service: stop the notification listeners, destroy the open object and
+ * listing streams and close the sockets of the connector HTTP agent. A custom `transportAgent` is left open.
+ * The connector can connect again afterwards.
+ * @param {Function} [callback] The callback function
+ */
+MinioDB.prototype.disconnect = function(callback) {
+  const self = this;
+  if (self.debug) {
+    debug('disconnect: %s', self.settings.endPoint);
+  }
+  if (self._connectTimer) {
+    clearTimeout(self._connectTimer);
+    self._connectTimer = null;
+  }
+  if (self._pendingConnects) {
+    const callbacks = self._pendingConnects;
+    self._pendingConnects = null;
+    callbacks.forEach(function(cb) {
+      cb(new Error(g.f('{{MinioDB}} disconnected while connecting')));
+    });
+  }
+  self._listeners.forEach(function(listener) {
+    listener.stop();
+    listener.removeAllListeners();
+  });
+  self._streams.forEach(function(stream) {
+    stream.destroy();
+  });
+  if (self.agent) {
+    self.agent.destroy();
+  }
+  self._clients.clear();
+  self._connected = false;
+  if (callback) {
+    process.nextTick(callback);
   }
 };
+
 MinioDB.prototype.setupDataAccessObject = function() {
   const self = this;
   // Bucket
-  this.DataAccessObject.makeBucket = MinioDB.prototype.makeBucket.bind(self);
-  this.DataAccessObject.bucketExists = MinioDB.prototype.bucketExists.bind(self);
-  this.DataAccessObject.removeBucket = MinioDB.prototype.removeBucket.bind(self);
-  this.DataAccessObject.listBuckets = MinioDB.prototype.listBuckets.bind(self);
-  this.DataAccessObject.bucketExists = MinioDB.prototype.bucketExists.bind(self);
-  this.DataAccessObject.listObjects = MinioDB.prototype.listObjects.bind(self);
-  this.DataAccessObject.listObjectsV2 = MinioDB.prototype.listObjectsV2.bind(self);
-  this.DataAccessObject.listIncompleteUploads = MinioDB.prototype.listIncompleteUploads.bind(self);
-  this.DataAccessObject.getBucketVersioning = MinioDB.prototype.getBucketVersioning.bind(self);
-  this.DataAccessObject.setBucketVersioning = MinioDB.prototype.setBucketVersioning.bind(self);
-  this.DataAccessObject.getBucketTagging = MinioDB.prototype.getBucketTagging.bind(self);
-  this.DataAccessObject.setBucketTagging = MinioDB.prototype.setBucketTagging.bind(self);
-  this.DataAccessObject.removeBucketTagging = MinioDB.prototype.removeBucketTagging.bind(self);
-  this.DataAccessObject.setBucketLifecycle = MinioDB.prototype.setBucketLifecycle.bind(self);
-  this.DataAccessObject.getBucketLifecycle = MinioDB.prototype.getBucketLifecycle.bind(self);
-  this.DataAccessObject.removeBucketLifecycle = MinioDB.prototype.removeBucketLifecycle.bind(self);
-  this.DataAccessObject.setBucketEncryption = MinioDB.prototype.setBucketEncryption.bind(self);
-  this.DataAccessObject.getBucketEncryption = MinioDB.prototype.getBucketEncryption.bind(self);
-  this.DataAccessObject.removeBucketEncryption = MinioDB.prototype.removeBucketEncryption.bind(self);
-  this.DataAccessObject.setBucketReplication = MinioDB.prototype.setBucketReplication.bind(self);
-  this.DataAccessObject.getBucketReplication = MinioDB.prototype.getBucketReplication.bind(self);
-  this.DataAccessObject.removeBucketReplication = MinioDB.prototype.removeBucketReplication.bind(self);
-  this.DataAccessObject.setObjectLockConfig = MinioDB.prototype.setObjectLockConfig.bind(self);
-  this.DataAccessObject.getObjectLockConfig = MinioDB.prototype.getObjectLockConfig.bind(self);
+  this.DataAccessObject.makeBucket = modelMethod(self, 'makeBucket');
+  this.DataAccessObject.bucketExists = modelMethod(self, 'bucketExists');
+  this.DataAccessObject.removeBucket = modelMethod(self, 'removeBucket');
+  this.DataAccessObject.listBuckets = modelMethod(self, 'listBuckets');
+  this.DataAccessObject.bucketExists = modelMethod(self, 'bucketExists');
+  this.DataAccessObject.listObjects = modelMethod(self, 'listObjects');
+  this.DataAccessObject.listObjectsV2 = modelMethod(self, 'listObjectsV2');
+  this.DataAccessObject.listObjectsV2WithMetadata = modelMethod(self, 'listObjectsV2WithMetadata');
+  this.DataAccessObject.listIncompleteUploads = modelMethod(self, 'listIncompleteUploads');
+  this.DataAccessObject.listObjectVersions = modelMethod(self, 'listObjectVersions');
+  this.DataAccessObject.getBucketVersioning = modelMethod(self, 'getBucketVersioning');
+  this.DataAccessObject.setBucketVersioning = modelMethod(self, 'setBucketVersioning');
+  this.DataAccessObject.getBucketTagging = modelMethod(self, 'getBucketTagging');
+  this.DataAccessObject.setBucketTagging = modelMethod(self, 'setBucketTagging');
+  this.DataAccessObject.removeBucketTagging = modelMethod(self, 'removeBucketTagging');
+  this.DataAccessObject.setBucketLifecycle = modelMethod(self, 'setBucketLifecycle');
+  this.DataAccessObject.getBucketLifecycle = modelMethod(self, 'getBucketLifecycle');
+  this.DataAccessObject.removeBucketLifecycle = modelMethod(self, 'removeBucketLifecycle');
+  this.DataAccessObject.setBucketEncryption = modelMethod(self, 'setBucketEncryption');
+  this.DataAccessObject.getBucketEncryption = modelMethod(self, 'getBucketEncryption');
+  this.DataAccessObject.removeBucketEncryption = modelMethod(self, 'removeBucketEncryption');
+  this.DataAccessObject.setBucketReplication = modelMethod(self, 'setBucketReplication');
+  this.DataAccessObject.getBucketReplication = modelMethod(self, 'getBucketReplication');
+  this.DataAccessObject.removeBucketReplication = modelMethod(self, 'removeBucketReplication');
+  this.DataAccessObject.setObjectLockConfig = modelMethod(self, 'setObjectLockConfig');
+  this.DataAccessObject.getObjectLockConfig = modelMethod(self, 'getObjectLockConfig');
   // bucket policy
-  this.DataAccessObject.setBucketPolicy = MinioDB.prototype.setBucketPolicy.bind(self);
-  this.DataAccessObject.getBucketPolicy = MinioDB.prototype.getBucketPolicy.bind(self);
-  this.DataAccessObject.setBucketNotification = MinioDB.prototype.setBucketNotification.bind(self);
-  this.DataAccessObject.getBucketNotification = MinioDB.prototype.getBucketNotification.bind(self);
+  this.DataAccessObject.setBucketPolicy = modelMethod(self, 'setBucketPolicy');
+  this.DataAccessObject.getBucketPolicy = modelMethod(self, 'getBucketPolicy');
+  this.DataAccessObject.setBucketNotification = modelMethod(self, 'setBucketNotification');
+  this.DataAccessObject.getBucketNotification = modelMethod(self, 'getBucketNotification');
+  this.DataAccessObject.removeAllBucketNotification = modelMethod(self, 'removeAllBucketNotification');
+  this.DataAccessObject.listenBucketNotification = modelMethod(self, 'listenBucketNotification');
+  this.DataAccessObject.subscribeNotifications = modelMethod(self, 'subscribeNotifications');
 
   // Objects
-  this.DataAccessObject.getObject = MinioDB.prototype.getObject.bind(self);
-  this.DataAccessObject.getPartialObject = MinioDB.prototype.getPartialObject.bind(self);
-  this.DataAccessObject.fGetObject = MinioDB.prototype.fGetObject.bind(self);
-  this.DataAccessObject.putObject = MinioDB.prototype.putObject.bind(self);
-  this.DataAccessObject.fPutObject = MinioDB.prototype.fPutObject.bind(self);
-  this.DataAccessObject.copyObject = MinioDB.prototype.copyObject.bind(self);
-  this.DataAccessObject.statObject = MinioDB.prototype.statObject.bind(self);
-  this.DataAccessObject.removeObject = MinioDB.prototype.removeObject.bind(self);
-  this.DataAccessObject.removeObjects = MinioDB.prototype.removeObjects.bind(self);
-  this.DataAccessObject.removeIncompleteUpload = MinioDB.prototype.removeIncompleteUpload.bind(self);
-  this.DataAccessObject.putObjectRetention = MinioDB.prototype.putObjectRetention.bind(self);
-  this.DataAccessObject.getObjectRetention = MinioDB.prototype.getObjectRetention.bind(self);
-
-  this.DataAccessObject.getObjectLegalHold = MinioDB.prototype.getObjectLegalHold.bind(self);
-  this.DataAccessObject.setObjectTagging = MinioDB.prototype.setObjectTagging.bind(self);
-  this.DataAccessObject.getObjectTagging = MinioDB.prototype.getObjectTagging.bind(self);
-  this.DataAccessObject.removeObjectTagging = MinioDB.prototype.removeObjectTagging.bind(self);
-  this.DataAccessObject.composeObject = MinioDB.prototype.composeObject.bind(self);
-  this.DataAccessObject.selectObjectContent = MinioDB.prototype.selectObjectContent.bind(self);
+  this.DataAccessObject.getObject = modelMethod(self, 'getObject');
+  this.DataAccessObject.getPartialObject = modelMethod(self, 'getPartialObject');
+  this.DataAccessObject.fGetObject = modelMethod(self, 'fGetObject');
+  this.DataAccessObject.putObject = modelMethod(self, 'putObject');
+  this.DataAccessObject.fPutObject = modelMethod(self, 'fPutObject');
+  this.DataAccessObject.copyObject = modelMethod(self, 'copyObject');
+  this.DataAccessObject.statObject = modelMethod(self, 'statObject');
+  this.DataAccessObject.restoreVersion = modelMethod(self, 'restoreVersion');
+  this.DataAccessObject.removeObject = modelMethod(self, 'removeObject');
+  this.DataAccessObject.removeObjects = modelMethod(self, 'removeObjects');
+  this.DataAccessObject.removeIncompleteUpload = modelMethod(self, 'removeIncompleteUpload');
+  this.DataAccessObject.initiateMultipartUpload = modelMethod(self, 'initiateMultipartUpload');
+  this.DataAccessObject.uploadPart = modelMethod(self, 'uploadPart');
+  this.DataAccessObject.listParts = modelMethod(self, 'listParts');
+  this.DataAccessObject.completeMultipartUpload = modelMethod(self, 'completeMultipartUpload');
+  this.DataAccessObject.abortMultipartUpload = modelMethod(self, 'abortMultipartUpload');
+  this.DataAccessObject.presignedUploadPart = modelMethod(self, 'presignedUploadPart');
+  this.DataAccessObject.presignedMultipartUpload = modelMethod(self, 'presignedMultipartUpload');
+  this.DataAccessObject.resumableUpload = modelMethod(self, 'resumableUpload');
+  this.DataAccessObject.abortResumableUpload = modelMethod(self, 'abortResumableUpload');
+  this.DataAccessObject.syncToBucket = modelMethod(self, 'syncToBucket');
+  this.DataAccessObject.syncFromBucket = modelMethod(self, 'syncFromBucket');
+  this.DataAccessObject.copyPrefix = modelMethod(self, 'copyPrefix');
+  this.DataAccessObject.movePrefix = modelMethod(self, 'movePrefix');
+  this.DataAccessObject.removePrefix = modelMethod(self, 'removePrefix');
+  this.DataAccessObject.rotateEncryptionKeys = modelMethod(self, 'rotateEncryptionKeys');
+  this.DataAccessObject.withCredentials = function(userCredentials) {
+    const scope = this && this.modelName ? self.forModel(this.modelName) : self;
+    return scope.withCredentials(userCredentials);
+  };
+  this.DataAccessObject.putObjectRetention = modelMethod(self, 'putObjectRetention');
+  this.DataAccessObject.getObjectRetention = modelMethod(self, 'getObjectRetention');
+
+  this.DataAccessObject.getObjectLegalHold = modelMethod(self, 'getObjectLegalHold');
+  this.DataAccessObject.setObjectTagging = modelMethod(self, 'setObjectTagging');
+  this.DataAccessObject.getObjectTagging = modelMethod(self, 'getObjectTagging');
+  this.DataAccessObject.removeObjectTagging = modelMethod(self, 'removeObjectTagging');
+  this.DataAccessObject.composeObject = modelMethod(self, 'composeObject');
+  this.DataAccessObject.selectObjectContent = modelMethod(self, 'selectObjectContent');
   // Presigned
-  this.DataAccessObject.presignedUrl = MinioDB.prototype.presignedUrl.bind(self);
-  this.DataAccessObject.presignedGetObject = MinioDB.prototype.presignedGetObject.bind(self);
-  this.DataAccessObject.presignedPutObject = MinioDB.prototype.presignedPutObject.bind(self);
-  this.DataAccessObject.presignedPostPolicy = MinioDB.prototype.presignedPostPolicy.bind(self);
+  this.DataAccessObject.presignedUrl = modelMethod(self, 'presignedUrl');
+  this.DataAccessObject.presignedGetObject = modelMethod(self, 'presignedGetObject');
+  this.DataAccessObject.presignedPutObject = modelMethod(self, 'presignedPutObject');
+  this.DataAccessObject.presignedPostPolicy = modelMethod(self, 'presignedPostPolicy');
 
   this.dataSource.DataAccessObject = this.DataAccessObject;
   for (const model in this._models) {
@@ -211,6 +640,16 @@ MinioDB.prototype.setupDataAccessObject = function() {
   return this.DataAccessObject;
 };
 
+/**
+ * Hook called by the data source for each model attached to it. Registers the
+ * LoopBack 3 remote methods of the model, see the `minio.remoting` model setting.
+ * @param {Object} modelDefinition The model definition
+ */
+MinioDB.prototype.define = function(modelDefinition) {
+  Connector.prototype.define.call(this, modelDefinition);
+  remoting.setupRemoting(modelDefinition.model, modelDefinition.settings);
+};
+
 MinioDB.prototype.getTypes = function() {
   return ['db', 'files', 'miniodb'];
 };
@@ -240,9 +679,6 @@ MinioDB.prototype.makeBucket = function(bucketName, region) {
     if (region === undefined) {
       self.client.makeBucket(bucketName, function(err) {
         if (err) {
-          if (self.debug) {
-            g.error('{{MinioDB}} connection is failed: %s %s', self.settings.endpoint, err);
-          }
           reject(err);
         } else {
           resolve();
@@ -251,9 +687,6 @@ MinioDB.prototype.makeBucket = function(bucketName, region) {
     } else {
       self.client.makeBucket(bucketName, region, function(err) {
         if (err) {
-          if (self.debug) {
-            g.error('{{MinioDB}} connection is failed: %s %s', self.settings.endpoint, err);
-          }
           reject(err);
         } else {
           resolve();
@@ -291,9 +724,6 @@ MinioDB.prototype.listBuckets = function() {
   return new Promise((resolve, reject) => {
     self.client.listBuckets(function(err, buckets) {
       if (err) {
-        if (self.debug) {
-          g.error('{{MinioDB}} listBuckets is failed: %s %s', self.settings.endpoint, err);
-        }
         reject(err);
       } else {
         resolve(buckets);
@@ -329,9 +759,6 @@ MinioDB.prototype.bucketExists = async function(bucketName) {
   return new Promise((resolve, reject) => {
     self.client.bucketExists(bucketName, (err, exists) => {
       if (err) {
-        if (self.debug) {
-          g.error('{{MinioDB}} connection is failed: %s %s', self.settings.endpoint, err);
-        }
         reject(err);
       } else {
         resolve(exists);
@@ -356,9 +783,6 @@ MinioDB.prototype.removeBucket = function(bucketName) {
   return new Promise((resolve, reject) => {
     self.client.removeBucket(bucketName, function(err) {
       if (err) {
-        if (self.debug) {
-          g.error('{{MinioDB}} connection is failed: %s %s', self.settings.endpoint, err);
-        }
         reject(err);
       } else {
         resolve();
@@ -367,6 +791,27 @@ MinioDB.prototype.removeBucket = function(bucketName) {
   });
 };
 
+/*!
+ * Listing key of an object or a common prefix
+ */
+function objectKey(item) {
+  return item.name || item.prefix;
+}
+
+/*!
+ * Listing key of an incomplete upload
+ */
+function uploadKey(item) {
+  return item.key + '\u0000' + item.uploadId;
+}
+
+/*!
+ * Listing key of a version of an object
+ */
+function versionKey(item) {
+  return item.name + '\u0000' + item.versionId;
+}
+
 /**
  * List objects in a Minio bucket.
  * https://min.io/docs/minio/linux/developers/javascript/API.html#listobjects-bucketname-prefix-recursive-listopts
@@ -374,29 +819,20 @@ MinioDB.prototype.removeBucket = function(bucketName) {
  * @param {string} prefix - Prefix to filter the objects (optional).
  * @param {boolean} recursive - Indicates if the object listing should be recursive (optional).
  * @param {object} listOpts - Additional options to pass to the list objects operation (optional).
- * @returns {Promise} A promise that resolves with the list of objects when the operation is successfully completed.
- *                    It rejects with an error if any problem occurs.
+ * @returns {Listing} A listing of the objects, to iterate with `for await` or read with `toArray()` or `page()`.
+ * @example
+ * for await (const obj of minioDB.listObjects('my-bucket', 'photos/', true)) {
+ *   console.log(obj.name, obj.size);
+ * }
  */
 MinioDB.prototype.listObjects = function(bucketName, prefix, recursive, listOpts) {
   const self = this;
   if (self.debug) {
-    debug('listObjects: %s %s %s %s', bucketName, prefix, recursive, listOpts);
+    debug('listObjects: %s %s %s %j', bucketName, prefix, recursive, listOpts);
   }
-
-  return new Promise((resolve, reject) => {
-    const stream = self.client.listObjects(bucketName, prefix, recursive, listOpts);
-    resolve(stream);
-    // self.client.listObjects(bucketName, prefix, recursive, function(err, data) {
-    //   if (err) {
-    //     if (self.debug) {
-    //       g.error('{{MinioDB}} connection is failed: %s %s', self.settings.endpoint, err);
-    //     }
-    //     reject(err);
-    //   } else {
-    //     resolve(data);
-    //   }
-    // });
-  });
+  return new Listing(function() {
+    return self.trackStream(self.client.listObjects(bucketName, prefix || '', !!recursive, listOpts));
+  }, objectKey);
 };
 
 /**
@@ -405,130 +841,108 @@ MinioDB.prototype.listObjects = function(bucketName, prefix, recursive, listOpts
  * @param {string} bucketName - Name of the bucket.
  * @param {string} prefix - Prefix to filter the objects (optional).
  * @param {boolean} recursive - Indicates if the object listing should be recursive (optional).
- * @returns {Promise} A promise that resolves with the list of objects when the operation is successfully completed.
- *                    It rejects with an error if any problem occurs.
+ * @param {string} startAfter - Start listing after this object name (optional).
+ * @returns {Listing} A listing of the objects, to iterate with `for await` or read with `toArray()` or `page()`.
+ * @example
+ * const {items, nextToken} = await minioDB.listObjectsV2('my-bucket', 'photos/', true).page({limit: 50});
  */
-MinioDB.prototype.listObjectsV2 = function(bucketName, prefix, recursive) {
+MinioDB.prototype.listObjectsV2 = function(bucketName, prefix, recursive, startAfter) {
   const self = this;
   if (self.debug) {
-    debug('listObjectsV2: %s %s %s', bucketName, prefix, recursive);
+    debug('listObjectsV2: %s %s %s %s', bucketName, prefix, recursive, startAfter);
   }
-
-  return new Promise((resolve, reject) => {
-    const stream = self.client.listObjectsV2({Bucket: bucketName, Prefix: prefix, Recursive: recursive});
-    resolve(stream);
-    // self.client.listObjectsV2({Bucket: bucketName, Prefix: prefix, Recursive: recursive}, function(err, data) {
-    //   if (err) {
-    //     if (self.debug) {
-    //       g.error('{{MinioDB}} connection is failed: %s %s', self.settings.endpoint, err);
-    //     }
-    //     reject(err);
-    //   } else {
-    //     resolve(data);
-    //   }
-    // });
-  });
+  return new Listing(function(after) {
+    return self.trackStream(self.client.listObjectsV2(bucketName, prefix || '', !!recursive,
+      after || startAfter || ''));
+  }, objectKey);
 };
 /**
  * Lists objects in a bucket with their metadata using the ListObjectsV2 API of Minio.
  * @param {string} bucketName - The name of the bucket.
  * @param {string} [prefix] - The prefix to filter objects by their names (optional).
  * @param {boolean} [recursive] - Indicates whether to list objects recursively or not (optional, default: false).
- * @returns {Promise<Array<ObjectMetadata>>} A Promise that resolves with an array of object metadata.
+ * @param {string} [startAfter] - Start listing after this object name (optional).
+ * @returns {Listing} A listing of the objects with their metadata.
  * Each object metadata contains information about an object, such as its name, size, and last modified date.
- * @throws {Error} If there is an error listing the objects.
  * @example
- * minioDB.listObjectsV2WithMetadata('my-bucket')
- *   .then((objects) => {
- *     objects.forEach((object) => {
- *       console.log(`Name: ${object.name}`);
- *       console.log(`Size: ${object.size}`);
- *       console.log(`Last Modified: ${object.lastModified}`);
- *       console.log('---');
- *     });
- *   })
- *   .catch((error) => {
- *     // Error listing objects
- *   });
+ * const objects = await minioDB.listObjectsV2WithMetadata('my-bucket').toArray();
+ * objects.forEach((object) => {
+ *   console.log(`Name: ${object.name}`);
+ *   console.log(`Size: ${object.size}`);
+ *   console.log(`Last Modified: ${object.lastModified}`);
+ *   console.log('---');
+ * });
  */
 MinioDB.prototype.listObjectsV2WithMetadata = function(bucketName, prefix, recursive, startAfter) {
   const self = this;
   if (self.debug) {
-    debug('listObjectsV2WithMetadata: %s', bucketName);
+    debug('listObjectsV2WithMetadata: %s %s %s %s', bucketName, prefix, recursive, startAfter);
   }
-
-  return new Promise((resolve, reject) => {
-    const objects = [];
-    const stream = self.client.listObjectsV2(bucketName, prefix, recursive, startAfter);
-    resolve(stream);
-    // stream.on('data', (obj) => {
-    //   objects.push(obj);
-    // });
-
-    // stream.on('error', (err) => {
-    //   if (self.debug) {
-    //     g.error('{{MinioDB}} listObjectsV2WithMetadata is failed: %s %s', self.settings.endpoint, err);
-    //   }
-    //   reject(err);
-    // });
-
-    // stream.on('end', () => {
-    //   resolve(objects);
-    // });
-  });
+  return new Listing(function(after) {
+    return self.trackStream(self.client.extensions.listObjectsV2WithMetadata(bucketName, prefix || '', !!recursive,
+      after || startAfter || ''));
+  }, objectKey);
 };
 
 /**
  * Lists incomplete uploads in a Minio bucket.
- * https://min.io/docs/minio/linux/developers/javascript/API.html#listincompleteuploads-bucketname-prefix-recursive-listopts
  * @param {string} bucketName - Name of the bucket.
  * @param {string} prefix - Prefix to filter the uploads (optional).
  * @param {boolean} recursive - Indicates if the upload listing should be recursive (optional).
- * @param {function} callback - Callback function that handles the result or error.
+ * @returns {Listing} A listing of the uploads, each with `key`, `uploadId` and `size`.
  * @link https://min.io/docs/minio/linux/developers/javascript/API.html#listincompleteuploads-bucketname-prefix-recursive
  */
-MinioDB.prototype.listIncompleteUploads = function(bucketName, prefix, recursive, callback) {
+MinioDB.prototype.listIncompleteUploads = function(bucketName, prefix, recursive) {
   const self = this;
   if (self.debug) {
     debug('listIncompleteUploads: %s %s %s', bucketName, prefix, recursive);
   }
-  return new Promise((resolve, reject) => {
-    const stream = self.client.listIncompleteUploads({Bucket: bucketName, Prefix: prefix, Recursive: recursive});
-    resolve(stream);
-    // self.client.listIncompleteUploads({Bucket: bucketName, Prefix: prefix, Recursive: recursive}, function(err, data) {
-    //   if (err) {
-    //     if (self.debug) {
-    //       g.error('{{MinioDB}} connection is failed: %s %s', self.settings.endpoint, err);
-    //     }
-    //     callback(err);
-    //   } else {
-    //     callback(null, data);
-    //   }
-    // });
-  });
+  return new Listing(function() {
+    return self.trackStream(self.client.listIncompleteUploads(bucketName, prefix || '', !!recursive));
+  }, uploadKey);
+};
+
+/**
+ * List all versions and delete markers of the objects under a prefix, by name
+ * and from the latest version. Each item has `name`, `versionId`,
+ * `isLatest`, `isDeleteMarker`, `size`, `etag` and `lastModified`.
+ * @param {string} bucketName - Name of the bucket.
+ * @param {string} [prefix] - Prefix of the objects (optional).
+ * @returns {Listing} A listing of the versions, to iterate with `for await` or read with `toArray()` or `page()`.
+ * @example
+ * for await (const version of minioDB.listObjectVersions('my-bucket', 'reports/')) {
+ *   console.log(version.name, version.versionId, version.isLatest);
+ * }
+ */
+MinioDB.prototype.listObjectVersions = function(bucketName, prefix) {
+  const self = this;
+  if (self.debug) {
+    debug('listObjectVersions: %s %s', bucketName, prefix);
+  }
+  return new Listing(function(after) {
+    return self.trackStream(versions.listVersions(self.client, bucketName, prefix || '', after));
+  }, versionKey, {seeks: true});
 };
 
 /**
  * Retrieves the versioning status of a Minio bucket.
  * @param {string} bucketName - Name of the bucket.
- * @param {function} callback - Callback function that handles the result or error.
+ * @returns {Promise<Object>} A Promise that resolves with the versioning configuration, e.g. `{Status: 'Enabled'}`.
  * @link https://min.io/docs/minio/linux/developers/javascript/API.html#getbucketversioning-bucketname
  */
-MinioDB.prototype.getBucketVersioning = function(bucketName, callback) {
+MinioDB.prototype.getBucketVersioning = function(bucketName) {
   const self = this;
   if (self.debug) {
     debug('getBucketVersioning: %s', bucketName);
   }
-  callback = callback || function() { };
-  self.client.getBucketVersioning({Bucket: bucketName}, function(err, data) {
-    if (err) {
-      if (self.debug) {
-        g.error('{{MinioDB}} connection is failed: %s %s', self.settings.endpoint, err);
+  return new Promise((resolve, reject) => {
+    self.client.getBucketVersioning(bucketName, function(err, data) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(data);
       }
-      callback(err);
-    } else {
-      callback(null, data);
-    }
+    });
   });
 };
 /**
@@ -543,12 +957,9 @@ MinioDB.prototype.setBucketVersioning = function(bucketName, versioningConfig) {
   if (self.debug) {
     debug('setBucketVersioning: %s %s', bucketName, versioningConfig);
   }
-  new Promise((resolve, reject) => {
+  return new Promise((resolve, reject) => {
     self.client.setBucketVersioning(bucketName, versioningConfig, function(err, data) {
       if (err) {
-        if (self.debug) {
-          g.error('{{MinioDB}} connection is failed: %s %s', self.settings.endpoint, err);
-        }
         reject(err);
       } else {
         resolve(data);
@@ -571,9 +982,6 @@ MinioDB.prototype.setBucketReplication = function(bucketName, replicationConfig)
   return new Promise((resolve, reject) => {
     self.client.setBucketReplication(bucketName, replicationConfig, function(err, data) {
       if (err) {
-        if (self.debug) {
-          g.error('{{MinioDB}} connection failed: %s %s', self.settings.endpoint, err);
-        }
         reject(err);
       } else {
         resolve(data);
@@ -595,9 +1003,6 @@ MinioDB.prototype.getBucketReplication = function(bucketName) {
   return new Promise((resolve, reject) => {
     self.client.getBucketReplication(bucketName, function(err, data) {
       if (err) {
-        if (self.debug) {
-          g.error('{{MinioDB}} connection failed: %s %s', self.settings.endpoint, err);
-        }
         reject(err);
       } else {
         resolve(data);
@@ -620,9 +1025,6 @@ MinioDB.prototype.removeBucketReplication = function(bucketName) {
   return new Promise((resolve, reject) => {
     self.client.removeBucketReplication(bucketName, function(err, data) {
       if (err) {
-        if (self.debug) {
-          g.error('{{MinioDB}} connection failed: %s %s', self.settings.endpoint, err);
-        }
         reject(err);
       } else {
         resolve(data);
@@ -645,9 +1047,6 @@ MinioDB.prototype.getBucketTagging = function(bucketName, callback) {
   return new Promise((resolve, reject) => {
     self.client.getBucketTagging(bucketName, function(err, data) {
       if (err) {
-        if (self.debug) {
-          g.error('{{MinioDB}} connection failed: %s %s', self.settings.endpoint, err);
-        }
         reject(err);
       } else {
         resolve(data);
@@ -670,9 +1069,6 @@ MinioDB.prototype.setBucketTagging = function(bucketName, tags, callback) {
   return new Promise((resolve, reject) => {
     self.client.setBucketTagging(bucketName, tags, function(err, data) {
       if (err) {
-        if (self.debug) {
-          g.error('{{MinioDB}} connection failed: %s %s', self.settings.endpoint, err);
-        }
         reject(err);
       } else {
         resolve(data);
@@ -695,9 +1091,6 @@ MinioDB.prototype.removeBucketTagging = function(bucketName, callback) {
   return new Promise((resolve, reject) => {
     self.client.removeBucketTagging(bucketName, function(err, data) {
       if (err) {
-        if (self.debug) {
-          g.error('{{MinioDB}} connection failed: %s %s', self.settings.endpoint, err);
-        }
         reject(err);
       } else {
         resolve(data);
@@ -740,11 +1133,8 @@ MinioDB.prototype.setBucketLifecycle = function(bucketName, lifecycleConfig) {
     debug('setBucketLifecycle: %s', bucketName, lifecycleConfig);
   }
   return new Promise((resolve, reject) => {
-    self.client.putBucketLifecycleConfiguration(bucketName, lifecycleConfig, function(err, data) {
+    self.client.setBucketLifecycle(bucketName, lifecycleConfig, function(err, data) {
       if (err) {
-        if (self.debug) {
-          g.error('{{MinioDB}} connection is failed: %s %s', self.settings.endpoint, err);
-        }
         reject(err);
       } else {
         resolve(data);
@@ -765,11 +1155,8 @@ MinioDB.prototype.getBucketLifecycle = function(bucketName) {
     debug('getBucketLifecycle: %s', bucketName);
   }
   return new Promise((resolve, reject) => {
-    self.client.getBucketLifecycleConfiguration(bucketName, function(err, data) {
+    self.client.getBucketLifecycle(bucketName, function(err, data) {
       if (err) {
-        if (self.debug) {
-          g.error('{{MinioDB}} connection is failed: %s %s', self.settings.endpoint, err);
-        }
         reject(err);
       } else {
         resolve(data);
@@ -790,11 +1177,8 @@ MinioDB.prototype.removeBucketLifecycle = function(bucketName) {
     debug('removeBucketLifecycle: %s', bucketName);
   }
   return new Promise((resolve, reject) => {
-    self.client.removeBucketLifecycleConfiguration(bucketName, function(err, data) {
+    self.client.removeBucketLifecycle(bucketName, function(err, data) {
       if (err) {
-        if (self.debug) {
-          g.error('{{MinioDB}} connection is failed: %s %s', self.settings.endpoint, err);
-        }
         reject(err);
       } else {
         resolve(data);
@@ -816,11 +1200,8 @@ MinioDB.prototype.setObjectLockConfig = function(bucketName, lockConfig) {
     debug('setObjectLockConfig: %s %s', bucketName, lockConfig);
   }
   return new Promise((resolve, reject) => {
-    self.client.putObjectLockConfiguration(bucketName, lockConfig, function(err, data) {
+    self.client.setObjectLockConfig(bucketName, lockConfig, function(err, data) {
       if (err) {
-        if (self.debug) {
-          g.error('{{MinioDB}} connection is failed: %s %s', self.settings.endpoint, err);
-        }
         reject(err);
       } else {
         resolve(data);
@@ -841,11 +1222,8 @@ MinioDB.prototype.getObjectLockConfig = function(bucketName) {
     debug('getObjectLockConfig: %s', bucketName);
   }
   return new Promise((resolve, reject) => {
-    self.client.getObjectLockConfiguration(bucketName, function(err, data) {
+    self.client.getObjectLockConfig(bucketName, function(err, data) {
       if (err) {
-        if (self.debug) {
-          g.error('{{MinioDB}} connection is failed: %s %s', self.settings.endpoint, err);
-        }
         reject(err);
       } else {
         resolve(data);
@@ -868,9 +1246,6 @@ MinioDB.prototype.getBucketEncryption = function(bucketName) {
   return new Promise((resolve, reject) => {
     self.client.getBucketEncryption(bucketName, function(err, data) {
       if (err) {
-        if (self.debug) {
-          g.error('{{MinioDB}} connection is failed: %s %s', self.settings.endpoint, err);
-        }
         reject(err);
       } else {
         resolve(data);
@@ -894,9 +1269,6 @@ MinioDB.prototype.setBucketEncryption = function(bucketName, encryptionConfig) {
   return new Promise((resolve, reject) => {
     self.client.setBucketEncryption(bucketName, encryptionConfig, function(err, data) {
       if (err) {
-        if (self.debug) {
-          g.error('{{MinioDB}} connection is failed: %s %s', self.settings.endpoint, err);
-        }
         reject(err);
       } else {
         resolve(data);
@@ -919,9 +1291,6 @@ MinioDB.prototype.removeBucketEncryption = function(bucketName) {
   return new Promise((resolve, reject) => {
     self.client.removeBucketEncryption(bucketName, function(err, data) {
       if (err) {
-        if (self.debug) {
-          g.error('{{MinioDB}} connection is failed: %s %s', self.settings.endpoint, err);
-        }
         reject(err);
       } else {
         resolve(data);
@@ -942,11 +1311,8 @@ MinioDB.prototype.getObjectLockConfig = function(bucketName) {
     debug('getObjectLockConfig: %s', bucketName);
   }
   return new Promise((resolve, reject) => {
-    self.client.getObjectLockConfiguration(bucketName, function(err, data) {
+    self.client.getObjectLockConfig(bucketName, function(err, data) {
       if (err) {
-        if (self.debug) {
-          g.error('{{MinioDB}} connection is failed: %s %s', self.settings.endpoint, err);
-        }
         reject(err);
       } else {
         resolve(data);
@@ -957,103 +1323,244 @@ MinioDB.prototype.getObjectLockConfig = function(bucketName) {
 
 /// Object operations ///
 
-/**
- * Retrieves an object from a Minio bucket.
- * @param {string} bucketName - Name of the bucket.
- * @param {string} objectName - Name of the object.
- * @returns {Promise<Buffer>} A Promise that resolves with the object data as a Buffer.
- * @link https://min.io/docs/minio/linux/developers/javascript/API.html#getobject-bucketname-objectname-getopts-callback
+/*!
+ * Largest body read into memory by the `buffer`, `text` and `json` read modes,
+ * unless overridden with the `maxReadSize` setting or the `maxSize` option
  */
-MinioDB.prototype.getObject = function(bucketName, objectName, getOpts) {
-  const self = this;
-  if (self.debug) {
-    debug('getObject: %s %s %s', bucketName, objectName, getOpts);
-  }
+const DEFAULT_MAX_READ_SIZE = 64 * 1024 * 1024;
 
-  return new Promise((resolve, reject) => {
-    const stream = self.client.getObject(bucketName, objectName, getOpts);
-    resolve(stream);
-    // self.client.getObject(params, function(err, dataStream) {
-    //   if (err) {
-    //     if (self.debug) {
-    //       g.error('{{MinioDB}} connection failed: %s %s', self.settings.endpoint, err);
-    //     }
-    //     reject(err);
-    //   } else {
-    //     const chunks = [];
-    //     dataStream.on('data', function(chunk) {
-    //       chunks.push(chunk);
-    //     });
-    //     dataStream.on('end', function() {
-    //       const buffer = Buffer.concat(chunks);
-    //       resolve(buffer);
-    //     });
-    //     dataStream.on('error', function(err) {
-    //       reject(err);
-    //     });
-    //   }
-    // });
-  });
-};
-/**
- * Retrieves a partial object from a Minio bucket(reads 30 bytes from the offset 10.).
- * @param {string} bucketName - Name of the bucket.
- * @param {string} objectName - Name of the object.
- * @param {number} offset - Offset in bytes.
- * @param {number} length - Length in bytes.
- * @param {object} getOpts - Optional parameters.
- * @returns {Promise} A Promise that resolves with the buffer or rejects with an error.
- * @link https://min.io/docs/minio/linux/developers/javascript/API.html#getpartialobject-bucketname-objectname-offset-length-getopts-callback
- */
-MinioDB.prototype.getPartialObject = function(bucketName, objectName, offset, length, getOpts) {
-  const self = this;
-  if (self.debug) {
-    debug('getPartialObject: %s %s %d %d %s', bucketName, objectName, offset, length, getOpts);
-  }
-  return new Promise((resolve, reject) => {
-    const chunks = [];
-    // reads 30 bytes from the offset 10.
-    const dataStream = self.client.getPartialObject(bucketName, objectName, offset, length, getOpts);
-    resolve(dataStream);
-    // dataStream.on('data', function(chunk) {
-    //   chunks.push(chunk);
-    // });
-    // dataStream.on('end', function() {
-    //   const buffer = Buffer.concat(chunks);
-    //   resolve(buffer);
-    // });
-    // dataStream.on('error', function(err) {
-    //   if (self.debug) {
-    //     g.error('{{MinioDB}} connection is failed: %s %s', self.settings.endpoint, err);
-    //   }
-    //   reject(err);
-    // });
-  });
-};
-/**
- * Retrieves an object from a Minio bucket and saves it to a file.
- * @param {string} bucketName - Name of the bucket.
- * @param {string} objectName - Name of the object.
- * @param {string} filePath - Path to the file.
- * @returns {Promise} A Promise that resolves with the stat or rejects with an error.
- * @link https://min.io/docs/minio/linux/developers/javascript/API.html#fgetobject-bucketname-objectname-filepath-getopts-callback
+const READ_MODES = ['stream', 'buffer', 'text', 'json'];
+
+/*!
+ * Split the read mode options from the options sent to minio
+ * @param {Object} [getOpts] The options given by the caller
+ * @param {Object} settings The data source settings
+ * @returns {{getOpts: Object, as: string, maxSize: number, encoding: string, checksum: string|boolean}}
  */
-MinioDB.prototype.fGetObject = function(bucketName, objectName, filePath) {
+function splitReadOptions(getOpts, settings) {
+  const opts = Object.assign({}, getOpts);
+  const read = {
+    as: opts.as || 'stream',
+    maxSize: opts.maxSize || settings.maxReadSize || DEFAULT_MAX_READ_SIZE,
+    encoding: opts.encoding,
+    checksum: opts.checksum,
+  };
+  delete opts.as;
+  delete opts.maxSize;
+  delete opts.encoding;
+  delete opts.checksum;
+  read.getOpts = opts;
+  return read;
+}
+
+/*!
+ * Get the charset of a response stream from its Content-Type header
+ */
+function streamCharset(stream) {
+  const contentType = stream.headers && stream.headers['content-type'];
+  const match = contentType && /charset=["']?([^;"'\s]+)/i.exec(contentType);
+  return match ? match[1].toLowerCase() : undefined;
+}
+
+/*!
+ * Create the error for a body exceeding the max read size
+ */
+function tooLargeError(size, maxSize) {
+  const err = new Error(g.f('Object of %s bytes exceeds the max read size of %s bytes', size, maxSize));
+  err.code = 'EntityTooLarge';
+  err.statusCode = 413;
+  return err;
+}
+
+/*!
+ * Collect a readable stream into a single Buffer
+ * @param {ReadableStream} stream The stream to read
+ * @param {number} [maxSize] Reject and destroy the stream past this many bytes
+ * @returns {Promise<Buffer>}
+ */
+function readStream(stream, maxSize) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const length = stream.headers && parseInt(stream.headers['content-length'], 10);
+    if (maxSize && length > maxSize) {
+      stream.destroy();
+      return reject(tooLargeError(length, maxSize));
+    }
+    stream.on('data', function(chunk) {
+      size += chunk.length;
+      if (maxSize && size > maxSize) {
+        stream.destroy();
+        return reject(tooLargeError(size, maxSize));
+      }
+      chunks.push(chunk);
+    });
+    stream.on('end', function() {
+      resolve(Buffer.concat(chunks));
+    });
+    stream.on('error', reject);
+    stream.on('aborted', function() {
+      reject(new Error(g.f('{{MinioDB}} response aborted')));
+    });
+  });
+}
+
+/*!
+ * Read an object stream according to the read mode
+ * @param {ReadableStream} stream The object stream
+ * @param {Object} read The read options from `splitReadOptions`
+ * @returns {Promise<ReadableStream|Buffer|string|*>}
+ */
+function readBody(stream, read) {
+  if (read.as === 'stream') return Promise.resolve(stream);
+  return readStream(stream, read.maxSize).then(function(buffer) {
+    if (read.as === 'buffer') return buffer;
+    const charset = read.encoding || streamCharset(stream) || 'utf8';
+    const text = Buffer.isEncoding(charset) ? buffer.toString(charset) : new util.TextDecoder(charset).decode(buffer);
+    return read.as === 'json' ? JSON.parse(text) : text;
+  });
+}
+
+/*!
+ * Start reading an object with the read mode of the options
+ * @param {MinioDB} self The connector
+ * @param {string} operation The client operation, `getObject` or `getPartialObject`
+ * @param {Array} args The client arguments, without the get options
+ * @param {Object} getOpts The options given by the caller
+ * @param {Function} [callback] The callback function
+ * @returns {Promise}
+ */
+function getObjectAs(self, operation, args, getOpts, callback) {
+  const read = splitReadOptions(getOpts, self.settings);
+  const promise = new Promise((resolve, reject) => {
+    if (READ_MODES.indexOf(read.as) === -1) {
+      throw new TypeError(g.f('Invalid read mode %s, expected one of %s', read.as, READ_MODES.join(', ')));
+    }
+    if (read.checksum && operation === 'getPartialObject') {
+      throw new TypeError(g.f('Checksums are only verified on whole objects'));
+    }
+    self.client[operation].apply(self.client, args.concat(read.getOpts, function(err, dataStream) {
+      if (err) {
+        reject(normalizeError(err, errorDetails(operation, args)));
+      } else if (read.checksum) {
+        resolve(self.trackStream(checksum.verifyStream(dataStream, read.checksum,
+          {bucketName: args[0], objectName: args[1]})));
+      } else {
+        resolve(self.trackStream(dataStream));
+      }
+    }));
+  }).then(function(dataStream) {
+    return readBody(dataStream, read);
+  });
+  if (callback) {
+    promise.then(function(result) {
+      callback(null, result);
+    }, callback);
+  }
+  return promise;
+}
+
+/**
+ * Retrieves an object from a Minio bucket.
+ * @param {string} bucketName - Name of the bucket.
+ * @param {string} objectName - Name of the object.
+ * @param {object} [getOpts] - Options for minio, e.g. `{versionId: 'my-versionId'}`, plus the read options:
+ *   - as: Read mode, one of `'stream'` (default), `'buffer'`, `'text'` or `'json'`.
+ *   - maxSize: Largest body in bytes read into memory by the buffered modes. Defaults to the `maxReadSize`
+ *     setting or 64MB.
+ *   - encoding: Charset of the `text` and `json` modes. Defaults to the charset of the Content-Type, or utf8.
+ *   - checksum: `true` or an algorithm to verify the object against the checksum stored by `putObject`. A
+ *     mismatch fails the stream, or rejects the buffered modes, with an `IntegrityError`.
+ * @param {Function} [callback] - Callback function, called with the result.
+ * @returns {Promise<ReadableStream|Buffer|string|*>} A Promise that resolves with the object in the read mode.
+ * @link https://min.io/docs/minio/linux/developers/javascript/API.html#getobject-bucketname-objectname-getopts-callback
+ * @example
+ * const config = await minioDB.getObject('my-bucket', 'config.json', {as: 'json'});
+ */
+MinioDB.prototype.getObject = function(bucketName, objectName, getOpts, callback) {
+  const self = this;
+  if (typeof getOpts === 'function') {
+    callback = getOpts;
+    getOpts = undefined;
+  }
+  if (self.debug) {
+    debug('getObject: %s %s %j', bucketName, objectName, getOpts);
+  }
+  return getObjectAs(self, 'getObject', [bucketName, objectName], getOpts, callback);
+};
+/**
+ * Retrieves a partial object from a Minio bucket, e.g. 30 bytes from the offset 10.
+ * @param {string} bucketName - Name of the bucket.
+ * @param {string} objectName - Name of the object.
+ * @param {number} offset - Offset in bytes.
+ * @param {number} length - Length in bytes.
+ * @param {object} [getOpts] - Options for minio plus the read options `as`, `maxSize` and `encoding`,
+ * see `getObject`.
+ * @param {Function} [callback] - Callback function, called with the result.
+ * @returns {Promise<ReadableStream|Buffer|string|*>} A Promise that resolves with the range in the read mode.
+ * @link https://min.io/docs/minio/linux/developers/javascript/API.html#getpartialobject-bucketname-objectname-offset-length-getopts-callback
+ * @example
+ * const header = await minioDB.getPartialObject('my-bucket', 'data.bin', 0, 16, {as: 'buffer'});
+ */
+MinioDB.prototype.getPartialObject = function(bucketName, objectName, offset, length, getOpts, callback) {
+  const self = this;
+  if (typeof getOpts === 'function') {
+    callback = getOpts;
+    getOpts = undefined;
+  }
+  if (self.debug) {
+    debug('getPartialObject: %s %s %d %d %j', bucketName, objectName, offset, length, getOpts);
+  }
+  return getObjectAs(self, 'getPartialObject', [bucketName, objectName, offset, length], getOpts, callback);
+};
+/**
+ * Retrieves an object from a Minio bucket and saves it to a file.
+ * @param {string} bucketName - Name of the bucket.
+ * @param {string} objectName - Name of the object.
+ * @param {string} filePath - Path to the file.
+ * @param {object} [getOpts] - Options, such as `versionId`, an `onProgress`
+ * function called with `{loaded, total}` as the object is written to the file,
+ * and `checksum`, `true` or an algorithm to verify the file against the checksum
+ * stored by `putObject`. On mismatch the file is removed and the promise rejects
+ * with an `IntegrityError`.
+ * @returns {Promise} A Promise that resolves with the stat or rejects with an error.
+ * @link https://min.io/docs/minio/linux/developers/javascript/API.html#fgetobject-bucketname-objectname-filepath-getopts-callback
+ * @example
+ * await minioDB.fGetObject('my-bucket', 'video.mp4', '/tmp/video.mp4', {
+ *   onProgress: (p) => console.log('%d of %d bytes', p.loaded, p.total),
+ * });
+ */
+MinioDB.prototype.fGetObject = function(bucketName, objectName, filePath, getOpts) {
   const self = this;
   if (self.debug) {
     debug('fGetObject: %s %s %s', bucketName, objectName, filePath);
   }
+  const split = progress.splitProgress(getOpts);
+  const sum = checksum.splitChecksum(split.options);
+  let client = split.onProgress ? progress.trackClient(self.client, split.onProgress) : self.client;
+  if (sum.checksum) {
+    client = checksum.headersClient(client);
+  }
   return new Promise((resolve, reject) => {
-    self.client.fGetObject(bucketName, objectName, filePath, function(err, stat) {
+    client.fGetObject(bucketName, objectName, filePath, sum.options, function(err, stat) {
       if (err) {
-        if (self.debug) {
-          g.error('{{MinioDB}} connection is failed: %s %s', self.settings.endpoint, err);
-        }
         reject(err);
       } else {
         resolve(stat);
       }
     });
+  }).then(function(stat) {
+    if (!sum.checksum) {
+      return stat;
+    }
+    const details = {bucketName: bucketName, objectName: objectName};
+    return checksum.verifyFile(filePath, client.headers, sum.checksum, details).then(function() {
+      return stat;
+    }, function(err) {
+      return fs.promises.rm(filePath, {force: true}).then(function() {
+        throw err;
+      });
+    });
   });
 };
 
@@ -1063,7 +1570,13 @@ MinioDB.prototype.fGetObject = function(bucketName, objectName, filePath) {
  * @param {string} objectName - Name of the object.
  * @param {ReadableStream} stream - Readable stream to upload.
  * @param {number} size - Size of the object in bytes.
- * @param {object} putOpts - Options for the putObject operation.
+ * @param {object} putOpts - Options for the putObject operation: the metadata
+ * of the object, an `onProgress` function called with `{loaded, total, parts,
+ * completedParts}` as the body is read, `completedParts` counting the parts
+ * read rather than those stored, and `checksum`, one of `md5`, `sha256` or
+ * `crc32c`, to store the checksum of the body in the `checksum-<algorithm>`
+ * metadata. A stream body is then copied to a temporary file while it is hashed.
+ * With the `compression` setting, a body of an allowed `Content-Type` is compressed.
  * @returns {Promise} A Promise that resolves with the etag or rejects with an error.
  * @link https://min.io/docs/minio/linux/developers/javascript/API.html#putobject-bucketname-objectname-stream-size-metadata-callback
  * @example
@@ -1087,12 +1600,31 @@ MinioDB.prototype.putObject = function(bucketName, objectName, stream, size, put
   if (self.debug) {
     debug('putObject: %s %s %j', bucketName, objectName, putOpts);
   }
+  if (size && typeof size === 'object') {
+    putOpts = size;
+    size = undefined;
+  }
+  const split = progress.splitProgress(putOpts);
+  const sum = checksum.splitChecksum(split.options);
+  const client = split.onProgress ? progress.trackClient(self.client, split.onProgress) : self.client;
+  if (sum.checksum) {
+    return checksum.digestBody(stream, sum.checksum).then(function(body) {
+      const metaData = Object.assign({}, sum.options, {[checksum.metaDataKey(sum.checksum)]: body.value});
+      return new Promise((resolve, reject) => {
+        checksum.checksumClient(self.compressClient(client), sum.checksum, body.value)
+          .putObject(bucketName, objectName, body.body, body.size, metaData, function(err, etag) {
+            if (err) {
+              reject(err);
+            } else {
+              resolve(etag);
+            }
+          });
+      }).finally(body.cleanup);
+    });
+  }
   return new Promise((resolve, reject) => {
-    self.client.putObject(bucketName, objectName, stream, size, putOpts, function(err, etag) {
+    self.compressClient(client).putObject(bucketName, objectName, stream, size, split.options, function(err, etag) {
       if (err) {
-        if (self.debug) {
-          g.error('{{MinioDB}} connection is failed: %s %s', self.settings.endpoint, err);
-        }
         reject(err);
       } else {
         resolve(etag);
@@ -1106,6 +1638,9 @@ MinioDB.prototype.putObject = function(bucketName, objectName, stream, size, put
  * @param {string} bucketName - Name of the bucket.
  * @param {string} objectName - Name of the object.
  * @param {string} filePath - Path to the file.
+ * @param {object} [metaData] - Metadata of the object, an `onProgress` function
+ * called with `{loaded, total, parts, completedParts}` as the file is read, and
+ * `checksum` to store the checksum of the file, see `putObject`.
  * @returns {Promise} A Promise that resolves with the stat or rejects with an error.
  * @link https://min.io/docs/minio/linux/developers/javascript/API.html#fputobject-bucketname-objectname-filepath-metadata-callback
  * @example
@@ -1123,71 +1658,110 @@ MinioDB.prototype.putObject = function(bucketName, objectName, stream, size, put
  *     console.log("Success", objInfo.etag, objInfo.versionId)
  * })
  */
-MinioDB.prototype.fPutObject = function(bucketName, objectName, filePath) {
+MinioDB.prototype.fPutObject = function(bucketName, objectName, filePath, metaData) {
   const self = this;
   if (self.debug) {
     debug('fPutObject: %s %s %s', bucketName, objectName, filePath);
   }
-  return new Promise((resolve, reject) => {
-    self.client.fPutObject(bucketName, objectName, filePath, function(err, stat) {
-      if (err) {
-        if (self.debug) {
-          g.error('{{MinioDB}} connection is failed: %s %s', self.settings.endpoint, err);
+  const split = progress.splitProgress(metaData);
+  const sum = checksum.splitChecksum(split.options);
+  const client = split.onProgress ? progress.trackClient(self.client, split.onProgress) : self.client;
+  const digest = sum.checksum ? checksum.digestFile(filePath, sum.checksum) : Promise.resolve();
+  return digest.then(function(value) {
+    const options = Object.assign({}, sum.options);
+    let upload = self.compressClient(client);
+    if (value) {
+      options[checksum.metaDataKey(sum.checksum)] = value;
+      upload = checksum.checksumClient(upload, sum.checksum, value);
+    }
+    return new Promise((resolve, reject) => {
+      upload.fPutObject(bucketName, objectName, filePath, options, function(err, stat) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(stat);
         }
-        reject(err);
-      } else {
-        resolve(stat);
-      }
+      });
     });
   });
 };
 
 /**
- * Copies an object from one Minio bucket to another.
+ * Copies an object from one Minio bucket to another, with its metadata and tags.
  * @param {string} bucketName - Name of the source bucket.
  * @param {string} objectName - Name of the source object.
- * @param {string} destBucket - Name of the destination bucket.
+ * @param {string} destBucket - Name of the destination bucket, `null` for the source bucket.
  * @param {string} destObjectName - Name of the destination object.
+ * @param {object} [copyOpts] - Options of the copy: `versionId` of the source version, the latest by default.
  * @returns {Promise} A Promise that resolves with the stat or rejects with an error.
  * @link https://min.io/docs/minio/linux/developers/javascript/API.html#copyobject-bucketname-objectname-sourceobject-conditions-callback
  */
-MinioDB.prototype.copyObject = function(bucketName, objectName, destBucket, destObjectName) {
+MinioDB.prototype.copyObject = function(bucketName, objectName, destBucket, destObjectName, copyOpts) {
   const self = this;
   if (self.debug) {
-    debug('copyObject: %s %s %s %s', bucketName, objectName, destBucket, destObjectName);
+    debug('copyObject: %s %s %s %s %j', bucketName, objectName, destBucket, destObjectName, copyOpts);
+  }
+  const versionId = copyOpts && copyOpts.versionId;
+  if (destBucket == null) {
+    destBucket = bucketName;
   }
   return new Promise((resolve, reject) => {
-    self.client.copyObject(bucketName, objectName, destBucket, destObjectName, function(err, stat) {
+    function done(err, stat) {
       if (err) {
-        if (self.debug) {
-          g.error('{{MinioDB}} copyObject is failed: %s %s', self.settings.endpoint, err);
-        }
         reject(err);
       } else {
         resolve(stat);
       }
-    });
+    }
+    if (versionId) {
+      // Only the version 2 of the method copies a version
+      self.client.copyObject(
+        new minio.CopySourceOptions({Bucket: bucketName, Object: objectName, VersionID: versionId}),
+        new minio.CopyDestinationOptions({Bucket: destBucket, Object: destObjectName}),
+        done,
+      );
+    } else {
+      self.client.copyObject(destBucket, destObjectName, '/' + bucketName + '/' + objectName, done);
+    }
   });
 };
 
+/**
+ * Make an older version of an object its latest version, by copying it over
+ * the object. The versions in between are kept, so the restore can be undone.
+ * @param {string} bucketName - Name of the bucket.
+ * @param {string} objectName - Name of the object.
+ * @param {string} versionId - The version to restore.
+ * @returns {Promise<{etag: string, lastModified: Date, versionId: string}>} A Promise that resolves with the
+ * new latest version.
+ * @example
+ * const [, previous] = await minioDB.listObjectVersions('my-bucket', 'config.json').toArray();
+ * await minioDB.restoreVersion('my-bucket', 'config.json', previous.versionId);
+ */
+MinioDB.prototype.restoreVersion = function(bucketName, objectName, versionId) {
+  const self = this;
+  if (self.debug) {
+    debug('restoreVersion: %s %s %s', bucketName, objectName, versionId);
+  }
+  return versions.restoreVersion(self, bucketName, objectName, versionId);
+};
+
 /**
  * Retrieves metadata of an object in a Minio bucket.
  * @param {string} bucketName - Name of the bucket.
  * @param {string} objectName - Name of the object.
+ * @param {object} [statOpts] - Options of the stat: `versionId` of the version, the latest by default.
  * @returns {Promise} A Promise that resolves with the stat or rejects with an error.
  * @link https://min.io/docs/minio/linux/developers/javascript/API.html#statobject-bucketname-objectname-statopts-callback
  */
-MinioDB.prototype.statObject = function(bucketName, objectName) {
+MinioDB.prototype.statObject = function(bucketName, objectName, statOpts) {
   const self = this;
   if (self.debug) {
-    debug('statObject: %s %s', bucketName, objectName);
+    debug('statObject: %s %s %j', bucketName, objectName, statOpts);
   }
   return new Promise((resolve, reject) => {
-    self.client.statObject(bucketName, objectName, function(err, stat) {
+    self.client.statObject(bucketName, objectName, statOpts || {}, function(err, stat) {
       if (err) {
-        if (self.debug) {
-          g.error('{{MinioDB}} connection is failed: %s %s', self.settings.endpoint, err);
-        }
         reject(err);
       } else {
         resolve(stat);
@@ -1212,9 +1786,6 @@ MinioDB.prototype.removeObject = function(bucketName, objectName, removeOpts) {
   return new Promise((resolve, reject) => {
     self.client.removeObject(bucketName, objectName, removeOpts, function(err) {
       if (err) {
-        if (self.debug) {
-          g.error('{{MinioDB}} connection is failed: %s %s', self.settings.endpoint, err);
-        }
         reject(err);
       } else {
         resolve(true);
@@ -1238,9 +1809,6 @@ MinioDB.prototype.removeObjects = function(bucketName, objectList) {
   return new Promise((resolve, reject) => {
     self.client.removeObjects(bucketName, objectList, function(err, data) {
       if (err) {
-        if (self.debug) {
-          g.error('{{MinioDB}} connection is failed: %s %s', self.settings.endpoint, err);
-        }
         reject(err);
       } else {
         resolve(data);
@@ -1264,9 +1832,6 @@ MinioDB.prototype.removeIncompleteUpload = function(bucketName, objectName) {
   return new Promise((resolve, reject) => {
     self.client.removeIncompleteUpload(bucketName, objectName, function(err, data) {
       if (err) {
-        if (self.debug) {
-          g.error('{{MinioDB}} connection is failed: %s %s', self.settings.endpoint, err);
-        }
         reject(err);
       } else {
         resolve(data);
@@ -1291,9 +1856,6 @@ MinioDB.prototype.putObjectRetention = function(bucketName, objectName, retentio
   return new Promise((resolve, reject) => {
     self.client.putObjectRetention(bucketName, objectName, retentionOpts, function(err, data) {
       if (err) {
-        if (self.debug) {
-          g.error('{{MinioDB}} connection is failed: %s %s', self.settings.endpoint, err);
-        }
         reject(err);
       } else {
         resolve(data);
@@ -1318,9 +1880,6 @@ MinioDB.prototype.getObjectRetention = function(bucketName, objectName, getOpts)
   return new Promise((resolve, reject) => {
     self.client.getObjectRetention(bucketName, objectName, getOpts, function(err, data) {
       if (err) {
-        if (self.debug) {
-          g.error('{{MinioDB}} connection is failed: %s %s', self.settings.endpoint, err);
-        }
         reject(err);
       } else {
         resolve(data);
@@ -1344,15 +1903,8 @@ MinioDB.prototype.setObjectRetention = function(bucketName, objectName, mode, re
     debug('setObjectRetention: %s %s %s %s', bucketName, objectName, mode, retainUntilDate);
   }
   return new Promise((resolve, reject) => {
-    self.client.setObjectRetention(bucketName, objectName, mode, retainUntilDate, function(err) {
+    self.client.putObjectRetention(bucketName, objectName, {mode, retainUntilDate}, function(err) {
       if (err) {
-        if (self.debug) {
-          g.error(
-            '{{MinioDB}} setObjectRetention is failed: %s %s',
-            self.settings.endpoint,
-            err,
-          );
-        }
         reject(err);
       } else {
         resolve();
@@ -1376,11 +1928,8 @@ MinioDB.prototype.setObjectTagging = function(bucketName, objectName, tags, putO
     debug('setObjectTagging: %s %s', bucketName, objectName, tags, putOpts);
   }
   return new Promise((resolve, reject) => {
-    self.client.putObjectTagging(bucketName, objectName, tags, putOpts, function(err, data) {
+    self.client.setObjectTagging(bucketName, objectName, tags, putOpts, function(err, data) {
       if (err) {
-        if (self.debug) {
-          g.error('{{MinioDB}} connection failed: %s %s', self.settings.endpoint, err);
-        }
         reject(err);
       } else {
         resolve(data);
@@ -1405,9 +1954,6 @@ MinioDB.prototype.removeObjectTagging = function(bucketName, objectName, removeo
   return new Promise((resolve, reject) => {
     self.client.removeObjectTagging(bucketName, objectName, removeopts, function(err, data) {
       if (err) {
-        if (self.debug) {
-          g.error('{{MinioDB}} connection failed: %s %s', self.settings.endpoint, err);
-        }
         reject(err);
       } else {
         resolve(data);
@@ -1432,9 +1978,6 @@ MinioDB.prototype.getObjectTagging = function(bucketName, objectName, getOpts) {
   return new Promise((resolve, reject) => {
     self.client.getObjectTagging(bucketName, objectName, getOpts, function(err, data) {
       if (err) {
-        if (self.debug) {
-          g.error('{{MinioDB}} connection failed: %s %s', self.settings.endpoint, err);
-        }
         reject(err);
       } else {
         resolve(data);
@@ -1459,9 +2002,6 @@ MinioDB.prototype.getObjectLegalHold = function(bucketName, objectName, getOpts)
   return new Promise((resolve, reject) => {
     self.client.getObjectLegalHold(bucketName, objectName, getOpts, function(err, data) {
       if (err) {
-        if (self.debug) {
-          g.error('{{MinioDB}} connection failed: %s %s', self.settings.endpoint, err);
-        }
         reject(err);
       } else {
         resolve(data);
@@ -1486,9 +2026,6 @@ MinioDB.prototype.setObjectLegalHold = function(bucketName, objectName, setOpts)
   return new Promise((resolve, reject) => {
     self.client.setObjectLegalHold(bucketName, objectName, setOpts, function(err, data) {
       if (err) {
-        if (self.debug) {
-          g.error('{{MinioDB}} connection failed: %s %s', self.settings.endpoint, err);
-        }
         reject(err);
       } else {
         resolve(data);
@@ -1512,9 +2049,6 @@ MinioDB.prototype.composeObject = function(bucketName, sourceObjectList) {
   return new Promise((resolve, reject) => {
     self.client.composeObject(bucketName, sourceObjectList, function(err, data) {
       if (err) {
-        if (self.debug) {
-          g.error('{{MinioDB}} connection failed: %s %s', self.settings.endpoint, err);
-        }
         reject(err);
       } else {
         resolve(data);
@@ -1528,6 +2062,8 @@ MinioDB.prototype.composeObject = function(bucketName, sourceObjectList) {
  * @param {string} bucketName - Name of the bucket.
  * @param {string} objectName - Name of the object.
  * @param {object} selectOpts - Default is {}. e.g {expression:"select * from S3Object",inputSerialization:{JSON:{Type:"Lines"}},outputSerialization:{JSON:{RecordDelimiter:"\n"}}}. (Optional)
+ * @param {object} [metaData] - The metadata of the object when already known, e.g. from `listObjectsV2WithMetadata`, to
+ * find its compression without reading its metadata first. (Optional)
  * @returns {Promise} A Promise that resolves with the result or rejects with an error.
  * @link https://min.io/docs/minio/linux/developers/javascript/API.html#selectobjectcontent-bucketname-objectname-selectopts-callback
  * @example
@@ -1551,35 +2087,35 @@ MinioDB.prototype.composeObject = function(bucketName, sourceObjectList) {
  *   console.log('Success')
  * })
  */
-MinioDB.prototype.selectObjectContent = function(bucketName, objectName, selectOpts) {
+MinioDB.prototype.selectObjectContent = function(bucketName, objectName, selectOpts, metaData) {
   const self = this;
   if (self.debug) {
     debug('selectObjectContent: %s %s', bucketName, objectName, selectOpts);
   }
-  return new Promise((resolve, reject) => {
-    const eventStream = self.client.selectObjectContent(bucketName, objectName, selectOpts);
-    resolve(eventStream);
-    // const chunks = [];
-    // eventStream.on('data', function(event) {
-    //   if (event.Records) {
-    //     chunks.push(event.Records.Payload.toString());
-    //   }
-    // });
-    // eventStream.on('error', function(err) {
-    //   if (self.debug) {
-    //     g.error('{{MinioDB}} connection failed: %s %s', self.settings.endpoint, err);
-    //   }
-    //   reject(err);
-    // });
-    // eventStream.on('end', function() {
-    //   const result = chunks.join('');
-    //   resolve(result);
-    // });
+  // An object compressed on upload is read by S3 Select with its compression
+  // type, whatever the compression setting is now
+  return new Promise((resolve) => {
+    resolve(metaData || self.statObject(bucketName, objectName).then(function(stat) {
+      return stat.metaData;
+    }));
+  }).then(function(metaData) {
+    const compressed = compression.objectCompression(metaData);
+    if (compressed && compressed.algorithm !== 'gzip') {
+      throw new TypeError(g.f('S3 Select cannot read objects compressed with %s', compressed.algorithm));
+    }
+    if (compressed) {
+      selectOpts = Object.assign({}, selectOpts, {
+        inputSerialization: Object.assign({}, selectOpts && selectOpts.inputSerialization, {CompressionType: 'GZIP'}),
+      });
+    }
+    return self.client.selectObjectContent(bucketName, objectName, selectOpts);
   });
 };
 
 // Presigned Operations
 
+const DEFAULT_PRESIGNED_EXPIRY = 7 * 24 * 60 * 60;
+
 /**
  * Generates a presigned URL for the specified method and object in a Minio bucket.
  * @param {string} method - HTTP method for the presigned URL.
@@ -1596,11 +2132,8 @@ MinioDB.prototype.presignedUrl = function(method, bucketName, objectName, expiry
     debug('presignedUrl: %s %s %s %s %j', method, bucketName, objectName, expiry, reqParams);
   }
   return new Promise((resolve, reject) => {
-    self.client.presignedUrl(method, bucketName, objectName, expiry, reqParams, function(err, presignedUrl) {
+    self.client.presignedUrl(method, bucketName, objectName, expiry, reqParams || {}, function(err, presignedUrl) {
       if (err) {
-        if (self.debug) {
-          g.error('{{MinioDB}} connection is failed: %s %s', self.settings.endpoint, err);
-        }
         reject(err);
       } else {
         resolve(presignedUrl);
@@ -1625,12 +2158,9 @@ MinioDB.prototype.presignedGetObject = function(bucketName, objectName, expiry,
     debug('presignedGetObject: %s %s %s', bucketName, objectName, expiry, respHeaders, requestDate);
   }
   return new Promise((resolve, reject) => {
-    self.client.presignedGetObject(bucketName, objectName, expiry, respHeaders, requestDate,
+    self.client.presignedGetObject(bucketName, objectName, expiry, respHeaders || {}, requestDate || new Date(),
       function(err, presignedUrl) {
         if (err) {
-          if (self.debug) {
-            g.error('{{MinioDB}} connection is failed: %s %s', self.settings.endpoint, err);
-          }
           reject(err);
         } else {
           resolve(presignedUrl);
@@ -1655,9 +2185,6 @@ MinioDB.prototype.presignedPutObject = function(bucketName, objectName, expiry)
   return new Promise((resolve, reject) => {
     self.client.presignedPutObject(bucketName, objectName, expiry, function(err, presignedUrl) {
       if (err) {
-        if (self.debug) {
-          g.error('{{MinioDB}} connection is failed: %s %s', self.settings.endpoint, err);
-        }
         reject(err);
       } else {
         resolve(presignedUrl);
@@ -1666,42 +2193,95 @@ MinioDB.prototype.presignedPutObject = function(bucketName, objectName, expiry)
   });
 };
 
+/*!
+ * Statuses S3 answers a successful POST upload with
+ */
+const SUCCESS_ACTION_STATUSES = ['200', '201', '204'];
+
+/*!
+ * Add the conditions of the options to a POST policy of the client
+ */
+function buildPostPolicy(policy, bucketName, objectName, objectNamePrefix, expiresInSeconds, options) {
+  policy.setExpires(new Date(Date.now() + expiresInSeconds * 1000));
+  policy.setBucket(bucketName);
+  if (objectName) {
+    policy.setKey(objectName);
+  } else {
+    policy.setKeyStartsWith(objectNamePrefix);
+    // S3 replaces `${filename}` with the name of the file sent by the form
+    policy.formData.key = objectNamePrefix + '${filename}';
+  }
+  const range = options.contentLengthRange;
+  if (range) {
+    if (!Array.isArray(range) || range.length !== 2 || !(range[0] >= 0) || !(range[1] >= range[0])) {
+      throw new TypeError(g.f('Invalid {{contentLengthRange}}, expected {{[min, max]}} with 0 <= min <= max'));
+    }
+    policy.setContentLengthRange(range[0], range[1]);
+  }
+  if (options.contentType) {
+    policy.setContentType(options.contentType);
+  } else if (options.contentTypePrefix) {
+    policy.setContentTypeStartsWith(options.contentTypePrefix);
+  }
+  if (options.contentDisposition) {
+    policy.setContentDisposition(options.contentDisposition);
+  }
+  if (options.metaData) {
+    policy.setUserMetaData(options.metaData);
+  }
+  if (options.successActionStatus !== undefined) {
+    const status = String(options.successActionStatus);
+    if (SUCCESS_ACTION_STATUSES.indexOf(status) === -1) {
+      throw new TypeError(g.f('Invalid {{successActionStatus}}, expected 200, 201 or 204'));
+    }
+    policy.policy.conditions.push(['eq', '$success_action_status', status]);
+    policy.formData['success_action_status'] = status;
+  }
+  if (options.successActionRedirect) {
+    policy.policy.conditions.push(['eq', '$success_action_redirect', options.successActionRedirect]);
+    policy.formData['success_action_redirect'] = options.successActionRedirect;
+  }
+  return policy;
+}
+
 /**
- * Generates a presigned POST policy for uploading an object to a Minio bucket.
+ * Generates a presigned POST policy for uploading an object to a Minio bucket
+ * from an HTML form. The form posts to `postURL` with the fields of `formData`,
+ * then the `file` field last.
  * @param {string} bucketName - Name of the bucket.
- * @param {string} objectName - Name of the object.
- * @param {string} objectNamePrefix - Prefix of the object name.
- * @param {number} expiresInSeconds - Expiry time for the presigned policy in seconds.
- * @returns {Promise} A Promise that resolves with the presigned POST policy or rejects with an error.
+ * @param {string} [objectName] - Name of the object.
+ * @param {string} [objectNamePrefix] - Prefix of the object name, when `objectName` is not given. The `key`
+ * field defaults to the prefix followed by the name of the uploaded file.
+ * @param {number} [expiresInSeconds=604800] - Expiry time for the presigned policy in seconds.
+ * @param {object} [options] - Conditions of the policy.
+ * @param {number[]} [options.contentLengthRange] - Minimum and maximum size of the object, as `[min, max]`.
+ * @param {string} [options.contentType] - Content type of the object.
+ * @param {string} [options.contentTypePrefix] - Prefix of the content type of the object, e.g. `image/`.
+ * @param {string} [options.contentDisposition] - Content disposition of the object.
+ * @param {object} [options.metaData] - Metadata the form must send, sent as `x-amz-meta-*` fields.
+ * @param {number} [options.successActionStatus] - Status of the response to a successful upload: 200, 201 or 204.
+ * @param {string} [options.successActionRedirect] - URL to redirect the browser to after a successful upload.
+ * @returns {Promise<{postURL: string, formData: object}>} A Promise that resolves with the URL and the fields of the
+ * form or rejects with an error.
  * @link https://min.io/docs/minio/linux/developers/javascript/API.html#presignedpostpolicy-policy-callback
  */
-MinioDB.prototype.presignedPostPolicy = function(bucketName, objectName, objectNamePrefix, expiresInSeconds) {
+MinioDB.prototype.presignedPostPolicy = function(bucketName, objectName, objectNamePrefix, expiresInSeconds,
+  options) {
   const self = this;
   if (self.debug) {
-    debug('presignedPostPolicy: %s %s', bucketName, objectName);
+    debug('presignedPostPolicy: %s %s %s %j', bucketName, objectName, objectNamePrefix, options);
   }
-  const policy = new self.client.Policy();
-  policy.setExpires(new Date(Date.now() + expiresInSeconds * 1000));
-  policy.setBucketName(bucketName);
-  policy.setKey(objectName);
-  policy.setKeyStartsWith(objectNamePrefix);
   return new Promise((resolve, reject) => {
-    const policy = {
-      expiration: new Date(Date.now() + expiresInSeconds * 1000),
-      conditions: [
-        ['starts-with', '$key', objectName],
-        {bucket: bucketName},
-        {acl: 'private'},
-      ],
-    };
-    const formData = self.client.presignedPostPolicy(policy, function(err, formData) {
+    if (!objectName && typeof objectNamePrefix !== 'string') {
+      throw new TypeError(g.f('Expected an object name or an object name prefix'));
+    }
+    const policy = buildPostPolicy(self.client.newPostPolicy(), bucketName, objectName, objectNamePrefix,
+      expiresInSeconds || DEFAULT_PRESIGNED_EXPIRY, options || {});
+    self.client.presignedPostPolicy(policy, function(err, result) {
       if (err) {
-        if (self.debug) {
-          g.error('{{MinioDB}} connection is failed: %s %s', self.settings.endpoint, err);
-        }
         reject(err);
       } else {
-        resolve(formData);
+        resolve(result);
       }
     });
   });
@@ -1722,9 +2302,6 @@ MinioDB.prototype.getBucketNotification = function(bucketName) {
   return new Promise((resolve, reject) => {
     self.client.getBucketNotification(bucketName, function(err, data) {
       if (err) {
-        if (self.debug) {
-          g.error('{{MinioDB}} connection failed: %s %s', self.settings.endpoint, err);
-        }
         reject(err);
       } else {
         resolve(data);
@@ -1748,9 +2325,6 @@ MinioDB.prototype.setBucketNotification = function(bucketName, notificationConfi
   return new Promise((resolve, reject) => {
     self.client.setBucketNotification(bucketName, notificationConfig, function(err, data) {
       if (err) {
-        if (self.debug) {
-          g.error('{{MinioDB}} connection failed: %s %s', self.settings.endpoint, err);
-        }
         reject(err);
       } else {
         resolve(data);
@@ -1787,9 +2361,6 @@ MinioDB.prototype.removeAllBucketNotification = function(bucketName) {
 
     self.client.setBucketNotification(bucketName, config, (err) => {
       if (err) {
-        if (self.debug) {
-          g.error('{{MinioDB}} connection failed: %s %s', self.settings.endpoint, err);
-        }
         reject(err);
       } else {
         resolve();
@@ -1799,31 +2370,85 @@ MinioDB.prototype.removeAllBucketNotification = function(bucketName) {
 };
 
 /**
- * Listens for bucket notifications and invokes the callback function when a notification is received.
+ * Listens for bucket notifications. The listener is stopped when the connector disconnects.
  * @param {string} bucketName - The name of the bucket to listen for notifications.
- * @param {function} callback - The callback function to be invoked when a notification is received. It takes two parameters: `err` (the error, if any) and `record` (the notification record).
- * @returns {EventEmitter} An EventEmitter object that can be used to control the subscription and listen for events.
- * @throws {Error} If there is an error setting up the bucket notification listener.
+ * @param {string} [prefix] - Only notify about objects with this prefix.
+ * @param {string} [suffix] - Only notify about objects with this suffix.
+ * @param {string[]} [events] - The event types, default `['s3:ObjectCreated:*', 's3:ObjectRemoved:*']`.
+ * @returns {Promise<EventEmitter>} A Promise that resolves with the listener, which emits `notification` events.
+ * @link https://min.io/docs/minio/linux/developers/javascript/API.html#listenbucketnotification-bucketname-prefix-suffix-events
  * @example
- * const listener = minioDB.listenBucketNotification('my-bucket', (err, record) => {
- *   if (err) {
- *     // Error receiving bucket notification
- *   } else {
- *     console.log('Received bucket notification:', record);
- *   }
+ * const listener = await minioDB.listenBucketNotification('my-bucket', 'photos/', '.jpg');
+ * listener.on('notification', (record) => {
+ *   console.log('Received bucket notification:', record);
  * });
  *
  * // To stop listening for notifications
- * listener.removeAllListeners();
+ * listener.stop();
  */
-MinioDB.prototype.listenBucketNotification = function(bucketName) {
+MinioDB.prototype.listenBucketNotification = function(bucketName, prefix, suffix, events) {
   const self = this;
   if (self.debug) {
-    debug('listenBucketNotification: %s', bucketName);
+    debug('listenBucketNotification: %s %s %s %j', bucketName, prefix, suffix, events);
   }
   return new Promise((resolve, reject) => {
-    const listener = self.client.listenBucketNotification(bucketName);
-    resolve(listener);
+    const listener = self.client.listenBucketNotification(bucketName, prefix || '', suffix || '',
+      events || notifications.DEFAULT_EVENTS);
+    resolve(self.trackListener(listener));
+  });
+};
+
+/**
+ * Subscribe to the notifications of a bucket and emit them as `object:created` and `object:removed` events on
+ * the model and on the data source. Unlike `listenBucketNotification`, the subscription listens again, with a
+ * growing delay, after its connection breaks. A model subscribing twice to the same objects gets the same
+ * subscription. It is stopped when the connector disconnects.
+ * @param {string} bucketName - The name of the bucket.
+ * @param {string} [prefix] - Only notify about objects with this prefix.
+ * @param {object} [options] - Options of the subscription:
+ *   - suffix: Only notify about objects with this suffix.
+ *   - events: The event types, default `['s3:ObjectCreated:*', 's3:ObjectRemoved:*']`.
+ *   - reconnect: The backoff of the reconnections, `{baseDelay, maxDelay, jitter, maxAttempts}`, or `false`.
+ * @returns {Promise<Subscription>} A Promise that resolves with the subscription, which emits the events too.
+ * @example
+ * File.on('object:created', (event) => {
+ *   console.log('%s uploaded to %s', event.objectName, event.bucketName);
+ * });
+ * const subscription = await File.subscribeNotifications(null, 'uploads/');
+ *
+ * // To stop listening for notifications
+ * subscription.stop();
+ */
+MinioDB.prototype.subscribeNotifications = function(bucketName, prefix, options) {
+  const self = this;
+  if (self.debug) {
+    debug('subscribeNotifications: %s %s %j', bucketName, prefix, options);
+  }
+  options = options || {};
+  prefix = prefix || '';
+  const suffix = options.suffix || '';
+  const events = options.events || notifications.DEFAULT_EVENTS;
+  const key = [self.modelName, bucketName, prefix, suffix].concat(events).join('\u0000');
+  return new Promise((resolve, reject) => {
+    const existing = self._subscriptions.get(key);
+    if (existing) {
+      return resolve(existing);
+    }
+    const modelDef = self.modelName && self.getModelDefinition(self.modelName);
+    const subscription = new notifications.Subscription(self.client, bucketName, {
+      prefix: prefix,
+      suffix: suffix,
+      events: events,
+      modelName: self.modelName,
+      targets: [modelDef && modelDef.model, self.dataSource].filter(Boolean),
+      reconnect: options.reconnect,
+    });
+    subscription.start();
+    self._subscriptions.set(key, subscription);
+    subscription.once('end', function() {
+      self._subscriptions.delete(key);
+    });
+    resolve(self.trackListener(subscription));
   });
 };
 
@@ -1841,9 +2466,6 @@ MinioDB.prototype.getBucketPolicy = function(bucketName) {
   return new Promise((resolve, reject) => {
     self.client.getBucketPolicy(bucketName, function(err, data) {
       if (err) {
-        if (self.debug) {
-          g.error('{{MinioDB}} connection failed: %s %s', self.settings.endpoint, err);
-        }
         reject(err);
       } else {
         resolve(data);
@@ -1867,9 +2489,6 @@ MinioDB.prototype.setBucketPolicy = function(bucketName, bucketPolicy) {
   return new Promise((resolve, reject) => {
     self.client.setBucketPolicy(bucketName, JSON.stringify(bucketPolicy), function(err, data) {
       if (err) {
-        if (self.debug) {
-          g.error('{{MinioDB}} connection failed: %s %s', self.settings.endpoint, err);
-        }
         reject(err);
       } else {
         resolve(data);
@@ -1878,3 +2497,1355 @@ MinioDB.prototype.setBucketPolicy = function(bucketName, bucketPolicy) {
   });
 };
 
+/// Multipart uploads ///
+
+/*!
+ * Headers sent as they are, other metadata keys are prefixed with `X-Amz-Meta-` like the minio client does
+ */
+const METADATA_HEADERS = ['content-type', 'cache-control', 'content-encoding', 'content-disposition',
+  'content-language', 'x-amz-website-redirect-location', 'x-amz-storage-class', 'x-amz-acl'];
+
+/*!
+ * Build the request headers of object metadata
+ */
+function metaDataHeaders(metaData) {
+  const headers = {};
+  Object.keys(metaData || {}).forEach(function(key) {
+    const name = key.toLowerCase();
+    const standard = METADATA_HEADERS.indexOf(name) !== -1 || name.indexOf('x-amz-meta-') === 0 ||
+      name.indexOf('x-amz-server-side-encryption') === 0;
+    headers[standard ? key : 'X-Amz-Meta-' + key] = metaData[key];
+  });
+  return headers;
+}
+
+/**
+ * Starts a multipart upload, whose parts are sent with `uploadPart`.
+ * @param {string} bucketName - Name of the bucket.
+ * @param {string} objectName - Name of the object.
+ * @param {object} [metaData] - Metadata of the object.
+ * @returns {Promise<string>} A Promise that resolves with the upload id.
+ */
+MinioDB.prototype.initiateMultipartUpload = function(bucketName, objectName, metaData) {
+  const self = this;
+  if (self.debug) {
+    debug('initiateMultipartUpload: %s %s %j', bucketName, objectName, metaData);
+  }
+  if (self.keyProvider) {
+    // The parts would be stored as they are sent
+    return Promise.reject(new TypeError(g.f('Multipart uploads are not encrypted, use {{putObject}} instead')));
+  }
+  return self.client.initiateNewMultipartUpload(bucketName, objectName, metaDataHeaders(metaData));
+};
+
+/**
+ * Uploads a part of a multipart upload.
+ * @param {string} bucketName - Name of the bucket.
+ * @param {string} objectName - Name of the object.
+ * @param {string} uploadId - Id of the upload.
+ * @param {number} partNumber - Number of the part, from 1 to 10000.
+ * @param {Buffer|string} data - Content of the part, at least 5MB unless it is the last part.
+ * @returns {Promise<{part: number, etag: string, size: number}>} A Promise that resolves with the part.
+ */
+MinioDB.prototype.uploadPart = function(bucketName, objectName, uploadId, partNumber, data) {
+  const self = this;
+  if (self.debug) {
+    debug('uploadPart: %s %s %s %d', bucketName, objectName, uploadId, partNumber);
+  }
+  const client = self.client;
+  return Promise.resolve().then(function() {
+    data = Buffer.from(data);
+    if (typeof client.uploadPart === 'function') {
+      return client.uploadPart({
+        bucketName: bucketName,
+        objectName: objectName,
+        uploadID: uploadId,
+        partNumber: partNumber,
+        headers: {'Content-Length': data.length},
+      }, data).then(function(part) {
+        return part.etag;
+      });
+    }
+    // Before minio 8, the client has no method to upload a part, send the request like its own uploads do
+    return client.makeRequestAsyncOmit({
+      method: 'PUT',
+      bucketName: bucketName,
+      objectName: objectName,
+      query: 'partNumber=' + partNumber + '&uploadId=' + encodeURIComponent(uploadId),
+      headers: {
+        'Content-Length': data.length,
+        'Content-MD5': crypto.createHash('md5').update(data).digest('base64'),
+      },
+    }, data).then(function(res) {
+      return res.headers.etag;
+    });
+  }).then(function(etag) {
+    return {part: partNumber, etag: String(etag || '').replace(/"/g, ''), size: data.length};
+  });
+};
+
+/**
+ * Lists the uploaded parts of a multipart upload.
+ * @param {string} bucketName - Name of the bucket.
+ * @param {string} objectName - Name of the object.
+ * @param {string} uploadId - Id of the upload.
+ * @returns {Promise<object[]>} A Promise that resolves with the parts, with `part`, `etag`, `size` and
+ * `lastModified`.
+ */
+MinioDB.prototype.listParts = function(bucketName, objectName, uploadId) {
+  const self = this;
+  if (self.debug) {
+    debug('listParts: %s %s %s', bucketName, objectName, uploadId);
+  }
+  return self.client.listParts(bucketName, objectName, uploadId);
+};
+
+/**
+ * Completes a multipart upload, making the object of its parts.
+ * @param {string} bucketName - Name of the bucket.
+ * @param {string} objectName - Name of the object.
+ * @param {string} uploadId - Id of the upload.
+ * @param {object[]} parts - The parts of the object, with their `part` (or `partNumber`) and `etag`.
+ * @returns {Promise<{etag: string, versionId: string|null}>} A Promise that resolves with the object info.
+ */
+MinioDB.prototype.completeMultipartUpload = function(bucketName, objectName, uploadId, parts) {
+  const self = this;
+  if (self.debug) {
+    debug('completeMultipartUpload: %s %s %s %d', bucketName, objectName, uploadId, parts.length);
+  }
+  // Parts sent back by a browser may come in any order, with a `partNumber` and a quoted ETag
+  const etags = parts.map(function(part) {
+    return {part: Number(part.part || part.partNumber), etag: String(part.etag).replace(/"/g, '')};
+  }).sort(function(a, b) {
+    return a.part - b.part;
+  });
+  return self.client.completeMultipartUpload(bucketName, objectName, uploadId, etags);
+};
+
+/**
+ * Aborts a multipart upload, removing its parts.
+ * @param {string} bucketName - Name of the bucket.
+ * @param {string} objectName - Name of the object.
+ * @param {string} uploadId - Id of the upload.
+ * @returns {Promise<void>}
+ */
+MinioDB.prototype.abortMultipartUpload = function(bucketName, objectName, uploadId) {
+  const self = this;
+  if (self.debug) {
+    debug('abortMultipartUpload: %s %s %s', bucketName, objectName, uploadId);
+  }
+  return self.client.abortMultipartUpload(bucketName, objectName, uploadId);
+};
+
+/**
+ * Generates a presigned URL to upload a part of a multipart upload, so that a
+ * client such as a browser sends the part directly with a PUT request. The
+ * ETag header of the response identifies the part when completing the upload.
+ * @param {string} bucketName - Name of the bucket.
+ * @param {string} objectName - Name of the object.
+ * @param {string} uploadId - Id of the upload.
+ * @param {number} partNumber - Number of the part, from 1 to 10000.
+ * @param {number} [expiry] - Expiry time of the URL in seconds, 7 days by default.
+ * @returns {Promise<string>} A Promise that resolves with the presigned URL.
+ */
+MinioDB.prototype.presignedUploadPart = function(bucketName, objectName, uploadId, partNumber, expiry) {
+  const self = this;
+  if (self.debug) {
+    debug('presignedUploadPart: %s %s %s %d', bucketName, objectName, uploadId, partNumber);
+  }
+  return self.presignedUrl('PUT', bucketName, objectName, expiry || DEFAULT_PRESIGNED_EXPIRY,
+    {partNumber: String(partNumber), uploadId: uploadId});
+};
+
+/**
+ * Starts a multipart upload to be sent by a client, such as a browser, with
+ * presigned URLs. The client uploads each part with a PUT request to its URL,
+ * then sends the ETags of the parts back to `completeMultipartUpload`, or gives
+ * up with `abortMultipartUpload`.
+ * @param {string} bucketName - Name of the bucket.
+ * @param {string} objectName - Name of the object.
+ * @param {object} options - The `size` of the object or the number of `parts`, and optionally the preferred
+ * `partSize`, the `expiry` of the URLs in seconds and the `metaData` of the object.
+ * @returns {Promise<{uploadId: string, partSize: number, parts: object[]}>} A Promise that resolves with the
+ * upload id, the part size and the `partNumber` and `url` of each part.
+ * @example
+ * const {uploadId, partSize, parts} = await minioDB.presignedMultipartUpload('videos', 'talk.mp4', {
+ *   size: file.size,
+ *   metaData: {'Content-Type': 'video/mp4'},
+ * });
+ */
+MinioDB.prototype.presignedMultipartUpload = function(bucketName, objectName, options) {
+  const self = this;
+  if (self.debug) {
+    debug('presignedMultipartUpload: %s %s %j', bucketName, objectName, options);
+  }
+  options = options || {};
+  const size = options.size == null ? undefined : Number(options.size);
+  const partSize = ResumableUpload.partSize(size, options.partSize || self.partSize);
+  const count = options.parts ? Number(options.parts) :
+    size === undefined ? undefined : Math.max(Math.ceil(size / partSize), 1);
+  if (!(count >= 1 && count <= ResumableUpload.MAX_PARTS)) {
+    return Promise.reject(new TypeError(g.f('Expected the size of the object or from 1 to %d parts',
+      ResumableUpload.MAX_PARTS)));
+  }
+  return self.initiateMultipartUpload(bucketName, objectName, options.metaData).then(function(uploadId) {
+    const numbers = [];
+    for (let number = 1; number <= count; number++) {
+      numbers.push(number);
+    }
+    return Promise.all(numbers.map(function(number) {
+      return self.presignedUploadPart(bucketName, objectName, uploadId, number, options.expiry);
+    })).then(function(urls) {
+      return {
+        uploadId: uploadId,
+        partSize: partSize,
+        parts: urls.map(function(url, index) {
+          return {partNumber: index + 1, url: url};
+        }),
+      };
+    });
+  });
+};
+
+/**
+ * Uploads an object in parts, recording the upload id and the completed parts
+ * in the upload store. When the upload is interrupted, even by a crash of the
+ * process, calling it again with the same source only sends the missing parts.
+ * @param {string} bucketName - Name of the bucket.
+ * @param {string} objectName - Name of the object.
+ * @param {string|Buffer|ReadableStream} source - Path of a file, the content, or a stream read again from its
+ * start when resuming.
+ * @param {object} [options] - `store`, `key`, `partSize`, `size`, `metaData` and `onProgress`, see `ResumableUpload`.
+ * @returns {Promise<{etag: string, versionId: string|null}>} A Promise that resolves with the object info.
+ * @example
+ * await minioDB.resumableUpload('backups', 'db.dump', '/var/backups/db.dump', {
+ *   metaData: {'Content-Type': 'application/octet-stream'},
+ *   onProgress: (p) => console.log('%d/%d parts', p.completedParts, p.parts),
+ * });
+ */
+MinioDB.prototype.resumableUpload = function(bucketName, objectName, source, options) {
+  const self = this;
+  if (self.debug) {
+    debug('resumableUpload: %s %s', bucketName, objectName);
+  }
+  return new ResumableUpload(self, bucketName, objectName, source, options).start();
+};
+
+/**
+ * Aborts the upload recorded by `resumableUpload` for an object, if any.
+ * @param {string} bucketName - Name of the bucket.
+ * @param {string} objectName - Name of the object.
+ * @param {object} [options] - The `store` and `key` of the upload.
+ * @returns {Promise<boolean>} A Promise that resolves with whether an upload was recorded.
+ */
+MinioDB.prototype.abortResumableUpload = function(bucketName, objectName, options) {
+  const self = this;
+  if (self.debug) {
+    debug('abortResumableUpload: %s %s', bucketName, objectName);
+  }
+  return new ResumableUpload(self, bucketName, objectName, null, options).abort();
+};
+
+/// Directory sync ///
+
+/**
+ * Uploads the files of a local directory to a folder of a bucket, skipping
+ * those whose object is up to date. A file is uploaded when its object is
+ * missing, has another size, or, depending on `compare`, another ETag or an
+ * older modification time.
+ * @param {string} localDir - Path of the directory, whose subdirectories are synced too.
+ * @param {string} bucketName - Name of the bucket.
+ * @param {string} [prefix] - Folder of the objects, e.g. `builds/1.2.0/`.
+ * @param {object} [options] - Options of the sync:
+ *   - compare: `mtime` (default), `size`, or `etag` to compare the MD5 digests of the files.
+ *   - concurrency: How many files are compared and uploaded at a time, 4 by default.
+ *   - delete: Remove the objects of the folder without a file.
+ *   - dryRun: Only report what would be uploaded and removed.
+ * @returns {Promise<{uploaded: string[], deleted: string[], unchanged: number}>} A Promise that resolves with the
+ * names of the objects uploaded and removed, and the number of files up to date.
+ * @example
+ * const {uploaded} = await minioDB.syncToBucket('./dist', 'artifacts', 'web/1.2.0/', {delete: true});
+ */
+MinioDB.prototype.syncToBucket = function(localDir, bucketName, prefix, options) {
+  const self = this;
+  if (self.debug) {
+    debug('syncToBucket: %s %s %s %j', localDir, bucketName, prefix, options);
+  }
+  return sync.syncToBucket(self, localDir, bucketName, prefix, options);
+};
+
+/**
+ * Downloads the objects of a folder of a bucket to a local directory,
+ * skipping the files which are up to date, see `syncToBucket`. The
+ * downloaded files get the modification time of their object.
+ * @param {string} bucketName - Name of the bucket.
+ * @param {string} [prefix] - Folder of the objects, e.g. `datasets/2024/`.
+ * @param {string} localDir - Path of the directory, created if needed.
+ * @param {object} [options] - `compare`, `concurrency`, `delete` to remove the files without an object, and
+ * `dryRun`, see `syncToBucket`.
+ * @returns {Promise<{downloaded: string[], deleted: string[], unchanged: number}>} A Promise that resolves with
+ * the names of the objects downloaded, the paths of the files removed, relative to the directory, and the number
+ * of files up to date.
+ */
+MinioDB.prototype.syncFromBucket = function(bucketName, prefix, localDir, options) {
+  const self = this;
+  if (self.debug) {
+    debug('syncFromBucket: %s %s %s %j', bucketName, prefix, localDir, options);
+  }
+  return sync.syncFromBucket(self, bucketName, prefix, localDir, options);
+};
+
+/// Prefix operations ///
+
+/**
+ * Copies the objects under a prefix to another prefix, of the same bucket or
+ * of another one, with their metadata and tags. The listing is read in pages
+ * and the objects are copied a few at a time; an object which cannot be copied
+ * is reported and the others are copied anyway.
+ * @param {string} bucketName - Name of the source bucket.
+ * @param {string} prefix - Prefix of the objects, e.g. `tenant/42/`.
+ * @param {string} destBucket - Name of the destination bucket, `null` for the source bucket.
+ * @param {string} destPrefix - Prefix replacing `prefix` in the object names, not under `prefix` in the same
+ * bucket.
+ * @param {object} [options] - Options of the copy:
+ *   - concurrency: How many objects are copied at a time, 4 by default.
+ *   - versions: Copy all the versions of the objects, oldest first, and their delete markers.
+ * @returns {Promise<{copied: number, failed: object[]}>} A Promise that resolves with the number of objects, or
+ * versions, copied, and the failures, with the `name`, `versionId`, `code` and `message` of each.
+ * @example
+ * const {failed} = await minioDB.copyPrefix('files', 'reports/2023/', 'archive', 'reports/2023/');
+ */
+MinioDB.prototype.copyPrefix = function(bucketName, prefix, destBucket, destPrefix, options) {
+  const self = this;
+  if (self.debug) {
+    debug('copyPrefix: %s %s %s %s %j', bucketName, prefix, destBucket, destPrefix, options);
+  }
+  return prefixes.copyPrefix(self, bucketName, prefix, destBucket == null ? bucketName : destBucket, destPrefix,
+    options);
+};
+
+/**
+ * Moves the objects under a prefix to another prefix, e.g. to rename a folder:
+ * copies them like `copyPrefix`, then removes those copied, 1000 per request.
+ * @param {string} bucketName - Name of the source bucket.
+ * @param {string} prefix - Prefix of the objects.
+ * @param {string} destBucket - Name of the destination bucket, `null` for the source bucket.
+ * @param {string} destPrefix - Prefix replacing `prefix` in the object names.
+ * @param {object} [options] - `concurrency` and `versions`, see `copyPrefix`. With `versions`, the versions of
+ * the source objects are removed too, otherwise a versioned bucket keeps them behind a delete marker.
+ * @returns {Promise<{moved: number, failed: object[]}>} A Promise that resolves with the number of objects, or
+ * versions, moved, and the failures.
+ * @example
+ * await minioDB.movePrefix(null, 'photos/old-album/', null, 'photos/new-album/');
+ */
+MinioDB.prototype.movePrefix = function(bucketName, prefix, destBucket, destPrefix, options) {
+  const self = this;
+  if (self.debug) {
+    debug('movePrefix: %s %s %s %s %j', bucketName, prefix, destBucket, destPrefix, options);
+  }
+  return prefixes.movePrefix(self, bucketName, prefix, destBucket == null ? bucketName : destBucket, destPrefix,
+    options);
+};
+
+/**
+ * Removes the objects under a prefix, 1000 per request.
+ * @param {string} bucketName - Name of the bucket.
+ * @param {string} prefix - Prefix of the objects, required: `tenant/42` also matches `tenant/420/`.
+ * @param {object} [options] - `versions` to remove all the versions of the objects and their delete markers,
+ * otherwise a versioned bucket keeps them behind a delete marker.
+ * @returns {Promise<{removed: number, failed: object[]}>} A Promise that resolves with the number of objects, or
+ * versions, removed, and the failures, with the `name`, `versionId`, `code` and `message` of each.
+ * @example
+ * await minioDB.removePrefix('files', 'tenant/42/', {versions: true});
+ */
+MinioDB.prototype.removePrefix = function(bucketName, prefix, options) {
+  const self = this;
+  if (self.debug) {
+    debug('removePrefix: %s %s %j', bucketName, prefix, options);
+  }
+  return prefixes.removePrefix(self, bucketName, prefix, options);
+};
+
+/// Client-side encryption ///
+
+/**
+ * Wraps the data keys of the encrypted objects of a bucket with the current
+ * key of the key provider, e.g. after adding a key to the `encryption` setting.
+ * The objects wrapped with another key are copied onto themselves with the
+ * new metadata, on the server, keeping their tags.
+ * @param {string} bucketName - Name of the bucket.
+ * @param {string} [prefix] - Only rotate the objects starting with this prefix.
+ * @returns {Promise<{rotated: number, unchanged: number}>} A Promise that resolves with the number of objects
+ * written again and left as they were, including the ones which are not encrypted.
+ */
+MinioDB.prototype.rotateEncryptionKeys = async function(bucketName, prefix) {
+  const self = this;
+  if (self.debug) {
+    debug('rotateEncryptionKeys: %s %s', bucketName, prefix);
+  }
+  if (!self.keyProvider) {
+    throw new TypeError(g.f('Client-side encryption is not enabled, see the {{encryption}} setting'));
+  }
+  const result = {rotated: 0, unchanged: 0};
+  for await (const item of self.listObjects(bucketName, prefix || '', true)) {
+    if (await self.client.rotateKey(bucketName, item.name)) {
+      result.rotated++;
+    } else {
+      result.unchanged++;
+    }
+  }
+  return result;
+};
+
+/// Calling conventions ///
+
+/*!
+ * Parameter names of the operations, used to accept an options object, to
+ * fill in the default bucket and to describe errors
+ */
+const OPERATION_PARAMS = {
+  listBuckets: [],
+  makeBucket: ['bucketName', 'region'],
+  bucketExists: ['bucketName'],
+  removeBucket: ['bucketName'],
+  listObjects: ['bucketName', 'prefix', 'recursive', 'listOpts'],
+  listObjectsV2: ['bucketName', 'prefix', 'recursive', 'startAfter'],
+  listObjectsV2WithMetadata: ['bucketName', 'prefix', 'recursive', 'startAfter'],
+  listIncompleteUploads: ['bucketName', 'prefix', 'recursive'],
+  listObjectVersions: ['bucketName', 'prefix'],
+  getBucketVersioning: ['bucketName'],
+  setBucketVersioning: ['bucketName', 'versioningConfig'],
+  setBucketReplication: ['bucketName', 'replicationConfig'],
+  getBucketReplication: ['bucketName'],
+  removeBucketReplication: ['bucketName'],
+  getBucketTagging: ['bucketName', 'callback'],
+  setBucketTagging: ['bucketName', 'tags', 'callback'],
+  removeBucketTagging: ['bucketName', 'callback'],
+  setBucketLifecycle: ['bucketName', 'lifecycleConfig'],
+  getBucketLifecycle: ['bucketName'],
+  removeBucketLifecycle: ['bucketName'],
+  setObjectLockConfig: ['bucketName', 'lockConfig'],
+  getObjectLockConfig: ['bucketName'],
+  getBucketEncryption: ['bucketName'],
+  setBucketEncryption: ['bucketName', 'encryptionConfig'],
+  removeBucketEncryption: ['bucketName'],
+  getObject: ['bucketName', 'objectName', 'getOpts'],
+  getPartialObject: ['bucketName', 'objectName', 'offset', 'length', 'getOpts'],
+  fGetObject: ['bucketName', 'objectName', 'filePath', 'getOpts'],
+  putObject: ['bucketName', 'objectName', 'stream', 'size', 'putOpts'],
+  fPutObject: ['bucketName', 'objectName', 'filePath', 'metaData'],
+  copyObject: ['bucketName', 'objectName', 'destBucket', 'destObjectName', 'copyOpts'],
+  restoreVersion: ['bucketName', 'objectName', 'versionId'],
+  statObject: ['bucketName', 'objectName', 'statOpts'],
+  removeObject: ['bucketName', 'objectName', 'removeOpts'],
+  removeObjects: ['bucketName', 'objectList'],
+  removeIncompleteUpload: ['bucketName', 'objectName'],
+  initiateMultipartUpload: ['bucketName', 'objectName', 'metaData'],
+  uploadPart: ['bucketName', 'objectName', 'uploadId', 'partNumber', 'data'],
+  listParts: ['bucketName', 'objectName', 'uploadId'],
+  completeMultipartUpload: ['bucketName', 'objectName', 'uploadId', 'parts'],
+  abortMultipartUpload: ['bucketName', 'objectName', 'uploadId'],
+  presignedUploadPart: ['bucketName', 'objectName', 'uploadId', 'partNumber', 'expiry'],
+  presignedMultipartUpload: ['bucketName', 'objectName', 'options'],
+  resumableUpload: ['bucketName', 'objectName', 'source', 'options'],
+  abortResumableUpload: ['bucketName', 'objectName', 'options'],
+  syncToBucket: ['localDir', 'bucketName', 'prefix', 'options'],
+  syncFromBucket: ['bucketName', 'prefix', 'localDir', 'options'],
+  copyPrefix: ['bucketName', 'prefix', 'destBucket', 'destPrefix', 'options'],
+  movePrefix: ['bucketName', 'prefix', 'destBucket', 'destPrefix', 'options'],
+  removePrefix: ['bucketName', 'prefix', 'options'],
+  rotateEncryptionKeys: ['bucketName', 'prefix'],
+  putObjectRetention: ['bucketName', 'objectName', 'retentionOpts'],
+  getObjectRetention: ['bucketName', 'objectName', 'getOpts'],
+  setObjectRetention: ['bucketName', 'objectName', 'mode', 'retainUntilDate'],
+  setObjectTagging: ['bucketName', 'objectName', 'tags', 'putOpts'],
+  removeObjectTagging: ['bucketName', 'objectName', 'removeOpts'],
+  getObjectTagging: ['bucketName', 'objectName', 'getOpts'],
+  getObjectLegalHold: ['bucketName', 'objectName', 'getOpts'],
+  setObjectLegalHold: ['bucketName', 'objectName', 'setOpts'],
+  composeObject: ['bucketName', 'sourceObjectList'],
+  selectObjectContent: ['bucketName', 'objectName', 'selectOpts', 'metaData'],
+  presignedUrl: ['method', 'bucketName', 'objectName', 'expiry', 'reqParams'],
+  presignedGetObject: ['bucketName', 'objectName', 'expiry', 'respHeaders', 'requestDate'],
+  presignedPutObject: ['bucketName', 'objectName', 'expiry'],
+  presignedPostPolicy: ['bucketName', 'objectName', 'objectNamePrefix', 'expiresInSeconds', 'options'],
+  getBucketNotification: ['bucketName'],
+  setBucketNotification: ['bucketName', 'notificationConfig'],
+  removeAllBucketNotification: ['bucketName'],
+  listenBucketNotification: ['bucketName', 'prefix', 'suffix', 'events'],
+  subscribeNotifications: ['bucketName', 'prefix', 'options'],
+  getBucketPolicy: ['bucketName'],
+  setBucketPolicy: ['bucketName', 'bucketPolicy'],
+};
+
+/*!
+ * Alternative names accepted in an options object
+ */
+const PARAM_ALIASES = {
+  bucket: 'bucketName',
+  object: 'objectName',
+  removeopts: 'removeOpts',
+};
+
+function isPlainObject(value) {
+  return value != null && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Get the default bucket, from the `minio.bucket` model setting or the
+ * `bucketName` data source setting.
+ * @param {string} [modelName] - Name of the model, defaults to the model the connector is scoped to.
+ * @returns {string|undefined} The bucket name.
+ * @example
+ * // model-config / model definition
+ * {"name": "Invoice", "options": {"minio": {"bucket": "invoices"}}}
+ */
+MinioDB.prototype.getBucketName = function(modelName) {
+  modelName = modelName || this.modelName;
+  const modelDef = modelName && this.getModelDefinition(modelName);
+  const modelSettings = modelDef && modelDef.settings && modelDef.settings.minio;
+  return (modelSettings && modelSettings.bucket) || this.bucketName;
+};
+
+/**
+ * Get the compression of the uploads, from the `minio.compression` model
+ * setting or the `compression` data source setting.
+ * @param {string} [modelName] - Name of the model, defaults to the model the connector is scoped to.
+ * @returns {Object|undefined} The compression, or undefined when disabled.
+ * @example
+ * // model definition, `false` disables the compression of the data source
+ * {"name": "Export", "options": {"minio": {"compression": {"algorithm": "br"}}}}
+ */
+MinioDB.prototype.getCompression = function(modelName) {
+  modelName = modelName || this.modelName;
+  const modelDef = modelName && this.getModelDefinition(modelName);
+  const modelSettings = modelDef && modelDef.settings && modelDef.settings.minio;
+  if (modelSettings && modelSettings.compression !== undefined) {
+    return compression.createCompression(modelSettings.compression);
+  }
+  return this.compression;
+};
+
+/**
+ * Get a view of the connector scoped to a model, so operations default to the
+ * bucket of that model.
+ * @param {string} modelName - Name of the model.
+ * @returns {MinioDB} The scoped connector.
+ */
+MinioDB.prototype.forModel = function(modelName) {
+  return Object.create(this, {modelName: {value: modelName}});
+};
+
+/**
+ * Normalize the arguments of an operation. Operations accept either
+ * positional arguments, where a `null` or `undefined` bucket means the
+ * default bucket, or a single options object keyed by parameter name.
+ * @param {string[]} names - The parameter names of the operation.
+ * @param {Arguments|Array} args - The arguments as given by the caller.
+ * @returns {Array} The positional arguments.
+ * @example
+ * minioDB.putObject({objectName: 'hello.txt', stream: 'Hello'});
+ * minioDB.putObject(null, 'hello.txt', 'Hello');
+ * minioDB.putObject('other-bucket', 'hello.txt', 'Hello');
+ */
+MinioDB.prototype.normalizeArguments = function(names, args) {
+  let values = Array.prototype.slice.call(args);
+  if (values.length === 1 && isPlainObject(values[0])) {
+    const opts = {};
+    Object.keys(values[0]).forEach(function(key) {
+      opts[PARAM_ALIASES[key] || key] = values[0][key];
+    });
+    values = names.map(function(name) {
+      return opts[name];
+    });
+    // Drop trailing undefined values so optional parameters keep their defaults
+    while (values.length && values[values.length - 1] === undefined) {
+      values.pop();
+    }
+  }
+  const index = names.indexOf('bucketName');
+  if (index !== -1 && values[index] == null) {
+    values[index] = this.getBucketName();
+  }
+  return values;
+};
+
+/*!
+ * Describe the request of an operation for its errors
+ */
+function errorDetails(name, args) {
+  const names = OPERATION_PARAMS[name];
+  return {
+    operation: name,
+    bucketName: args[names.indexOf('bucketName')],
+    objectName: args[names.indexOf('objectName')],
+  };
+}
+
+/*!
+ * Operations which can be sent again after a failure without changing the outcome
+ */
+const IDEMPOTENT_OPERATIONS = [
+  'listBuckets',
+  'bucketExists',
+  'getBucketVersioning',
+  'getBucketTagging',
+  'getBucketLifecycle',
+  'getBucketEncryption',
+  'getBucketReplication',
+  'getBucketPolicy',
+  'getBucketNotification',
+  'getObjectLockConfig',
+  'getObject',
+  'getPartialObject',
+  'fGetObject',
+  'fPutObject',
+  'statObject',
+  'getObjectRetention',
+  'getObjectTagging',
+  'getObjectLegalHold',
+  'selectObjectContent',
+  'removeObject',
+  'uploadPart',
+  'listParts',
+];
+
+/*!
+ * Test if an operation can be retried with these arguments
+ */
+function isRetryable(name, args) {
+  if (IDEMPOTENT_OPERATIONS.indexOf(name) !== -1) {
+    return true;
+  }
+  // A body can only be sent again if it is not a stream
+  const body = args[OPERATION_PARAMS.putObject.indexOf('stream')];
+  return name === 'putObject' && (typeof body === 'string' || Buffer.isBuffer(body));
+}
+
+Object.keys(OPERATION_PARAMS).forEach(function(name) {
+  const operation = MinioDB.prototype[name];
+  const names = OPERATION_PARAMS[name];
+  MinioDB.prototype[name] = function() {
+    const self = this;
+    const args = self.normalizeArguments(names, arguments);
+    // Report to a trailing callback, unless the operation handles it itself
+    const callback = names.indexOf('callback') === -1 && typeof args[args.length - 1] === 'function' ?
+      args.pop() : undefined;
+    const retryable = isRetryable(name, args);
+    function onError(err) {
+      if (self.debug) {
+        g.error('{{MinioDB}} %s failed: %s', name, err);
+      }
+      return normalizeError(err, errorDetails(name, args));
+    }
+    function attempt(count) {
+      const result = operation.apply(self, args);
+      if (!result || typeof result.then !== 'function' || result instanceof Listing) {
+        return result;
+      }
+      return result.then(undefined, function(err) {
+        err = onError(err);
+        if (!retryable || !self.retryPolicy.shouldRetry(err, count)) {
+          throw err;
+        }
+        const delay = self.retryPolicy.delay(count);
+        debug('%s: attempt %d failed with %s, retrying in %d ms', name, count, err.code, delay);
+        return new Promise(function(resolve) {
+          setTimeout(resolve, delay);
+        }).then(function() {
+          return attempt(count + 1);
+        });
+      });
+    }
+    const result = attempt(1);
+    if (result instanceof Listing) {
+      result.mapError = onError;
+    } else if (callback && result && typeof result.then === 'function') {
+      // Like the juggler methods, report to the callback only
+      asCallback(result, callback);
+      return undefined;
+    }
+    return result;
+  };
+});
+
+/*!
+ * Expose a connector operation on the models, scoped to the calling model
+ * @param {MinioDB} connector The connector instance
+ * @param {string} name The operation name
+ * @returns {Function}
+ */
+function modelMethod(connector, name) {
+  return function() {
+    const scope = this && this.modelName ? connector.forModel(this.modelName) : connector;
+    return scope[name].apply(scope, arguments);
+  };
+}
+
+/// Document mode (juggler CRUD) ///
+
+// How many documents are read or written at a time
+const DEFAULT_DOCUMENT_CONCURRENCY = 8;
+
+/*!
+ * Invoke a node style callback with the outcome of a promise
+ * @param {Promise} promise The promise to settle
+ * @param {Function} callback The callback function
+ */
+function asCallback(promise, callback) {
+  promise.then(function(result) {
+    process.nextTick(callback, null, result);
+  }, function(err) {
+    process.nextTick(callback, err);
+  });
+}
+
+/*!
+ * Test if a minio error means the object does not exist
+ * @param {Error} err The error object
+ * @returns {boolean}
+ */
+function isNotFound(err) {
+  return !!err && (err.code === 'NoSuchKey' || err.code === 'NotFound');
+}
+
+/**
+ * Get the bucket where the documents of a model are stored.
+ * @param {string} modelName - Name of the model.
+ * @returns {string} The bucket name.
+ */
+MinioDB.prototype.documentBucket = function(modelName) {
+  return this.getBucketName(modelName);
+};
+
+/**
+ * Get the prefix under which the documents of a model are stored.
+ * @param {string} modelName - Name of the model.
+ * @returns {string} The object name prefix, e.g. `Todo/`.
+ */
+MinioDB.prototype.documentPrefix = function(modelName) {
+  return modelName + '/';
+};
+
+/**
+ * Get the object name of a model instance, e.g. `Todo/1.json`.
+ * @param {string} modelName - Name of the model.
+ * @param {*} id - The id value.
+ * @returns {string} The object name.
+ */
+MinioDB.prototype.documentKey = function(modelName, id) {
+  return this.documentPrefix(modelName) + encodeURIComponent(String(id)) + '.json';
+};
+
+/**
+ * Generate an id for a new model instance.
+ * @param {string} modelName - Name of the model.
+ * @returns {string} A random hex id.
+ */
+MinioDB.prototype.generateUniqueId = function(modelName) {
+  return crypto.randomBytes(12).toString('hex');
+};
+
+/*!
+ * Convert a parsed document back into model data, reviving Date properties
+ * @param {string} modelName The model name
+ * @param {Object} data The parsed JSON document
+ * @returns {Object} The model data
+ */
+MinioDB.prototype.fromDocument = function(modelName, data) {
+  const modelDef = this.getModelDefinition(modelName);
+  const props = (modelDef && modelDef.properties) || {};
+  Object.keys(props).forEach(function(name) {
+    if (props[name].type === Date && typeof data[name] === 'string') {
+      data[name] = new Date(data[name]);
+    }
+  });
+  return data;
+};
+
+/*!
+ * Read and parse the document of a model instance
+ * @param {string} modelName The model name
+ * @param {*} id The id value
+ * @returns {Promise<Object|null>} The data or null if the document does not exist
+ */
+MinioDB.prototype.readDocument = function(modelName, id) {
+  const self = this;
+  const bucketName = self.documentBucket(modelName);
+  const objectName = self.documentKey(modelName, id);
+  return self.getObject(bucketName, objectName, {as: 'json'})
+    .then(function(data) {
+      return self.fromDocument(modelName, data);
+    }, function(err) {
+      if (isNotFound(err)) return null;
+      throw err;
+    });
+};
+
+/*!
+ * Serialize and store the document of a model instance
+ * @param {string} modelName The model name
+ * @param {Object} data The model instance data, including the id
+ * @param {Object} [conditions] The conditions of the upload, e.g. `{'If-None-Match': '*'}`
+ * @returns {Promise<Object>} The stored data
+ */
+MinioDB.prototype.writeDocument = function(modelName, data, conditions) {
+  const self = this;
+  const bucketName = self.documentBucket(modelName);
+  const objectName = self.documentKey(modelName, self.getIdValue(modelName, data));
+  const body = Buffer.from(JSON.stringify(data), 'utf8');
+  return self.forModel(modelName).putObject(bucketName, objectName, body, body.length,
+    Object.assign({'Content-Type': 'application/json'}, conditions))
+    .then(function() {
+      return data;
+    });
+};
+
+/*!
+ * Remove the document of a model instance
+ * @param {string} modelName The model name
+ * @param {*} id The id value
+ * @returns {Promise<number>} 1 if the document was removed, 0 if it did not exist
+ */
+MinioDB.prototype.removeDocument = function(modelName, id) {
+  const self = this;
+  const bucketName = self.documentBucket(modelName);
+  const objectName = self.documentKey(modelName, id);
+  return self.statObject(bucketName, objectName)
+    .then(function() {
+      return self.removeObject(bucketName, objectName, {}).then(function() {
+        return 1;
+      });
+    }, function(err) {
+      if (isNotFound(err)) return 0;
+      throw err;
+    });
+};
+
+/*!
+ * List the documents of a model, with their metadata when the server
+ * reports it in listings
+ * @param {string} modelName The model name
+ * @param {string} [idPrefix] Only list documents whose id starts with this prefix
+ * @returns {Promise<Array<{name: string, metaData: (Object|undefined)}>>}
+ */
+MinioDB.prototype.listDocuments = function(modelName, idPrefix) {
+  const self = this;
+  const bucketName = self.documentBucket(modelName);
+  const prefix = self.documentPrefix(modelName) + encodeURIComponent(idPrefix || '');
+  return self.listObjectsV2WithMetadata(bucketName, prefix, true).toArray().then(function(objects) {
+    return objects.filter(function(item) {
+      return /\.json$/.test(objectKey(item));
+    }).map(function(item) {
+      return {name: item.name, metaData: item.metadata || undefined};
+    });
+  });
+};
+
+/*!
+ * Get the id of a document from its object name, typed like the id property
+ * @param {string} modelName The model name
+ * @param {string} objectName The object name
+ * @returns {*} The id value
+ */
+MinioDB.prototype.documentId = function(modelName, objectName) {
+  const modelDef = this.getModelDefinition(modelName);
+  const prop = modelDef && modelDef.properties && modelDef.properties[this.idName(modelName)];
+  const id = decodeURIComponent(objectName.slice(this.documentPrefix(modelName).length, -'.json'.length));
+  return prop && prop.type === Number ? Number(id) : id;
+};
+
+/*!
+ * Resolve the documents to read for a where clause. Conditions on the id
+ * are answered from the object names: equality and `inq` name the objects
+ * directly, without their metadata, a `like` pattern with a literal prefix
+ * narrows the listing.
+ * @param {string} modelName The model name
+ * @param {Object} where The where clause
+ * @returns {Promise<Array<{name: string, metaData: (Object|undefined)}>>}
+ */
+MinioDB.prototype.resolveDocuments = function(modelName, where) {
+  const self = this;
+  const cond = where[self.idName(modelName)];
+  if (cond != null && typeof cond !== 'object') {
+    return Promise.resolve([{name: self.documentKey(modelName, cond)}]);
+  }
+  if (cond && Array.isArray(cond.inq)) {
+    return Promise.resolve(cond.inq.map(function(id) {
+      return {name: self.documentKey(modelName, id)};
+    }));
+  }
+  const idPrefix = cond && typeof cond === 'object' ? filters.likePrefix(cond.like) : '';
+  return self.listDocuments(modelName, idPrefix);
+};
+
+/*!
+ * Get the properties whose conditions are pushed down with S3 Select, by
+ * type: the String, Number and Boolean ones but the id, which is answered
+ * from the object names
+ * @param {string} modelName The model name
+ * @returns {Object} The `string`, `number` or `boolean` type of each property
+ */
+MinioDB.prototype.selectTypes = function(modelName) {
+  const modelDef = this.getModelDefinition(modelName);
+  const props = (modelDef && modelDef.properties) || {};
+  const idName = this.idName(modelName);
+  const types = {};
+  Object.keys(props).forEach(function(name) {
+    const type = props[name].type;
+    if (name === idName) return;
+    if (type === String) types[name] = 'string';
+    else if (type === Number) types[name] = 'number';
+    else if (type === Boolean) types[name] = 'boolean';
+  });
+  return types;
+};
+
+/*!
+ * Read a document, or null if it does not exist or does not match the S3
+ * Select expression
+ * @param {string} modelName The model name
+ * @param {string} objectName The object name
+ * @param {string} [expression] The S3 Select expression to push down
+ * @param {Object} [metaData] The metadata of the document, read first when unknown
+ * @returns {Promise<Object|null>}
+ */
+MinioDB.prototype.selectDocument = function(modelName, objectName, expression, metaData) {
+  const self = this;
+  const bucketName = self.documentBucket(modelName);
+  const scope = self.forModel(modelName);
+  let promise;
+  // S3 Select cannot read encrypted documents, nor the ones compressed with brotli
+  if (expression && self.settings.s3Select !== false && !self.keyProvider && !self._selectUnsupported) {
+    promise = Promise.resolve(metaData || self.statObject(bucketName, objectName).then(function(stat) {
+      return stat.metaData;
+    })).then(function(metaData) {
+      const compressed = compression.objectCompression(metaData);
+      if (compressed && compressed.algorithm === 'br') {
+        return self.getObject(bucketName, objectName, {as: 'buffer'});
+      }
+      return scope.selectObjectContent(bucketName, objectName, {
+        expression: expression,
+        expressionType: 'SQL',
+        inputSerialization: {JSON: {Type: 'DOCUMENT'}, CompressionType: 'NONE'},
+        outputSerialization: {JSON: {RecordDelimiter: '\n'}},
+      }, metaData).then(function(results) {
+        const records = results && results.getRecords();
+        return records && records.length ? records : null;
+      }, function(err) {
+        if (err && (err.code === 'NotImplemented' || err.code === 'MethodNotAllowed')) {
+          // The server cannot run S3 Select, filter in memory from now on
+          debug('S3 Select is not supported, falling back to in-memory filtering');
+          self._selectUnsupported = true;
+          return self.getObject(bucketName, objectName, {as: 'buffer'});
+        }
+        throw err;
+      });
+    });
+  } else {
+    promise = self.getObject(bucketName, objectName, {as: 'buffer'});
+  }
+  return promise.then(function(buffer) {
+    if (!buffer) return null;
+    return self.fromDocument(modelName, JSON.parse(buffer.toString('utf8').trim().split('\n')[0]));
+  }, function(err) {
+    // Removed between listing and reading
+    if (isNotFound(err)) return null;
+    throw err;
+  });
+};
+
+/*!
+ * Run a function on items, at most `documentConcurrency` at a time
+ * @param {Array} items The items
+ * @param {Function} fn Returns a promise for an item
+ * @returns {Promise<Array>} The results, in the order of the items
+ */
+MinioDB.prototype.eachDocument = function(items, fn) {
+  const results = new Array(items.length);
+  return sync.eachLimit(items.map(function(item, index) {
+    return index;
+  }), this.settings.documentConcurrency || DEFAULT_DOCUMENT_CONCURRENCY, function(index) {
+    return fn(items[index]).then(function(result) {
+      results[index] = result;
+    });
+  }).then(function() {
+    return results;
+  });
+};
+
+/*!
+ * Select the page of a filter from the object names, when they answer its
+ * `where` and its `order`: only conditions on the id, and no order but the
+ * id. The names of exact ids are not listed and may not exist, so those
+ * filters are not paged here.
+ * @param {string} modelName The model name
+ * @param {Object} filter The filter
+ * @returns {Promise<Object[]>|null} The documents of the page, see `resolveDocuments`, or null
+ */
+MinioDB.prototype.pageDocuments = function(modelName, filter) {
+  const self = this;
+  const idName = self.idName(modelName);
+  const where = filter.where || {};
+  const cond = where[idName];
+  const order = [].concat(filter.order || idName);
+  if (Object.keys(where).some(function(key) {
+    return key !== idName;
+  }) || (cond != null && (typeof cond !== 'object' || Array.isArray(cond.inq))) ||
+    order.length !== 1 || String(order[0]).trim().split(/\s+/)[0] !== idName) {
+    return null;
+  }
+  return self.resolveDocuments(modelName, where).then(function(documents) {
+    const ids = documents.map(function(document) {
+      const data = {document: document};
+      data[idName] = self.documentId(modelName, document.name);
+      return data;
+    }).filter(function(data) {
+      return filters.matchesWhere(data, where);
+    });
+    filters.applyOrder(ids, order);
+    const skip = filter.skip || filter.offset || 0;
+    return (filter.limit ? ids.slice(skip, skip + filter.limit) : ids.slice(skip)).map(function(data) {
+      return data.document;
+    });
+  });
+};
+
+/*!
+ * Load the documents of a model matching the where clause
+ * @param {string} modelName The model name
+ * @param {Object} [where] The where clause
+ * @param {Object[]} [documents] The documents to read instead of resolving them, see `resolveDocuments`
+ * @returns {Promise<Object[]>}
+ */
+MinioDB.prototype.findDocuments = function(modelName, where, documents) {
+  const self = this;
+  where = where || {};
+  const expression = filters.toSelectExpression(where, self.selectTypes(modelName));
+  if (self.debug) {
+    debug('findDocuments: %s %j %s', modelName, where, expression);
+  }
+  return Promise.resolve(documents || self.resolveDocuments(modelName, where))
+    .then(function(documents) {
+      return self.eachDocument(documents, function(document) {
+        return self.selectDocument(modelName, document.name, expression, document.metaData);
+      });
+    })
+    .then(function(docs) {
+      // S3 Select only evaluates part of the conditions, so every candidate
+      // is checked again in memory
+      return docs.filter(function(data) {
+        return data && filters.matchesWhere(data, where);
+      });
+    });
+};
+
+/**
+ * Create a new model instance, stored as `<modelName>/<id>.json`. The
+ * document is only written if none exists, with `If-None-Match: *`, so of two
+ * concurrent creations with the same id, one fails as a duplicate.
+ * @param {string} modelName - The model name.
+ * @param {object} data - The model instance data.
+ * @param {object} options - Options object.
+ * @param {Function} [callback] - The callback function, called with the id.
+ */
+MinioDB.prototype.create = function(modelName, data, options, callback) {
+  const self = this.withCredentials(options && options.credentials);
+  if (self.debug) {
+    debug('create: %s %j', modelName, data);
+  }
+  let id = self.getIdValue(modelName, data);
+  if (id == null) {
+    id = self.generateUniqueId(modelName);
+    self.setIdValue(modelName, data, id);
+  }
+  const promise = self.writeDocument(modelName, data, {'If-None-Match': '*'}).then(function() {
+    return id;
+  }, function(err) {
+    if (err.statusCode === 412) {
+      const duplicate = new Error(g.f('Duplicate entry for %s.%s', modelName, self.idName(modelName)));
+      duplicate.statusCode = duplicate.status = 409;
+      throw duplicate;
+    }
+    throw err;
+  });
+  asCallback(promise, callback);
+};
+
+/**
+ * Save (create or replace) a model instance.
+ * @param {string} modelName - The model name.
+ * @param {object} data - The model instance data.
+ * @param {object} options - Options object.
+ * @param {Function} [callback] - The callback function.
+ */
+MinioDB.prototype.save = function(modelName, data, options, callback) {
+  const self = this.withCredentials(options && options.credentials);
+  if (self.debug) {
+    debug('save: %s %j', modelName, data);
+  }
+  if (self.getIdValue(modelName, data) == null) {
+    self.setIdValue(modelName, data, self.generateUniqueId(modelName));
+  }
+  asCallback(self.writeDocument(modelName, data), callback);
+};
+
+/**
+ * Update a model instance if it exists, or create it.
+ * @param {string} modelName - The model name.
+ * @param {object} data - The model instance data.
+ * @param {object} options - Options object.
+ * @param {Function} [callback] - The callback function, called with the data and `{isNewInstance}`.
+ */
+MinioDB.prototype.updateOrCreate = function(modelName, data, options, callback) {
+  const self = this.withCredentials(options && options.credentials);
+  if (self.debug) {
+    debug('updateOrCreate: %s %j', modelName, data);
+  }
+  let id = self.getIdValue(modelName, data);
+  if (id == null) {
+    id = self.generateUniqueId(modelName);
+    self.setIdValue(modelName, data, id);
+  }
+  self.readDocument(modelName, id).then(function(existing) {
+    const merged = Object.assign({}, existing, data);
+    return self.writeDocument(modelName, merged).then(function() {
+      return [merged, {isNewInstance: !existing}];
+    });
+  }).then(function(result) {
+    process.nextTick(callback, null, result[0], result[1]);
+  }, function(err) {
+    process.nextTick(callback, err);
+  });
+};
+
+/**
+ * Replace a model instance if it exists, or create it.
+ * @param {string} modelName - The model name.
+ * @param {object} data - The model instance data.
+ * @param {object} options - Options object.
+ * @param {Function} [callback] - The callback function, called with the data and `{isNewInstance}`.
+ */
+MinioDB.prototype.replaceOrCreate = function(modelName, data, options, callback) {
+  const self = this.withCredentials(options && options.credentials);
+  if (self.debug) {
+    debug('replaceOrCreate: %s %j', modelName, data);
+  }
+  let id = self.getIdValue(modelName, data);
+  if (id == null) {
+    id = self.generateUniqueId(modelName);
+    self.setIdValue(modelName, data, id);
+  }
+  self.readDocument(modelName, id).then(function(existing) {
+    return self.writeDocument(modelName, data).then(function() {
+      return [data, {isNewInstance: !existing}];
+    });
+  }).then(function(result) {
+    process.nextTick(callback, null, result[0], result[1]);
+  }, function(err) {
+    process.nextTick(callback, err);
+  });
+};
+
+/**
+ * Find a model instance by id.
+ * @param {string} modelName - The model name.
+ * @param {*} id - The id value.
+ * @param {object} options - Options object.
+ * @param {Function} [callback] - The callback function, called with the data or null.
+ */
+MinioDB.prototype.find = function(modelName, id, options, callback) {
+  const self = this.withCredentials(options && options.credentials);
+  if (self.debug) {
+    debug('find: %s %s', modelName, id);
+  }
+  asCallback(self.readDocument(modelName, id), callback);
+};
+
+/**
+ * Check if a model instance exists.
+ * @param {string} modelName - The model name.
+ * @param {*} id - The id value.
+ * @param {object} options - Options object.
+ * @param {Function} [callback] - The callback function, called with a boolean.
+ */
+MinioDB.prototype.exists = function(modelName, id, options, callback) {
+  const self = this.withCredentials(options && options.credentials);
+  if (self.debug) {
+    debug('exists: %s %s', modelName, id);
+  }
+  const promise = self.readDocument(modelName, id).then(function(data) {
+    return !!data;
+  });
+  asCallback(promise, callback);
+};
+
+/**
+ * Find all model instances matching the filter.
+ * @param {string} modelName - The model name.
+ * @param {object} filter - The filter object with `where`, `order`, `limit`, `skip` and `fields`,
+ * e.g. `{where: {priority: {gt: 1}}, order: 'title DESC', limit: 10}`.
+ * @param {object} options - Options object.
+ * @param {Function} [callback] - The callback function, called with the list of data.
+ */
+MinioDB.prototype.all = function(modelName, filter, options, callback) {
+  const self = this.withCredentials(options && options.credentials);
+  if (self.debug) {
+    debug('all: %s %j', modelName, filter);
+  }
+  filter = filter || {};
+  const page = self.pageDocuments(modelName, filter);
+  const promise = page ? page.then(function(documents) {
+    // Documents removed since the listing are left out
+    return self.findDocuments(modelName, {}, documents);
+  }).then(function(docs) {
+    return filters.applyFields(docs, filter.fields, self.idName(modelName));
+  }) : self.findDocuments(modelName, filter.where).then(function(docs) {
+    const skip = filter.skip || filter.offset || 0;
+    // Listing order is the object name order, sort by id when no order is given
+    filters.applyOrder(docs, filter.order || self.idName(modelName));
+    docs = filter.limit ? docs.slice(skip, skip + filter.limit) : docs.slice(skip);
+    return filters.applyFields(docs, filter.fields, self.idName(modelName));
+  });
+  asCallback(promise, callback);
+};
+
+/**
+ * Count the model instances matching the where clause.
+ * @param {string} modelName - The model name.
+ * @param {object} where - The where clause.
+ * @param {object} options - Options object.
+ * @param {Function} [callback] - The callback function, called with the count.
+ */
+MinioDB.prototype.count = function(modelName, where, options, callback) {
+  const self = this.withCredentials(options && options.credentials);
+  if (self.debug) {
+    debug('count: %s %j', modelName, where);
+  }
+  const promise = self.findDocuments(modelName, where).then(function(docs) {
+    return docs.length;
+  });
+  asCallback(promise, callback);
+};
+
+/**
+ * Update the attributes of a model instance.
+ * @param {string} modelName - The model name.
+ * @param {*} id - The id value.
+ * @param {object} data - The attributes to update.
+ * @param {object} options - Options object.
+ * @param {Function} [callback] - The callback function, called with the updated data.
+ */
+MinioDB.prototype.updateAttributes = function(modelName, id, data, options, callback) {
+  const self = this.withCredentials(options && options.credentials);
+  if (self.debug) {
+    debug('updateAttributes: %s %s %j', modelName, id, data);
+  }
+  const promise = self.readDocument(modelName, id).then(function(existing) {
+    if (!existing) {
+      const err = new Error(g.f('Could not update attributes. {{Object}} with id %s does not exist!', id));
+      err.statusCode = 404;
+      throw err;
+    }
+    const merged = Object.assign(existing, data);
+    self.setIdValue(modelName, merged, id);
+    return self.writeDocument(modelName, merged);
+  });
+  asCallback(promise, callback);
+};
+
+/**
+ * Replace a model instance by id.
+ * @param {string} modelName - The model name.
+ * @param {*} id - The id value.
+ * @param {object} data - The new model instance data.
+ * @param {object} options - Options object.
+ * @param {Function} [callback] - The callback function, called with the new data.
+ */
+MinioDB.prototype.replaceById = function(modelName, id, data, options, callback) {
+  const self = this.withCredentials(options && options.credentials);
+  if (self.debug) {
+    debug('replaceById: %s %s %j', modelName, id, data);
+  }
+  const promise = self.readDocument(modelName, id).then(function(existing) {
+    if (!existing) {
+      const err = new Error(g.f('Could not replace. {{Object}} with id %s does not exist!', id));
+      err.statusCode = 404;
+      throw err;
+    }
+    self.setIdValue(modelName, data, id);
+    return self.writeDocument(modelName, data);
+  });
+  asCallback(promise, callback);
+};
+
+/**
+ * Update all model instances matching the where clause.
+ * @param {string} modelName - The model name.
+ * @param {object} where - The where clause.
+ * @param {object} data - The attributes to update.
+ * @param {object} options - Options object.
+ * @param {Function} [callback] - The callback function, called with `{count}`.
+ */
+MinioDB.prototype.update = function(modelName, where, data, options, callback) {
+  const self = this.withCredentials(options && options.credentials);
+  if (self.debug) {
+    debug('update: %s %j %j', modelName, where, data);
+  }
+  const idName = self.idName(modelName);
+  const changes = Object.assign({}, data);
+  delete changes[idName];
+  const promise = self.findDocuments(modelName, where).then(function(docs) {
+    return self.eachDocument(docs, function(doc) {
+      return self.writeDocument(modelName, Object.assign(doc, changes));
+    });
+  }).then(function(docs) {
+    return {count: docs.length};
+  });
+  asCallback(promise, callback);
+};
+
+/**
+ * Delete a model instance by id.
+ * @param {string} modelName - The model name.
+ * @param {*} id - The id value.
+ * @param {object} options - Options object.
+ * @param {Function} [callback] - The callback function, called with `{count}`.
+ */
+MinioDB.prototype.destroy = function(modelName, id, options, callback) {
+  const self = this.withCredentials(options && options.credentials);
+  if (self.debug) {
+    debug('destroy: %s %s', modelName, id);
+  }
+  const promise = self.removeDocument(modelName, id).then(function(count) {
+    return {count: count};
+  });
+  asCallback(promise, callback);
+};
+
+/**
+ * Delete all model instances matching the where clause.
+ * @param {string} modelName - The model name.
+ * @param {object} where - The where clause.
+ * @param {object} options - Options object.
+ * @param {Function} [callback] - The callback function, called with `{count}`.
+ */
+MinioDB.prototype.destroyAll = function(modelName, where, options, callback) {
+  const self = this.withCredentials(options && options.credentials);
+  if (self.debug) {
+    debug('destroyAll: %s %j', modelName, where);
+  }
+  const idName = self.idName(modelName);
+  const promise = self.findDocuments(modelName, where).then(function(docs) {
+    return self.eachDocument(docs, function(doc) {
+      return self.removeDocument(modelName, doc[idName]);
+    });
+  }).then(function(counts) {
+    return {
+      count: counts.reduce(function(sum, n) {
+        return sum + n;
+      }, 0),
+    };
+  });
+  asCallback(promise, callback);
+};
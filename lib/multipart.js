@@ -0,0 +1,275 @@
+// Copyright IBM Corp. 2014,2019. All Rights Reserved.
+// Node module: loopback-connector-mongodb
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+const g = require('strong-globalize')();
+const stream = require('stream');
+const util = require('util');
+
+const CRLF = Buffer.from('\r\n');
+const HEADER_END = Buffer.from('\r\n\r\n');
+const MAX_HEADER_SIZE = 16 * 1024;
+const MAX_FIELD_SIZE = 1024 * 1024;
+
+/*!
+ * Build a 400 error for a malformed request body
+ */
+function badRequest(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  err.code = 'MalformedMultipart';
+  return err;
+}
+
+/*!
+ * Get the boundary from a `multipart/form-data` content type
+ */
+function getBoundary(contentType) {
+  const match = /^multipart\/form-data\s*;.*boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType || '');
+  return match && (match[1] || match[2]);
+}
+
+/*!
+ * Parse the headers of a part
+ */
+function parseHeaders(text) {
+  const headers = {};
+  text.split('\r\n').forEach(function(line) {
+    const index = line.indexOf(':');
+    if (index > 0) {
+      headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+    }
+  });
+  return headers;
+}
+
+/*!
+ * Get a parameter of a `Content-Disposition` header
+ */
+function dispositionParam(disposition, name) {
+  const match = new RegExp('(?:^|;)\\s*' + name + '="((?:[^"\\\\]|\\\\.)*)"', 'i').exec(disposition) ||
+    new RegExp('(?:^|;)\\s*' + name + '=([^;\\s]*)', 'i').exec(disposition);
+  return match ? match[1].replace(/\\(.)/g, '$1') : undefined;
+}
+
+/**
+ * Streaming parser of a `multipart/form-data` body. Text fields are collected
+ * in `fields`, files are handed to `onFile` as readable streams while the body
+ * is read, so they are never buffered whole.
+ * @param {string} boundary The boundary of the content type
+ * @param {Function} onFile Called with `(file, fields)` for each file, where
+ * `file` is a readable stream with `fieldName`, `fileName` and `contentType`
+ * @constructor
+ */
+function MultipartParser(boundary, onFile) {
+  stream.Writable.call(this);
+  this.delimiter = Buffer.from('\r\n--' + boundary);
+  // The first boundary does not follow a line break
+  this.buffer = Buffer.from('\r\n');
+  this.state = 'preamble';
+  this.fields = {};
+  this.onFile = onFile;
+  this.part = null;
+}
+
+util.inherits(MultipartParser, stream.Writable);
+
+MultipartParser.prototype._write = function(chunk, encoding, callback) {
+  this.buffer = Buffer.concat([this.buffer, chunk]);
+  this.resume(callback);
+};
+
+/*!
+ * Parse what is buffered, waiting for the current file to drain when it asks to
+ */
+MultipartParser.prototype.resume = function(callback) {
+  const self = this;
+  let wait;
+  try {
+    wait = self.parse();
+  } catch (err) {
+    return callback(err);
+  }
+  if (wait) {
+    self.part.stream.once('drain', function() {
+      self.resume(callback);
+    });
+  } else {
+    callback();
+  }
+};
+
+MultipartParser.prototype._final = function(callback) {
+  callback(this.state === 'end' ? null : badRequest(g.f('Unexpected end of multipart body')));
+};
+
+MultipartParser.prototype._destroy = function(err, callback) {
+  // Fail the file being read, if any, without raising on a file nobody listens to
+  const file = this.part && this.part.stream;
+  if (file && !file.writableEnded) {
+    file.destroy(file.listenerCount('error') ? err || badRequest(g.f('Unexpected end of multipart body')) : null);
+  }
+  callback(err);
+};
+
+/*!
+ * Consume the buffered bytes. Returns true when a file stream asks to wait.
+ */
+MultipartParser.prototype.parse = function() {
+  for (;;) {
+    if (this.state === 'preamble' || this.state === 'body') {
+      const index = this.buffer.indexOf(this.delimiter);
+      // Keep the bytes which may start a delimiter
+      const end = index === -1 ? Math.max(this.buffer.length - this.delimiter.length + 1, 0) : index;
+      const wait = this.state === 'body' && end > 0 && this.data(this.buffer.slice(0, end));
+      this.buffer = this.buffer.slice(end);
+      if (wait || index === -1) {
+        return wait;
+      }
+      this.buffer = this.buffer.slice(this.delimiter.length);
+      if (this.state === 'body') {
+        this.endPart();
+      }
+      this.state = 'boundary';
+    } else if (this.state === 'boundary') {
+      if (this.buffer.length < 2) {
+        return false;
+      }
+      if (this.buffer[0] === 0x2d && this.buffer[1] === 0x2d) {
+        this.state = 'end';
+      } else if (this.buffer.slice(0, 2).equals(CRLF)) {
+        this.state = 'headers';
+      } else {
+        throw badRequest(g.f('Malformed multipart boundary'));
+      }
+      this.buffer = this.buffer.slice(2);
+    } else if (this.state === 'headers') {
+      const index = this.buffer.indexOf(HEADER_END);
+      if (index === -1) {
+        if (this.buffer.length > MAX_HEADER_SIZE) {
+          throw badRequest(g.f('Multipart headers are too large'));
+        }
+        return false;
+      }
+      this.startPart(parseHeaders(this.buffer.slice(0, index).toString('utf8')));
+      this.buffer = this.buffer.slice(index + HEADER_END.length);
+      this.state = 'body';
+    } else {
+      // Ignore the epilogue
+      this.buffer = Buffer.alloc(0);
+      return false;
+    }
+  }
+};
+
+MultipartParser.prototype.startPart = function(headers) {
+  const disposition = headers['content-disposition'] || '';
+  const part = {
+    name: dispositionParam(disposition, 'name'),
+    fileName: dispositionParam(disposition, 'filename'),
+  };
+  if (part.fileName === undefined) {
+    part.chunks = [];
+    part.size = 0;
+  } else {
+    part.stream = new stream.PassThrough();
+    part.stream.fieldName = part.name;
+    part.stream.fileName = part.fileName;
+    part.stream.contentType = headers['content-type'] || 'application/octet-stream';
+    this.onFile(part.stream, this.fields);
+  }
+  this.part = part;
+};
+
+MultipartParser.prototype.data = function(data) {
+  const part = this.part;
+  if (part.stream) {
+    return !part.stream.write(data);
+  }
+  part.size += data.length;
+  if (part.size > MAX_FIELD_SIZE) {
+    throw badRequest(g.f('Multipart field %s is too large', part.name));
+  }
+  part.chunks.push(data);
+  return false;
+};
+
+MultipartParser.prototype.endPart = function() {
+  const part = this.part;
+  if (part.stream) {
+    part.stream.end();
+  } else if (part.name !== undefined) {
+    this.fields[part.name] = Buffer.concat(part.chunks).toString('utf8');
+  }
+};
+
+/**
+ * Read a `multipart/form-data` request. Fields must come before the files
+ * they apply to.
+ * @param {http.IncomingMessage} req The request
+ * @param {Function} onFile Called with `(file, fields)` for each file, see
+ * `MultipartParser`. It returns a promise for the outcome of consuming the file.
+ * @returns {Promise<{fields: Object, files: Array}>} Resolves with the fields
+ * and the outcomes of `onFile` once the body is read and the files are consumed
+ */
+exports.parse = function parse(req, onFile) {
+  return new Promise(function(resolve, reject) {
+    const boundary = getBoundary(req.headers && req.headers['content-type']);
+    if (!boundary) {
+      const err = new Error(g.f('Expected a multipart/form-data request'));
+      err.statusCode = 415;
+      err.code = 'UnsupportedMediaType';
+      return reject(err);
+    }
+    const files = [];
+    const parser = new MultipartParser(boundary, function(file, fields) {
+      const result = Promise.resolve(onFile(file, fields));
+      // Stop reading the body when a file cannot be consumed
+      result.catch(function(err) {
+        parser.destroy(err);
+      });
+      files.push(result);
+    });
+    stream.pipeline(req, parser, function(err) {
+      if (err) {
+        return reject(err);
+      }
+      Promise.all(files).then(function(results) {
+        resolve({fields: parser.fields, files: results});
+      }, reject);
+    });
+  });
+};
+
+/**
+ * Store the files of a `multipart/form-data` request with `putObject`. A file
+ * is stored under `prefix` followed by the `objectName` field sent before it,
+ * or by its file name.
+ * @param {http.IncomingMessage} req The request
+ * @param {Object} target The connector or model to call `putObject` on
+ * @param {string} [bucketName] Name of the bucket
+ * @param {string} [prefix] Prefix of the object names
+ * @returns {Promise<Object[]>} The stored objects, with `objectName`, `contentType`, `etag` and `versionId`
+ */
+exports.storeFiles = function storeFiles(req, target, bucketName, prefix) {
+  return exports.parse(req, function(file, fields) {
+    const objectName = (prefix || '') + (fields.objectName || file.fileName);
+    delete fields.objectName;
+    return target.putObject(bucketName, objectName, file, undefined, {'Content-Type': file.contentType})
+      .then(function(info) {
+        return {
+          objectName: objectName,
+          contentType: file.contentType,
+          etag: info && info.etag,
+          versionId: info && info.versionId,
+        };
+      });
+  }).then(function(result) {
+    return result.files;
+  });
+};
+
+exports.MultipartParser = MultipartParser;
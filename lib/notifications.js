@@ -0,0 +1,207 @@
+// Copyright IBM Corp. 2014,2019. All Rights Reserved.
+// Node module: loopback-connector-mongodb
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+const EventEmitter = require('events');
+const util = require('util');
+const debug = require('debug')('loopback:connector:minio');
+const RetryPolicy = require('./retry');
+
+const DEFAULT_EVENTS = ['s3:ObjectCreated:*', 's3:ObjectRemoved:*'];
+
+/*!
+ * The typed events of the notifications, by prefix of their event name
+ */
+const EVENT_TYPES = {
+  's3:ObjectCreated:': 'object:created',
+  's3:ObjectRemoved:': 'object:removed',
+};
+
+/*!
+ * Decode the URL-encoded key of a notification record
+ */
+function decodeKey(key) {
+  return decodeURIComponent(String(key || '').replace(/\+/g, ' '));
+}
+
+/*!
+ * Describe the object of a notification record, or nothing for other events
+ */
+function objectEvent(record, modelName) {
+  const prefix = Object.keys(EVENT_TYPES).find(function(name) {
+    return String(record.eventName).indexOf(name) === 0;
+  });
+  if (!prefix) {
+    return undefined;
+  }
+  const s3 = record.s3 || {};
+  const object = s3.object || {};
+  return {
+    type: EVENT_TYPES[prefix],
+    eventName: record.eventName,
+    bucketName: s3.bucket && s3.bucket.name,
+    objectName: decodeKey(object.key),
+    size: object.size,
+    etag: object.eTag,
+    versionId: object.versionId,
+    time: record.eventTime ? new Date(record.eventTime) : new Date(),
+    modelName: modelName,
+    record: record,
+  };
+}
+
+/*!
+ * Derive a client calling `connected` once a listener request is answered.
+ * The listeners of the local backends need no request and are connected at once.
+ */
+function connectedClient(client, connected) {
+  if (typeof client.makeRequestAsync !== 'function') {
+    process.nextTick(connected);
+    return client;
+  }
+  const derived = Object.create(client);
+  derived.makeRequestAsync = function() {
+    return client.makeRequestAsync.apply(this, arguments).then(function(response) {
+      connected();
+      return response;
+    });
+  };
+  return derived;
+}
+
+/**
+ * A subscription to the notifications of a bucket. Each notification is
+ * emitted as `notification`, and the ones about objects as `object:created`
+ * or `object:removed`, on the subscription and on its targets. When the
+ * listener fails, e.g. as the connection breaks, a new one is started after
+ * a delay growing with the failures since the last connection, announced
+ * with a `reconnect` event.
+ * @param {Object} client The minio client or a local one
+ * @param {string} bucketName
+ * @param {Object} [options]
+ * @param {string} [options.prefix] Only notify about objects with this prefix
+ * @param {string} [options.suffix] Only notify about objects with this suffix
+ * @param {string[]} [options.events] The event types
+ * @param {string} [options.modelName] The model of the subscription, set on the events
+ * @param {EventEmitter[]} [options.targets] Emitters the object events are emitted on too
+ * @param {Object|boolean} [options.reconnect] The backoff of the reconnections: `baseDelay` (1000 ms), `maxDelay`
+ * (30000 ms), `jitter` and `maxAttempts` (unlimited), after which the subscription ends with an `error`
+ * event, or `false` to end on the first failure
+ * @constructor
+ */
+function Subscription(client, bucketName, options) {
+  EventEmitter.call(this);
+  options = options || {};
+  this.client = client;
+  this.bucketName = bucketName;
+  this.prefix = options.prefix || '';
+  this.suffix = options.suffix || '';
+  this.events = options.events || DEFAULT_EVENTS;
+  this.modelName = options.modelName;
+  this.targets = options.targets || [];
+  this.reconnect = new RetryPolicy(Object.assign({baseDelay: 1000, maxDelay: 30000, maxAttempts: Infinity},
+    options.reconnect === false ? {maxAttempts: 1} : options.reconnect));
+  this.stopped = false;
+  this._listener = null;
+  this._timer = null;
+  this._failures = 0;
+  // Giving up must not crash an application which only listens to the object events
+  this.on('error', function(err) {
+    debug('notifications: subscription to %s ended: %s', bucketName, err.message);
+  });
+}
+
+util.inherits(Subscription, EventEmitter);
+
+/**
+ * Start listening.
+ */
+Subscription.prototype.start = function() {
+  const self = this;
+  if (self.stopped) {
+    return;
+  }
+  const client = connectedClient(self.client, function() {
+    if (listener === self._listener) {
+      self._failures = 0;
+    }
+  });
+  const listener = client.listenBucketNotification(self.bucketName, self.prefix, self.suffix, self.events);
+  self._listener = listener;
+  listener.on('notification', function(record) {
+    self.emit('notification', record);
+    const event = objectEvent(record, self.modelName);
+    if (event) {
+      self.emit(event.type, event);
+      self.targets.forEach(function(target) {
+        target.emit(event.type, event);
+      });
+    }
+  });
+  listener.on('error', function(err) {
+    if (listener === self._listener) {
+      self.fail(err);
+    }
+  });
+};
+
+/*!
+ * Listen again after a delay, or give up
+ */
+Subscription.prototype.fail = function(err) {
+  const self = this;
+  self.close();
+  self._failures++;
+  if (self._failures >= self.reconnect.maxAttempts) {
+    debug('notifications: giving up after %d failures: %s', self._failures, err.message);
+    self.stopped = true;
+    self.emit('error', err);
+    self.emit('end');
+    return;
+  }
+  const delay = self.reconnect.delay(self._failures);
+  debug('notifications: listener failed with %s, reconnecting in %d ms', err.code || err.message, delay);
+  self.emit('reconnect', {attempt: self._failures, delay: delay, error: err});
+  self._timer = setTimeout(function() {
+    self._timer = null;
+    try {
+      self.start();
+    } catch (err) {
+      self.fail(err);
+    }
+  }, delay);
+};
+
+/*!
+ * Stop the current listener, ignoring its late errors
+ */
+Subscription.prototype.close = function() {
+  const listener = this._listener;
+  this._listener = null;
+  if (listener) {
+    listener.stop();
+    listener.removeAllListeners();
+    listener.on('error', function() {});
+  }
+};
+
+/**
+ * Stop listening, for good. Emits `end`.
+ */
+Subscription.prototype.stop = function() {
+  if (this._timer) {
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+  this.close();
+  if (!this.stopped) {
+    this.stopped = true;
+    this.emit('end');
+  }
+};
+
+exports.DEFAULT_EVENTS = DEFAULT_EVENTS;
+exports.Subscription = Subscription;
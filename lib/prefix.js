@@ -0,0 +1,274 @@
+// Copyright IBM Corp. 2014,2019. All Rights Reserved.
+// Node module: loopback-connector-mongodb
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+const g = require('strong-globalize')();
+const crypto = require('crypto');
+const debug = require('debug')('loopback:connector:minio');
+const xmlParsers = require('minio/dist/main/xml-parsers.js');
+const eachLimit = require('./sync').eachLimit;
+
+const DEFAULT_CONCURRENCY = 4;
+// The most keys of a delete request
+const BATCH_SIZE = 1000;
+
+/*!
+ * Validate the options of a prefix operation
+ */
+function prefixOptions(options) {
+  options = Object.assign({concurrency: DEFAULT_CONCURRENCY}, options);
+  if (!(options.concurrency >= 1)) {
+    throw new TypeError(g.f('{{concurrency}} must be at least 1'));
+  }
+  return options;
+}
+
+/*!
+ * Describe the failure of an object, or of one of its versions
+ */
+function failure(name, versionId, err) {
+  return {name: name, versionId: versionId, code: err.code, message: err.message};
+}
+
+/**
+ * Read the objects under a prefix in batches of at most 1000 objects. With
+ * `versions`, each object comes with all of its versions, oldest first, in
+ * batches of about 1000 versions; an object is never split across batches,
+ * so a batch can hold more.
+ * @param {MinioDB} connector
+ * @param {string} bucketName
+ * @param {string} prefix
+ * @param {boolean} [versions] Include the versions and the delete markers
+ * @returns {AsyncGenerator<Array<{name: string, versions: Object[]}>>} The batches of objects
+ */
+async function* batches(connector, bucketName, prefix, versions) {
+  if (!versions) {
+    let batch = [];
+    for await (const item of connector.listObjects(bucketName, prefix, true)) {
+      if (item.name) {
+        batch.push({name: item.name, versions: [item]});
+      }
+      if (batch.length === BATCH_SIZE) {
+        yield batch;
+        batch = [];
+      }
+    }
+    if (batch.length) {
+      yield batch;
+    }
+    return;
+  }
+  // Listed by name and from the latest, so an object is complete once the next one starts
+  let batch = [];
+  let size = 0;
+  let object = null;
+  for await (const item of connector.listObjectVersions(bucketName, prefix)) {
+    if (!object || object.name !== item.name) {
+      if (size >= BATCH_SIZE) {
+        yield batch;
+        batch = [];
+        size = 0;
+      }
+      object = {name: item.name, versions: []};
+      batch.push(object);
+    }
+    object.versions.unshift(item);
+    size++;
+  }
+  if (batch.length) {
+    yield batch;
+  }
+}
+
+/*!
+ * Copy an object, or all of its versions in order, to its destination.
+ * Resolves with the number of versions copied, rejects on the first failure.
+ */
+async function copyVersions(connector, bucketName, object, destBucket, destName, versions) {
+  if (!versions) {
+    await connector.copyObject(bucketName, object.name, destBucket, destName);
+    return 1;
+  }
+  for (const version of object.versions) {
+    try {
+      if (version.isDeleteMarker) {
+        // Deleting again leaves a delete marker in a versioned bucket
+        await connector.removeObject(destBucket, destName);
+      } else {
+        await connector.copyObject(bucketName, object.name, destBucket, destName, {versionId: version.versionId});
+      }
+    } catch (err) {
+      err.versionId = version.versionId;
+      throw err;
+    }
+  }
+  return object.versions.length;
+}
+
+/*!
+ * Escape the text of an XML element
+ */
+function xmlText(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/*!
+ * Send one DeleteObjects request. The minio client ignores the requests
+ * failing as a whole, so they are sent here, except to the local backends.
+ * Resolves with the errors of the objects, rejects when the request fails.
+ */
+async function deleteObjects(connector, bucketName, list) {
+  const client = connector.client;
+  if (typeof client.makeRequestAsync !== 'function') {
+    return (await connector.removeObjects(bucketName, list)) || [];
+  }
+  const payload = Buffer.from('<Delete><Quiet>true</Quiet>' + list.map(function(item) {
+    return '<Object><Key>' + xmlText(item.name || item) + '</Key>' +
+      (item.versionId ? '<VersionId>' + xmlText(item.versionId) + '</VersionId>' : '') + '</Object>';
+  }).join('') + '</Delete>');
+  const headers = {'Content-MD5': crypto.createHash('md5').update(payload).digest('base64')};
+  const response = await client.makeRequestAsync({method: 'POST', bucketName: bucketName, query: 'delete',
+    headers: headers}, payload, [200]);
+  const chunks = [];
+  for await (const chunk of response) {
+    chunks.push(chunk);
+  }
+  return xmlParsers.removeObjectsParser(Buffer.concat(chunks).toString('utf8'));
+}
+
+/*!
+ * Remove the objects, or all of their versions, 1000 keys per request.
+ * Resolves with the number removed and the failures, all of the keys of a
+ * request when it fails.
+ */
+async function removeBatch(connector, bucketName, objects, versions) {
+  const list = [];
+  objects.forEach(function(object) {
+    if (!versions) {
+      return list.push(object.name);
+    }
+    object.versions.forEach(function(version) {
+      list.push({name: object.name, versionId: version.versionId});
+    });
+  });
+  let removed = 0;
+  const failed = [];
+  for (let i = 0; i < list.length; i += BATCH_SIZE) {
+    const keys = list.slice(i, i + BATCH_SIZE);
+    let errors;
+    try {
+      errors = await deleteObjects(connector, bucketName, keys);
+    } catch (err) {
+      debug('removeBatch: failed to remove %d objects: %s', keys.length, err.message);
+      keys.forEach(function(item) {
+        failed.push(failure(item.name || item, item.versionId, err));
+      });
+      continue;
+    }
+    removed += keys.length - errors.length;
+    errors.forEach(function(error) {
+      failed.push({name: error.Key, versionId: error.VersionId, code: error.Code, message: error.Message});
+    });
+  }
+  return {removed: removed, failed: failed};
+}
+
+/*!
+ * Copy the objects under a prefix, then remove the copied ones if asked
+ */
+async function transfer(connector, bucketName, prefix, destBucket, destPrefix, options, move) {
+  options = prefixOptions(options);
+  prefix = prefix || '';
+  destPrefix = destPrefix || '';
+  if (destBucket === bucketName && destPrefix.indexOf(prefix) === 0) {
+    // The listing would go through the copies
+    throw new TypeError(g.f('The destination %s is under the prefix %s', destPrefix, prefix));
+  }
+  let count = 0;
+  const failed = [];
+  for await (const batch of batches(connector, bucketName, prefix, options.versions)) {
+    const copied = [];
+    await eachLimit(batch, options.concurrency, async function(object) {
+      const destName = destPrefix + object.name.slice(prefix.length);
+      try {
+        const versions = await copyVersions(connector, bucketName, object, destBucket, destName, options.versions);
+        if (move) {
+          copied.push(object);
+        } else {
+          count += versions;
+        }
+      } catch (err) {
+        debug('%s: failed on %s: %s', move ? 'movePrefix' : 'copyPrefix', object.name, err.message);
+        failed.push(failure(object.name, err.versionId, err));
+      }
+    });
+    if (copied.length) {
+      const result = await removeBatch(connector, bucketName, copied, options.versions);
+      count += result.removed;
+      Array.prototype.push.apply(failed, result.failed);
+    }
+  }
+  return {count: count, failed: failed};
+}
+
+/**
+ * Copy the objects under a prefix, with their metadata and tags, to another
+ * prefix, of the same bucket or of another one.
+ * @param {MinioDB} connector
+ * @param {string} bucketName
+ * @param {string} prefix
+ * @param {string} destBucket
+ * @param {string} destPrefix
+ * @param {Object} [options] See `copyPrefix` of the connector
+ * @returns {Promise<{copied: number, failed: Object[]}>}
+ */
+async function copyPrefix(connector, bucketName, prefix, destBucket, destPrefix, options) {
+  const result = await transfer(connector, bucketName, prefix, destBucket, destPrefix, options, false);
+  return {copied: result.count, failed: result.failed};
+}
+
+/**
+ * Move the objects under a prefix to another prefix: copy them, then remove
+ * those copied.
+ * @param {MinioDB} connector
+ * @param {string} bucketName
+ * @param {string} prefix
+ * @param {string} destBucket
+ * @param {string} destPrefix
+ * @param {Object} [options] See `copyPrefix` of the connector
+ * @returns {Promise<{moved: number, failed: Object[]}>}
+ */
+async function movePrefix(connector, bucketName, prefix, destBucket, destPrefix, options) {
+  const result = await transfer(connector, bucketName, prefix, destBucket, destPrefix, options, true);
+  return {moved: result.count, failed: result.failed};
+}
+
+/**
+ * Remove the objects under a prefix, 1000 per request.
+ * @param {MinioDB} connector
+ * @param {string} bucketName
+ * @param {string} prefix Required, so that a bucket is not emptied by mistake
+ * @param {Object} [options] See `removePrefix` of the connector
+ * @returns {Promise<{removed: number, failed: Object[]}>}
+ */
+async function removePrefix(connector, bucketName, prefix, options) {
+  options = prefixOptions(options);
+  if (!prefix) {
+    throw new TypeError(g.f('A {{prefix}} is required to remove objects'));
+  }
+  let removed = 0;
+  const failed = [];
+  for await (const batch of batches(connector, bucketName, prefix, options.versions)) {
+    const result = await removeBatch(connector, bucketName, batch, options.versions);
+    removed += result.removed;
+    Array.prototype.push.apply(failed, result.failed);
+  }
+  return {removed: removed, failed: failed};
+}
+
+exports.copyPrefix = copyPrefix;
+exports.movePrefix = movePrefix;
+exports.removePrefix = removePrefix;
@@ -0,0 +1,158 @@
+// Copyright IBM Corp. 2014,2019. All Rights Reserved.
+// Node module: loopback-connector-mongodb
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+const stream = require('stream');
+
+/**
+ * Create a stream counting the bytes passing through it. After each chunk,
+ * `onProgress` is called with `{loaded, total}`, plus `{parts, completedParts}`
+ * when a part size is given. `completedParts` counts the parts whose bytes
+ * all went through the stream, i.e. were read by the client, not the parts
+ * the server acknowledged, which the stream cannot see. `parts` is only known
+ * with the total size.
+ * @param {Function} onProgress Called with the progress
+ * @param {Object} [options]
+ * @param {number} [options.loaded=0] Bytes transferred before, when resuming
+ * @param {number} [options.total] Size of the transfer, when known
+ * @param {number} [options.partSize] Size of the parts of a multipart upload
+ * @returns {stream.Transform}
+ */
+function progressStream(onProgress, options) {
+  options = options || {};
+  const total = options.total;
+  const partSize = options.partSize;
+  let loaded = options.loaded || 0;
+  let partsRead = 0;
+
+  function report(callback, chunk) {
+    const progress = {loaded: loaded, total: total};
+    if (partSize) {
+      progress.parts = total === undefined ? undefined : Math.max(Math.ceil(total / partSize), 1);
+      progress.completedParts = partsRead;
+    }
+    try {
+      onProgress(progress);
+    } catch (err) {
+      return callback(err);
+    }
+    callback(null, chunk);
+  }
+
+  return new stream.Transform({
+    transform: function(chunk, encoding, callback) {
+      loaded += chunk.length;
+      if (partSize) {
+        // Read, maybe still being sent
+        partsRead = Math.floor(loaded / partSize);
+      }
+      report(callback, chunk);
+    },
+    flush: function(callback) {
+      // The last part is shorter, or the only one of an empty body
+      if (!partSize || (loaded && loaded % partSize === 0)) {
+        return callback();
+      }
+      partsRead++;
+      report(callback);
+    },
+  });
+}
+
+/*!
+ * Pipe a source into a progress stream, forwarding the errors of the source
+ */
+function track(source, onProgress, options) {
+  return stream.pipeline(source, progressStream(onProgress, options), function() {});
+}
+
+/**
+ * Call a client method with its promise API, then report to a trailing
+ * callback of the arguments if any.
+ * @param {Function} method The method of the client
+ * @param {Object} client The client, or one derived from it
+ * @param {Array} args The arguments, with an optional callback
+ * @param {Function} [then] Maps the result
+ * @returns {Promise|undefined} The result, without a callback
+ */
+function callClient(method, client, args, then) {
+  const callback = typeof args[args.length - 1] === 'function' ? args.pop() : undefined;
+  const promise = Promise.resolve().then(function() {
+    return method.apply(client, args);
+  }).then(then);
+  if (!callback) {
+    return promise;
+  }
+  promise.then(function(result) {
+    callback(null, result);
+  }, callback);
+}
+
+/**
+ * Derive a client reporting the progress of its transfers: the bodies given to
+ * `putObject` and the streams returned by `getPartialObject` are counted. As
+ * `fPutObject` and `fGetObject` call those methods of the client, the files
+ * they transfer are counted too.
+ * @param {Object} client The minio client or a local one
+ * @param {Function} onProgress Called with the progress, see `progressStream`
+ * @returns {Object} A client for the transfers to track
+ */
+function trackClient(client, onProgress) {
+  const tracked = Object.create(client);
+
+  tracked.putObject = function(bucketName, objectName, body, size, metaData) {
+    const args = Array.prototype.slice.call(arguments);
+    const callback = typeof args[args.length - 1] === 'function' ? args.pop() : undefined;
+    if (size && typeof size === 'object') {
+      args.splice(3, 0, undefined);
+      size = undefined;
+    }
+    size = typeof size === 'function' ? undefined : size;
+    if (typeof body === 'string' || Buffer.isBuffer(body)) {
+      body = Buffer.from(body);
+      size = body.length;
+      body = stream.Readable.from([body]);
+    }
+    // Like the client, upload the parts of an object of unknown size as large as possible
+    const partSize = typeof client.calculatePartSize === 'function' ?
+      client.calculatePartSize(size === undefined ? client.maxObjectSize : size) : undefined;
+    args[2] = track(body, onProgress, {total: size, partSize: partSize});
+    args[3] = size;
+    return callClient(client.putObject, this, callback ? args.concat(callback) : args);
+  };
+
+  tracked.getPartialObject = function(bucketName, objectName, offset) {
+    return callClient(client.getPartialObject, this, Array.prototype.slice.call(arguments), function(response) {
+      const length = response.headers && response.headers['content-length'];
+      return track(response, onProgress, {
+        loaded: offset || 0,
+        total: length === undefined ? undefined : (offset || 0) + Number(length),
+      });
+    });
+  };
+
+  return tracked;
+}
+
+/**
+ * Split the `onProgress` function out of operation options.
+ * @param {Object} [options] The options of the operation
+ * @returns {{onProgress: Function, options: Object}} The function, if any, and
+ * the options without it
+ */
+function splitProgress(options) {
+  if (!options || typeof options.onProgress !== 'function') {
+    return {onProgress: undefined, options: options};
+  }
+  const rest = Object.assign({}, options);
+  delete rest.onProgress;
+  return {onProgress: options.onProgress, options: rest};
+}
+
+exports.progressStream = progressStream;
+exports.callClient = callClient;
+exports.trackClient = trackClient;
+exports.splitProgress = splitProgress;
@@ -0,0 +1,60 @@
+// Copyright IBM Corp. 2014,2019. All Rights Reserved.
+// Node module: loopback-connector-mongodb
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+/**
+ * Parse a `Range` request header against the size of an object. Only single
+ * byte ranges are served; other ranges are ignored, so the whole object is sent.
+ * @param {string} [header] The `Range` header
+ * @param {number} size The size of the object
+ * @returns {{start: number, end: number}|null|false} The inclusive range, `null`
+ * for the whole object or `false` when the range cannot be satisfied
+ */
+exports.parseRange = function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec((header || '').trim());
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return null;
+  }
+  let start, end;
+  if (match[1] === '') {
+    // Suffix range: the last bytes of the object
+    const length = parseInt(match[2], 10);
+    if (length === 0 || size === 0) {
+      return false;
+    }
+    start = Math.max(size - length, 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+    if (match[2] !== '' && parseInt(match[2], 10) < start) {
+      return null;
+    }
+    if (start >= size) {
+      return false;
+    }
+  }
+  return {start: start, end: end};
+};
+
+/**
+ * Test if an `If-None-Match` or `If-Match` header matches an ETag, with the
+ * weak comparison.
+ * @param {string} [header] The header, a list of ETags or `*`
+ * @param {string} etag The quoted ETag of the object
+ * @returns {boolean}
+ */
+exports.etagMatches = function etagMatches(header, etag) {
+  if (!header) {
+    return false;
+  }
+  const weak = function(tag) {
+    return tag.trim().replace(/^W\//, '');
+  };
+  return header.split(',').some(function(tag) {
+    return tag.trim() === '*' || weak(tag) === weak(etag);
+  });
+};
@@ -0,0 +1,249 @@
+// Copyright IBM Corp. 2014,2019. All Rights Reserved.
+// Node module: loopback-connector-mongodb
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+const debug = require('debug')('loopback:connector:minio');
+const multipart = require('./multipart');
+
+// The bucket is the one of the model, never one named by the request
+const BUCKET_ARG = {
+  arg: 'bucketName', type: 'string', http: function() {
+    return undefined;
+  },
+};
+const OBJECT_ARG = {arg: 'objectName', type: 'string', required: true, http: {source: 'query'}};
+const UPLOAD_ARG = {arg: 'uploadId', type: 'string', required: true, http: {source: 'query'}};
+
+/*!
+ * Model methods backing the remote methods which do not map to an operation
+ */
+const HANDLERS = {
+  /**
+   * Read one page of the objects of a bucket.
+   * @param {string} [bucketName]
+   * @param {string} [prefix]
+   * @param {boolean} [recursive]
+   * @param {number} [limit]
+   * @param {string} [token] The `nextToken` of the previous page
+   * @param {Function} callback Called with `{items, nextToken}`
+   */
+  listObjectsPage: function(bucketName, prefix, recursive, limit, token, callback) {
+    this.listObjects(bucketName, prefix || '', !!recursive).page({limit: limit, token: token})
+      .then(function(page) {
+        callback(null, page);
+      }, callback);
+  },
+
+  /**
+   * Stream an object with its content type, length and ETag.
+   * @param {string} [bucketName]
+   * @param {string} objectName
+   * @param {Function} callback Called with the stream, the content type, the length and the ETag
+   */
+  downloadObject: function(bucketName, objectName, callback) {
+    const Model = this;
+    Model.statObject(bucketName, objectName).then(function(stat) {
+      return Model.getObject(bucketName, objectName).then(function(stream) {
+        const contentType = (stat.metaData && stat.metaData['content-type']) || 'application/octet-stream';
+        callback(null, stream, contentType, stat.size, '"' + stat.etag + '"');
+      });
+    }).catch(callback);
+  },
+
+  /**
+   * Store the files of a `multipart/form-data` request, see `multipart.storeFiles`.
+   * @param {string} [bucketName]
+   * @param {string} [prefix]
+   * @param {http.IncomingMessage} req
+   * @param {Function} callback Called with the stored objects
+   */
+  uploadObject: function(bucketName, prefix, req, callback) {
+    debug('uploadObject: %s %s', bucketName, prefix);
+    multipart.storeFiles(req, this, bucketName, prefix).then(function(objects) {
+      callback(null, objects);
+    }, callback);
+  },
+};
+
+/*!
+ * Remote methods on the bucket itself, only registered when named
+ */
+const BUCKET_METHODS = ['listBuckets', 'makeBucket', 'bucketExists', 'removeBucket'];
+
+/*!
+ * Remote methods, named after the model method they invoke
+ */
+const REMOTE_METHODS = {
+  listBuckets: {
+    description: 'List the buckets.',
+    returns: {arg: 'buckets', type: ['object'], root: true},
+    http: {verb: 'get', path: '/buckets'},
+  },
+  makeBucket: {
+    description: 'Create the bucket.',
+    accepts: [BUCKET_ARG, {arg: 'region', type: 'string', http: {source: 'query'}}],
+    http: {verb: 'post', path: '/buckets'},
+  },
+  bucketExists: {
+    description: 'Check if the bucket exists.',
+    accepts: [BUCKET_ARG],
+    returns: {arg: 'exists', type: 'boolean'},
+    http: {verb: 'get', path: '/buckets/exists'},
+  },
+  removeBucket: {
+    description: 'Remove the bucket if it is empty.',
+    accepts: [BUCKET_ARG],
+    http: {verb: 'delete', path: '/buckets'},
+  },
+  listObjectsPage: {
+    description: 'List the objects of the bucket, one page at a time.',
+    accepts: [
+      BUCKET_ARG,
+      {arg: 'prefix', type: 'string', http: {source: 'query'}},
+      {arg: 'recursive', type: 'boolean', http: {source: 'query'}},
+      {arg: 'limit', type: 'number', http: {source: 'query'}},
+      {arg: 'token', type: 'string', http: {source: 'query'}, description: 'The nextToken of the previous page'},
+    ],
+    returns: {arg: 'page', type: 'object', root: true},
+    http: {verb: 'get', path: '/objects'},
+  },
+  statObject: {
+    description: 'Get the size, ETag and metadata of an object.',
+    accepts: [BUCKET_ARG, OBJECT_ARG],
+    returns: {arg: 'stat', type: 'object', root: true},
+    http: {verb: 'get', path: '/objects/stat'},
+  },
+  downloadObject: {
+    description: 'Download an object.',
+    accepts: [BUCKET_ARG, OBJECT_ARG],
+    returns: [
+      {arg: 'body', type: 'file', root: true},
+      {arg: 'Content-Type', type: 'string', http: {target: 'header'}},
+      {arg: 'Content-Length', type: 'number', http: {target: 'header'}},
+      {arg: 'ETag', type: 'string', http: {target: 'header'}},
+    ],
+    http: {verb: 'get', path: '/objects/download'},
+  },
+  uploadObject: {
+    description: 'Upload the files of a multipart/form-data request.',
+    accepts: [
+      BUCKET_ARG,
+      {arg: 'prefix', type: 'string', http: {source: 'query'}, description: 'Prefix of the object names'},
+      {arg: 'req', type: 'object', http: {source: 'req'}},
+    ],
+    returns: {arg: 'objects', type: ['object'], root: true},
+    http: {verb: 'post', path: '/objects/upload'},
+  },
+  copyObject: {
+    description: 'Copy an object within the bucket.',
+    accepts: [
+      BUCKET_ARG,
+      OBJECT_ARG,
+      BUCKET_ARG,
+      {arg: 'destObjectName', type: 'string', required: true, http: {source: 'query'}},
+    ],
+    returns: {arg: 'result', type: 'object', root: true},
+    http: {verb: 'post', path: '/objects/copy'},
+  },
+  removeObject: {
+    description: 'Remove an object.',
+    accepts: [BUCKET_ARG, OBJECT_ARG],
+    http: {verb: 'delete', path: '/objects'},
+  },
+  getObjectTagging: {
+    description: 'Get the tags of an object.',
+    accepts: [BUCKET_ARG, OBJECT_ARG],
+    returns: {arg: 'tags', type: ['object'], root: true},
+    http: {verb: 'get', path: '/objects/tags'},
+  },
+  setObjectTagging: {
+    description: 'Set the tags of an object.',
+    accepts: [BUCKET_ARG, OBJECT_ARG, {arg: 'tags', type: 'object', required: true, http: {source: 'body'}}],
+    http: {verb: 'put', path: '/objects/tags'},
+  },
+  removeObjectTagging: {
+    description: 'Remove the tags of an object.',
+    accepts: [BUCKET_ARG, OBJECT_ARG],
+    http: {verb: 'delete', path: '/objects/tags'},
+  },
+  presignedGetObject: {
+    description: 'Get a presigned URL to download an object.',
+    accepts: [BUCKET_ARG, OBJECT_ARG, {arg: 'expiry', type: 'number', http: {source: 'query'}}],
+    returns: {arg: 'url', type: 'string'},
+    http: {verb: 'get', path: '/objects/presigned-get'},
+  },
+  presignedPutObject: {
+    description: 'Get a presigned URL to upload an object.',
+    accepts: [BUCKET_ARG, OBJECT_ARG, {arg: 'expiry', type: 'number', http: {source: 'query'}}],
+    returns: {arg: 'url', type: 'string'},
+    http: {verb: 'get', path: '/objects/presigned-put'},
+  },
+  presignedMultipartUpload: {
+    description: 'Start a multipart upload sent by the client with a presigned URL per part.',
+    accepts: [
+      BUCKET_ARG,
+      OBJECT_ARG,
+      {
+        arg: 'options', type: 'object', required: true, http: {source: 'body'},
+        description: 'The size of the object or the number of parts, and optionally partSize, expiry and metaData',
+      },
+    ],
+    returns: {arg: 'upload', type: 'object', root: true},
+    http: {verb: 'post', path: '/objects/multipart'},
+  },
+  listParts: {
+    description: 'List the uploaded parts of a multipart upload.',
+    accepts: [BUCKET_ARG, OBJECT_ARG, UPLOAD_ARG],
+    returns: {arg: 'parts', type: ['object'], root: true},
+    http: {verb: 'get', path: '/objects/multipart/parts'},
+  },
+  completeMultipartUpload: {
+    description: 'Complete a multipart upload from the partNumber and ETag of its parts.',
+    accepts: [
+      BUCKET_ARG,
+      OBJECT_ARG,
+      UPLOAD_ARG,
+      {arg: 'parts', type: ['object'], required: true, http: {source: 'body'}},
+    ],
+    returns: {arg: 'result', type: 'object', root: true},
+    http: {verb: 'post', path: '/objects/multipart/complete'},
+  },
+  abortMultipartUpload: {
+    description: 'Abort a multipart upload.',
+    accepts: [BUCKET_ARG, OBJECT_ARG, UPLOAD_ARG],
+    http: {verb: 'delete', path: '/objects/multipart'},
+  },
+};
+
+/**
+ * Register the remote methods of a LoopBack 3 model, as selected by the
+ * `minio.remoting` model setting: `true` registers the object methods, an
+ * array of method names registers those, including the bucket methods, and
+ * anything else registers none. The methods work on the bucket of the model.
+ * Models without `remoteMethod`, such as LoopBack 4 ones, are left as they are.
+ * @param {Function} Model The model class
+ * @param {Object} [settings] The model settings
+ */
+exports.setupRemoting = function setupRemoting(Model, settings) {
+  if (typeof Model.remoteMethod !== 'function') {
+    return;
+  }
+  const remoting = settings && settings.minio && settings.minio.remoting;
+  if (remoting !== true && !Array.isArray(remoting)) {
+    return;
+  }
+  Object.keys(REMOTE_METHODS).forEach(function(name) {
+    if (Array.isArray(remoting) ? remoting.indexOf(name) === -1 : BUCKET_METHODS.indexOf(name) !== -1) {
+      return;
+    }
+    if (HANDLERS[name] && !Model[name]) {
+      Model[name] = HANDLERS[name];
+    }
+    Model.remoteMethod(name, Object.assign({}, REMOTE_METHODS[name]));
+  });
+};
+
+exports.REMOTE_METHODS = REMOTE_METHODS;
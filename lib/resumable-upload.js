@@ -0,0 +1,247 @@
+// Copyright IBM Corp. 2014,2019. All Rights Reserved.
+// Node module: loopback-connector-mongodb
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+const debug = require('debug')('loopback:connector:minio');
+const fs = require('fs');
+const Readable = require('stream').Readable;
+
+const DEFAULT_PART_SIZE = 64 * 1024 * 1024;
+const MAX_PARTS = 10000;
+
+/*!
+ * Read a stream in buffers of the part size, the last one being shorter
+ */
+async function* readParts(stream, partSize) {
+  let buffers = [];
+  let length = 0;
+  let count = 0;
+  for await (const data of stream) {
+    const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
+    buffers.push(buffer);
+    length += buffer.length;
+    while (length >= partSize) {
+      const all = Buffer.concat(buffers);
+      count++;
+      yield all.slice(0, partSize);
+      buffers = [all.slice(partSize)];
+      length -= partSize;
+    }
+  }
+  // An empty source is uploaded as one empty part
+  if (length || !count) {
+    yield Buffer.concat(buffers);
+  }
+}
+
+/**
+ * An upload in parts which records its upload id and completed parts in a
+ * state store, so that when it is interrupted, even by a crash, starting it
+ * again only sends the missing parts.
+ * @param {MinioDB} connector The connector
+ * @param {string} bucketName
+ * @param {string} objectName
+ * @param {string|Buffer|stream.Readable} source A file path, the content, or a
+ * stream; a stream is read again from its start when resuming, skipping the
+ * completed parts
+ * @param {Object} [options]
+ * @param {Object} [options.store] The state store, defaults to the `uploadStore` of the connector
+ * @param {string} [options.key] Key of the state, defaults to `<bucketName>/<objectName>`
+ * @param {number} [options.partSize] Size of the parts, defaults to the `partSize` setting or 64MB. Servers
+ * reject parts smaller than 5MB, except the last one
+ * @param {number} [options.size] Size of a stream source, when known
+ * @param {Object} [options.metaData] Metadata of the object
+ * @param {Function} [options.onProgress] Called with `{loaded, total, parts, completedParts}` after each part
+ * @constructor
+ */
+function ResumableUpload(connector, bucketName, objectName, source, options) {
+  options = options || {};
+  this.connector = connector;
+  this.bucketName = bucketName;
+  this.objectName = objectName;
+  this.source = source;
+  this.options = options;
+  this.store = options.store || connector.uploadStore;
+  this.key = options.key || bucketName + '/' + objectName;
+}
+
+/*!
+ * Get the size of the source, when known
+ */
+ResumableUpload.prototype.sourceSize = async function() {
+  const source = this.source;
+  if (typeof source === 'string') {
+    return (await fs.promises.stat(source)).size;
+  }
+  return Buffer.isBuffer(source) ? source.length : this.options.size;
+};
+
+/*!
+ * Open the source from an offset, which only file and content sources can skip to
+ */
+ResumableUpload.prototype.openSource = function(offset) {
+  const source = this.source;
+  if (typeof source === 'string') {
+    return {stream: fs.createReadStream(source, {start: offset}), offset: offset};
+  }
+  if (Buffer.isBuffer(source)) {
+    return {stream: Readable.from([source.slice(offset)]), offset: offset};
+  }
+  return {stream: source, offset: 0};
+};
+
+/*!
+ * Load the state of a previous attempt, keeping the parts the server still has.
+ * A state for another object or size is aborted.
+ */
+ResumableUpload.prototype.loadState = async function(size) {
+  const self = this;
+  const state = await self.store.load(self.key);
+  if (!state) {
+    return null;
+  }
+  if (state.bucketName !== self.bucketName || state.objectName !== self.objectName ||
+    (size !== undefined && state.size !== size)) {
+    debug('resumableUpload: %s changed, aborting upload %s', self.key, state.uploadId);
+    await self.abortState(state);
+    return null;
+  }
+  let uploaded;
+  try {
+    uploaded = await self.connector.listParts(state.bucketName, state.objectName, state.uploadId);
+  } catch (err) {
+    if (err.code !== 'NoSuchUpload') {
+      throw err;
+    }
+    debug('resumableUpload: upload %s of %s is gone', state.uploadId, self.key);
+    await self.store.remove(self.key);
+    return null;
+  }
+  state.parts = state.parts.filter(function(part) {
+    return uploaded.some(function(p) {
+      return p.part === part.part && p.etag === part.etag;
+    });
+  });
+  return state;
+};
+
+/*!
+ * Abort the upload of a state and remove the state
+ */
+ResumableUpload.prototype.abortState = async function(state) {
+  try {
+    await this.connector.abortMultipartUpload(state.bucketName, state.objectName, state.uploadId);
+  } catch (err) {
+    if (err.code !== 'NoSuchUpload') {
+      throw err;
+    }
+  }
+  await this.store.remove(this.key);
+};
+
+/**
+ * Upload the object, resuming the recorded upload if any. On failure the
+ * state is kept, so that starting again resumes the upload.
+ * @returns {Promise<{etag: string, versionId: string|null}>}
+ */
+ResumableUpload.prototype.start = async function() {
+  const self = this;
+  const connector = self.connector;
+  const size = await self.sourceSize();
+  let state = await self.loadState(size);
+  if (state) {
+    debug('resumableUpload: resuming %s with %d parts', self.key, state.parts.length);
+  } else {
+    const partSize = ResumableUpload.partSize(size, self.options.partSize || connector.partSize);
+    const uploadId = await connector.initiateMultipartUpload(self.bucketName, self.objectName,
+      self.options.metaData);
+    state = {
+      bucketName: self.bucketName,
+      objectName: self.objectName,
+      uploadId: uploadId,
+      size: size,
+      partSize: partSize,
+      parts: [],
+    };
+    await self.store.save(self.key, state);
+  }
+
+  const completed = new Set(state.parts.map(function(part) {
+    return part.part;
+  }));
+  let first = 1;
+  while (completed.has(first)) {
+    first++;
+  }
+  const opened = self.openSource((first - 1) * state.partSize);
+  let partNumber = opened.offset / state.partSize;
+  for await (const data of readParts(opened.stream, state.partSize)) {
+    partNumber++;
+    if (!completed.has(partNumber)) {
+      const part = await connector.uploadPart(state.bucketName, state.objectName, state.uploadId, partNumber, data);
+      state.parts.push(part);
+      state.parts.sort(function(a, b) {
+        return a.part - b.part;
+      });
+      await self.store.save(self.key, state);
+    }
+    self.reportProgress(state, partNumber);
+  }
+
+  const result = await connector.completeMultipartUpload(state.bucketName, state.objectName, state.uploadId,
+    state.parts.filter(function(part) {
+      return part.part <= partNumber;
+    }));
+  await self.store.remove(self.key);
+  return result;
+};
+
+/*!
+ * Report the progress after a part
+ */
+ResumableUpload.prototype.reportProgress = function(state, partNumber) {
+  if (typeof this.options.onProgress !== 'function') {
+    return;
+  }
+  const loaded = state.parts.reduce(function(sum, part) {
+    return part.part <= partNumber ? sum + part.size : sum;
+  }, 0);
+  this.options.onProgress({
+    loaded: loaded,
+    total: state.size,
+    parts: state.size === undefined ? undefined : Math.max(Math.ceil(state.size / state.partSize), 1),
+    completedParts: partNumber,
+  });
+};
+
+/**
+ * Abort the recorded upload, if any, and remove its state.
+ * @returns {Promise<boolean>} Whether an upload was recorded
+ */
+ResumableUpload.prototype.abort = async function() {
+  const state = await this.store.load(this.key);
+  if (!state) {
+    return false;
+  }
+  await this.abortState(state);
+  return true;
+};
+
+/**
+ * Choose the size of the parts of an object, large enough to fit in the
+ * maximum number of parts.
+ * @param {number} [size] Size of the object, when known
+ * @param {number} [partSize=64MB] Preferred size of the parts
+ * @returns {number}
+ */
+ResumableUpload.partSize = function(size, partSize) {
+  partSize = partSize || DEFAULT_PART_SIZE;
+  return size === undefined ? partSize : Math.max(partSize, Math.ceil(size / MAX_PARTS));
+};
+
+ResumableUpload.MAX_PARTS = MAX_PARTS;
+
+module.exports = ResumableUpload;
@@ -0,0 +1,64 @@
+// Copyright IBM Corp. 2014,2019. All Rights Reserved.
+// Node module: loopback-connector-mongodb
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+const DEFAULT_RETRYABLE_CODES = [
+  'InternalError',
+  'RequestTimeout',
+  'ServiceUnavailable',
+  'SlowDown',
+  'EAI_AGAIN',
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'EPIPE',
+  'ETIMEDOUT',
+];
+
+/**
+ * Retry policy of the idempotent operations, from the `retry` data source setting.
+ * @param {Object|boolean} [options] The policy, `false` to disable retries
+ * @param {number} [options.maxAttempts=3] Attempts in total, including the first one
+ * @param {number} [options.baseDelay=100] Delay in ms before the first retry, doubled for each retry
+ * @param {number} [options.maxDelay=5000] Longest delay in ms
+ * @param {number} [options.jitter=0.5] Fraction of the delay which is randomized, from 0 to 1
+ * @param {string[]} [options.retryableCodes] Error codes to retry, replacing the default ones
+ * @constructor
+ */
+function RetryPolicy(options) {
+  if (options === false) {
+    options = {maxAttempts: 1};
+  }
+  options = options || {};
+  this.maxAttempts = options.maxAttempts == null ? 3 : options.maxAttempts;
+  this.baseDelay = options.baseDelay == null ? 100 : options.baseDelay;
+  this.maxDelay = options.maxDelay == null ? 5000 : options.maxDelay;
+  this.jitter = options.jitter == null ? 0.5 : Math.min(Math.max(options.jitter, 0), 1);
+  this.retryableCodes = options.retryableCodes || DEFAULT_RETRYABLE_CODES;
+}
+
+/**
+ * Check if a failed attempt should be retried.
+ * @param {Error} err The normalized error
+ * @param {number} attempt The number of the failed attempt, starting at 1
+ * @returns {boolean}
+ */
+RetryPolicy.prototype.shouldRetry = function(err, attempt) {
+  return attempt < this.maxAttempts && !!err && this.retryableCodes.indexOf(err.code) !== -1;
+};
+
+/**
+ * Get the delay before the next attempt.
+ * @param {number} attempt The number of the failed attempt, starting at 1
+ * @returns {number} The delay in ms
+ */
+RetryPolicy.prototype.delay = function(attempt) {
+  const delay = Math.min(this.baseDelay * Math.pow(2, attempt - 1), this.maxDelay);
+  return Math.round(delay * (1 - this.jitter * Math.random()));
+};
+
+RetryPolicy.DEFAULT_RETRYABLE_CODES = DEFAULT_RETRYABLE_CODES;
+
+module.exports = RetryPolicy;
@@ -0,0 +1,277 @@
+// Copyright IBM Corp. 2014,2019. All Rights Reserved.
+// Node module: loopback-connector-mongodb
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+const g = require('strong-globalize')();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const debug = require('debug')('loopback:connector:minio');
+
+const DEFAULT_CONCURRENCY = 4;
+const COMPARISONS = ['mtime', 'size', 'etag'];
+
+/*!
+ * Validate the options of a sync
+ */
+function syncOptions(connector, options) {
+  options = Object.assign({compare: 'mtime', concurrency: DEFAULT_CONCURRENCY}, options);
+  if (COMPARISONS.indexOf(options.compare) === -1) {
+    throw new TypeError(g.f('{{compare}} must be one of %s', COMPARISONS.join(', ')));
+  }
+  if (!(options.concurrency >= 1)) {
+    throw new TypeError(g.f('{{concurrency}} must be at least 1'));
+  }
+  // The ETags and the listed sizes are the ones of the stored bodies
+  options.transformed = !!(connector.keyProvider || connector.getCompression());
+  if (options.transformed && options.compare === 'etag') {
+    throw new TypeError(g.f('ETags cannot be compared with client-side encryption or compression'));
+  }
+  return options;
+}
+
+/*!
+ * Make the prefix of the objects a folder, e.g. `builds` becomes `builds/`
+ */
+function folderPrefix(prefix) {
+  return prefix && prefix[prefix.length - 1] !== '/' ? prefix + '/' : prefix || '';
+}
+
+/*!
+ * List the files under a directory, by path relative to it with `/` separators
+ */
+async function listFiles(dir) {
+  const files = new Map();
+  async function walk(relative) {
+    const entries = await fs.promises.readdir(path.join(dir, relative), {withFileTypes: true});
+    for (const entry of entries) {
+      const name = relative ? relative + '/' + entry.name : entry.name;
+      const stat = await fs.promises.stat(path.join(dir, name));
+      if (stat.isDirectory()) {
+        await walk(name);
+      } else if (stat.isFile()) {
+        files.set(name, {path: path.join(dir, name), size: stat.size, mtime: stat.mtime});
+      }
+    }
+  }
+  await walk('');
+  return files;
+}
+
+/*!
+ * List the objects under a prefix, by name relative to it, without the folder markers
+ */
+async function listObjects(connector, bucketName, prefix) {
+  const objects = new Map();
+  for await (const item of connector.listObjects(bucketName, prefix, true)) {
+    if (item.name && item.name[item.name.length - 1] !== '/') {
+      objects.set(item.name.slice(prefix.length), {
+        name: item.name,
+        size: item.size,
+        etag: String(item.etag || '').replace(/"/g, ''),
+        lastModified: new Date(item.lastModified),
+      });
+    }
+  }
+  return objects;
+}
+
+/*!
+ * Compute the ETag of a file as uploaded in one request, or in the given number of parts
+ */
+async function fileEtag(filePath, partSize, parts) {
+  const digests = [];
+  let hash = crypto.createHash('md5');
+  let length = 0;
+  for await (let chunk of fs.createReadStream(filePath)) {
+    while (parts && length + chunk.length >= partSize) {
+      const head = partSize - length;
+      hash.update(chunk.slice(0, head));
+      digests.push(hash.digest());
+      hash = crypto.createHash('md5');
+      chunk = chunk.slice(head);
+      length = 0;
+    }
+    hash.update(chunk);
+    length += chunk.length;
+  }
+  if (!parts) {
+    return hash.digest('hex');
+  }
+  if (length || !digests.length) {
+    digests.push(hash.digest());
+  }
+  return crypto.createHash('md5').update(Buffer.concat(digests)).digest('hex') + '-' + digests.length;
+}
+
+/*!
+ * Check if a file and an object differ. The sizes are compared first, then
+ * the ETags or the modification times. The newer side of the sync wins.
+ */
+async function differ(connector, bucketName, file, object, options, upload) {
+  const size = options.transformed ? (await connector.statObject(bucketName, object.name)).size : object.size;
+  if (size !== file.size) {
+    return true;
+  }
+  if (options.compare === 'size') {
+    return false;
+  }
+  if (options.compare === 'etag') {
+    const parts = /-(\d+)$/.exec(object.etag);
+    const partSize = parts && connector.client.calculatePartSize ?
+      connector.client.calculatePartSize(file.size) : undefined;
+    if (!parts || (partSize && Math.ceil(file.size / partSize) === Number(parts[1]))) {
+      return await fileEtag(file.path, partSize, parts && Number(parts[1])) !== object.etag;
+    }
+    // Uploaded with other parts, compare the times
+  }
+  return upload ?
+    file.mtime.getTime() > object.lastModified.getTime() :
+    object.lastModified.getTime() > file.mtime.getTime();
+}
+
+/*!
+ * Call an async function for each item, with at most `concurrency` calls at a time
+ */
+async function eachLimit(items, concurrency, fn) {
+  let next = 0;
+  let failed = false;
+  async function worker() {
+    while (!failed && next < items.length) {
+      try {
+        await fn(items[next++]);
+      } catch (err) {
+        failed = true;
+        throw err;
+      }
+    }
+  }
+  const workers = [];
+  for (let i = 0; i < Math.min(concurrency, items.length); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+}
+
+/**
+ * Upload the files of a directory which are missing from a prefix of a
+ * bucket or differ from their object, and optionally remove the objects
+ * without a file.
+ * @param {MinioDB} connector The connector
+ * @param {string} localDir The directory
+ * @param {string} bucketName The bucket
+ * @param {string} [prefix] The prefix of the objects, a folder of the bucket
+ * @param {Object} [options] See `syncToBucket` of the connector
+ * @returns {Promise<{uploaded: string[], deleted: string[], unchanged: number}>}
+ */
+async function syncToBucket(connector, localDir, bucketName, prefix, options) {
+  options = syncOptions(connector, options);
+  prefix = folderPrefix(prefix);
+  const files = await listFiles(localDir);
+  const objects = await listObjects(connector, bucketName, prefix);
+  const result = {uploaded: [], deleted: [], unchanged: 0};
+  const changed = [];
+  await eachLimit(Array.from(files.keys()), options.concurrency, async function(name) {
+    const object = objects.get(name);
+    if (!object || await differ(connector, bucketName, files.get(name), object, options, true)) {
+      changed.push(name);
+    } else {
+      result.unchanged++;
+    }
+  });
+  changed.sort();
+  result.uploaded = changed.map(function(name) {
+    return prefix + name;
+  });
+  if (options.delete) {
+    objects.forEach(function(object, name) {
+      if (!files.has(name)) {
+        result.deleted.push(object.name);
+      }
+    });
+  }
+  result.deleted.sort();
+  if (options.dryRun) {
+    return result;
+  }
+  await eachLimit(changed, options.concurrency, function(name) {
+    debug('syncToBucket: uploading %s', prefix + name);
+    return connector.fPutObject(bucketName, prefix + name, files.get(name).path);
+  });
+  if (result.deleted.length) {
+    await connector.removeObjects(bucketName, result.deleted);
+  }
+  return result;
+}
+
+/**
+ * Download the objects of a prefix of a bucket which are missing from a
+ * directory or differ from their file, and optionally remove the files
+ * without an object.
+ * @param {MinioDB} connector The connector
+ * @param {string} bucketName The bucket
+ * @param {string} [prefix] The prefix of the objects, a folder of the bucket
+ * @param {string} localDir The directory, created if needed
+ * @param {Object} [options] See `syncFromBucket` of the connector
+ * @returns {Promise<{downloaded: string[], deleted: string[], unchanged: number}>} The object names downloaded,
+ * and the paths of the files removed, relative to the directory
+ */
+async function syncFromBucket(connector, bucketName, prefix, localDir, options) {
+  options = syncOptions(connector, options);
+  prefix = folderPrefix(prefix);
+  const root = path.resolve(localDir);
+  await fs.promises.mkdir(root, {recursive: true});
+  const files = await listFiles(root);
+  const objects = await listObjects(connector, bucketName, prefix);
+  const result = {downloaded: [], deleted: [], unchanged: 0};
+  const changed = [];
+  await eachLimit(Array.from(objects.keys()), options.concurrency, async function(name) {
+    const object = objects.get(name);
+    if (path.resolve(root, name).indexOf(root + path.sep) !== 0) {
+      debug('syncFromBucket: skipping %s, outside of %s', object.name, root);
+      return;
+    }
+    const file = files.get(name);
+    if (!file || await differ(connector, bucketName, file, object, options, false)) {
+      changed.push(name);
+    } else {
+      result.unchanged++;
+    }
+  });
+  changed.sort();
+  result.downloaded = changed.map(function(name) {
+    return prefix + name;
+  });
+  if (options.delete) {
+    files.forEach(function(file, name) {
+      if (!objects.has(name)) {
+        result.deleted.push(name);
+      }
+    });
+  }
+  result.deleted.sort();
+  if (options.dryRun) {
+    return result;
+  }
+  await eachLimit(changed, options.concurrency, async function(name) {
+    const object = objects.get(name);
+    const target = path.resolve(root, name);
+    debug('syncFromBucket: downloading %s', object.name);
+    await fs.promises.mkdir(path.dirname(target), {recursive: true});
+    await connector.fGetObject(bucketName, object.name, target);
+    // The file is as recent as its object, so the next sync skips it
+    await fs.promises.utimes(target, object.lastModified, object.lastModified);
+  });
+  for (const name of result.deleted) {
+    await fs.promises.rm(files.get(name).path, {force: true});
+  }
+  return result;
+}
+
+exports.syncToBucket = syncToBucket;
+exports.syncFromBucket = syncFromBucket;
+
+exports.eachLimit = eachLimit;
@@ -0,0 +1,160 @@
+// Copyright IBM Corp. 2014,2019. All Rights Reserved.
+// Node module: loopback-connector-mongodb
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+const g = require('strong-globalize')();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/*!
+ * Deep copy states so callers cannot change the stored ones
+ */
+function clone(value) {
+  return value == null ? null : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Keeps the state of resumable uploads in memory, so uploads only resume
+ * within the process. This is the default store.
+ * @constructor
+ */
+function MemoryUploadStore() {
+  this.states = new Map();
+}
+
+/**
+ * Load the state of an upload.
+ * @param {string} key The key of the upload
+ * @returns {Promise<Object|null>}
+ */
+MemoryUploadStore.prototype.load = async function(key) {
+  return clone(this.states.get(key));
+};
+
+/**
+ * Save the state of an upload.
+ * @param {string} key The key of the upload
+ * @param {Object} state A JSON value
+ */
+MemoryUploadStore.prototype.save = async function(key, state) {
+  this.states.set(key, clone(state));
+};
+
+/**
+ * Remove the state of an upload, once it is completed or aborted.
+ * @param {string} key The key of the upload
+ */
+MemoryUploadStore.prototype.remove = async function(key) {
+  this.states.delete(key);
+};
+
+/**
+ * Keeps the state of resumable uploads in a directory, one JSON file per upload.
+ * @param {string} directory The directory, created if needed
+ * @constructor
+ */
+function FileUploadStore(directory) {
+  this.directory = directory;
+}
+
+/*!
+ * Path of the file of an upload, named after the hash of its key
+ */
+FileUploadStore.prototype.filePath = function(key) {
+  return path.join(this.directory, crypto.createHash('sha256').update(key).digest('hex') + '.json');
+};
+
+FileUploadStore.prototype.load = async function(key) {
+  try {
+    return JSON.parse(await fs.promises.readFile(this.filePath(key), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return null;
+    }
+    throw err;
+  }
+};
+
+FileUploadStore.prototype.save = async function(key, state) {
+  await fs.promises.mkdir(this.directory, {recursive: true});
+  // Replace the file at once, so a crash cannot leave half of it, from a
+  // temporary file of its own, so concurrent saves do not share one
+  const file = this.filePath(key);
+  const tmp = file + '.' + process.pid + '.' + crypto.randomBytes(6).toString('hex') + '.tmp';
+  await fs.promises.writeFile(tmp, JSON.stringify(state));
+  await fs.promises.rename(tmp, file);
+};
+
+FileUploadStore.prototype.remove = async function(key) {
+  await fs.promises.rm(this.filePath(key), {force: true});
+};
+
+/**
+ * Keeps the state of resumable uploads in a LoopBack model, with an `id`
+ * string property holding the key and a `state` object property.
+ * @param {Function|Function():Function} model The model class, or a function
+ * returning it once the models are defined
+ * @constructor
+ */
+function ModelUploadStore(model) {
+  this.model = model;
+}
+
+/*!
+ * Get the model class
+ */
+ModelUploadStore.prototype.getModel = function() {
+  return typeof this.model.findById === 'function' ? this.model : this.model();
+};
+
+ModelUploadStore.prototype.load = async function(key) {
+  const instance = await this.getModel().findById(key);
+  return instance ? clone(instance.state) : null;
+};
+
+ModelUploadStore.prototype.save = async function(key, state) {
+  await this.getModel().upsert({id: key, state: clone(state)});
+};
+
+ModelUploadStore.prototype.remove = async function(key) {
+  await this.getModel().destroyById(key);
+};
+
+/**
+ * Create the upload state store from the `uploadStore` data source setting.
+ * @param {Object} [setting] A store with `load`, `save` and `remove` methods,
+ * `{directory}` for a `FileUploadStore` or `{model}` with a model name for a
+ * `ModelUploadStore`. Defaults to a `MemoryUploadStore`.
+ * @param {Function} [getModel] Look up a model by name
+ * @returns {Object} The store
+ */
+function createUploadStore(setting, getModel) {
+  if (!setting) {
+    return new MemoryUploadStore();
+  }
+  if (typeof setting.load === 'function') {
+    return setting;
+  }
+  if (setting.directory) {
+    return new FileUploadStore(setting.directory);
+  }
+  if (setting.model) {
+    return new ModelUploadStore(function() {
+      const Model = getModel && getModel(setting.model);
+      if (!Model) {
+        throw new Error(g.f('Model %s of the upload store is not found', setting.model));
+      }
+      return Model;
+    });
+  }
+  throw new TypeError(g.f('Invalid upload store, expected a store, {{directory}} or {{model}}'));
+}
+
+exports.MemoryUploadStore = MemoryUploadStore;
+exports.FileUploadStore = FileUploadStore;
+exports.ModelUploadStore = ModelUploadStore;
+exports.createUploadStore = createUploadStore;
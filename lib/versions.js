@@ -0,0 +1,141 @@
+// Copyright IBM Corp. 2014,2019. All Rights Reserved.
+// Node module: loopback-connector-mongodb
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+const g = require('strong-globalize')();
+const {Readable} = require('stream');
+const debug = require('debug')('loopback:connector:minio');
+const xmlParsers = require('minio/dist/main/xml-parsers.js');
+
+// The most versions of a listing request
+const MAX_KEYS = 1000;
+
+/*!
+ * Escape a value of the query string as the signature expects it
+ */
+function uriEscape(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, function(c) {
+    return '%' + c.charCodeAt(0).toString(16).toUpperCase();
+  });
+}
+
+/*!
+ * Decode a key of a listing requested with `encoding-type=url`
+ */
+function decodeKey(key) {
+  return decodeURIComponent(String(key).replace(/\+/g, ' '));
+}
+
+/*!
+ * The listing order: by name, then from the latest version
+ */
+function compareVersions(a, b) {
+  if (a.name !== b.name) {
+    return a.name < b.name ? -1 : 1;
+  }
+  return new Date(b.lastModified) - new Date(a.lastModified);
+}
+
+/*!
+ * Read the body of a response
+ */
+async function readText(response) {
+  const chunks = [];
+  for await (const chunk of response) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Request one page of the versions under a prefix. The minio client lists
+ * the delete markers of a page after its versions, and resumes the listing
+ * after the last key of a page, losing the versions of a key split over two
+ * pages, so the pages are requested with both markers and sorted here.
+ * @param {Object} client The minio client
+ * @param {string} bucketName
+ * @param {string} prefix
+ * @param {string} [keyMarker] The key to resume after
+ * @param {string} [versionIdMarker] The version of the key to resume after
+ * @returns {Promise<{items: Object[], keyMarker: string, versionIdMarker: string}>} The versions,
+ * and the markers of the next page, unless it is the last one
+ */
+async function listPage(client, bucketName, prefix, keyMarker, versionIdMarker) {
+  const queries = ['versions', 'encoding-type=url', 'max-keys=' + MAX_KEYS, 'prefix=' + uriEscape(prefix)];
+  if (keyMarker) {
+    queries.push('key-marker=' + uriEscape(keyMarker));
+    if (versionIdMarker) {
+      queries.push('version-id-marker=' + uriEscape(versionIdMarker));
+    }
+  }
+  queries.sort();
+  const response = await client.makeRequestAsync({method: 'GET', bucketName: bucketName, query: queries.join('&')});
+  const result = xmlParsers.parseListObjects(await readText(response));
+  const items = result.objects.filter(function(item) {
+    return item.name;
+  }).map(function(item) {
+    item.isLatest = String(item.isLatest) === 'true';
+    return item;
+  }).sort(compareVersions);
+  return {
+    items: items,
+    keyMarker: result.isTruncated ? decodeKey(result.nextMarker) : undefined,
+    versionIdMarker: result.isTruncated ? result.versionIdMarker : undefined,
+  };
+}
+
+/**
+ * List the versions and the delete markers of the objects under a prefix,
+ * by name and from the latest version.
+ * @param {Object} client The minio client or a local one
+ * @param {string} bucketName
+ * @param {string} prefix
+ * @param {string} [startAfter] The listing key of the version to start after, `name\u0000versionId`
+ * @returns {ReadableStream} The versions
+ */
+function listVersions(client, bucketName, prefix, startAfter) {
+  const marker = startAfter ? startAfter.split('\u0000') : [];
+  if (typeof client.listObjectVersions === 'function') {
+    return client.listObjectVersions(bucketName, prefix, marker[0], marker[1]);
+  }
+  async function* items() {
+    let keyMarker = marker[0];
+    let versionIdMarker = marker[1];
+    do {
+      const page = await listPage(client, bucketName, prefix, keyMarker, versionIdMarker);
+      yield* page.items;
+      keyMarker = page.keyMarker;
+      versionIdMarker = page.versionIdMarker;
+    } while (keyMarker);
+  }
+  return Readable.from(items());
+}
+
+/**
+ * Make an older version of an object its latest version, by copying it over
+ * the object. The newer versions are kept.
+ * @param {MinioDB} connector
+ * @param {string} bucketName
+ * @param {string} objectName
+ * @param {string} versionId The version to restore
+ * @returns {Promise<{etag: string, lastModified: Date, versionId: string}>} The new latest version
+ */
+async function restoreVersion(connector, bucketName, objectName, versionId) {
+  if (!versionId) {
+    throw new TypeError(g.f('A {{versionId}} is required to restore a version'));
+  }
+  debug('restoreVersion: copying %s of %s', versionId, objectName);
+  const result = await connector.copyObject(bucketName, objectName, bucketName, objectName, {versionId: versionId});
+  // The version 2 of the copy answers with the names of the response headers
+  return {
+    etag: result.etag || result.Etag,
+    lastModified: new Date(result.lastModified || result.LastModified || Date.now()),
+    versionId: result.versionId || result.VersionId || null,
+  };
+}
+
+exports.listVersions = listVersions;
+exports.restoreVersion = restoreVersion;
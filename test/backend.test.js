@@ -0,0 +1,163 @@
+'use strict';
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+require('should');
+const loopback = require('loopback');
+const MinioDB = require('../lib/minio');
+
+function createDataSource(settings) {
+  const ds = loopback.createDataSource(Object.assign({connector: MinioDB}, settings));
+  return new Promise((resolve, reject) => {
+    ds.once('connected', () => resolve(ds));
+    ds.once('error', reject);
+  });
+}
+
+describe('local backends', () => {
+  describe('memory', () => {
+    let ds, Note;
+    before(async () => {
+      ds = await createDataSource({backend: 'memory', bucketName: 'docs'});
+      Note = ds.createModel('Note', {id: {type: String, id: true}, title: String});
+    });
+
+    it('creates the default bucket and stores objects', async () => {
+      (await Note.bucketExists('docs')).should.be.true();
+      await Note.putObject('docs', 'a/1.txt', 'hello', {'Content-Type': 'text/plain'});
+      (await Note.getObject('docs', 'a/1.txt', {as: 'text'})).should.eql('hello');
+      const stat = await Note.statObject('docs', 'a/1.txt');
+      stat.size.should.eql(5);
+      stat.metaData['content-type'].should.eql('text/plain');
+      (await Note.listObjects('docs', '', true).toArray()).map((o) => o.name).should.containEql('a/1.txt');
+    });
+
+    it('uploads an object only if it is new', async () => {
+      await Note.putObject('docs', 'a/1.txt', 'again', {'If-None-Match': '*'})
+        .should.be.rejectedWith({code: 'PreconditionFailed', statusCode: 412});
+      await Note.putObject('docs', 'a/2.txt', 'new', {'If-None-Match': '*'});
+      (await Note.statObject('docs', 'a/2.txt')).metaData.should.not.have.property('if-none-match');
+    });
+
+    it('keeps every change of an object made concurrently', async () => {
+      await Note.makeBucket('history');
+      await Note.setBucketVersioning('history', {Status: 'Enabled'});
+      await Promise.all(['a', 'b', 'c', 'd'].map((body) => Note.putObject('history', 'same.txt', body)));
+      (await Note.listObjectVersions('history', 'same.txt').toArray()).should.have.length(4);
+
+      const created = await Promise.allSettled([1, 2, 3].map((i) => Note.create({id: 'race', title: 'n' + i})));
+      created.filter((result) => result.status === 'fulfilled').should.have.length(1);
+      created.filter((result) => result.status === 'rejected').map((result) => result.reason.statusCode)
+        .should.eql([409, 409]);
+    });
+
+    it('rejects with the errors of minio', async () => {
+      await Note.statObject('docs', 'missing').should.be.rejectedWith({code: 'NoSuchKey', statusCode: 404});
+      await Note.removeBucket('docs').should.be.rejectedWith({code: 'BucketNotEmpty', statusCode: 409});
+    });
+
+    it('signs POST policies for HTML forms', async () => {
+      const {postURL, formData} = await Note.presignedPostPolicy(null, null, 'uploads/', 600, {
+        contentLengthRange: [1, 1024],
+        contentTypePrefix: 'image/',
+        metaData: {owner: 'u1'},
+        successActionStatus: 201,
+      });
+      postURL.should.match(/\/docs$/);
+      formData.should.containEql({bucket: 'docs', key: 'uploads/${filename}', 'Content-Type': 'image/',
+        'x-amz-meta-owner': 'u1', 'success_action_status': '201'});
+      const policy = JSON.parse(Buffer.from(formData.policy, 'base64').toString());
+      policy.conditions.should.containDeep([
+        ['starts-with', '$key', 'uploads/'],
+        ['content-length-range', 1, 1024],
+        ['starts-with', '$Content-Type', 'image/'],
+        ['eq', '$success_action_status', '201'],
+      ]);
+      await Note.presignedPostPolicy(null, 'a.png', null, 600, {contentLengthRange: [10, 1]})
+        .should.be.rejectedWith({code: 'InvalidArgument', statusCode: 400});
+    });
+
+    it('supports document mode', async () => {
+      await Note.create({id: 'n1', title: 'first'});
+      await Note.create({id: 'n1', title: 'again'}).should.be.rejectedWith({statusCode: 409});
+      (await Note.findById('n1')).title.should.eql('first');
+    });
+
+    it('reads only the documents of a page ordered by id', async () => {
+      const Item = ds.createModel('Item', {id: {type: Number, id: true}, title: String});
+      for (let i = 1; i <= 12; i++) {
+        await Item.create({id: i, title: 'item ' + i});
+      }
+      const selectDocument = ds.connector.selectDocument;
+      let active = 0;
+      let most = 0;
+      const read = [];
+      ds.connector.selectDocument = function(modelName, objectName) {
+        read.push(objectName);
+        most = Math.max(most, ++active);
+        return selectDocument.apply(this, arguments).then((doc) => {
+          active--;
+          return doc;
+        });
+      };
+      try {
+        (await Item.find({order: 'id DESC', skip: 1, limit: 3})).map((item) => item.id).should.eql([11, 10, 9]);
+        read.should.eql(['Item/11.json', 'Item/10.json', 'Item/9.json']);
+
+        read.length = 0;
+        (await Item.find({where: {title: {neq: 'item 1'}}, limit: 2})).map((item) => item.id).should.eql([2, 3]);
+        read.should.have.length(12);
+        most.should.eql(8);
+
+        (await Item.destroyAll({id: {gt: 6}})).count.should.eql(6);
+        (await Item.count()).should.eql(6);
+      } finally {
+        delete ds.connector.selectDocument;
+      }
+    });
+  });
+
+  describe('filesystem', () => {
+    let storagePath;
+    before(() => {
+      storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'minio-backend-'));
+    });
+    after(() => {
+      fs.rmSync(storagePath, {recursive: true, force: true});
+    });
+
+    it('keeps objects across data sources', async () => {
+      const ds = await createDataSource({backend: 'filesystem', storagePath, bucketName: 'docs'});
+      const File = ds.createModel('File', {});
+      await File.putObject('docs', 'a b/1.txt', 'hello');
+      await ds.disconnect();
+
+      const reopened = await createDataSource({backend: 'filesystem', storagePath});
+      const Reopened = reopened.createModel('File', {});
+      (await Reopened.getObject('docs', 'a b/1.txt', {as: 'text'})).should.eql('hello');
+    });
+
+    it('writes the same object concurrently', async () => {
+      const ds = await createDataSource({backend: 'filesystem', storagePath, bucketName: 'busy'});
+      const File = ds.createModel('File', {});
+      await Promise.all(['a', 'b', 'c', 'd'].map((body) => File.putObject('busy', 'same.txt', body)));
+      (await File.getObject('busy', 'same.txt', {as: 'text'})).should.match(/^[abcd]$/);
+      fs.readdirSync(path.join(storagePath, 'busy', 'objects', 'same.txt')).filter((name) => /\.tmp$/.test(name))
+        .should.be.empty();
+      await ds.disconnect();
+    });
+
+    it('refuses object names with dot segments', async () => {
+      const ds = await createDataSource({backend: 'filesystem', storagePath, bucketName: 'dots'});
+      const File = ds.createModel('File', {});
+      await File.putObject('dots', 'kept.txt', 'kept');
+      for (const name of ['..', '.', 'a/../b', 'a/./b', 'a/..']) {
+        await File.putObject('dots', name, 'x').should.be.rejectedWith({statusCode: 400});
+        await File.removeObject('dots', name).should.be.rejectedWith({statusCode: 400});
+      }
+      await File.putObject('dots', 'a/..b/...', 'dots in names');
+      (await File.getObject('dots', 'kept.txt', {as: 'text'})).should.eql('kept');
+      await ds.disconnect();
+    });
+  });
+});
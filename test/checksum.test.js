@@ -0,0 +1,55 @@
+'use strict';
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const stream = require('stream');
+require('should');
+const loopback = require('loopback');
+const MinioDB = require('../lib/minio');
+const checksum = require('../lib/checksum');
+
+describe('checksums', () => {
+  it('computes CRC32C', () => {
+    checksum.createHash('crc32c').update('123456789').digest('hex').should.eql('e3069283');
+    (() => checksum.createHash('sha1')).should.throw(TypeError);
+  });
+
+  describe('with a data source', () => {
+    let File, dir;
+    before((done) => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'minio-checksum-test-'));
+      const ds = loopback.createDataSource({connector: MinioDB, backend: 'memory', bucketName: 'files'});
+      File = ds.createModel('File', {});
+      ds.once('connected', () => done());
+    });
+    after(() => {
+      fs.rmSync(dir, {recursive: true, force: true});
+    });
+
+    it('stores the checksum of uploads and verifies downloads', async () => {
+      await File.putObject('files', 'a.txt', 'hello', {checksum: 'sha256'});
+      const sha256 = checksum.createHash('sha256').update('hello').digest('base64');
+      (await File.statObject('files', 'a.txt')).metaData['checksum-sha256'].should.eql(sha256);
+      (await File.getObject('files', 'a.txt', {as: 'text', checksum: true})).should.eql('hello');
+
+      await File.putObject('files', 'b.txt', stream.Readable.from(['hel', 'lo']), {checksum: 'crc32c'});
+      const target = path.join(dir, 'b.txt');
+      await File.fGetObject('files', 'b.txt', target, {checksum: 'crc32c'});
+      fs.readFileSync(target, 'utf8').should.eql('hello');
+    });
+
+    it('rejects corrupted downloads with an IntegrityError', async () => {
+      await File.putObject('files', 'bad.txt', 'hello', {'checksum-md5': 'AAAAAAAAAAAAAAAAAAAAAA=='});
+      await File.getObject('files', 'bad.txt', {as: 'buffer', checksum: true})
+        .should.be.rejectedWith(MinioDB.IntegrityError, {code: 'ChecksumMismatch', statusCode: 502, algorithm: 'md5'});
+
+      const target = path.join(dir, 'bad.txt');
+      await File.fGetObject('files', 'bad.txt', target, {checksum: true})
+        .should.be.rejectedWith({code: 'ChecksumMismatch'});
+      fs.existsSync(target).should.be.false();
+
+      await File.getPartialObject('files', 'bad.txt', 1, 2, {checksum: true})
+        .should.be.rejectedWith({code: 'InvalidArgument', statusCode: 400});
+    });
+  });
+});
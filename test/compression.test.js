@@ -0,0 +1,152 @@
+'use strict';
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const stream = require('stream');
+require('should');
+const loopback = require('loopback');
+const MinioDB = require('../lib/minio');
+
+describe('compression', () => {
+  const text = JSON.stringify({rows: Array(500).fill('compressible')});
+  let ds, File, Export, Image, raw, dir;
+  before((done) => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'minio-compression-test-'));
+    ds = loopback.createDataSource({connector: MinioDB, backend: 'memory', bucketName: 'files',
+      compression: {contentTypes: ['application/json', 'text/*'], minSize: 100}});
+    File = ds.createModel('File', {});
+    Export = ds.createModel('Export', {}, {minio: {compression: {algorithm: 'br'}}});
+    Image = ds.createModel('Image', {}, {minio: {compression: false}});
+    ds.once('connected', () => {
+      // Under the client decompressing the objects
+      raw = Object.getPrototypeOf(ds.connector.client);
+      done();
+    });
+  });
+  after(() => {
+    fs.rmSync(dir, {recursive: true, force: true});
+  });
+
+  it('compresses the allowed content types and decompresses them transparently', async () => {
+    await File.putObject('files', 'a.json', text, {'Content-Type': 'application/json'});
+    const stored = await raw.statObject('files', 'a.json');
+    stored.metaData.should.containEql({'content-encoding': 'gzip', 'compression': 'gzip',
+      'uncompressed-size': String(text.length)});
+    stored.size.should.be.below(text.length);
+
+    (await File.getObject('files', 'a.json', {as: 'json'})).rows.should.have.length(500);
+    (await File.statObject('files', 'a.json')).size.should.eql(text.length);
+    (await File.getPartialObject('files', 'a.json', 9, 14, {as: 'text'})).should.eql(text.substr(9, 14));
+    // Past the end of the compressed body
+    (await File.getPartialObject('files', 'a.json', text.length - 5, 0, {as: 'text'})).should.eql(text.slice(-5));
+    await File.getPartialObject('files', 'a.json', text.length, 1)
+      .should.be.rejectedWith({code: 'InvalidRange', statusCode: 416});
+
+    await File.putObject('files', 'small.json', '{}', {'Content-Type': 'application/json'});
+    await File.putObject('files', 'b.bin', text, {'Content-Type': 'application/octet-stream'});
+    (await raw.statObject('files', 'small.json')).metaData.should.not.have.property('compression');
+    (await raw.statObject('files', 'b.bin')).metaData.should.not.have.property('compression');
+  });
+
+  it('applies the compression of the model', async () => {
+    await Export.putObject(null, 'c.csv', stream.Readable.from([text, text]),
+      {'Content-Type': 'text/csv', 'checksum': 'sha256'});
+    (await raw.statObject('files', 'c.csv')).metaData.should.containEql({'compression': 'br'});
+    (await Export.getObject(null, 'c.csv', {as: 'text', checksum: true})).should.eql(text + text);
+
+    const source = path.join(dir, 'd.txt');
+    fs.writeFileSync(source, text);
+    await Export.fPutObject(null, 'd.txt', source, {'Content-Type': 'text/plain', 'checksum': 'crc32c'});
+    const target = path.join(dir, 'target.txt');
+    await Export.fGetObject(null, 'd.txt', target, {checksum: true});
+    fs.readFileSync(target, 'utf8').should.eql(text);
+
+    await Image.putObject(null, 'e.txt', text, {'Content-Type': 'text/plain'});
+    (await raw.statObject('files', 'e.txt')).metaData.should.not.have.property('compression');
+  });
+
+  it('rejects invalid settings', () => {
+    (() => loopback.createDataSource({connector: MinioDB, backend: 'memory', compression: 'zip'}))
+      .should.throw(TypeError);
+  });
+
+  describe('on a server', () => {
+    let server, heads, selected, puts;
+    before((done) => {
+      server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const name = decodeURIComponent(url.pathname).slice('/notes/'.length);
+        let body = '';
+        req.on('data', (chunk) => body += chunk);
+        req.on('end', () => {
+          if (req.method === 'HEAD') {
+            heads.push(name);
+            res.setHeader('Content-Type', 'application/json');
+            res.setHeader('ETag', '"e"');
+            res.setHeader('Last-Modified', new Date(0).toUTCString());
+            res.setHeader('x-amz-meta-compression', 'gzip');
+            return res.end();
+          }
+          if (req.method === 'POST') {
+            selected.push([name, /<CompressionType>(\w+)</.exec(body)[1]]);
+            return res.end();
+          }
+          if (req.method === 'PUT') {
+            puts.push([name, req.headers['if-none-match'], req.headers['x-amz-meta-compression'],
+              req.headers['x-amz-meta-if-none-match']]);
+            if (name === 'Note/1.json') {
+              res.statusCode = 412;
+              return res.end('<Error><Code>PreconditionFailed</Code><Message>At least one of the pre-conditions ' +
+                'you specified did not hold</Message></Error>');
+            }
+            res.setHeader('ETag', '"e"');
+            return res.end();
+          }
+          // Written while compression was on, listed with their metadata
+          res.end('<ListBucketResult><IsTruncated>false</IsTruncated>' + ['1', '2'].map((id) =>
+            '<Contents><Key>Note/' + id + '.json</Key><LastModified>2024-01-01T00:00:00.000Z</LastModified>' +
+            '<ETag>"e"</ETag><Size>1</Size><UserMetadata><content-type>application/json</content-type>' +
+            (id === '1' ? '<X-Amz-Meta-Compression>gzip</X-Amz-Meta-Compression>' : '') +
+            '</UserMetadata></Contents>').join('') + '</ListBucketResult>');
+        });
+      });
+      server.listen(0, done);
+    });
+    after((done) => {
+      server.close(done);
+    });
+
+    it('selects from the documents with the compression of their metadata', async () => {
+      const remote = loopback.createDataSource({connector: MinioDB, endPoint: '127.0.0.1',
+        port: server.address().port, useSSL: false, accessKey: 'admin', secretKey: 'password',
+        region: 'us-east-1', bucketName: 'notes', connectProbe: false});
+      const Note = remote.createModel('Note', {id: {type: String, id: true}, title: String});
+      heads = [];
+      selected = [];
+      (await Note.find({where: {title: 'a'}})).should.eql([]);
+      heads.should.eql([]);
+      selected.sort().should.eql([['Note/1.json', 'GZIP'], ['Note/2.json', 'NONE']]);
+
+      // An exact id is not listed
+      selected = [];
+      (await Note.find({where: {id: '1', title: 'a'}})).should.eql([]);
+      heads.should.eql(['Note/1.json']);
+      selected.should.eql([['Note/1.json', 'GZIP']]);
+      remote.disconnect();
+    });
+
+    it('creates the compressed documents only if new', async () => {
+      const remote = loopback.createDataSource({connector: MinioDB, endPoint: '127.0.0.1',
+        port: server.address().port, useSSL: false, accessKey: 'admin', secretKey: 'password',
+        region: 'us-east-1', bucketName: 'notes', connectProbe: false,
+        compression: {contentTypes: ['application/json'], minSize: 1}});
+      const Note = remote.createModel('Note', {id: {type: String, id: true}, title: String});
+      puts = [];
+      await Note.create({id: '3', title: 'c'});
+      await Note.create({id: '1', title: 'a'}).should.be.rejectedWith({statusCode: 409, message: /Duplicate entry/});
+      puts.should.eql([['Note/3.json', '*', 'gzip', undefined], ['Note/1.json', '*', 'gzip', undefined]]);
+      remote.disconnect();
+    });
+  });
+});
@@ -0,0 +1,135 @@
+'use strict';
+const http = require('http');
+require('should');
+const loopback = require('loopback');
+const MinioDB = require('../lib/minio');
+const credentials = require('../lib/credentials');
+
+describe('credentials', () => {
+  let server, endPoint, requests, stsCount, expiresIn;
+  before((done) => {
+    server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', (chunk) => chunks.push(chunk));
+      req.on('end', () => {
+        const form = new URLSearchParams(Buffer.concat(chunks).toString());
+        requests.push({method: req.method, url: req.url, headers: req.headers, form: form});
+        const action = form.get('Action');
+        if (req.method === 'POST' && action) {
+          if (form.get('WebIdentityToken') === 'expired') {
+            res.statusCode = 400;
+            return res.end('<ErrorResponse><Error><Code>InvalidIdentityToken</Code>' +
+              '<Message>Token expired</Message></Error></ErrorResponse>');
+          }
+          stsCount++;
+          const expiration = new Date(Date.now() + expiresIn * 1000).toISOString();
+          return res.end(`<${action}Response><${action}Result><Credentials>` +
+            `<AccessKeyId>TEMP${stsCount}</AccessKeyId><SecretAccessKey>secret</SecretAccessKey>` +
+            `<SessionToken>token&amp;${stsCount}</SessionToken><Expiration>${expiration}</Expiration>` +
+            `</Credentials></${action}Result></${action}Response>`);
+        }
+        if (req.method === 'GET') {
+          res.statusCode = 404;
+          return res.end('<Error><Code>NoSuchKey</Code><Message>Not found</Message></Error>');
+        }
+        res.setHeader('ETag', '"abc"');
+        res.setHeader('Content-Length', 0);
+        res.end();
+      });
+    });
+    server.listen(0, () => {
+      endPoint = 'http://127.0.0.1:' + server.address().port;
+      done();
+    });
+  });
+  beforeEach(() => {
+    requests = [];
+    stsCount = 0;
+    expiresIn = 3600;
+  });
+  after((done) => {
+    server.close(done);
+  });
+
+  function accessKeyOf(request) {
+    return /Credential=([^/]+)\//.exec(request.headers.authorization)[1];
+  }
+
+  it('requests temporary credentials and refreshes them before they expire', async () => {
+    const provider = new credentials.StsCredentialProvider({endPoint: endPoint, webIdentityToken: 'jwt'});
+    const results = await Promise.all([provider.getCredentials(), provider.getCredentials()]);
+    results[0].should.equal(results[1]);
+    results[0].should.containEql({accessKey: 'TEMP1', secretKey: 'secret', sessionToken: 'token&1'});
+    requests[0].form.get('Action').should.eql('AssumeRoleWithWebIdentity');
+    requests[0].headers.should.not.have.property('authorization');
+    (await provider.getCredentials()).accessKey.should.eql('TEMP1');
+
+    expiresIn = 60;
+    const signed = new credentials.StsCredentialProvider({endPoint: endPoint, accessKey: 'admin',
+      secretKey: 'password', roleArn: 'arn:minio:iam:::role/tenant', refreshBefore: 120});
+    (await signed.getCredentials()).accessKey.should.eql('TEMP2');
+    (await signed.getCredentials()).accessKey.should.eql('TEMP3');
+    requests[1].form.get('RoleArn').should.eql('arn:minio:iam:::role/tenant');
+    accessKeyOf(requests[1]).should.eql('admin');
+
+    await new credentials.StsCredentialProvider({endPoint: endPoint, webIdentityToken: 'expired'}).getCredentials()
+      .should.be.rejectedWith({code: 'InvalidIdentityToken', statusCode: 403});
+  });
+
+  it('sends operations with the credentials of a tenant', async () => {
+    const ds = loopback.createDataSource({connector: MinioDB, endPoint: '127.0.0.1', port: server.address().port,
+      useSSL: false, accessKey: 'admin', secretKey: 'password', region: 'us-east-1', bucketName: 'files',
+      connectProbe: false, clientCacheSize: 2});
+    const File = ds.createModel('File', {}, {base: 'Model'});
+    await File.statObject(null, 'a.txt');
+    accessKeyOf(requests[0]).should.eql('admin');
+
+    const tenant = {accessKey: 'tenant', secretKey: 'secret', sessionToken: 'session'};
+    await File.withCredentials(tenant).statObject(null, 'a.txt');
+    accessKeyOf(requests[1]).should.eql('tenant');
+    requests[1].headers['x-amz-security-token'].should.eql('session');
+    File.withCredentials(tenant).client.should.equal(File.withCredentials(Object.assign({}, tenant)).client);
+
+    const assumed = File.withCredentials({webIdentityToken: 'jwt'});
+    await assumed.statObject(null, 'a.txt');
+    await assumed.statObject(null, 'b.txt');
+    requests.filter((request) => request.method === 'POST').should.have.length(1);
+    accessKeyOf(requests[requests.length - 1]).should.eql('TEMP1');
+    (await assumed.presignedGetObject(null, 'a.txt', 60)).should.match(/X-Amz-Credential=TEMP1/);
+    await assumed.presignedGetObject(null, 'a.txt', 'soon').should.be.rejectedWith({statusCode: 400});
+
+    // Only the two most recently used clients are kept
+    const client = File.withCredentials(tenant).client;
+    File.withCredentials({accessKey: 'other', secretKey: 'secret'});
+    File.withCredentials({webIdentityToken: 'jwt'});
+    File.withCredentials(tenant).client.should.not.equal(client);
+
+    const Note = ds.createModel('Note', {title: String});
+    await Note.create({title: 'Draft'}, {credentials: tenant});
+    accessKeyOf(requests[requests.length - 1]).should.eql('tenant');
+
+    (() => File.withCredentials({accessKey: 'tenant'})).should.throw(TypeError);
+    ds.disconnect();
+  });
+
+  it('calls STS on the next node when one is down', async () => {
+    const closed = http.createServer();
+    await new Promise((resolve) => closed.listen(0, resolve));
+    const closedPort = closed.address().port;
+    await new Promise((resolve) => closed.close(resolve));
+    const ds = loopback.createDataSource({connector: MinioDB, useSSL: false, accessKey: 'admin',
+      secretKey: 'password', region: 'us-east-1', bucketName: 'files', connectProbe: false, retry: false,
+      endPoints: ['127.0.0.1:' + closedPort, '127.0.0.1:' + server.address().port],
+      sts: {roleArn: 'arn:minio:iam:::role/storage'}});
+    const File = ds.createModel('File', {}, {base: 'Model'});
+    await File.statObject(null, 'a.txt');
+    requests.map((request) => request.method).should.eql(['POST', 'HEAD']);
+    accessKeyOf(requests[0]).should.eql('admin');
+    accessKeyOf(requests[1]).should.eql('TEMP1');
+    ds.connector.endPointStatus()[0].healthy.should.be.false();
+
+    await File.withCredentials({webIdentityToken: 'expired'}).statObject(null, 'a.txt')
+      .should.be.rejectedWith({code: 'InvalidIdentityToken', statusCode: 403});
+    ds.disconnect();
+  });
+});
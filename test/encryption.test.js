@@ -0,0 +1,85 @@
+'use strict';
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const stream = require('stream');
+require('should');
+const loopback = require('loopback');
+const MinioDB = require('../lib/minio');
+
+describe('client-side encryption', () => {
+  const keys = {k1: crypto.randomBytes(32).toString('base64'), k2: crypto.randomBytes(32).toString('base64')};
+  let ds, File, raw, dir;
+  before((done) => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'minio-encryption-'));
+    ds = loopback.createDataSource({connector: MinioDB, backend: 'memory', bucketName: 'files',
+      encryption: {keys, currentKeyId: 'k1'}});
+    File = ds.createModel('File', {});
+    ds.once('connected', () => {
+      // Under the clients decompressing and decrypting the objects
+      raw = Object.getPrototypeOf(Object.getPrototypeOf(ds.connector.client));
+      done();
+    });
+  });
+  after(() => {
+    fs.rmSync(dir, {recursive: true, force: true});
+  });
+
+  it('encrypts bodies and decrypts them transparently', async () => {
+    const text = 'The quick brown fox jumps over the lazy dog, twice over.';
+    await File.putObject('files', 'a.txt', text, {'Content-Type': 'text/plain'});
+    const stored = await raw.getObject('files', 'a.txt');
+    stored.headers['x-amz-meta-encryption-key-id'].should.eql('k1');
+    stored.headers['content-length'].should.eql(String(text.length + 16));
+    stored.destroy();
+
+    (await File.getObject('files', 'a.txt', {as: 'text'})).should.eql(text);
+    (await File.statObject('files', 'a.txt')).size.should.eql(text.length);
+    (await File.getPartialObject('files', 'a.txt', 5, 20, {as: 'text'})).should.eql(text.substr(5, 20));
+    (await File.getPartialObject('files', 'a.txt', 37, 0, {as: 'text'})).should.eql(text.slice(37));
+    await File.getPartialObject('files', 'a.txt', text.length + 2, 1)
+      .should.be.rejectedWith({code: 'InvalidRange', statusCode: 416});
+
+    await File.putObject('files', 'b.txt', stream.Readable.from(['hel', 'lo']));
+    (await File.getObject('files', 'b.txt', {as: 'text'})).should.eql('hello');
+  });
+
+  it('encrypts files', async () => {
+    const source = path.join(dir, 'source.bin');
+    fs.writeFileSync(source, crypto.randomBytes(50000));
+    await File.fPutObject('files', 'c.bin', source, {checksum: 'sha256'});
+    const target = path.join(dir, 'target.bin');
+    await File.fGetObject('files', 'c.bin', target, {checksum: true});
+    fs.readFileSync(target).equals(fs.readFileSync(source)).should.be.true();
+  });
+
+  it('fails on a tampered ciphertext', async () => {
+    const stored = await raw.getObject('files', 'b.txt');
+    const metaData = (await raw.statObject('files', 'b.txt')).metaData;
+    const body = Buffer.concat(await stored.toArray());
+    body[0] ^= 1;
+    await raw.putObject('files', 'b.txt', body, body.length, metaData);
+    await File.getObject('files', 'b.txt', {as: 'text'})
+      .should.be.rejectedWith({code: 'DecryptionFailed', statusCode: 502});
+  });
+
+  it('rotates the keys of the objects', async () => {
+    await File.putObject('files', 'plain/d.txt', 'rotate me', {'Content-Type': 'text/plain', 'x-amz-meta-owner': 'ann'});
+    await File.setObjectTagging('files', 'plain/d.txt', {team: 'docs'});
+    ds.connector.keyProvider.currentKeyId = 'k2';
+    (await File.rotateEncryptionKeys('files', 'plain/')).should.eql({rotated: 1, unchanged: 0});
+    (await File.rotateEncryptionKeys('files', 'plain/')).should.eql({rotated: 0, unchanged: 1});
+    const metaData = (await raw.statObject('files', 'plain/d.txt')).metaData;
+    metaData['encryption-key-id'].should.eql('k2');
+    metaData['content-type'].should.eql('text/plain');
+    metaData.owner.should.eql('ann');
+    (await File.getObjectTagging('files', 'plain/d.txt')).should.eql([{Key: 'team', Value: 'docs'}]);
+    (await File.getObject('files', 'plain/d.txt', {as: 'text'})).should.eql('rotate me');
+  });
+
+  it('rejects multipart uploads', async () => {
+    await File.initiateMultipartUpload('files', 'e.bin')
+      .should.be.rejectedWith({code: 'InvalidArgument', statusCode: 400});
+  });
+});
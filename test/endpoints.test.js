@@ -0,0 +1,191 @@
+'use strict';
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+require('should');
+const loopback = require('loopback');
+const MinioDB = require('../lib/minio');
+const endpoints = require('../lib/endpoints');
+
+describe('endpoints', () => {
+  const servers = [];
+  let ds, File, closedPort;
+  before(async () => {
+    for (let i = 0; i < 2; i++) {
+      const server = http.createServer((req, res) => {
+        server.requests.push(req.method + ' ' + req.url);
+        req.resume();
+        req.on('end', () => {
+          if (req.method === 'POST' && /[?&]uploads/.test(req.url)) {
+            return res.end('<InitiateMultipartUploadResult><UploadId>upload' + i +
+              '</UploadId></InitiateMultipartUploadResult>');
+          }
+          if (req.method === 'POST') {
+            return res.end('<CompleteMultipartUploadResult><Location>/files/b.bin</Location><Bucket>files</Bucket>' +
+              '<Key>b.bin</Key><ETag>"done"</ETag></CompleteMultipartUploadResult>');
+          }
+          if (/[?&]list-type=2/.test(req.url)) {
+            return res.end('<ListBucketResult><IsTruncated>false</IsTruncated><Contents><Key>a.txt</Key>' +
+              '<LastModified>2024-01-01T00:00:00.000Z</LastModified><ETag>"abc"</ETag><Size>0</Size>' +
+              '</Contents></ListBucketResult>');
+          }
+          res.setHeader('ETag', '"abc"');
+          res.setHeader('Content-Length', 0);
+          res.end();
+        });
+      });
+      server.requests = [];
+      await new Promise((resolve) => server.listen(0, resolve));
+      servers.push(server);
+    }
+    const closed = http.createServer();
+    await new Promise((resolve) => closed.listen(0, resolve));
+    closedPort = closed.address().port;
+    await new Promise((resolve) => closed.close(resolve));
+  });
+  beforeEach(() => {
+    servers.forEach((server) => server.requests = []);
+    ds = loopback.createDataSource({connector: MinioDB, useSSL: false, accessKey: 'admin', secretKey: 'password',
+      region: 'us-east-1', bucketName: 'files', connectProbe: false, retry: false,
+      endPoints: ['127.0.0.1:' + closedPort].concat(servers.map((server) => '127.0.0.1:' + server.address().port))});
+    File = ds.createModel('File', {}, {base: 'Model'});
+  });
+  afterEach(() => {
+    ds.disconnect();
+  });
+  after(() => {
+    servers.forEach((server) => server.close());
+  });
+
+  it('fails over and balances the reads over the healthy nodes', async () => {
+    await File.putObject(null, 'a.txt', 'hello');
+    servers[0].requests.should.eql(['PUT /files/a.txt']);
+    const status = ds.connector.endPointStatus();
+    status[0].should.containEql({healthy: false, failures: 1});
+    status[1].should.containEql({healthy: true, failures: 0});
+
+    for (let i = 0; i < 4; i++) {
+      await File.statObject(null, 'a.txt');
+    }
+    servers[0].requests.filter((request) => request.startsWith('HEAD')).should.have.length(2);
+    servers[1].requests.filter((request) => request.startsWith('HEAD')).should.have.length(2);
+  });
+
+  it('fails over the requests of the minio extensions', async () => {
+    (await File.listObjectsV2WithMetadata(null, '', true).toArray()).map((item) => item.name).should.eql(['a.txt']);
+    servers[0].requests.filter((request) => request.includes('metadata=true')).should.have.length(1);
+    ds.connector.endPointStatus()[0].should.containEql({healthy: false, failures: 1});
+  });
+
+  it('sends the parts of a multipart upload to the node it started on', async () => {
+    const pool = ds.connector.endPointPool;
+    pool.failed(1, {code: 'ECONNRESET'});
+    const uploadId = await File.initiateMultipartUpload(null, 'b.bin');
+    uploadId.should.eql('upload1');
+    const node = servers[1];
+    // The first running node is back, and takes the other writes
+    pool.succeeded(1);
+    await File.putObject(null, 'a.txt', 'hello');
+    servers[0].requests.should.eql(['PUT /files/a.txt']);
+    for (let part = 1; part <= 3; part++) {
+      await File.uploadPart(null, 'b.bin', uploadId, part, 'part');
+      await File.statObject(null, 'a.txt');
+    }
+    (await File.presignedUploadPart(null, 'b.bin', uploadId, 4)).should.containEql(':' + node.address().port + '/');
+    await File.completeMultipartUpload(null, 'b.bin', uploadId, [{part: 1, etag: 'abc'}]);
+    node.requests.filter((request) => request.includes('uploadId=' + uploadId)).should.have.length(4);
+  });
+
+  describe('with the client-side features', () => {
+    const keys = {k1: crypto.randomBytes(32).toString('base64')};
+    // The objects of the cluster, shared by its nodes
+    const objects = new Map();
+    const nodes = [];
+    let dir;
+    before(async () => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'minio-endpoints-'));
+      for (let i = 0; i < 2; i++) {
+        const node = http.createServer((req, res) => {
+          const chunks = [];
+          req.on('data', (chunk) => chunks.push(chunk));
+          req.on('end', () => {
+            const key = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+            if (req.method === 'PUT') {
+              const headers = {};
+              Object.keys(req.headers).filter((name) => /^(x-amz-meta-|content-type|content-encoding)/.test(name))
+                .forEach((name) => headers[name] = req.headers[name]);
+              const body = Buffer.concat(chunks);
+              headers.etag = '"' + crypto.createHash('md5').update(body).digest('hex') + '"';
+              objects.set(key, {body, headers});
+              res.setHeader('ETag', headers.etag);
+              return res.end();
+            }
+            const object = objects.get(key);
+            if (!object) {
+              res.statusCode = 404;
+              return res.end('<Error><Code>NoSuchKey</Code><Message>Not found</Message></Error>');
+            }
+            let body = object.body;
+            const range = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || '');
+            if (range) {
+              body = body.subarray(Number(range[1]), range[2] ? Number(range[2]) + 1 : undefined);
+              res.statusCode = 206;
+            }
+            Object.keys(object.headers).forEach((name) => res.setHeader(name, object.headers[name]));
+            res.setHeader('Content-Length', body.length);
+            res.setHeader('Last-Modified', new Date().toUTCString());
+            res.end(req.method === 'HEAD' ? undefined : body);
+          });
+        });
+        await new Promise((resolve) => node.listen(0, resolve));
+        nodes.push(node);
+      }
+    });
+    beforeEach(() => {
+      ds.disconnect();
+      ds = loopback.createDataSource({connector: MinioDB, useSSL: false, accessKey: 'admin', secretKey: 'password',
+        region: 'us-east-1', bucketName: 'files', connectProbe: false, retry: false,
+        encryption: {keys, currentKeyId: 'k1'}, compression: {contentTypes: ['text/*'], minSize: 1},
+        endPoints: ['127.0.0.1:' + closedPort].concat(nodes.map((node) => '127.0.0.1:' + node.address().port))});
+      File = ds.createModel('File', {}, {base: 'Model'});
+    });
+    after(() => {
+      nodes.forEach((node) => node.close());
+      fs.rmSync(dir, {recursive: true, force: true});
+    });
+
+    it('encrypts, compresses and verifies the files it transfers', async () => {
+      const text = 'The plaintext of the file, compressed then encrypted. '.repeat(20);
+      const source = path.join(dir, 'source.txt');
+      fs.writeFileSync(source, text);
+      const progress = [];
+      await File.fPutObject(null, 'doc.txt', source, {checksum: 'sha256',
+        onProgress: (event) => progress.push(event.loaded)});
+
+      const stored = objects.get('/files/doc.txt');
+      progress.should.not.be.empty();
+      stored.headers.should.containEql({'x-amz-meta-encryption-key-id': 'k1', 'x-amz-meta-compression': 'gzip'});
+      stored.headers.should.have.property('x-amz-meta-checksum-sha256');
+      stored.body.length.should.be.below(text.length);
+      stored.body.toString('latin1').should.not.containEql('plaintext');
+
+      const target = path.join(dir, 'target.txt');
+      await File.fGetObject(null, 'doc.txt', target, {checksum: true});
+      fs.readFileSync(target, 'utf8').should.eql(text);
+
+      stored.headers['x-amz-meta-checksum-sha256'] = crypto.createHash('sha256').update('other').digest('base64');
+      await File.fGetObject(null, 'doc.txt', target, {checksum: true}).should.be.rejectedWith({
+        code: 'ChecksumMismatch'});
+      fs.existsSync(target).should.be.false();
+    });
+  });
+
+  it('rejects invalid endpoints', () => {
+    (() => endpoints.parseEndPoints([])).should.throw(TypeError);
+    (() => endpoints.parseEndPoints(['http://minio:9000'])).should.throw(TypeError);
+    endpoints.parseEndPoints(['minio1', {endPoint: 'minio2', port: 9001}], 9000)
+      .should.eql([{endPoint: 'minio1', port: 9000}, {endPoint: 'minio2', port: 9001}]);
+  });
+});
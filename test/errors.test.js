@@ -0,0 +1,46 @@
+'use strict';
+require('should');
+const normalizeError = require('../lib/errors').normalizeError;
+
+describe('normalizeError', () => {
+  function s3Error(code, message) {
+    const err = new Error(message || code);
+    err.name = 'S3Error';
+    err.code = code;
+    return err;
+  }
+
+  it('sets the status code, the request and the cause', () => {
+    const cause = s3Error('NoSuchKey', 'The specified key does not exist.');
+    const err = normalizeError(cause, {operation: 'getObject', bucketName: 'docs', objectName: 'a.txt'});
+    err.should.containDeep({code: 'NoSuchKey', statusCode: 404, operation: 'getObject',
+      bucketName: 'docs', objectName: 'a.txt', message: 'The specified key does not exist.'});
+    err.cause.should.equal(cause);
+    normalizeError(s3Error('AccessDenied')).statusCode.should.eql(403);
+    normalizeError(s3Error('BucketAlreadyOwnedByYou')).statusCode.should.eql(409);
+  });
+
+  it('gives stable codes to responses without a body', () => {
+    normalizeError(s3Error('NotFound', 'Not Found'), {bucketName: 'docs', objectName: 'a.txt'})
+      .should.containDeep({code: 'NoSuchKey', statusCode: 404});
+    normalizeError(s3Error('NotFound', 'Not Found'), {bucketName: 'docs'})
+      .should.containDeep({code: 'NoSuchBucket', statusCode: 404});
+    normalizeError(s3Error('UnknownError', '412')).should.containDeep({code: 'PreconditionFailed', statusCode: 412});
+  });
+
+  it('maps validation and network errors', () => {
+    const invalid = new Error('Invalid bucket name: B!');
+    invalid.name = 'InvalidBucketNameError';
+    normalizeError(invalid).should.containDeep({code: 'InvalidBucketName', statusCode: 400});
+    const refused = new Error('connect ECONNREFUSED');
+    refused.code = 'ECONNREFUSED';
+    normalizeError(refused).should.containDeep({code: 'ECONNREFUSED', statusCode: 503});
+  });
+
+  it('leaves other errors as they are', () => {
+    const bug = new Error('oops');
+    normalizeError(bug).should.equal(bug);
+    const normalized = normalizeError(s3Error('NoSuchKey'));
+    normalizeError(normalized).should.equal(normalized);
+  });
+});
@@ -0,0 +1,112 @@
+'use strict';
+const http = require('http');
+require('should');
+const loopback = require('loopback');
+const filters = require('../lib/filter');
+const MinioDB = require('../lib/minio');
+
+describe('filter', () => {
+  const docs = [
+    {id: 'a', title: 'alpha', priority: 3, tags: ['x']},
+    {id: 'b', title: 'beta', priority: 1, tags: ['y']},
+    {id: 'c', title: 'gamma', priority: 2},
+  ];
+
+  function ids(list) {
+    return list.map((doc) => doc.id);
+  }
+
+  describe('matchesWhere', () => {
+    it('supports comparison operators', () => {
+      ids(docs.filter((d) => filters.matchesWhere(d, {priority: {gt: 1, lt: 3}}))).should.eql(['c']);
+      ids(docs.filter((d) => filters.matchesWhere(d, {title: {neq: 'beta'}}))).should.eql(['a', 'c']);
+      ids(docs.filter((d) => filters.matchesWhere(d, {priority: {inq: [1, 3]}}))).should.eql(['a', 'b']);
+    });
+
+    it('supports like patterns and arrays', () => {
+      ids(docs.filter((d) => filters.matchesWhere(d, {title: {like: '%ta'}}))).should.eql(['b']);
+      ids(docs.filter((d) => filters.matchesWhere(d, {tags: 'x'}))).should.eql(['a']);
+    });
+
+    it('supports and/or', () => {
+      const where = {or: [{priority: 1}, {and: [{title: 'gamma'}, {priority: {gte: 2}}]}]};
+      ids(docs.filter((d) => filters.matchesWhere(d, where))).should.eql(['b', 'c']);
+    });
+  });
+
+  it('orders, then projects fields', () => {
+    const sorted = filters.applyOrder(docs.slice(), 'priority DESC');
+    ids(sorted).should.eql(['a', 'c', 'b']);
+    filters.applyFields(sorted, ['title'], 'id')[0].should.eql({id: 'a', title: 'alpha'});
+  });
+
+  describe('toSelectExpression', () => {
+    const types = {title: 'string', priority: 'number', done: 'boolean'};
+
+    it('translates supported conditions', () => {
+      filters.toSelectExpression({title: 'it\'s', priority: {between: [1, 2]}}, types).should.eql(
+        'SELECT * FROM S3Object s WHERE s."title" = \'it\'\'s\' AND s."priority" BETWEEN 1 AND 2',
+      );
+      filters.toSelectExpression({or: [{done: true}, {priority: {inq: [1, 3]}}]}, types).should.eql(
+        'SELECT * FROM S3Object s WHERE (s."done" = TRUE OR s."priority" IN (1, 3))',
+      );
+    });
+
+    it('leaves out the conditions which would exclude more than in memory', () => {
+      filters.toSelectExpression({id: 'a', title: {regexp: '^a'}, priority: {gt: 1}}, types).should.eql(
+        'SELECT * FROM S3Object s WHERE s."priority" > 1',
+      );
+      // Negations keep the missing values, other types and dates are converted in memory
+      [{title: {neq: 'a'}}, {priority: {nin: [1]}}, {title: {nlike: 'a%'}}, {priority: '5'},
+        {title: {lt: new Date(0)}}, {created: 'x'}, {priority: null}, {or: [{done: true}, {title: {neq: 'a'}}]},
+      ].forEach((where) => {
+        (filters.toSelectExpression(where, types) === undefined).should.be.true();
+      });
+    });
+  });
+
+  describe('on a server', () => {
+    const documents = {'Task/1.json': {id: '1', title: 'a'}, 'Task/2.json': {id: '2'}};
+    let server, selected;
+    before((done) => {
+      server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        let body = '';
+        req.on('data', (chunk) => body += chunk);
+        req.on('end', () => {
+          if (req.method === 'POST') {
+            // Like S3, a document without the property matches no condition on it
+            selected.push(/<Expression>(.*)<\/Expression>/.exec(body)[1]);
+            return res.end();
+          }
+          if (url.searchParams.get('list-type') === '2') {
+            return res.end('<ListBucketResult><IsTruncated>false</IsTruncated>' + Object.keys(documents).map((key) =>
+              '<Contents><Key>' + key + '</Key><LastModified>2024-01-01T00:00:00.000Z</LastModified>' +
+              '<ETag>"e"</ETag><Size>1</Size></Contents>').join('') + '</ListBucketResult>');
+          }
+          res.setHeader('Content-Type', 'application/json');
+          res.end(JSON.stringify(documents[decodeURIComponent(url.pathname).slice('/tasks/'.length)]));
+        });
+      });
+      server.listen(0, done);
+    });
+    after((done) => {
+      server.close(done);
+    });
+
+    it('keeps the documents missing a property excluded by a negation', async () => {
+      const ds = loopback.createDataSource({connector: MinioDB, endPoint: '127.0.0.1', port: server.address().port,
+        useSSL: false, accessKey: 'admin', secretKey: 'password', region: 'us-east-1', bucketName: 'tasks',
+        connectProbe: false});
+      const Task = ds.createModel('Task', {id: {type: String, id: true}, title: String});
+      selected = [];
+      (await Task.find({where: {title: {neq: 'a'}}})).map((task) => task.id).should.eql(['2']);
+      (await Task.find({where: {title: {nin: ['a']}}})).map((task) => task.id).should.eql(['2']);
+      selected.should.eql([]);
+      (await Task.find({where: {title: 'b'}})).should.eql([]);
+      selected.should.eql(['SELECT * FROM S3Object s WHERE s."title" = \'b\'',
+        'SELECT * FROM S3Object s WHERE s."title" = \'b\'']);
+      ds.disconnect();
+    });
+  });
+});
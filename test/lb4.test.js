@@ -0,0 +1,110 @@
+'use strict';
+const http = require('http');
+require('should');
+const RestApplication = require('@loopback/rest').RestApplication;
+const lb4 = require('../lb4');
+
+function request(url, method, path, body, headers) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(new URL(path, url), {method, headers}, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => {
+        res.body = Buffer.concat(chunks).toString();
+        resolve(res);
+      });
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+describe('LoopBack 4 component', () => {
+  let app, url;
+  before(async () => {
+    app = new RestApplication({rest: {port: 0, host: '127.0.0.1'}});
+    app.configure(lb4.MinioBindings.COMPONENT).to({
+      dataSource: {backend: 'memory', bucketName: 'files'},
+      prefix: 'uploads/',
+    });
+    app.component(lb4.MinioComponent);
+    await app.start();
+    url = app.restServer.url;
+  });
+
+  after(() => app.stop());
+
+  it('uploads multipart files and lists them', async () => {
+    const body = [
+      '--XB',
+      'Content-Disposition: form-data; name="file"; filename="hello.txt"',
+      'Content-Type: text/plain',
+      '',
+      '0123456789',
+      '--XB--',
+    ].join('\r\n');
+    const res = await request(url, 'POST', '/files?prefix=docs/', body,
+      {'Content-Type': 'multipart/form-data; boundary=XB'});
+    res.statusCode.should.eql(200);
+    JSON.parse(res.body).map((o) => o.objectName).should.eql(['docs/hello.txt']);
+
+    const list = JSON.parse((await request(url, 'GET', '/files?limit=10')).body);
+    list.items.map((o) => o.name).should.eql(['docs/hello.txt']);
+    (list.nextToken === null).should.be.true();
+  });
+
+  it('downloads an object, a range of it or nothing when unchanged', async () => {
+    const res = await request(url, 'GET', '/files/docs%2Fhello.txt');
+    res.statusCode.should.eql(200);
+    res.headers['content-type'].should.eql('text/plain');
+    res.body.should.eql('0123456789');
+
+    const partial = await request(url, 'GET', '/files/docs%2Fhello.txt', null, {Range: 'bytes=2-4'});
+    partial.statusCode.should.eql(206);
+    partial.headers['content-range'].should.eql('bytes 2-4/10');
+    partial.body.should.eql('234');
+
+    const outside = await request(url, 'GET', '/files/docs%2Fhello.txt', null, {Range: 'bytes=20-'});
+    outside.statusCode.should.eql(416);
+
+    const unchanged = await request(url, 'GET', '/files/docs%2Fhello.txt', null, {'If-None-Match': res.headers.etag});
+    unchanged.statusCode.should.eql(304);
+  });
+
+  it('stats and deletes objects', async () => {
+    const stat = JSON.parse((await request(url, 'GET', '/files/docs%2Fhello.txt/stat')).body);
+    stat.size.should.eql(10);
+    (await request(url, 'DELETE', '/files/docs%2Fhello.txt')).statusCode.should.eql(204);
+    (await request(url, 'GET', '/files/docs%2Fhello.txt/stat')).statusCode.should.eql(404);
+  });
+
+  it('runs a presigned multipart upload', async () => {
+    const json = {'Content-Type': 'application/json'};
+    const started = await request(url, 'POST', '/files/big.bin/uploads',
+      JSON.stringify({size: 12, partSize: 8, contentType: 'text/plain'}), json);
+    started.statusCode.should.eql(200);
+    const upload = JSON.parse(started.body);
+    upload.parts.map((p) => p.partNumber).should.eql([1, 2]);
+
+    // The memory backend does not serve the presigned URLs, send the parts as the browser would
+    const connector = (await app.get('datasources.minio')).connector;
+    const parts = [
+      await connector.uploadPart('files', 'uploads/big.bin', upload.uploadId, 1, '01234567'),
+      await connector.uploadPart('files', 'uploads/big.bin', upload.uploadId, 2, 'abcd'),
+    ].map((p) => ({partNumber: p.part, etag: p.etag}));
+    const completed = await request(url, 'POST', '/files/big.bin/uploads/' + upload.uploadId,
+      JSON.stringify({parts}), json);
+    completed.statusCode.should.eql(200);
+    JSON.parse(completed.body).objectName.should.eql('big.bin');
+    (await request(url, 'GET', '/files/big.bin')).body.should.eql('01234567abcd');
+
+    (await request(url, 'DELETE', '/files/big.bin/uploads/' + upload.uploadId)).statusCode.should.eql(404);
+  });
+
+  it('documents the routes in the OpenAPI spec', async () => {
+    const spec = JSON.parse((await request(url, 'GET', '/openapi.json')).body);
+    Object.keys(spec.paths).should.containDeep(['/files', '/files/{objectName}', '/files/{objectName}/stat',
+      '/files/{objectName}/uploads', '/files/{objectName}/uploads/{uploadId}']);
+    spec.paths['/files'].post.requestBody.content.should.have.property('multipart/form-data');
+  });
+});
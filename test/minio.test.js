@@ -118,6 +118,41 @@ describe('MinioDB', function () {
       // ds.connector.client.should.have.property('apis');
     });
   });
+  describe('connect', () => {
+    it('verifies the connection and answers ping', async () => {
+      const ds = await createDataSource(minioConfig);
+      await ds.ping();
+      await ds.connector.ping().should.be.fulfilled();
+    });
+
+    it('emits error for wrong credentials without retrying', async () => {
+      const config = Object.assign({}, minioConfig, {accessKey: 'WRONG_ACCESS_KEY', connectRetryDelay: 10});
+      const ds = await createDataSource(config);
+      const err = await new Promise((resolve) => ds.once('error', resolve));
+      err.code.should.eql('InvalidAccessKeyId');
+      await ds.ping().should.be.rejectedWith({code: 'InvalidAccessKeyId'});
+    });
+  });
+
+  describe('disconnect', () => {
+    it('stops listeners and streams and can connect again', async () => {
+      const ds = await createDataSource(Object.assign({bucketName: 'test'}, minioConfig));
+      const Upload = ds.createModel('Upload', {}, {base: 'Model'});
+      await ds.connect();
+      await Upload.putObject({objectName: 'disconnect.txt', stream: 'data'});
+      const listener = await Upload.listenBucketNotification(null, 'disconnect/');
+      const stream = await Upload.getObject(null, 'disconnect.txt');
+      await ds.disconnect();
+      stream.destroyed.should.be.true();
+      listener.ending.should.be.true();
+      ds.connected.should.be.false();
+      await ds.connect();
+      (await Upload.getObject(null, 'disconnect.txt', {as: 'text'})).should.eql('data');
+      await Upload.removeObject(null, 'disconnect.txt');
+      await ds.disconnect();
+    });
+  });
+
   describe('functional tests', () => {
     let ds, Todo;
     const bucketName = 'test';
@@ -174,6 +209,49 @@ describe('MinioDB', function () {
       });
     });
 
+    it('reads an object as text, buffer or json', async () => {
+      (await Todo.getObject(bucketName, objectName, {as: 'text'})).should.eql(data);
+      (await Todo.getObject(bucketName, objectName, {as: 'buffer'})).length.should.eql(34);
+      (await Todo.getPartialObject(bucketName, objectName, 8, 3, {as: 'text'})).should.eql('the');
+      await Todo.putObject(bucketName, 'test-object.json', JSON.stringify({done: true}));
+      (await Todo.getObject(bucketName, 'test-object.json', {as: 'json'})).should.eql({done: true});
+      await Todo.removeObject(bucketName, 'test-object.json');
+    });
+
+    it('rejects reading an object larger than maxSize', async () => {
+      await Todo.getObject(bucketName, objectName, {as: 'buffer', maxSize: 10})
+        .should.be.rejectedWith({code: 'EntityTooLarge', statusCode: 413});
+    });
+
+    it('lists objects with for await, toArray and page', async () => {
+      await Todo.putObject(bucketName, 'list/a.txt', 'a');
+      await Todo.putObject(bucketName, 'list/b.txt', 'b');
+      await Todo.putObject(bucketName, 'list/c.txt', 'c');
+      const names = [];
+      for await (const obj of Todo.listObjectsV2(bucketName, 'list/', true)) {
+        names.push(obj.name);
+      }
+      names.should.eql(['list/a.txt', 'list/b.txt', 'list/c.txt']);
+      (await Todo.listObjectsV2(bucketName, 'list/', true).toArray({limit: 2})).length.should.eql(2);
+      const first = await Todo.listObjects(bucketName, 'list/', true).page({limit: 2});
+      first.items.map(obj => obj.name).should.eql(['list/a.txt', 'list/b.txt']);
+      const last = await Todo.listObjects(bucketName, 'list/', true).page({limit: 2, token: first.nextToken});
+      last.items.map(obj => obj.name).should.eql(['list/c.txt']);
+      should(last.nextToken).be.null();
+      await Todo.removeObjects(bucketName, names);
+    });
+
+    it('rejects a listing of a missing bucket', async () => {
+      await Todo.listObjectsV2('missing-bucket-' + Date.now()).toArray()
+        .should.be.rejectedWith({code: 'NoSuchBucket'});
+    });
+
+    it('rejects with a normalized error for a missing object', async () => {
+      const err = await Todo.statObject(bucketName, 'missing-object.txt').should.be.rejected();
+      err.should.containDeep({code: 'NoSuchKey', statusCode: 404, bucketName, objectName: 'missing-object.txt'});
+      err.should.have.property('cause');
+    });
+
     it('gets the object stats', () => {
       Todo.statObject(bucketName, objectName).then((stat)=>{
         assert.strictEqual(stat.size, 34);
@@ -201,6 +279,91 @@ describe('MinioDB', function () {
     // });
   });
 
+  describe('default bucket', () => {
+    let ds, Attachment, Invoice;
+    before(async () => {
+      ds = await createDataSource(Object.assign({bucketName: 'test'}, minioConfig));
+      Attachment = ds.createModel('Attachment', {}, {base: 'Model'});
+      Invoice = ds.createModel('Invoice', {}, {base: 'Model', minio: {bucket: 'invoices'}});
+    });
+
+    it('uses the bucketName setting when the bucket is omitted', async () => {
+      await Attachment.putObject({objectName: 'default.txt', stream: 'default'});
+      const stat = await Attachment.statObject(null, 'default.txt');
+      stat.size.should.eql(7);
+      await Attachment.removeObject({objectName: 'default.txt'});
+    });
+
+    it('prefers the bucket of the model settings', () => {
+      ds.connector.forModel('Invoice').getBucketName().should.eql('invoices');
+      ds.connector.getBucketName('Attachment').should.eql('test');
+      (typeof Invoice.putObject).should.eql('function');
+    });
+  });
+
+  describe('document mode', () => {
+    let ds, Note;
+    before(async () => {
+      ds = await createDataSource(Object.assign({bucketName: 'test'}, minioConfig));
+      Note = ds.createModel('Note', {
+        id: {type: String, id: true},
+        title: String,
+        priority: Number,
+      });
+      await Note.destroyAll();
+    });
+
+    it('creates a document with a generated id', async () => {
+      const note = await Note.create({title: 'first', priority: 1});
+      should.exist(note.id);
+      const stat = await Note.statObject('test', `Note/${note.id}.json`);
+      stat.size.should.be.above(0);
+    });
+
+    it('finds a document by id', async () => {
+      const created = await Note.create({id: 'by-id', title: 'second', priority: 2});
+      const found = await Note.findById(created.id);
+      found.title.should.eql('second');
+    });
+
+    it('rejects a duplicate id', async () => {
+      await Note.create({id: 'by-id', title: 'again'}).should.be.rejectedWith(/Duplicate entry/);
+    });
+
+    it('counts and filters documents', async () => {
+      (await Note.count()).should.eql(2);
+      (await Note.find({where: {priority: 2}})).should.have.length(1);
+    });
+
+    it('applies where, order, limit and fields', async () => {
+      await Note.create({id: 'filter-1', title: 'low', priority: 5});
+      await Note.create({id: 'filter-2', title: 'high', priority: 9});
+      const notes = await Note.find({
+        where: {id: {like: 'filter-%'}, priority: {gt: 4}},
+        order: 'priority DESC',
+        limit: 1,
+        fields: ['id', 'title'],
+      });
+      notes.should.have.length(1);
+      notes[0].title.should.eql('high');
+      should.not.exist(notes[0].priority);
+      await Note.destroyAll({id: {inq: ['filter-1', 'filter-2']}});
+    });
+
+    it('updates attributes', async () => {
+      const note = await Note.findById('by-id');
+      await note.updateAttributes({title: 'updated'});
+      (await Note.findById('by-id')).title.should.eql('updated');
+    });
+
+    it('destroys documents', async () => {
+      await Note.destroyById('by-id');
+      should.not.exist(await Note.findById('by-id'));
+      await Note.destroyAll();
+      (await Note.count()).should.eql(0);
+    });
+  });
+
   async function startLB4App() {
     const TodoListApplication = require('@loopback/example-todo')
       .TodoListApplication;
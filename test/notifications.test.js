@@ -0,0 +1,152 @@
+'use strict';
+const http = require('http');
+require('should');
+const loopback = require('loopback');
+const MinioDB = require('../lib/minio');
+
+describe('notification subscriptions', () => {
+  let ds, File;
+  beforeEach((done) => {
+    ds = loopback.createDataSource({connector: MinioDB, backend: 'memory', bucketName: 'files'});
+    File = ds.createModel('File', {});
+    ds.once('connected', () => done());
+  });
+  afterEach(() => {
+    ds.disconnect();
+  });
+
+  function nextEvent(emitter, name) {
+    return new Promise((resolve) => emitter.once(name, resolve));
+  }
+
+  function delay(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  // Keep the listeners the connector starts, to fail them
+  function captureListeners() {
+    const client = ds.connector.client;
+    const listeners = [];
+    client.listenBucketNotification = function() {
+      const listener = Object.getPrototypeOf(client).listenBucketNotification.apply(this, arguments);
+      listeners.push(listener);
+      return listener;
+    };
+    return listeners;
+  }
+
+  it('emits the object events on the model and the data source', async () => {
+    const subscription = await File.subscribeNotifications(null, 'docs/');
+    (await File.subscribeNotifications(null, 'docs/')).should.equal(subscription);
+    const created = [];
+    ds.on('object:created', (event) => created.push(event.objectName));
+
+    const onModel = nextEvent(File, 'object:created');
+    await File.putObject(null, 'other/a.txt', 'skipped');
+    await File.putObject(null, 'docs/a b.txt', 'hello');
+    const event = await onModel;
+    event.should.containEql({type: 'object:created', eventName: 's3:ObjectCreated:Put', bucketName: 'files',
+      objectName: 'docs/a b.txt', size: 5, modelName: 'File'});
+    event.time.should.be.instanceOf(Date);
+    created.should.eql(['docs/a b.txt']);
+
+    const removed = nextEvent(File, 'object:removed');
+    await File.removeObject(null, 'docs/a b.txt');
+    (await removed).should.containEql({eventName: 's3:ObjectRemoved:Delete', objectName: 'docs/a b.txt'});
+
+    subscription.stop();
+    (await File.subscribeNotifications(null, 'docs/')).should.not.equal(subscription);
+  });
+
+  it('listens again after the listener fails', async () => {
+    const listeners = captureListeners();
+    const subscription = await File.subscribeNotifications(null, '', {reconnect: {baseDelay: 10, jitter: 0}});
+    const reconnects = [];
+    subscription.on('reconnect', (event) => reconnects.push(event));
+    const err = Object.assign(new Error('socket hang up'), {code: 'ECONNRESET'});
+    listeners[0].emit('error', err);
+    reconnects.should.eql([{attempt: 1, delay: 10, error: err}]);
+    await delay(15);
+    listeners.should.have.length(2);
+    // The local listeners are connected at once, so the failures start over
+    listeners[1].emit('error', err);
+    reconnects[1].delay.should.eql(10);
+
+    await delay(15);
+    listeners.should.have.length(3);
+    const created = nextEvent(File, 'object:created');
+    await File.putObject(null, 'a.txt', 'a');
+    (await created).objectName.should.eql('a.txt');
+
+    // The connector stops the subscription as it disconnects
+    ds.disconnect();
+    subscription.stopped.should.be.true();
+    listeners[2].ending.should.be.true();
+  });
+
+  it('ends with an error without reconnections', async () => {
+    const listeners = captureListeners();
+    const subscription = await File.subscribeNotifications(null, '', {reconnect: false});
+    const failed = nextEvent(subscription, 'error');
+    const ended = nextEvent(subscription, 'end');
+    listeners[0].emit('error', new Error('gone'));
+    (await failed).message.should.eql('gone');
+    await ended;
+    subscription.stopped.should.be.true();
+    listeners.should.have.length(1);
+  });
+
+  it('ends without crashing when nothing listens to its errors', async () => {
+    const listeners = captureListeners();
+    const subscription = await File.subscribeNotifications(null, '', {reconnect: false});
+    const ended = nextEvent(subscription, 'end');
+    listeners[0].emit('error', new Error('gone'));
+    await ended;
+    subscription.stopped.should.be.true();
+  });
+
+  describe('on a server', () => {
+    let server, requests;
+    before((done) => {
+      // Break the first two listener requests, then answer and keep the response open
+      server = http.createServer((req, res) => {
+        requests.push(req);
+        if (requests.length <= 2) {
+          req.socket.destroy();
+        } else {
+          res.writeHead(200);
+          res.write(' ');
+        }
+      });
+      server.listen(0, done);
+    });
+    beforeEach(() => {
+      requests = [];
+    });
+    after((done) => {
+      server.closeAllConnections();
+      server.close(done);
+    });
+
+    it('starts the backoff over once the server answers again', async () => {
+      const remote = loopback.createDataSource({connector: MinioDB, endPoint: '127.0.0.1',
+        port: server.address().port, useSSL: false, accessKey: 'admin', secretKey: 'password',
+        region: 'us-east-1', bucketName: 'files', connectProbe: false});
+      const Remote = remote.createModel('Remote', {}, {base: 'Model'});
+      const subscription = await Remote.subscribeNotifications(null, '', {reconnect: {baseDelay: 10, jitter: 0}});
+      const reconnects = [];
+      subscription.on('reconnect', (event) => reconnects.push(event));
+      while (requests.length < 3) {
+        await delay(10);
+      }
+      reconnects.map((event) => event.delay).should.eql([10, 20]);
+
+      // Answered without a notification, the next failure waits the base delay again
+      await delay(20);
+      subscription._listener.emit('error', new Error('gone'));
+      reconnects.map((event) => event.delay).should.eql([10, 20, 10]);
+      remote.disconnect();
+      subscription.stopped.should.be.true();
+    });
+  });
+});
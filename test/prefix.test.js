@@ -0,0 +1,156 @@
+'use strict';
+const http = require('http');
+require('should');
+const loopback = require('loopback');
+const MinioDB = require('../lib/minio');
+
+describe('prefix operations', () => {
+  let ds, File;
+  before((done) => {
+    ds = loopback.createDataSource({connector: MinioDB, backend: 'memory', bucketName: 'files'});
+    File = ds.createModel('File', {});
+    ds.once('connected', () => done());
+  });
+
+  async function names(bucketName, prefix) {
+    return (await File.listObjects(bucketName, prefix, true).toArray()).map((item) => item.name);
+  }
+
+  it('copies and moves the objects with their metadata and tags', async () => {
+    await File.makeBucket('archive');
+    await File.putObject(null, 'tenant/1/a.txt', 'a', {'Content-Type': 'text/plain', 'owner': 'ann'});
+    await File.putObject(null, 'tenant/1/sub/b.txt', 'b');
+    await File.setObjectTagging(null, 'tenant/1/a.txt', {project: 'x'});
+
+    (await File.copyPrefix(null, 'tenant/1/', 'archive', 'backup/')).should.eql({copied: 2, failed: []});
+    (await names('archive', '')).should.eql(['backup/a.txt', 'backup/sub/b.txt']);
+    const stat = await File.statObject('archive', 'backup/a.txt');
+    stat.metaData.should.containEql({'content-type': 'text/plain', 'owner': 'ann'});
+    (await File.getObjectTagging('archive', 'backup/a.txt')).should.eql([{Key: 'project', Value: 'x'}]);
+
+    (await File.movePrefix(null, 'tenant/1/', null, 'tenant/2/')).should.eql({moved: 2, failed: []});
+    (await names(null, 'tenant/')).should.eql(['tenant/2/a.txt', 'tenant/2/sub/b.txt']);
+
+    const result = await File.copyPrefix({bucketName: 'files', prefix: 'tenant/2/', destBucket: 'missing',
+      destPrefix: ''});
+    result.copied.should.eql(0);
+    result.failed.map((item) => item.name).sort().should.eql(['tenant/2/a.txt', 'tenant/2/sub/b.txt']);
+    result.failed[0].code.should.eql('NoSuchBucket');
+
+    await File.copyPrefix(null, 'tenant/', null, 'tenant/copy/')
+      .should.be.rejectedWith({code: 'InvalidArgument', statusCode: 400});
+  });
+
+  it('removes the objects in batches of 1000', async () => {
+    for (let i = 0; i < 1005; i++) {
+      await File.putObject(null, 'logs/' + i, '');
+    }
+    const removeObjects = ds.connector.removeObjects;
+    const batches = [];
+    ds.connector.removeObjects = function(bucketName, list) {
+      batches.push(list.length);
+      return removeObjects.apply(this, arguments);
+    };
+    try {
+      (await File.removePrefix(null, 'logs/')).should.eql({removed: 1005, failed: []});
+    } finally {
+      delete ds.connector.removeObjects;
+    }
+    batches.should.eql([1000, 5]);
+    (await names(null, 'logs/')).should.eql([]);
+    await File.removePrefix(null, '').should.be.rejectedWith({code: 'InvalidArgument'});
+  });
+
+  it('copies and removes all the versions', async () => {
+    await File.makeBucket('versioned');
+    await File.setBucketVersioning('versioned', {Status: 'Enabled'});
+    await File.putObject('versioned', 'v/a.txt', 'one');
+    await File.putObject('versioned', 'v/a.txt', 'two');
+    await File.putObject('versioned', 'v/b.txt', 'three');
+    await File.removeObject('versioned', 'v/b.txt');
+
+    (await File.copyPrefix('versioned', 'v/', null, 'w/', {versions: true})).should.eql({copied: 4, failed: []});
+    const versions = await File.listObjects('versioned', 'w/', true, {IncludeVersion: true}).toArray();
+    versions.map((item) => [item.name, item.isDeleteMarker]).should.eql(
+      [['w/a.txt', false], ['w/a.txt', false], ['w/b.txt', true], ['w/b.txt', false]],
+    );
+    (await File.getObject('versioned', 'w/a.txt', {as: 'text'})).should.eql('two');
+
+    (await File.removePrefix('versioned', 'v/', {versions: true})).should.eql({removed: 4, failed: []});
+    (await File.listObjects('versioned', 'v/', true, {IncludeVersion: true}).toArray()).should.eql([]);
+  });
+
+  it('removes the versions at most 1000 keys per request', async () => {
+    await File.makeBucket('history');
+    await File.setBucketVersioning('history', {Status: 'Enabled'});
+    for (let i = 0; i < 999; i++) {
+      await File.putObject('history', 'h/' + i, '');
+    }
+    for (let i = 0; i < 5; i++) {
+      await File.putObject('history', 'h/z', String(i));
+    }
+    const removeObjects = ds.connector.removeObjects;
+    const requests = [];
+    ds.connector.removeObjects = function(bucketName, list) {
+      requests.push(list.length);
+      return removeObjects.apply(this, arguments);
+    };
+    try {
+      (await File.removePrefix('history', 'h/', {versions: true})).should.eql({removed: 1004, failed: []});
+    } finally {
+      delete ds.connector.removeObjects;
+    }
+    requests.should.eql([1000, 4]);
+    (await File.listObjects('history', 'h/', true, {IncludeVersion: true}).toArray()).should.eql([]);
+  });
+
+  describe('on a server', () => {
+    let server, deleteStatus, deleted;
+    before((done) => {
+      server = http.createServer((req, res) => {
+        if (req.method === 'GET') {
+          return res.end('<ListBucketResult><IsTruncated>false</IsTruncated>' +
+            '<Contents><Key>logs/1</Key><LastModified>2024-01-01T00:00:00.000Z</LastModified><ETag>"e1"</ETag>' +
+            '<Size>1</Size></Contents><Contents><Key>logs/a&amp;b</Key>' +
+            '<LastModified>2024-01-01T00:00:00.000Z</LastModified><ETag>"e2"</ETag><Size>1</Size></Contents>' +
+            '</ListBucketResult>');
+        }
+        let body = '';
+        req.on('data', (chunk) => body += chunk);
+        req.on('end', () => {
+          deleted.push(body);
+          res.statusCode = deleteStatus;
+          res.end(deleteStatus === 200 ?
+            '<DeleteResult><Error><Key>logs/1</Key><Code>AccessDenied</Code><Message>Denied</Message></Error>' +
+              '</DeleteResult>' :
+            '<Error><Code>InternalError</Code><Message>Try again</Message></Error>');
+        });
+      });
+      server.listen(0, done);
+    });
+    after((done) => {
+      server.close(done);
+    });
+
+    it('reports the objects of a failed delete request', async () => {
+      const remote = loopback.createDataSource({connector: MinioDB, endPoint: '127.0.0.1',
+        port: server.address().port, useSSL: false, accessKey: 'admin', secretKey: 'password',
+        region: 'us-east-1', bucketName: 'files', connectProbe: false});
+      const Remote = remote.createModel('Remote', {}, {base: 'Model'});
+      deleted = [];
+      deleteStatus = 200;
+      const result = await Remote.removePrefix(null, 'logs/');
+      result.should.eql({removed: 1, failed: [{name: 'logs/1', versionId: undefined, code: 'AccessDenied',
+        message: 'Denied'}]});
+      deleted[0].should.eql('<Delete><Quiet>true</Quiet><Object><Key>logs/1</Key></Object>' +
+        '<Object><Key>logs/a&amp;b</Key></Object></Delete>');
+
+      deleteStatus = 500;
+      const failed = await Remote.removePrefix(null, 'logs/');
+      failed.removed.should.eql(0);
+      failed.failed.map((item) => [item.name, item.code]).should.eql([['logs/1', 'InternalError'],
+        ['logs/a&b', 'InternalError']]);
+      remote.disconnect();
+    });
+  });
+});
@@ -0,0 +1,73 @@
+'use strict';
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const stream = require('stream');
+require('should');
+const loopback = require('loopback');
+const MinioDB = require('../lib/minio');
+const progress = require('../lib/progress');
+
+function drain(readable) {
+  return new Promise((resolve, reject) => {
+    readable.on('data', () => {}).on('end', resolve).on('error', reject);
+  });
+}
+
+describe('progress', () => {
+  it('counts bytes and completed parts', async () => {
+    const events = [];
+    const counter = progress.progressStream((p) => events.push(p), {total: 10, partSize: 4});
+    stream.Readable.from([Buffer.from('0123'), Buffer.from('4567'), Buffer.from('89')]).pipe(counter);
+    await drain(counter);
+    events.should.eql([
+      {loaded: 4, total: 10, parts: 3, completedParts: 1},
+      {loaded: 8, total: 10, parts: 3, completedParts: 2},
+      {loaded: 10, total: 10, parts: 3, completedParts: 2},
+      {loaded: 10, total: 10, parts: 3, completedParts: 3},
+    ]);
+  });
+
+  it('fails the transfer when onProgress throws', async () => {
+    const counter = progress.progressStream(() => {
+      throw new Error('stop');
+    });
+    stream.Readable.from([Buffer.from('data')]).pipe(counter);
+    await drain(counter).should.be.rejectedWith('stop');
+  });
+
+  describe('with a data source', () => {
+    let File, dir;
+    before((done) => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'minio-progress-'));
+      const ds = loopback.createDataSource({connector: MinioDB, backend: 'memory', bucketName: 'files'});
+      File = ds.createModel('File', {});
+      ds.once('connected', () => done());
+    });
+    after(() => {
+      fs.rmSync(dir, {recursive: true, force: true});
+    });
+
+    it('reports the progress of putObject without storing onProgress', async () => {
+      const events = [];
+      await File.putObject('files', 'a.txt', 'hello', {'Content-Type': 'text/plain', onProgress: (p) => events.push(p)});
+      events.map((p) => p.loaded).should.eql([5]);
+      events[0].total.should.eql(5);
+      (await File.statObject('files', 'a.txt')).metaData.should.not.have.property('onprogress');
+    });
+
+    it('reports the progress of fPutObject and fGetObject', async () => {
+      const source = path.join(dir, 'source.bin');
+      fs.writeFileSync(source, Buffer.alloc(100000, 1));
+      const uploads = [];
+      await File.fPutObject('files', 'b.bin', source, {onProgress: (p) => uploads.push(p)});
+      uploads[uploads.length - 1].should.eql({loaded: 100000, total: 100000});
+
+      const target = path.join(dir, 'target.bin');
+      const downloads = [];
+      await File.fGetObject('files', 'b.bin', target, {onProgress: (p) => downloads.push(p)});
+      downloads[downloads.length - 1].should.eql({loaded: 100000, total: 100000});
+      fs.statSync(target).size.should.eql(100000);
+    });
+  });
+});
@@ -0,0 +1,27 @@
+'use strict';
+require('should');
+const range = require('../lib/range');
+
+describe('range', () => {
+  it('parses single byte ranges', () => {
+    range.parseRange('bytes=0-4', 10).should.eql({start: 0, end: 4});
+    range.parseRange('bytes=5-', 10).should.eql({start: 5, end: 9});
+    range.parseRange('bytes=-3', 10).should.eql({start: 7, end: 9});
+    range.parseRange('bytes=8-20', 10).should.eql({start: 8, end: 9});
+  });
+
+  it('ignores unsupported ranges and rejects unsatisfiable ones', () => {
+    (range.parseRange(undefined, 10) === null).should.be.true();
+    (range.parseRange('bytes=0-1,3-4', 10) === null).should.be.true();
+    (range.parseRange('bytes=5-2', 10) === null).should.be.true();
+    range.parseRange('bytes=10-', 10).should.be.false();
+    range.parseRange('bytes=-5', 0).should.be.false();
+  });
+
+  it('matches ETags weakly', () => {
+    range.etagMatches('"a", W/"b"', '"b"').should.be.true();
+    range.etagMatches('*', '"b"').should.be.true();
+    range.etagMatches('"a"', '"b"').should.be.false();
+    range.etagMatches(undefined, '"b"').should.be.false();
+  });
+});
@@ -0,0 +1,143 @@
+'use strict';
+const http = require('http');
+require('should');
+const loopback = require('loopback');
+const MinioDB = require('../lib/minio');
+
+function request(server, method, path, body, headers) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({port: server.address().port, method, path, headers}, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => {
+        res.body = Buffer.concat(chunks).toString();
+        resolve(res);
+      });
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+describe('LoopBack 3 remote methods', () => {
+  let app, server;
+  before((done) => {
+    app = loopback({localRegistry: true, loadBuiltinModels: true});
+    app.set('remoting', {errorHandler: {log: false}});
+    app.dataSource('storage', {connector: MinioDB, backend: 'memory', bucketName: 'files'});
+    app.model(app.registry.createModel('Attachment', {}, {base: 'Model', minio: {remoting: true}}),
+      {dataSource: 'storage'});
+    app.model(app.registry.createModel('Hidden', {}, {base: 'Model'}), {dataSource: 'storage'});
+    app.model(app.registry.createModel('Reader', {}, {base: 'Model', minio: {remoting: ['downloadObject']}}),
+      {dataSource: 'storage'});
+    app.model(app.registry.createModel('Admin', {}, {base: 'Model', minio: {remoting: ['bucketExists']}}),
+      {dataSource: 'storage'});
+    app.use('/api', loopback.rest());
+    app.dataSources.storage.once('connected', () => {
+      server = app.listen(0, done);
+    });
+  });
+
+  after((done) => {
+    if (server) server.close(done);
+    else done();
+  });
+
+  it('uploads multipart files and lists them', async () => {
+    const body = [
+      '--XB',
+      'Content-Disposition: form-data; name="file"; filename="hello.txt"',
+      'Content-Type: text/plain',
+      '',
+      'Hello world',
+      '--XB',
+      'Content-Disposition: form-data; name="objectName"',
+      '',
+      'named.json',
+      '--XB',
+      'Content-Disposition: form-data; name="file"; filename="ignored.json"',
+      'Content-Type: application/json',
+      '',
+      '{}',
+      '--XB--',
+    ].join('\r\n');
+    const res = await request(server, 'POST', '/api/Attachments/objects/upload?prefix=docs/', body,
+      {'Content-Type': 'multipart/form-data; boundary=XB'});
+    res.statusCode.should.eql(200);
+    JSON.parse(res.body).map((o) => o.objectName).should.eql(['docs/hello.txt', 'docs/named.json']);
+
+    const list = await request(server, 'GET', '/api/Attachments/objects?recursive=true&limit=1');
+    const page = JSON.parse(list.body);
+    page.items.map((o) => o.name).should.eql(['docs/hello.txt']);
+    page.nextToken.should.be.a.String();
+  });
+
+  it('downloads an object with its headers', async () => {
+    const res = await request(server, 'GET', '/api/Attachments/objects/download?objectName=docs/hello.txt');
+    res.statusCode.should.eql(200);
+    res.headers['content-type'].should.match(/^text\/plain/);
+    res.headers['content-length'].should.eql('11');
+    res.headers.etag.should.match(/^".+"$/);
+    res.body.should.eql('Hello world');
+  });
+
+  it('maps connector errors to status codes', async () => {
+    const res = await request(server, 'GET', '/api/Attachments/objects/stat?objectName=missing');
+    res.statusCode.should.eql(404);
+    JSON.parse(res.body).error.code.should.eql('NoSuchKey');
+  });
+
+  it('runs a presigned multipart upload', async () => {
+    const json = {'Content-Type': 'application/json'};
+    const started = await request(server, 'POST', '/api/Attachments/objects/multipart?objectName=big.bin',
+      JSON.stringify({size: 12, partSize: 8}), json);
+    started.statusCode.should.eql(200);
+    const upload = JSON.parse(started.body);
+    upload.parts.map((p) => p.partNumber).should.eql([1, 2]);
+    upload.parts[0].url.should.match(/partNumber=1&uploadId=/);
+
+    // The local backend does not serve the presigned URLs, send the parts as the browser would
+    const Attachment = app.models.Attachment;
+    const parts = [
+      await Attachment.uploadPart(null, 'big.bin', upload.uploadId, 2, 'abcd'),
+      await Attachment.uploadPart(null, 'big.bin', upload.uploadId, 1, '01234567'),
+    ].map((p) => ({partNumber: p.part, etag: '"' + p.etag + '"'}));
+    const listed = await request(server, 'GET',
+      '/api/Attachments/objects/multipart/parts?objectName=big.bin&uploadId=' + upload.uploadId);
+    JSON.parse(listed.body).map((p) => p.part).should.eql([1, 2]);
+    const completed = await request(server, 'POST',
+      '/api/Attachments/objects/multipart/complete?objectName=big.bin&uploadId=' + upload.uploadId,
+      JSON.stringify(parts), json);
+    JSON.parse(completed.body).etag.should.match(/-2$/);
+    (await Attachment.getObject(null, 'big.bin', {as: 'text'})).should.eql('01234567abcd');
+
+    const aborted = await request(server, 'DELETE',
+      '/api/Attachments/objects/multipart?objectName=big.bin&uploadId=' + upload.uploadId);
+    aborted.statusCode.should.eql(404);
+    JSON.parse(aborted.body).error.code.should.eql('NoSuchUpload');
+  });
+
+  it('works on the bucket of the model only', async () => {
+    await app.models.Attachment.makeBucket('other');
+    await app.models.Attachment.putObject('other', 'secret.txt', 'secret');
+    const res = await request(server, 'GET', '/api/Attachments/objects/download?bucketName=other&objectName=secret.txt');
+    res.statusCode.should.eql(404);
+
+    const copied = await request(server, 'POST',
+      '/api/Attachments/objects/copy?objectName=docs/hello.txt&destBucket=other&destObjectName=copy.txt');
+    copied.statusCode.should.eql(200);
+    (await app.models.Attachment.getObject(null, 'copy.txt', {as: 'text'})).should.eql('Hello world');
+    await app.models.Attachment.statObject('other', 'copy.txt').should.be.rejectedWith({code: 'NoSuchKey'});
+  });
+
+  it('registers the methods selected by the remoting setting', async () => {
+    (await request(server, 'GET', '/api/Hiddens/objects/download?objectName=docs/named.json'))
+      .statusCode.should.eql(404);
+    (await request(server, 'GET', '/api/Attachments/buckets')).statusCode.should.eql(404);
+    (await request(server, 'GET', '/api/Readers/buckets')).statusCode.should.eql(404);
+    const exists = await request(server, 'GET', '/api/Admins/buckets/exists?bucketName=missing');
+    JSON.parse(exists.body).should.eql({exists: true});
+    const res = await request(server, 'GET', '/api/Readers/objects/download?objectName=docs/named.json');
+    res.body.should.eql('{}');
+  });
+});
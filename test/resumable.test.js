@@ -0,0 +1,109 @@
+'use strict';
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const stream = require('stream');
+require('should');
+const loopback = require('loopback');
+const MinioDB = require('../lib/minio');
+const uploadStores = require('../lib/upload-stores');
+
+function createDataSource(settings) {
+  const ds = loopback.createDataSource(Object.assign({connector: MinioDB, backend: 'memory'}, settings));
+  return new Promise((resolve, reject) => {
+    ds.once('connected', () => resolve(ds));
+    ds.once('error', reject);
+  });
+}
+
+// A stream of the content failing after some bytes, like a dropped connection
+function failingStream(content, failAfter) {
+  let sent = false;
+  return new stream.Readable({
+    read() {
+      if (sent) {
+        return this.destroy(Object.assign(new Error('connection reset'), {code: 'ECONNRESET'}));
+      }
+      sent = true;
+      this.push(content.slice(0, failAfter));
+    },
+  });
+}
+
+describe('resumable uploads', () => {
+  const content = Buffer.from('0123456789abcdefghij');
+  let dir;
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'minio-resumable-'));
+  });
+  after(() => {
+    fs.rmSync(dir, {recursive: true, force: true});
+  });
+
+  it('uploads in parts and removes the state', async () => {
+    const ds = await createDataSource({bucketName: 'files', retry: false});
+    const Upload = ds.createModel('Upload', {});
+    const progress = [];
+    const result = await Upload.resumableUpload('files', 'a.bin', content,
+      {partSize: 8, metaData: {'Content-Type': 'text/plain'}, onProgress: (p) => progress.push(p)});
+    result.etag.should.match(/-3$/);
+    progress.map((p) => p.completedParts).should.eql([1, 2, 3]);
+    progress[2].should.eql({loaded: 20, total: 20, parts: 3, completedParts: 3});
+    (await Upload.getObject('files', 'a.bin', {as: 'buffer'})).should.eql(content);
+    (await Upload.statObject('files', 'a.bin')).metaData['content-type'].should.eql('text/plain');
+    (await ds.connector.uploadStore.load('files/a.bin') === null).should.be.true();
+  });
+
+  it('resumes an interrupted upload from the recorded parts', async () => {
+    const store = new uploadStores.FileUploadStore(dir);
+    const ds = await createDataSource({bucketName: 'files', retry: false, uploadStore: {directory: dir}});
+    const Upload = ds.createModel('Upload', {});
+    await Upload.resumableUpload('files', 'b.bin', failingStream(content, 10), {partSize: 8, size: 20})
+      .should.be.rejectedWith({code: 'ECONNRESET'});
+    const state = await store.load('files/b.bin');
+    state.parts.map((p) => p.part).should.eql([1]);
+
+    const sent = [];
+    const uploadPart = ds.connector.uploadPart;
+    ds.connector.uploadPart = function(bucketName, objectName, uploadId, partNumber) {
+      sent.push(partNumber);
+      return uploadPart.apply(this, arguments);
+    };
+    await Upload.resumableUpload('files', 'b.bin', stream.Readable.from([content]), {partSize: 8, size: 20});
+    sent.should.eql([2, 3]);
+    (await Upload.getObject('files', 'b.bin', {as: 'buffer'})).should.eql(content);
+    (await store.load('files/b.bin') === null).should.be.true();
+  });
+
+  it('saves the same state concurrently', async () => {
+    const store = new uploadStores.FileUploadStore(dir);
+    await Promise.all([1, 2, 3, 4].map((part) => store.save('files/c.bin', {parts: [{part}]})));
+    (await store.load('files/c.bin')).parts.should.have.length(1);
+    fs.readdirSync(dir).filter((name) => /\.tmp$/.test(name)).should.eql([]);
+    await store.remove('files/c.bin');
+  });
+
+  it('aborts a recorded upload', async () => {
+    const ds = await createDataSource({bucketName: 'files', retry: false});
+    const Upload = ds.createModel('Upload', {});
+    await Upload.resumableUpload('files', 'c.bin', failingStream(content, 10), {partSize: 8})
+      .should.be.rejected();
+    (await Upload.listIncompleteUploads('files', '', true).toArray()).map((u) => u.key).should.eql(['c.bin']);
+    (await Upload.abortResumableUpload('files', 'c.bin')).should.be.true();
+    (await Upload.listIncompleteUploads('files', '', true).toArray()).should.eql([]);
+    (await Upload.abortResumableUpload('files', 'c.bin')).should.be.false();
+  });
+
+  it('keeps the state in a model', async () => {
+    const db = loopback.createDataSource({connector: 'memory'});
+    db.createModel('UploadState', {id: {type: String, id: true}, state: Object});
+    const ds = await createDataSource({bucketName: 'files', retry: false, uploadStore: {model: 'UploadState'}});
+    const Upload = ds.createModel('Upload', {});
+    await Upload.resumableUpload('files', 'd.bin', failingStream(content, 10), {partSize: 8})
+      .should.be.rejected();
+    const UploadState = db.models.UploadState;
+    (await UploadState.findById('files/d.bin')).state.parts.length.should.eql(1);
+    await Upload.resumableUpload('files', 'd.bin', content, {partSize: 8});
+    (await UploadState.count()).should.eql(0);
+  });
+});
@@ -0,0 +1,22 @@
+'use strict';
+require('should');
+const RetryPolicy = require('../lib/retry');
+
+describe('RetryPolicy', () => {
+  it('retries retryable codes up to maxAttempts', () => {
+    const policy = new RetryPolicy({maxAttempts: 3});
+    policy.shouldRetry({code: 'SlowDown'}, 1).should.be.true();
+    policy.shouldRetry({code: 'ECONNRESET'}, 2).should.be.true();
+    policy.shouldRetry({code: 'SlowDown'}, 3).should.be.false();
+    policy.shouldRetry({code: 'NoSuchKey'}, 1).should.be.false();
+    new RetryPolicy(false).shouldRetry({code: 'SlowDown'}, 1).should.be.false();
+    new RetryPolicy({retryableCodes: ['NoSuchKey']}).shouldRetry({code: 'SlowDown'}, 1).should.be.false();
+  });
+
+  it('backs off exponentially with jitter', () => {
+    const policy = new RetryPolicy({baseDelay: 100, maxDelay: 300, jitter: 0});
+    [1, 2, 3].map((attempt) => policy.delay(attempt)).should.eql([100, 200, 300]);
+    const jittered = new RetryPolicy({baseDelay: 100, jitter: 0.5}).delay(2);
+    jittered.should.be.within(100, 200);
+  });
+});
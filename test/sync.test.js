@@ -0,0 +1,87 @@
+'use strict';
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+require('should');
+const loopback = require('loopback');
+const MinioDB = require('../lib/minio');
+
+describe('directory sync', () => {
+  let ds, File, dir;
+  before((done) => {
+    ds = loopback.createDataSource({connector: MinioDB, backend: 'memory', bucketName: 'files'});
+    File = ds.createModel('File', {});
+    ds.once('connected', () => done());
+  });
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'minio-sync-test-'));
+  });
+  afterEach(() => {
+    fs.rmSync(dir, {recursive: true, force: true});
+  });
+
+  function write(name, content, mtime) {
+    const file = path.join(dir, 'source', name);
+    fs.mkdirSync(path.dirname(file), {recursive: true});
+    fs.writeFileSync(file, content);
+    if (mtime) fs.utimesSync(file, mtime, mtime);
+  }
+
+  it('uploads the new and changed files', async () => {
+    const source = path.join(dir, 'source');
+    write('index.html', '<html></html>');
+    write('js/app.js', 'console.log(1)');
+    (await File.syncToBucket(source, null, 'web')).should.eql({
+      uploaded: ['web/index.html', 'web/js/app.js'], deleted: [], unchanged: 0,
+    });
+    (await File.getObject(null, 'web/js/app.js', {as: 'text'})).should.eql('console.log(1)');
+
+    write('js/app.js', 'console.log(2)', new Date(Date.now() + 60000));
+    write('css/app.css', 'body {}', new Date(2000, 0, 1));
+    await File.putObject(null, 'web/old.js', 'old');
+    (await File.syncToBucket(source, null, 'web/', {delete: true, dryRun: true})).should.eql({
+      uploaded: ['web/css/app.css', 'web/js/app.js'], deleted: ['web/old.js'], unchanged: 1,
+    });
+    (await File.getObject(null, 'web/js/app.js', {as: 'text'})).should.eql('console.log(1)');
+
+    (await File.syncToBucket(source, null, 'web/', {delete: true, concurrency: 1})).should.eql({
+      uploaded: ['web/css/app.css', 'web/js/app.js'], deleted: ['web/old.js'], unchanged: 1,
+    });
+    (await File.getObject(null, 'web/js/app.js', {as: 'text'})).should.eql('console.log(2)');
+    await File.statObject(null, 'web/old.js').should.be.rejectedWith({code: 'NoSuchKey'});
+
+    // Same size, older file: only the ETags tell the change
+    write('js/app.js', 'console.log(3)', new Date(2000, 0, 1));
+    (await File.syncToBucket(source, null, 'web/')).uploaded.should.eql([]);
+    (await File.syncToBucket(source, null, 'web/', {compare: 'etag'})).should.eql({
+      uploaded: ['web/js/app.js'], deleted: [], unchanged: 2,
+    });
+  });
+
+  it('downloads the new and changed objects', async () => {
+    const target = path.join(dir, 'target');
+    await File.putObject(null, 'data/a.csv', 'a,b');
+    await File.putObject(null, 'data/2024/b.csv', 'c,d');
+    (await File.syncFromBucket(null, 'data', target)).should.eql({
+      downloaded: ['data/2024/b.csv', 'data/a.csv'], deleted: [], unchanged: 0,
+    });
+    fs.readFileSync(path.join(target, '2024', 'b.csv'), 'utf8').should.eql('c,d');
+    (await File.syncFromBucket(null, 'data', target)).should.eql({downloaded: [], deleted: [], unchanged: 2});
+
+    await File.putObject(null, 'data/a.csv', 'e,f');
+    fs.writeFileSync(path.join(target, 'extra.csv'), 'x');
+    (await File.syncFromBucket(null, 'data', target, {delete: true, dryRun: true})).should.eql({
+      downloaded: ['data/a.csv'], deleted: ['extra.csv'], unchanged: 1,
+    });
+    fs.existsSync(path.join(target, 'extra.csv')).should.be.true();
+    (await File.syncFromBucket({bucketName: 'files', prefix: 'data/', localDir: target, options: {delete: true}}))
+      .should.eql({downloaded: ['data/a.csv'], deleted: ['extra.csv'], unchanged: 1});
+    fs.readFileSync(path.join(target, 'a.csv'), 'utf8').should.eql('e,f');
+    fs.existsSync(path.join(target, 'extra.csv')).should.be.false();
+  });
+
+  it('rejects invalid options', async () => {
+    await File.syncToBucket(dir, null, 'web', {compare: 'hash'})
+      .should.be.rejectedWith({code: 'InvalidArgument', statusCode: 400});
+  });
+});
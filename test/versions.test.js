@@ -0,0 +1,121 @@
+'use strict';
+const http = require('http');
+require('should');
+const loopback = require('loopback');
+const MinioDB = require('../lib/minio');
+
+describe('object versions', () => {
+  let ds, File;
+  before((done) => {
+    ds = loopback.createDataSource({connector: MinioDB, backend: 'memory', bucketName: 'files'});
+    File = ds.createModel('File', {});
+    ds.once('connected', () => done());
+  });
+
+  it('lists the versions and reads, tags and removes each one', async () => {
+    await File.setBucketVersioning(null, {Status: 'Enabled'});
+    (await File.getBucketVersioning(null)).should.containEql({Status: 'Enabled'});
+    await File.putObject(null, 'doc.txt', 'one');
+    await File.putObject(null, 'doc.txt', 'two!');
+    await File.setObjectTagging(null, 'doc.txt', {state: 'final'});
+    await File.putObject(null, 'other.txt', 'x');
+    await File.removeObject(null, 'other.txt');
+
+    const versions = await File.listObjectVersions(null, '').toArray();
+    versions.map((item) => [item.name, item.isLatest, item.isDeleteMarker]).should.eql([
+      ['doc.txt', true, false], ['doc.txt', false, false], ['other.txt', true, true], ['other.txt', false, false],
+    ]);
+    const two = versions[0];
+    const one = versions[1];
+    (await File.getObject(null, 'doc.txt', {versionId: one.versionId, as: 'text'})).should.eql('one');
+    (await File.statObject(null, 'doc.txt', {versionId: one.versionId})).should.containEql({
+      size: 3, versionId: one.versionId});
+    (await File.getObjectTagging(null, 'doc.txt', {versionId: one.versionId})).should.eql([]);
+    (await File.getObjectTagging(null, 'doc.txt', {versionId: two.versionId})).should.eql([
+      {Key: 'state', Value: 'final'}]);
+
+    // The page tokens resume after a version, even within the versions of an object
+    const paged = [];
+    let token;
+    do {
+      const page = await File.listObjectVersions(null, '').page({limit: 1, token: token});
+      Array.prototype.push.apply(paged, page.items);
+      token = page.nextToken;
+    } while (token);
+    paged.should.eql(versions);
+
+    await File.removeObject(null, 'doc.txt', {versionId: two.versionId});
+    (await File.getObject(null, 'doc.txt', {as: 'text'})).should.eql('one');
+  });
+
+  it('restores an older version as the latest', async () => {
+    await File.putObject(null, 'config.json', '{"v":1}');
+    await File.putObject(null, 'config.json', '{"v":2}');
+    await File.setObjectTagging(null, 'config.json', {v: '2'});
+    const previous = (await File.listObjectVersions(null, 'config.json').toArray())[1];
+
+    const restored = await File.restoreVersion(null, 'config.json', previous.versionId);
+    (await File.getObject(null, 'config.json', {as: 'json'})).should.eql({v: 1});
+    (await File.getObjectTagging(null, 'config.json')).should.eql([]);
+    const versions = await File.listObjectVersions(null, 'config.json').toArray();
+    versions.should.have.length(3);
+    versions[0].versionId.should.eql(restored.versionId);
+
+    await File.restoreVersion(null, 'config.json').should.be.rejectedWith({code: 'InvalidArgument'});
+    await File.restoreVersion(null, 'config.json', 'missing').should.be.rejectedWith({statusCode: 404});
+  });
+
+  describe('on a server', () => {
+    let server, queries;
+    // A listing of two pages, split within the versions of a.txt
+    const pages = [
+      '<ListVersionsResult><IsTruncated>true</IsTruncated><NextKeyMarker>a.txt</NextKeyMarker>' +
+        '<NextVersionIdMarker>v2</NextVersionIdMarker>' +
+        '<Version><Key>a.txt</Key><VersionId>v2</VersionId><IsLatest>false</IsLatest>' +
+        '<LastModified>2024-01-02T00:00:00.000Z</LastModified><ETag>"e2"</ETag><Size>2</Size></Version>' +
+        '<DeleteMarker><Key>a.txt</Key><VersionId>d3</VersionId><IsLatest>true</IsLatest>' +
+        '<LastModified>2024-01-03T00:00:00.000Z</LastModified></DeleteMarker></ListVersionsResult>',
+      '<ListVersionsResult><IsTruncated>false</IsTruncated>' +
+        '<Version><Key>a.txt</Key><VersionId>v1</VersionId><IsLatest>false</IsLatest>' +
+        '<LastModified>2024-01-01T00:00:00.000Z</LastModified><ETag>"e1"</ETag><Size>1</Size></Version>' +
+        '<Version><Key>b%20c.txt</Key><VersionId>v4</VersionId><IsLatest>true</IsLatest>' +
+        '<LastModified>2024-01-04T00:00:00.000Z</LastModified><ETag>"e4"</ETag><Size>4</Size></Version>' +
+        '</ListVersionsResult>',
+    ];
+    before((done) => {
+      server = http.createServer((req, res) => {
+        const query = new URL(req.url, 'http://localhost').searchParams;
+        queries.push(query);
+        res.end(pages[query.get('version-id-marker') === 'v2' ? 1 : 0]);
+      });
+      server.listen(0, done);
+    });
+    beforeEach(() => {
+      queries = [];
+    });
+    after((done) => {
+      server.close(done);
+    });
+
+    it('pages with the key and version markers, from the latest version', async () => {
+      const remote = loopback.createDataSource({connector: MinioDB, endPoint: '127.0.0.1',
+        port: server.address().port, useSSL: false, accessKey: 'admin', secretKey: 'password',
+        region: 'us-east-1', bucketName: 'files', connectProbe: false});
+      const Remote = remote.createModel('Remote', {}, {base: 'Model'});
+      const versions = await Remote.listObjectVersions(null, '').toArray();
+      versions.map((item) => [item.name, item.versionId, item.isLatest, item.isDeleteMarker]).should.eql([
+        ['a.txt', 'd3', true, true], ['a.txt', 'v2', false, false], ['a.txt', 'v1', false, false],
+        ['b c.txt', 'v4', true, false],
+      ]);
+      queries.should.have.length(2);
+      queries[1].get('key-marker').should.eql('a.txt');
+      queries[1].get('version-id-marker').should.eql('v2');
+
+      const token = Buffer.from('a.txt\u0000v2').toString('base64');
+      await Remote.listObjectVersions(null, 'a').page({limit: 1, token: token});
+      queries[2].get('prefix').should.eql('a');
+      queries[2].get('version-id-marker').should.eql('v2');
+      remote.disconnect();
+    });
+  });
+});